@@ -1,13 +1,27 @@
 const CodeQualityAnalyzer = require('./code-quality-analyzer');
 const DORAMetricsCollector = require('./dora-metrics-collector');
+const PullRequestAnalyzer = require('./pull-request-analyzer');
 const BenchmarkingEngine = require('./benchmarking-engine');
-const githubService = require('../github/github-service');
+const { getProvider } = require('../providers');
+const DirectoryClient = require('../local/directory-client');
 const { v4: uuidv4 } = require('uuid');
 
+// Request options that change an analysis' result, with the value used when one is not given;
+// each one set to anything else becomes part of the cache key
+const RESULT_OPTIONS = {
+  timeRange: 90,
+  deploymentEnvironment: undefined,
+  deployWorkflows: undefined,
+  deployJobs: undefined,
+  fileBudget: undefined,
+  sampling: undefined,
+  minCloneTokens: undefined,
+  maxItems: undefined,
+  dataSource: undefined
+};
+
 class AnalysisOrchestrator {
   constructor() {
-    this.codeQualityAnalyzer = new CodeQualityAnalyzer(githubService);
-    this.doraMetricsCollector = new DORAMetricsCollector(githubService);
     this.benchmarkingEngine = new BenchmarkingEngine();
     this.analysisCache = new Map();
     this.analysisQueue = [];
@@ -16,10 +30,10 @@ class AnalysisOrchestrator {
 
   /**
    * Performs comprehensive repository analysis
-   * @param {string} accessToken - GitHub access token
+   * @param {string} accessToken - Access token for the repository host
    * @param {string} owner - Repository owner
    * @param {string} repo - Repository name
-   * @param {Object} options - Analysis options
+   * @param {Object} options - Analysis options (provider/providerUrl select a non-GitHub host)
    * @returns {Object} Comprehensive analysis results
    */
   async performComprehensiveAnalysis(accessToken, owner, repo, options = {}) {
@@ -30,29 +44,42 @@ class AnalysisOrchestrator {
       console.log(`Starting comprehensive analysis for ${owner}/${repo} (ID: ${analysisId})`);
 
       // Check cache first
-      const cacheKey = `${owner}/${repo}`;
-      if (this.analysisCache.has(cacheKey) && !options.forceRefresh) {
-        const cached = this.analysisCache.get(cacheKey);
-        if (Date.now() - cached.timestamp < (options.cacheTime || 3600000)) { // 1 hour default
+      const cacheKey = this.getCacheKey(owner, repo, options);
+      if (!options.forceRefresh) {
+        const cached = await this.getCachedAnalysis(accessToken, owner, repo, options, options.cacheTime || 3600000); // 1 hour default
+        if (cached) {
           console.log(`Returning cached analysis for ${owner}/${repo}`);
           return { ...cached.data, fromCache: true };
         }
       }
 
+      const provider = this.getProvider(options);
+
       // Get repository context
-      const repositoryContext = await this.gatherRepositoryContext(accessToken, owner, repo);
+      const repositoryContext = await this.gatherRepositoryContext(accessToken, owner, repo, options);
+
+      // Request-scoped client so concurrent analyses never share credentials
+      const client = provider.createClient(accessToken, {
+        maxItems: options.maxItems,
+        dataSource: options.dataSource,
+        ref: options.ref
+      });
+      const revision = await this.resolveRevision(client, owner, repo, options);
+      const reusedCodeQuality = this.getReusableCodeQuality(options.previous, revision);
 
       // Perform parallel analysis
       const [
         repositoryBasics,
         codeQualityResults,
         doraMetricsResults,
+        pullRequestResults,
         repositoryStats
       ] = await Promise.all([
-        this.analyzeRepositoryBasics(accessToken, owner, repo),
-        this.performCodeQualityAnalysis(owner, repo, options),
-        this.performDORAAnalysis(owner, repo, options),
-        githubService.getRepositoryStats(accessToken, owner, repo).catch(err => {
+        this.analyzeRepositoryBasics(accessToken, owner, repo, options),
+        reusedCodeQuality || this.performCodeQualityAnalysis(client, owner, repo, options),
+        this.performDORAAnalysis(client, owner, repo, options),
+        this.performPullRequestAnalysis(client, owner, repo, options),
+        provider.getRepositoryStats(accessToken, owner, repo).catch(err => {
           console.warn('Failed to get repository stats:', err.message);
           return null;
         })
@@ -85,6 +112,7 @@ class AnalysisOrchestrator {
       const recommendations = this.generateComprehensiveRecommendations({
         codeQuality: codeQualityResults,
         dora: doraMetricsResults,
+        pullRequests: pullRequestResults,
         benchmarking: benchmarkingResults
       });
 
@@ -109,6 +137,7 @@ class AnalysisOrchestrator {
         analysis: {
           codeQuality: codeQualityResults,
           dora: doraMetricsResults,
+          pullRequests: pullRequestResults,
           benchmarking: benchmarkingResults,
           repository: repositoryStats
         },
@@ -122,7 +151,12 @@ class AnalysisOrchestrator {
           analysisVersion: '2.0',
           analysisTime: Date.now() - startTime,
           analyzedAt: new Date().toISOString(),
-          options: options,
+          provider: options.provider || 'github',
+          ref: revision.ref,
+          commitSha: revision.sha,
+          scope: codeQualityResults.scope || null,
+          codeQualityReused: Boolean(reusedCodeQuality),
+          options: { ...options, previous: undefined },
           context: repositoryContext
         }
       };
@@ -138,7 +172,9 @@ class AnalysisOrchestrator {
 
     } catch (error) {
       console.error(`Error in comprehensive analysis for ${owner}/${repo}:`, error);
-      throw new Error(`Analysis failed: ${error.message}`);
+      const failure = new Error(`Analysis failed: ${error.message}`);
+      failure.status = error.status;
+      throw failure;
     }
   }
 
@@ -164,18 +200,43 @@ class AnalysisOrchestrator {
       }
     };
 
+    const provider = this.getProvider(options);
+
+    // Report rate limit and retry pauses so the stream doesn't look stalled
+    const stopRateLimitUpdates = provider.onRateLimitWait(accessToken, wait => {
+      if (progressCallback) {
+        progressCallback({
+          analysisId,
+          step: currentStep,
+          totalSteps,
+          percentage: Math.round((currentStep / totalSteps) * 100),
+          description: wait.reason === 'transient_error'
+            ? `Retrying GitHub request in ${Math.ceil(wait.waitMs / 1000)}s...`
+            : `Waiting for GitHub rate limit (resumes in ${Math.ceil(wait.waitMs / 1000)}s)...`,
+          waiting: true,
+          rateLimit: wait
+        });
+      }
+    });
+
     try {
+      const client = provider.createClient(accessToken, {
+        maxItems: options.maxItems,
+        dataSource: options.dataSource,
+        ref: options.ref
+      });
+
       updateProgress(1, 'Gathering repository context...');
-      const repositoryContext = await this.gatherRepositoryContext(accessToken, owner, repo);
+      const repositoryContext = await this.gatherRepositoryContext(accessToken, owner, repo, options);
 
       updateProgress(2, 'Analyzing repository basics...');
-      const repositoryBasics = await this.analyzeRepositoryBasics(accessToken, owner, repo);
+      const repositoryBasics = await this.analyzeRepositoryBasics(accessToken, owner, repo, options);
 
       updateProgress(3, 'Performing code quality analysis...');
-      const codeQualityResults = await this.performCodeQualityAnalysis(owner, repo, options);
+      const codeQualityResults = await this.performCodeQualityAnalysis(client, owner, repo, options);
 
       updateProgress(4, 'Collecting DORA metrics...');
-      const doraMetricsResults = await this.performDORAAnalysis(owner, repo, options);
+      const doraMetricsResults = await this.performDORAAnalysis(client, owner, repo, options);
 
       updateProgress(5, 'Running benchmarking analysis...');
       const combinedMetrics = {
@@ -200,17 +261,198 @@ class AnalysisOrchestrator {
         });
       }
       throw error;
+    } finally {
+      stopRateLimitUpdates();
+    }
+  }
+
+  /**
+   * Analyzes an extracted source archive
+   * Only code quality, dependencies and security can be assessed; an archive has no
+   * history, so DORA metrics are marked unavailable and left out of the score.
+   * Results are not cached: the directory is deleted once the report is produced.
+   * @param {string} directory - Extracted source tree
+   * @param {string} name - Display name for the report
+   * @param {Object} options - Analysis options
+   * @returns {Object} Analysis results in the performComprehensiveAnalysis shape
+   */
+  async performArchiveAnalysis(directory, name, options = {}) {
+    const analysisId = uuidv4();
+    const startTime = Date.now();
+
+    try {
+      console.log(`Starting archive analysis for ${name} (ID: ${analysisId})`);
+
+      const client = new DirectoryClient(directory, { name });
+      const [details, languages] = await Promise.all([
+        client.getRepositoryDetails('archive', name),
+        client.getRepositoryLanguages('archive', name).catch(() => [])
+      ]);
+
+      const repositoryContext = {
+        language: languages[0]?.language || null,
+        languages: languages.map(l => l.language),
+        license: details.license?.name,
+        keywords: languages.map(l => l.language)
+      };
+
+      const codeQualityResults = await this.performCodeQualityAnalysis(client, 'archive', name, options);
+      const doraMetricsResults = {
+        unavailable: true,
+        reason: 'Source archives contain no commit, release or incident history',
+        metrics: null,
+        performanceLevel: null,
+        recommendations: []
+      };
+      const pullRequestResults = {
+        unavailable: true,
+        reason: 'Source archives contain no pull request history',
+        recommendations: []
+      };
+
+      const benchmarkingResults = await this.performBenchmarkingAnalysis(
+        { repository: null, codeQuality: codeQualityResults, dora: null },
+        repositoryContext,
+        options
+      );
+
+      const repositoryBasics = {
+        id: null,
+        name,
+        description: null,
+        language: repositoryContext.language,
+        size: 0,
+        license: details.license,
+        topics: [],
+        isPrivate: true
+      };
+
+      const analysisData = {
+        repository: repositoryBasics,
+        codeQuality: codeQualityResults,
+        dora: doraMetricsResults,
+        benchmarking: benchmarkingResults,
+        context: repositoryContext
+      };
+
+      return {
+        analysisId,
+        repository: {
+          owner: null,
+          repo: name,
+          fullName: name,
+          ...repositoryBasics
+        },
+        techHealthScore: this.calculateTechHealthScore(analysisData),
+        executiveSummary: this.generateExecutiveSummary(analysisData),
+        analysis: {
+          codeQuality: codeQualityResults,
+          dora: doraMetricsResults,
+          pullRequests: pullRequestResults,
+          benchmarking: benchmarkingResults,
+          repository: null
+        },
+        recommendations: this.generateComprehensiveRecommendations(analysisData),
+        insights: this.generateKeyInsights(analysisData),
+        metadata: {
+          analysisVersion: '2.0',
+          analysisTime: Date.now() - startTime,
+          analyzedAt: new Date().toISOString(),
+          provider: 'archive',
+          options: options,
+          context: repositoryContext
+        }
+      };
+
+    } catch (error) {
+      console.error(`Error in archive analysis for ${name}:`, error);
+      throw new Error(`Analysis failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolves the repository host for an analysis (GitHub unless options.provider says otherwise)
+   * @param {Object} options - Analysis options ({ provider, providerUrl })
+   */
+  getProvider(options = {}) {
+    return getProvider(options.provider, { baseUrl: options.providerUrl });
+  }
+
+  /**
+   * Cache key for an analysis; GitHub keeps the plain owner/repo key
+   * Self-hosted instances are told apart by host, so the same owner/repo on two
+   * GitLab or Bitbucket Server instances never share an analysis, and every
+   * option in RESULT_OPTIONS that differs from its default is part of the key.
+   */
+  getCacheKey(owner, repo, options = {}) {
+    const provider = options.provider || 'github';
+    const host = getProviderHost(options.providerUrl);
+    const prefix = host ? `${provider}@${host}` : provider;
+    const key = prefix === 'github' ? `${owner}/${repo}` : `${prefix}:${owner}/${repo}`;
+    const scoped = options.path ? `${key}/${options.path.replace(/^\/+|\/+$/g, '')}` : key;
+    const revision = options.ref ? `${scoped}@${options.ref}` : scoped;
+
+    const settings = Object.entries(RESULT_OPTIONS)
+      .filter(([name, fallback]) => options[name] !== undefined && options[name] !== null && options[name] !== '' &&
+        String(options[name]) !== String(fallback))
+      .map(([name]) => `${name}=${encodeURIComponent(options[name])}`);
+    return settings.length > 0 ? `${revision}?${settings.join('&')}` : revision;
+  }
+
+  /**
+   * Cached analysis for a request, served only to callers who can read the repository
+   * The cache is shared between users, so the caller's credentials are checked
+   * against the host before a cached result (possibly of a private repository) is returned.
+   * @param {number} maxAge - Oldest cached analysis accepted, in milliseconds
+   * @returns {Object|null} Cache entry { data, timestamp }
+   */
+  async getCachedAnalysis(accessToken, owner, repo, options, maxAge) {
+    const cached = this.analysisCache.get(this.getCacheKey(owner, repo, options));
+    if (!cached || Date.now() - cached.timestamp >= maxAge) {
+      return null;
+    }
+
+    try {
+      await this.getProvider(options).getRepository(accessToken, owner, repo);
+      return cached;
+    } catch (error) {
+      console.warn(`Not serving cached analysis of ${owner}/${repo}: repository access check failed (${error.message})`);
+      return null;
+    }
+  }
+
+  /**
+   * Resolves the branch, tag or commit being analyzed to a commit SHA
+   * A requested ref that can't be resolved fails the analysis; the default
+   * branch head is only recorded when the provider can resolve it.
+   * @returns {Object} { ref, sha }
+   */
+  async resolveRevision(client, owner, repo, options = {}) {
+    const ref = options.ref || null;
+
+    try {
+      return { ref, sha: await client.getHeadCommit(owner, repo) };
+    } catch (error) {
+      if (ref) {
+        const failure = new Error(`Could not resolve ref "${ref}" in ${owner}/${repo}: ${error.message}`);
+        // GitHub answers 422 for refs that don't exist
+        failure.status = error.status === 422 ? 404 : error.status;
+        throw failure;
+      }
+      console.warn(`Could not resolve the head commit of ${owner}/${repo}:`, error.message);
+      return { ref, sha: null };
     }
   }
 
   /**
    * Gathers repository context for analysis
    */
-  async gatherRepositoryContext(accessToken, owner, repo) {
+  async gatherRepositoryContext(accessToken, owner, repo, options = {}) {
     try {
+      const provider = this.getProvider(options);
       const [repository, languages] = await Promise.all([
-        githubService.getRepository(accessToken, owner, repo),
-        githubService.getRepositoryLanguages(accessToken, owner, repo).catch(() => [])
+        provider.getRepository(accessToken, owner, repo),
+        provider.getRepositoryLanguages(accessToken, owner, repo).catch(() => [])
       ]);
 
       return {
@@ -242,9 +484,9 @@ class AnalysisOrchestrator {
   /**
    * Analyzes basic repository information
    */
-  async analyzeRepositoryBasics(accessToken, owner, repo) {
+  async analyzeRepositoryBasics(accessToken, owner, repo, options = {}) {
     try {
-      const repository = await githubService.getRepository(accessToken, owner, repo);
+      const repository = await this.getProvider(options).getRepository(accessToken, owner, repo);
       
       return {
         id: repository.id,
@@ -277,10 +519,18 @@ class AnalysisOrchestrator {
 
   /**
    * Performs code quality analysis
+   * @param {RepositoryClient} client - Request-scoped repository client (GitHub, GitLab, ...)
    */
-  async performCodeQualityAnalysis(owner, repo, options = {}) {
+  async performCodeQualityAnalysis(client, owner, repo, options = {}) {
     try {
-      return await this.codeQualityAnalyzer.analyzeCodeQuality(owner, repo);
+      // Analyzers are created per analysis so they only ever see this request's client
+      const codeQualityAnalyzer = new CodeQualityAnalyzer(client, {
+        scope: options.path,
+        fileBudget: options.fileBudget,
+        sampling: options.sampling,
+        minCloneTokens: options.minCloneTokens
+      });
+      return await codeQualityAnalyzer.analyzeCodeQuality(owner, repo);
     } catch (error) {
       console.error('Error in code quality analysis:', error);
       // Return default results to prevent complete failure
@@ -299,10 +549,16 @@ class AnalysisOrchestrator {
 
   /**
    * Performs DORA metrics analysis
+   * @param {RepositoryClient} client - Request-scoped repository client (GitHub, GitLab, ...)
    */
-  async performDORAAnalysis(owner, repo, options = {}) {
+  async performDORAAnalysis(client, owner, repo, options = {}) {
     try {
-      return await this.doraMetricsCollector.collectDORAMetrics(owner, repo, options);
+      const doraMetricsCollector = new DORAMetricsCollector(client, {
+        deployWorkflows: options.deployWorkflows,
+        deployJobs: options.deployJobs,
+        deploymentEnvironment: options.deploymentEnvironment
+      });
+      return await doraMetricsCollector.collectDORAMetrics(owner, repo, options);
     } catch (error) {
       console.error('Error in DORA metrics analysis:', error);
       // Return default results to prevent complete failure
@@ -320,6 +576,30 @@ class AnalysisOrchestrator {
     }
   }
 
+  /**
+   * Performs pull request cycle-time analysis
+   * @param {RepositoryClient} client - Request-scoped repository client (GitHub, GitLab, ...)
+   */
+  async performPullRequestAnalysis(client, owner, repo, options = {}) {
+    try {
+      const pullRequestAnalyzer = new PullRequestAnalyzer(client);
+      return await pullRequestAnalyzer.analyzePullRequests(owner, repo, options);
+    } catch (error) {
+      console.error('Error in pull request analysis:', error);
+      // Return default results to prevent complete failure
+      return {
+        totals: { total: 0, open: 0, merged: 0, closedWithoutMerge: 0 },
+        timeToFirstReview: { count: 0, averageHours: null, medianHours: null, p90Hours: null },
+        reviewToMerge: { count: 0, averageHours: null, medianHours: null, p90Hours: null },
+        cycleTime: { count: 0, averageHours: null, medianHours: null, p90Hours: null },
+        sizeDistribution: { measured: 0, buckets: {}, medianLines: null, largePercentage: 0 },
+        reviewCoverage: { merged: 0, reviewed: 0, reviewedPercentage: null },
+        recommendations: [],
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Performs benchmarking analysis
    */
@@ -536,6 +816,9 @@ class AnalysisOrchestrator {
     if (analysisData.dora?.recommendations) {
       recommendations.push(...analysisData.dora.recommendations);
     }
+    if (analysisData.pullRequests?.recommendations) {
+      recommendations.push(...analysisData.pullRequests.recommendations);
+    }
     if (analysisData.benchmarking?.recommendations) {
       recommendations.push(...analysisData.benchmarking.recommendations);
     }
@@ -659,6 +942,54 @@ class AnalysisOrchestrator {
     return 'F';
   }
 
+  /**
+   * Code quality results of a previous analysis of the same commit, which can be
+   * reused as-is when only history (releases, deployments) has changed
+   * @param {Object} previous - Earlier performComprehensiveAnalysis result, if any
+   * @param {Object} revision - { ref, sha } from resolveRevision
+   * @returns {Object|null} Code quality results, or null if they must be recomputed
+   */
+  getReusableCodeQuality(previous, revision) {
+    const codeQuality = previous?.analysis?.codeQuality;
+    if (!codeQuality || codeQuality.error || !revision.sha || previous.metadata?.commitSha !== revision.sha) {
+      return null;
+    }
+
+    console.log(`Reusing code quality results for unchanged commit ${revision.sha}`);
+    return codeQuality;
+  }
+
+  /**
+   * Removes a repository's cached analyses
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} options - { provider, providerUrl }, { refs } only analyses of these refs
+   *   (null for the default branch); all of the repository's analyses when omitted
+   * @returns {Array} Removed entries [{ key, data }]
+   */
+  invalidateCache(owner, repo, options = {}) {
+    const provider = options.provider || 'github';
+    const host = getProviderHost(options.providerUrl);
+    const removed = [];
+
+    for (const [key, cached] of this.analysisCache.entries()) {
+      const { repository, metadata } = cached.data;
+      const sameRepository = repository?.owner === owner && repository?.repo === repo &&
+        (metadata?.provider || 'github') === provider &&
+        getProviderHost(metadata?.options?.providerUrl) === host;
+      const ref = cached.data.metadata?.ref || null;
+      if (sameRepository && (!options.refs || options.refs.includes(ref))) {
+        this.analysisCache.delete(key);
+        removed.push({ key, data: cached.data });
+      }
+    }
+
+    if (removed.length > 0) {
+      console.log(`Invalidated ${removed.length} cached analyses of ${owner}/${repo}`);
+    }
+    return removed;
+  }
+
   /**
    * Clears analysis cache
    */
@@ -678,4 +1009,16 @@ class AnalysisOrchestrator {
   }
 }
 
+/**
+ * Host of a self-hosted provider instance (null for the provider's default host)
+ */
+function getProviderHost(providerUrl) {
+  if (!providerUrl) return null;
+  try {
+    return new URL(providerUrl).host.toLowerCase();
+  } catch (error) {
+    return String(providerUrl).toLowerCase();
+  }
+}
+
 module.exports = new AnalysisOrchestrator(); 
\ No newline at end of file
@@ -0,0 +1,167 @@
+// Smallest duplicated fragment reported, in tokens and in lines; with names and literals
+// normalized, shorter windows mostly match look-alike boilerplate (object literals, imports)
+const DEFAULT_MIN_TOKENS = parseInt(process.env.CLONE_MIN_TOKENS) || 100;
+const DEFAULT_MIN_LINES = parseInt(process.env.CLONE_MIN_LINES) || 5;
+
+// Polynomial window hash; the modulus keeps every product below 2^53
+const HASH_BASE = 65599;
+const HASH_MODULUS = 67108859;
+
+/**
+ * Finds duplicated code across files from their token streams.
+ *
+ * Identifiers and literals are normalized before comparing, so a fragment
+ * copied and then renamed (type-2 clone) matches as well as a verbatim copy
+ * (type-1). Windows of `minTokens` tokens are hashed; a window seen before is
+ * verified token by token and extended as far as both fragments agree, and
+ * every later copy of a fragment joins the group of its first occurrence.
+ * Comments and layout never reach the token streams, so they do not matter.
+ * @param {Array} files - [{ path, tokens: [{ kind, text, line }] }] as produced by
+ *   javascript-complexity.js and source-complexity.js
+ * @param {Object} options - { minTokens, minLines } smallest clone reported
+ * @returns {Object} { groups, duplicatedLines, totalLines, percentage, byType },
+ *   groups largest first: [{ type, tokens, lines, occurrences, locations: [{ path, startLine, endLine }] }]
+ */
+function detectClones(files, options = {}) {
+  const minTokens = Math.max(2, options.minTokens || DEFAULT_MIN_TOKENS);
+  const minLines = Math.max(1, options.minLines || DEFAULT_MIN_LINES);
+  const vocabulary = new Map();
+  const idOf = text => {
+    if (!vocabulary.has(text)) vocabulary.set(text, vocabulary.size + 1);
+    return vocabulary.get(text);
+  };
+
+  const sources = files.map(file => {
+    const tokens = file.tokens || [];
+    return {
+      path: file.path,
+      tokens,
+      ids: tokens.map(token => idOf(token.kind === 'operand' ? '\0operand' : token.text)),
+      lines: new Set(tokens.map(token => token.line))
+    };
+  });
+
+  const windowPower = power(minTokens);
+  const windows = new Map();
+  const groups = new Map();
+
+  sources.forEach((source, fileIndex) => {
+    const { ids } = source;
+    const prefix = prefixHashes(ids);
+    let position = 0;
+
+    while (position + minTokens <= ids.length) {
+      const hash = ((prefix[position + minTokens] - (prefix[position] * windowPower) % HASH_MODULUS) + HASH_MODULUS) % HASH_MODULUS;
+      const candidates = windows.get(hash) || [];
+      const current = { fileIndex, position };
+      const clone = candidates
+        .map(earlier => matchLength(sources, earlier, current, minTokens))
+        .map((length, index) => ({ earlier: candidates[index], length }))
+        .find(match => match.length > 0 && spannedLines(source.tokens, position, match.length) >= minLines);
+
+      if (clone) {
+        addToGroup(groups, sources, clone.earlier, current, clone.length);
+        position += clone.length;
+        continue;
+      }
+
+      if (!candidates.some(earlier => matchLength(sources, earlier, current, minTokens) > 0)) {
+        windows.set(hash, [...candidates, current]);
+      }
+      position++;
+    }
+  });
+
+  const duplicated = new Set();
+  const result = [...groups.values()].map(group => {
+    group.locations.forEach(({ path, tokens }) => tokens.forEach(token => duplicated.add(`${path}\0${token.line}`)));
+    const locations = group.locations.map(({ path, tokens }) => ({
+      path,
+      startLine: tokens[0].line,
+      endLine: tokens[tokens.length - 1].line
+    }));
+
+    return {
+      type: group.exact ? 'type-1' : 'type-2',
+      tokens: group.tokens,
+      lines: Math.max(...locations.map(location => location.endLine - location.startLine + 1)),
+      occurrences: locations.length,
+      locations
+    };
+  });
+
+  const totalLines = sources.reduce((sum, source) => sum + source.lines.size, 0);
+
+  return {
+    groups: result.sort((a, b) => b.lines * b.occurrences - a.lines * a.occurrences || b.tokens - a.tokens),
+    duplicatedLines: duplicated.size,
+    totalLines,
+    percentage: totalLines > 0 ? Math.round(duplicated.size / totalLines * 10000) / 100 : 0,
+    byType: {
+      'type-1': result.filter(group => group.type === 'type-1').length,
+      'type-2': result.filter(group => group.type === 'type-2').length
+    }
+  };
+}
+
+function power(exponent) {
+  let value = 1;
+  for (let i = 0; i < exponent; i++) value = (value * HASH_BASE) % HASH_MODULUS;
+  return value;
+}
+
+function prefixHashes(ids) {
+  const prefix = [0];
+  ids.forEach((id, index) => {
+    prefix.push((prefix[index] * HASH_BASE + id) % HASH_MODULUS);
+  });
+  return prefix;
+}
+
+/**
+ * How far two fragments agree, or 0 if they share fewer than `minTokens` tokens
+ * A fragment never runs into its own copy within the same file.
+ */
+function matchLength(sources, earlier, current, minTokens) {
+  const first = sources[earlier.fileIndex].ids;
+  const second = sources[current.fileIndex].ids;
+  const limit = earlier.fileIndex === current.fileIndex ? current.position - earlier.position : Infinity;
+
+  let length = 0;
+  while (length < limit &&
+    current.position + length < second.length &&
+    first[earlier.position + length] === second[current.position + length]) {
+    length++;
+  }
+  return length >= minTokens ? length : 0;
+}
+
+function spannedLines(tokens, position, length) {
+  return tokens[position + length - 1].line - tokens[position].line + 1;
+}
+
+function addToGroup(groups, sources, earlier, current, length) {
+  const key = `${earlier.fileIndex}:${earlier.position}`;
+  const fragment = ({ fileIndex, position }) => ({
+    path: sources[fileIndex].path,
+    tokens: sources[fileIndex].tokens.slice(position, position + length)
+  });
+  const original = fragment(earlier);
+  const copy = fragment(current);
+  const exact = original.tokens.every((token, index) => token.text === copy.tokens[index].text);
+
+  if (!groups.has(key)) {
+    groups.set(key, { tokens: length, exact, locations: [original] });
+  }
+
+  const group = groups.get(key);
+  group.tokens = Math.min(group.tokens, length);
+  group.exact = group.exact && exact;
+  group.locations.push(copy);
+}
+
+module.exports = {
+  DEFAULT_MIN_TOKENS,
+  DEFAULT_MIN_LINES,
+  detectClones
+};
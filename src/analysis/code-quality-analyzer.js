@@ -6,33 +6,84 @@ const async = require('async');
 const https = require('https');
 const http = require('http');
 const { URL } = require('url');
+const WorkspaceDetector = require('./workspace-detector');
+const { DEFAULT_FILE_BUDGET, sampleFiles } = require('./file-sampler');
+const { analyzeJavaScript } = require('./javascript-complexity');
+const { analyzeSource, sourceLanguage } = require('./source-complexity');
+const { maintainabilityRating } = require('./halstead');
+const { DEFAULT_MIN_TOKENS, DEFAULT_MIN_LINES, detectClones } = require('./clone-detection');
+const { LINT_CONFIG_FILES, parseLintConfig, resolveLintConfig, lintSource } = require('./eslint-runner');
+const { isCoverageReport, parseCoverageReport, resolveCoveragePaths, summarizeCoverage } = require('./test-coverage');
+const ArchiveExtractor = require('../local/archive-extractor');
+const { LANGUAGE_EXTENSIONS, estimateLanguages } = require('../local/languages');
+const fixtureRecorder = require('../github/fixture-recorder');
+
+// Files complexity is measured for (JavaScript/TypeScript parsed, Python/Go/Java tokenized)
+const COMPLEXITY_EXTENSIONS = '.js,.ts,.jsx,.tsx,.py,.go,.java';
+
+// Smallest complexity budget a workspace package gets when the budget is split between packages
+const MIN_PACKAGE_FILE_BUDGET = 20;
+
+// CI artifacts read for coverage reports: names coverage uploads usually have, and a size cap
+const COVERAGE_ARTIFACT_PATTERN = /cov|lcov|jacoco|cobertura/i;
+const MAX_COVERAGE_ARTIFACT_BYTES = parseInt(process.env.COVERAGE_MAX_ARTIFACT_BYTES) || 50 * 1024 * 1024;
+const MAX_COVERAGE_REPORTS = 10;
+
+// Test sources by naming convention (JavaScript/TypeScript, Python, Go, Java/Kotlin, Ruby)
+const TEST_FILE_PATTERN = /(\.(test|spec)\.[cm]?[jt]sx?|_test\.(go|py)|(^|\/)test_[^/]+\.py|Tests?\.(java|kt)|_spec\.rb)$|(^|\/)__tests__\/.+\.[cm]?[jt]sx?$/;
 
 class CodeQualityAnalyzer {
-  constructor(githubService) {
+  /**
+   * @param {RepositoryClient} githubService - Request-scoped repository client
+   * @param {Object} options - { scope } subdirectory the analysis is limited to,
+   *   { fileBudget, sampling } files read for complexity before sampling and how to sample,
+   *   { minCloneTokens, minCloneLines } smallest duplicated fragment reported,
+   *   { fileListings, vulnerabilityCache } shared with the analyzer this one was scoped from
+   */
+  constructor(githubService, options = {}) {
     this.githubService = githubService;
-    this.vulnerabilityCache = new Map();
+    this.scope = normalizeScope(options.scope);
+    this.fileBudget = options.fileBudget || DEFAULT_FILE_BUDGET;
+    this.sampling = options.sampling;
+    this.minCloneTokens = options.minCloneTokens || DEFAULT_MIN_TOKENS;
+    this.minCloneLines = options.minCloneLines || DEFAULT_MIN_LINES;
+    this.fileListings = options.fileListings || null;
+    this.vulnerabilityCache = options.vulnerabilityCache || new Map();
     this.falsePositiveCache = new Set();
     this.safePatterns = new Set([
       'test', 'spec', 'mock', 'demo', 'example', 'documentation', 
       'readme', 'docs', 'sample', 'tutorial', 'fixture'
     ]);
+    // Rules used when the repository has no ESLint configuration of its own
     this.eslintConfig = {
-      env: { node: true, es2021: true },
+      env: { node: true, browser: true, es2022: true },
       extends: ['eslint:recommended'],
-      parserOptions: { ecmaVersion: 12, sourceType: 'module' },
+      parserOptions: { ecmaVersion: 'latest', sourceType: 'module', ecmaFeatures: { jsx: true } },
       rules: {
         'complexity': ['warn', 10],
         'max-depth': ['warn', 4],
         'max-lines': ['warn', 300],
-        'max-params': ['warn', 4]
+        'max-params': ['warn', 4],
+        'no-console': 'warn',
+        'no-eval': 'error',
+        'no-implied-eval': 'error',
+        'no-new-func': 'error',
+        'eqeqeq': ['error', 'smart'],
+        'no-var': 'warn',
+        'prefer-const': 'warn'
       }
     };
   }
 
   /**
    * HTTP request wrapper with timeout and retry logic
+   * Goes through the fixture recorder, so lookups are recorded or replayed with the GitHub traffic.
    */
   async makeHttpRequest(url, options = {}) {
+    return fixtureRecorder.httpRequest(url, options, () => this.makeHttpRequestWithRetries(url, options));
+  }
+
+  async makeHttpRequestWithRetries(url, options = {}) {
     const maxRetries = 2;
     const timeout = 10000; // 10 seconds
     
@@ -113,37 +164,54 @@ class CodeQualityAnalyzer {
    */
   async analyzeCodeQuality(owner, repo) {
     try {
-      console.log(`Starting code quality analysis for ${owner}/${repo}`);
-      
+      console.log(`Starting code quality analysis for ${owner}/${repo}${this.scope ? ` (${this.scope})` : ''}`);
+      // Complexity, linting and security read the same listings; fetch each once per run
+      this.fileListings = new Map();
+
       const [
         complexityAnalysis,
         dependencyAnalysis,
         lintingResults,
         securityAnalysis,
-        maintainabilityMetrics
+        maintainabilityMetrics,
+        testCoverage
       ] = await Promise.all([
         this.analyzeComplexity(owner, repo),
         this.analyzeDependencies(owner, repo),
         this.performLinting(owner, repo),
         this.analyzeSecurityVulnerabilities(owner, repo),
-        this.calculateMaintainabilityMetrics(owner, repo)
+        this.calculateMaintainabilityMetrics(owner, repo),
+        this.analyzeTestCoverage(owner, repo)
       ]);
 
-      const qualityScore = this.calculateOverallQualityScore({
+      const repositoryScore = this.calculateOverallQualityScore({
         complexity: complexityAnalysis,
         dependencies: dependencyAnalysis,
         linting: lintingResults,
         security: securityAnalysis,
         maintainability: maintainabilityMetrics
       });
+      const workspaces = this.scope ? null : await this.analyzeWorkspaces(owner, repo, maintainabilityMetrics);
+      const tree = await this.getRepositoryTree(owner, repo).catch(() => null);
 
       return {
-        qualityScore,
+        // A monorepo is scored as the size-weighted roll-up of its packages
+        qualityScore: workspaces ? workspaces.rollUp : repositoryScore,
+        repositoryScore,
+        scope: this.scope,
+        workspaces,
+        coverage: {
+          ...(complexityAnalysis.coverage || {}),
+          treeComplete: tree ? !tree.truncated : null
+        },
         complexity: complexityAnalysis,
         dependencies: dependencyAnalysis,
         linting: lintingResults,
         security: securityAnalysis,
         maintainability: maintainabilityMetrics,
+        testing: testCoverage,
+        // Line coverage from the repository's own coverage reports; null when none were found
+        testCoverage: testCoverage.lines ? testCoverage.lines.percentage : null,
         recommendations: this.generateRecommendations({
           complexity: complexityAnalysis,
           dependencies: dependencyAnalysis,
@@ -159,53 +227,223 @@ class CodeQualityAnalyzer {
   }
 
   /**
-   * Analyzes code complexity using static analysis
+   * Scores each workspace package of a monorepo and rolls the scores up
+   * Maintainability comes from repository activity, so every package shares it.
+   * @returns {Object|null} { tools, packages, totalPackages, rollUp }, or null outside a monorepo
+   */
+  async analyzeWorkspaces(owner, repo, maintainability) {
+    try {
+      const tree = await this.getRepositoryTree(owner, repo);
+      const detected = await new WorkspaceDetector(this.githubService).detectWorkspaces(owner, repo, tree.tree || []);
+      if (!detected) {
+        return null;
+      }
+
+      console.log(`Analyzing ${detected.packages.length} workspace packages of ${owner}/${repo}`);
+      const packages = [];
+
+      // One package at a time keeps the request volume of large monorepos flat,
+      // and the file budget is split between packages for the same reason
+      const fileBudget = Math.max(MIN_PACKAGE_FILE_BUDGET, Math.ceil(this.fileBudget / detected.packages.length));
+      for (const pkg of detected.packages) {
+        const analyzer = this.forScope(pkg.path, { fileBudget });
+        const [complexity, dependencies, linting, security] = await Promise.all([
+          analyzer.analyzeComplexity(owner, repo),
+          analyzer.analyzeDependencies(owner, repo),
+          analyzer.performLinting(owner, repo),
+          analyzer.analyzeSecurityVulnerabilities(owner, repo)
+        ]);
+
+        packages.push({
+          ...pkg,
+          qualityScore: analyzer.calculateOverallQualityScore({ complexity, dependencies, linting, security, maintainability }),
+          averageComplexity: complexity.averageComplexity,
+          lintingIssues: linting.totalIssues,
+          vulnerabilities: security.vulnerabilities.length
+        });
+      }
+
+      return {
+        tools: detected.tools,
+        packages,
+        totalPackages: detected.totalPackages,
+        rollUp: this.calculateRollUpScore(packages)
+      };
+    } catch (error) {
+      console.warn('Could not analyze workspaces:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Averages package scores weighted by the number of files in each package
+   */
+  calculateRollUpScore(packages) {
+    const weightOf = pkg => Math.max(1, pkg.files || 0);
+    const totalWeight = packages.reduce((total, pkg) => total + weightOf(pkg), 0);
+    const average = score => packages.reduce((total, pkg) => total + score(pkg) * weightOf(pkg), 0) / totalWeight;
+
+    const breakdown = {};
+    Object.keys(packages[0].qualityScore.breakdown).forEach(key => {
+      breakdown[key] = Math.round(average(pkg => pkg.qualityScore.breakdown[key]));
+    });
+    const overall = average(pkg => pkg.qualityScore.overall);
+
+    return {
+      overall: Math.round(overall),
+      breakdown,
+      weights: packages[0].qualityScore.weights,
+      grade: this.scoreToGrade(overall),
+      rollUp: true
+    };
+  }
+
+  /**
+   * Creates an analyzer limited to a subdirectory that shares this one's caches
+   */
+  forScope(scope, options = {}) {
+    return new CodeQualityAnalyzer(this.githubService, {
+      scope,
+      fileBudget: this.fileBudget,
+      sampling: this.sampling,
+      minCloneTokens: this.minCloneTokens,
+      minCloneLines: this.minCloneLines,
+      ...options,
+      fileListings: this.fileListings,
+      vulnerabilityCache: this.vulnerabilityCache
+    });
+  }
+
+  /**
+   * Lists repository files within the analysis scope
+   */
+  async getRepositoryFiles(owner, repo, extensions = '') {
+    const files = await this.memoizeListing(`${owner}/${repo}:files:${extensions}`,
+      () => this.githubService.getRepositoryFiles(owner, repo, extensions));
+    return files.filter(file => this.inScope(file.path));
+  }
+
+  async getRepositoryTree(owner, repo) {
+    return this.memoizeListing(`${owner}/${repo}:tree`, () => this.githubService.getRepositoryTree(owner, repo));
+  }
+
+  async memoizeListing(key, fetch) {
+    if (!this.fileListings) {
+      return fetch();
+    }
+    if (!this.fileListings.has(key)) {
+      this.fileListings.set(key, Promise.resolve().then(fetch).catch(error => {
+        this.fileListings.delete(key);
+        throw error;
+      }));
+    }
+    return this.fileListings.get(key);
+  }
+
+  /**
+   * Picks the files to read when there are more than the budget allows
+   * @returns {Object} { files, coverage } see sampleFiles
+   */
+  sampleFiles(files, budget = this.fileBudget) {
+    return sampleFiles(files, { budget, strategy: this.sampling });
+  }
+
+  inScope(filePath) {
+    return !this.scope || (filePath || '').startsWith(`${this.scope}/`);
+  }
+
+  /**
+   * Analyzes code complexity of each sampled JavaScript, TypeScript, Python, Go and Java file
+   * Every language gets its own averages and score; the overall figures weight
+   * them by the language's share of the code (bytes from getRepositoryLanguages).
+   * averageComplexity is the mean cyclomatic complexity per function; Halstead
+   * and maintainability index figures are averaged over files. Duplicated code
+   * is detected across the same files.
    */
   async analyzeComplexity(owner, repo) {
     try {
-      // Get JavaScript/TypeScript files from the repository
-      const files = await this.githubService.getRepositoryFiles(owner, repo, '.js,.ts,.jsx,.tsx');
+      const files = await this.getRepositoryFiles(owner, repo, COMPLEXITY_EXTENSIONS);
       
-      let totalComplexity = 0;
       let totalFiles = 0;
-      let complexFiles = [];
-      let functionMetrics = [];
+      let parseErrors = 0;
+      const complexFiles = [];
+      const functionMetrics = [];
+      const fileMetrics = [];
+      const tokenStreams = [];
+      const languages = {};
+
+      // Large repositories are sampled down to the file budget
+      const { files: sample, coverage } = this.sampleFiles(files.filter(file => this.getComplexityLanguage(file.path)));
+      await this.prefetchFileContents(owner, repo, sample);
+
+      for (const file of sample) {
+        try {
+          const content = await this.githubService.getFileContent(owner, repo, file.path);
+          const analysis = this.analyzeFileComplexity(content, file.path);
 
-      for (const file of files) {
-        if (this.isAnalyzableFile(file.name)) {
-          try {
-            const content = await this.githubService.getFileContent(owner, repo, file.path);
-            const analysis = this.analyzeFileComplexity(content, file.path);
-            
-            totalComplexity += analysis.complexity;
-            totalFiles++;
-            
-            if (analysis.complexity > 10) {
-              complexFiles.push({
-                path: file.path,
-                complexity: analysis.complexity,
-                functions: analysis.functions
-              });
-            }
-            
-            functionMetrics.push(...analysis.functions);
-          } catch (error) {
-            console.warn(`Failed to analyze ${file.path}:`, error.message);
+          if (analysis.parseError) {
+            parseErrors++;
+            continue;
+          }
+
+          totalFiles++;
+          const language = languages[analysis.language] = languages[analysis.language] ||
+            { files: 0, codeLines: 0, fileComplexities: [], functions: [] };
+          language.files++;
+          language.codeLines += analysis.lines.code;
+          language.fileComplexities.push(analysis.complexity);
+          fileMetrics.push({
+            path: file.path,
+            language: analysis.language,
+            halstead: analysis.halstead,
+            maintainabilityIndex: analysis.maintainabilityIndex,
+            maintainability: analysis.maintainability
+          });
+          tokenStreams.push({ path: file.path, tokens: analysis.tokens });
+
+          if (analysis.complexity > 10) {
+            complexFiles.push({
+              path: file.path,
+              language: analysis.language,
+              complexity: analysis.complexity,
+              cognitiveComplexity: analysis.cognitiveComplexity,
+              functions: analysis.functions.length
+            });
           }
+
+          const functions = analysis.functions.map(func => ({ ...func, path: file.path, language: analysis.language }));
+          language.functions.push(...functions);
+          functionMetrics.push(...functions);
+        } catch (error) {
+          console.warn(`Failed to analyze ${file.path}:`, error.message);
         }
       }
 
-      const averageComplexity = totalFiles > 0 ? totalComplexity / totalFiles : 0;
+      const byLanguage = this.summarizeLanguageComplexity(languages, await this.getLanguageBytes(owner, repo));
+      const summaries = Object.values(byLanguage);
+      const weighted = key => summaries.reduce((sum, summary) => sum + summary[key] * summary.weight, 0);
+      const averageComplexity = weighted('averageComplexity');
       
       return {
         averageComplexity: Math.round(averageComplexity * 100) / 100,
+        averageCognitiveComplexity: Math.round(weighted('averageCognitiveComplexity') * 100) / 100,
+        maxNestingDepth: functionMetrics.reduce((max, func) => Math.max(max, func.nestingDepth), 0),
         totalFiles,
-        complexFiles: complexFiles.slice(0, 10), // Top 10 most complex files
-        functionMetrics: functionMetrics
+        totalFunctions: functionMetrics.length,
+        parseErrors,
+        byLanguage,
+        complexFiles: complexFiles
           .sort((a, b) => b.complexity - a.complexity)
+          .slice(0, 10), // Top 10 most complex files
+        functionMetrics: [...functionMetrics]
+          .sort((a, b) => b.complexity - a.complexity || b.cognitiveComplexity - a.cognitiveComplexity)
           .slice(0, 20), // Top 20 most complex functions
         complexityDistribution: this.calculateComplexityDistribution(functionMetrics),
-        score: this.getComplexityScore(averageComplexity)
+        halstead: this.summarizeHalstead(fileMetrics),
+        maintainabilityIndex: this.summarizeMaintainabilityIndex(fileMetrics, functionMetrics),
+        duplication: this.analyzeDuplication(tokenStreams),
+        score: summaries.length > 0 ? Math.round(weighted('score')) : this.getComplexityScore(0),
+        coverage
       };
     } catch (error) {
       console.error('Error analyzing complexity:', error);
@@ -214,72 +452,162 @@ class CodeQualityAnalyzer {
   }
 
   /**
-   * Analyzes file complexity using simple heuristics
+   * Per-language averages and scores, weighted by bytes of code
+   * Falls back to the analyzed code lines when a language is missing from the byte counts.
+   * @param {Object} languages - { [language]: { files, codeLines, fileComplexities, functions } }
+   * @param {Object} bytes - { [language]: bytes } from getLanguageBytes
    */
-  analyzeFileComplexity(content, filePath) {
+  summarizeLanguageComplexity(languages, bytes) {
+    const names = Object.keys(languages);
+    const byBytes = names.every(name => bytes[name] > 0);
+    const volume = name => (byBytes ? bytes[name] : languages[name].codeLines);
+    const totalVolume = names.reduce((sum, name) => sum + volume(name), 0);
+
+    return Object.fromEntries(names.map(name => {
+      const { files, codeLines, fileComplexities, functions } = languages[name];
+      // Files without functions (configs, scripts) still count through their top-level code
+      const values = functions.length > 0 ? functions.map(func => func.complexity) : fileComplexities;
+      const averageComplexity = values.reduce((sum, value) => sum + value, 0) / values.length;
+      const averageCognitiveComplexity = functions.length > 0
+        ? functions.reduce((sum, func) => sum + func.cognitiveComplexity, 0) / functions.length
+        : 0;
+
+      return [name, {
+        files,
+        functions: functions.length,
+        codeLines,
+        averageComplexity: Math.round(averageComplexity * 100) / 100,
+        averageCognitiveComplexity: Math.round(averageCognitiveComplexity * 100) / 100,
+        score: this.getComplexityScore(averageComplexity),
+        bytes: bytes[name] || null,
+        weight: totalVolume > 0 ? Math.round(volume(name) / totalVolume * 1000) / 1000 : 1 / names.length
+      }];
+    }));
+  }
+
+  /**
+   * Mean Halstead volume, difficulty and effort per file
+   * @param {Array} files - [{ halstead }]
+   * @returns {Object|null} { totalVolume, averageVolume, averageDifficulty, averageEffort }
+   */
+  summarizeHalstead(files) {
+    if (files.length === 0) return null;
+
+    const total = key => files.reduce((sum, file) => sum + file.halstead[key], 0);
+    const average = key => Math.round(total(key) / files.length * 100) / 100;
+
+    return {
+      totalVolume: Math.round(total('volume')),
+      averageVolume: average('volume'),
+      averageDifficulty: average('difficulty'),
+      averageEffort: average('effort')
+    };
+  }
+
+  /**
+   * Maintainability index averages, bands for files and functions, and the least maintainable files
+   * @param {Array} files - [{ path, language, maintainabilityIndex, maintainability }]
+   * @param {Array} functions - Every measured function
+   * @returns {Object|null} { average, normalized, distribution: { files, functions }, lowestFiles }
+   */
+  summarizeMaintainabilityIndex(files, functions) {
+    if (files.length === 0) return null;
+
+    const mean = key => files.reduce((sum, file) => sum + file[key], 0) / files.length;
+
+    return {
+      average: Math.round(mean('maintainabilityIndex') * 10) / 10,
+      normalized: Math.round(mean('maintainability')),
+      distribution: {
+        files: this.calculateMaintainabilityDistribution(files),
+        functions: this.calculateMaintainabilityDistribution(functions)
+      },
+      lowestFiles: [...files]
+        .sort((a, b) => a.maintainabilityIndex - b.maintainabilityIndex)
+        .slice(0, 10)
+        .map(({ path: filePath, language, maintainabilityIndex, maintainability }) =>
+          ({ path: filePath, language, maintainabilityIndex, maintainability }))
+    };
+  }
+
+  /**
+   * Duplicated code across the analyzed files (type-1 and type-2 clones, see clone-detection.js)
+   * @param {Array} files - [{ path, tokens }]
+   * @returns {Object} { percentage, duplicatedLines, totalLines, totalGroups, byType,
+   *   largestGroups, minTokens, minLines, score }
+   */
+  analyzeDuplication(files) {
+    const { groups, ...totals } = detectClones(files, { minTokens: this.minCloneTokens, minLines: this.minCloneLines });
+
+    return {
+      ...totals,
+      totalGroups: groups.length,
+      largestGroups: groups.slice(0, 10),
+      minTokens: this.minCloneTokens,
+      minLines: this.minCloneLines,
+      score: this.getDuplicationScore(totals.percentage)
+    };
+  }
+
+  /**
+   * Bytes of code per language: the host's statistics, or an estimate from the files in scope
+   * @returns {Object} { [language]: bytes }, empty if unavailable
+   */
+  async getLanguageBytes(owner, repo) {
     try {
-      const lines = content.split('\n');
-      const codeLines = lines.filter(line => line.trim() && !line.trim().startsWith('//') && !line.trim().startsWith('*'));
-      
-      // Simple complexity calculation based on code patterns
-      let complexity = 1; // Base complexity
-      let functionCount = 0;
-      const functions = [];
-      
-      codeLines.forEach((line, index) => {
-        const trimmedLine = line.trim();
-        
-        // Count decision points (simplified cyclomatic complexity)
-        if (trimmedLine.includes('if ') || trimmedLine.includes('else if ')) complexity++;
-        if (trimmedLine.includes('while ') || trimmedLine.includes('for ') || trimmedLine.includes('forEach')) complexity++;
-        if (trimmedLine.includes('switch ') || trimmedLine.includes('case ')) complexity++;
-        if (trimmedLine.includes('catch ') || trimmedLine.includes('try ')) complexity++;
-        if (trimmedLine.includes('&&') || trimmedLine.includes('||')) complexity++;
-        if (trimmedLine.includes('?') && trimmedLine.includes(':')) complexity++; // Ternary operator
-        
-        // Detect functions (simplified)
-        if (trimmedLine.includes('function ') || 
-            trimmedLine.includes('const ') && trimmedLine.includes('=>') ||
-            trimmedLine.includes('let ') && trimmedLine.includes('=>') ||
-            trimmedLine.includes('var ') && trimmedLine.includes('=>')) {
-          functionCount++;
-          
-          // Extract function name (simplified)
-          let functionName = 'anonymous';
-          if (trimmedLine.includes('function ')) {
-            const match = trimmedLine.match(/function\s+(\w+)/);
-            if (match) functionName = match[1];
-          } else if (trimmedLine.includes('const ') || trimmedLine.includes('let ') || trimmedLine.includes('var ')) {
-            const match = trimmedLine.match(/(const|let|var)\s+(\w+)/);
-            if (match) functionName = match[2];
-          }
-          
-          functions.push({
-            name: functionName,
-            complexity: Math.min(complexity / Math.max(functionCount, 1), 20), // Average complexity per function
-            lines: index + 1,
-            params: (trimmedLine.match(/\(/g) || []).length // Rough parameter count
-          });
-        }
-      });
+      let languages;
+      if (!this.scope && typeof this.githubService.getRepositoryLanguages === 'function') {
+        languages = await this.githubService.getRepositoryLanguages(owner, repo);
+      } else {
+        const tree = await this.getRepositoryTree(owner, repo);
+        languages = estimateLanguages((tree.tree || []).filter(item => this.inScope(item.path)));
+      }
+      return Object.fromEntries(languages.map(({ language, bytes }) => [language, bytes]));
+    } catch (error) {
+      console.warn(`Could not get language statistics for ${owner}/${repo}:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Measures a source file: per-function cyclomatic and cognitive complexity,
+   * nesting depth, parameters, line ranges, Halstead metrics and maintainability
+   * index (see javascript-complexity.js, source-complexity.js and halstead.js)
+   * @returns {Object} { language, complexity, cognitiveComplexity, functions, halstead,
+   *   maintainabilityIndex, maintainability, lines, tokens },
+   *   or { parseError } with zeroed metrics when the file does not parse
+   */
+  analyzeFileComplexity(content, filePath) {
+    const language = this.getComplexityLanguage(filePath) || 'JavaScript';
 
-      // Calculate maintainability index (simplified)
-      const maintainability = Math.max(0, Math.min(100, 
-        100 - (complexity * 2) - (codeLines.length / 10)
-      ));
+    try {
+      const {
+        functions, complexity, cognitiveComplexity, halstead, maintainabilityIndex, maintainability, lines, tokens
+      } = sourceLanguage(filePath) ? analyzeSource(content, language) : analyzeJavaScript(content, filePath);
 
       return {
-        complexity: Math.min(complexity, 100),
+        language,
+        complexity,
+        cognitiveComplexity,
         functions,
-        maintainability: Math.round(maintainability)
+        lines,
+        halstead,
+        maintainabilityIndex,
+        maintainability,
+        tokens
       };
     } catch (error) {
-      // If complexity analysis fails, return basic metrics
-      const lines = content.split('\n').length;
       return {
-        complexity: Math.min(Math.floor(lines / 20), 50), // Rough estimate
+        language,
+        complexity: 0,
+        cognitiveComplexity: 0,
         functions: [],
-        maintainability: 50
+        lines: null,
+        halstead: null,
+        maintainabilityIndex: null,
+        maintainability: null,
+        tokens: [],
+        parseError: error.message
       };
     }
   }
@@ -988,19 +1316,22 @@ class CodeQualityAnalyzer {
    */
   calculateOverallQualityScore(analyses) {
     const weights = {
-      complexity: 0.25,
-      dependencies: 0.25,
+      complexity: 0.20,
+      dependencies: 0.20,
       linting: 0.20,
       security: 0.20,
-      maintainability: 0.10
+      maintainability: 0.10,
+      duplication: 0.10
     };
 
+    const { duplication } = analyses.complexity;
     const scores = {
       complexity: analyses.complexity.score || 50,
       dependencies: analyses.dependencies.healthScore || 50,
       linting: analyses.linting.score || 50,
       security: Math.max(0, 100 - (analyses.security.vulnerabilities.length * 10)),
-      maintainability: analyses.maintainability.maintenanceScore || 50
+      maintainability: analyses.maintainability.maintenanceScore || 50,
+      duplication: duplication ? duplication.score : 50
     };
 
     const weightedScore = Object.entries(weights).reduce((total, [key, weight]) => {
@@ -1032,6 +1363,18 @@ class CodeQualityAnalyzer {
       });
     }
 
+    // Duplication recommendations
+    const duplication = analyses.complexity.duplication;
+    if (duplication && duplication.percentage > 5) {
+      recommendations.push({
+        type: 'duplication',
+        priority: duplication.percentage > 20 ? 'high' : 'medium',
+        title: 'Reduce Duplicated Code',
+        description: `${duplication.percentage}% of the analyzed code lines are duplicated in ${duplication.totalGroups} clone groups. Extract shared logic into common functions or modules.`,
+        impact: 'Changes and fixes land in one place instead of several'
+      });
+    }
+
     // Security recommendations
     if (analyses.security.vulnerabilities.length > 0) {
       recommendations.push({
@@ -1069,12 +1412,42 @@ class CodeQualityAnalyzer {
   }
 
   // Helper methods
-  isAnalyzableFile(filename) {
+
+  /**
+   * Loads file contents in bulk when the data source supports batched reads (GraphQL)
+   */
+  async prefetchFileContents(owner, repo, files) {
+    if (typeof this.githubService.prefetchFileContents !== 'function' || files.length === 0) {
+      return;
+    }
+
+    try {
+      await this.githubService.prefetchFileContents(owner, repo, files.map(file => file.path));
+    } catch (error) {
+      // Individual reads below still fall back to per-file requests
+      console.warn('Could not prefetch file contents:', error.message);
+    }
+  }
+
+  isAnalyzableFile(filename = '') {
     return /\.(js|ts|jsx|tsx)$/i.test(filename) && 
            !filename.includes('.min.') &&
            !filename.includes('node_modules');
   }
 
+  /**
+   * Language a file's complexity is measured as, or null (minified and vendored code is skipped)
+   */
+  getComplexityLanguage(filePath = '') {
+    if (/(^|\/)(vendor|\.?venv|site-packages)\//.test(filePath)) {
+      return null;
+    }
+    if (this.isAnalyzableFile(filePath)) {
+      return LANGUAGE_EXTENSIONS[path.extname(filePath).toLowerCase()];
+    }
+    return sourceLanguage(filePath);
+  }
+
   scoreToGrade(score) {
     if (score >= 90) return 'A';
     if (score >= 80) return 'B';
@@ -1087,10 +1460,16 @@ class CodeQualityAnalyzer {
   getDefaultComplexityAnalysis() {
     return {
       averageComplexity: 0,
+      averageCognitiveComplexity: 0,
       totalFiles: 0,
+      totalFunctions: 0,
+      byLanguage: {},
       complexFiles: [],
       functionMetrics: [],
       complexityDistribution: {},
+      halstead: null,
+      maintainabilityIndex: null,
+      duplication: null,
       score: 50
     };
   }
@@ -1111,10 +1490,30 @@ class CodeQualityAnalyzer {
       totalIssues: 0,
       errorCount: 0,
       warningCount: 0,
+      filesLinted: 0,
       filesWithIssues: 0,
+      parseErrors: 0,
+      byRule: [],
+      bySeverity: { error: 0, warning: 0 },
       issuesByFile: [],
       score: 50,
-      topIssueTypes: []
+      topIssueTypes: [],
+      config: null,
+      coverage: null
+    };
+  }
+
+  getDefaultTestCoverage() {
+    return {
+      available: false,
+      source: null,
+      run: null,
+      reports: [],
+      files: 0,
+      lines: null,
+      branches: null,
+      byDirectory: [],
+      testFiles: 0
     };
   }
 
@@ -1141,6 +1540,14 @@ class CodeQualityAnalyzer {
     return distribution;
   }
 
+  calculateMaintainabilityDistribution(items) {
+    const distribution = { high: 0, moderate: 0, low: 0 };
+    items.forEach(item => {
+      distribution[maintainabilityRating(item.maintainabilityIndex)]++;
+    });
+    return distribution;
+  }
+
   calculateDependencyHealthScore(vulnerabilities, outdated, allDeps) {
     const vulnPenalty = vulnerabilities.length * 5;
     const outdatedPenalty = outdated.length * 2;
@@ -1165,6 +1572,17 @@ class CodeQualityAnalyzer {
     return 20;
   }
 
+  /**
+   * Score for the share of duplicated lines, in the bands code review tools rate duplication by
+   */
+  getDuplicationScore(percentage) {
+    if (percentage <= 3) return 95;
+    if (percentage <= 5) return 80;
+    if (percentage <= 10) return 60;
+    if (percentage <= 20) return 40;
+    return 20;
+  }
+
   getLintingScore(totalIssues, totalFiles) {
     if (totalFiles === 0) return 50;
     const issuesPerFile = totalIssues / totalFiles;
@@ -1192,13 +1610,10 @@ class CodeQualityAnalyzer {
   // Placeholder methods (would integrate with real APIs in production)
   async getPackageFiles(owner, repo) {
     try {
-      const tree = await this.githubService.getRepositoryTree(owner, repo);
-      return tree.tree.filter(item => 
-        item.path === 'package.json' || 
-        item.path === 'requirements.txt' ||
-        item.path === 'Pipfile' ||
-        item.path === 'go.mod'
-      );
+      const tree = await this.getRepositoryTree(owner, repo);
+      const manifests = ['package.json', 'requirements.txt', 'Pipfile', 'go.mod']
+        .map(name => path.posix.join(this.scope || '', name));
+      return tree.tree.filter(item => manifests.includes(item.path));
     } catch (error) {
       console.warn('Could not get package files:', error.message);
       return [];
@@ -1209,7 +1624,7 @@ class CodeQualityAnalyzer {
     try {
       const content = await this.githubService.getFileContent(owner, repo, file.path);
       
-      if (file.path === 'package.json') {
+      if (path.posix.basename(file.path) === 'package.json') {
         const packageJson = JSON.parse(content);
         return {
           ...packageJson.dependencies || {},
@@ -1257,21 +1672,6 @@ class CodeQualityAnalyzer {
     return Math.min(100, score);
   }
 
-  getTopIssueTypes(fileResults) {
-    const issueTypes = {};
-    
-    fileResults.forEach(file => {
-      file.issues.forEach(issue => {
-        issueTypes[issue.rule] = (issueTypes[issue.rule] || 0) + 1;
-      });
-    });
-
-    return Object.entries(issueTypes)
-      .sort(([,a], [,b]) => b - a)
-      .slice(0, 5)
-      .map(([rule, count]) => ({ rule, count }));
-  }
-
   generateDependencyRecommendations(outdated, vulnerabilities) {
     const recommendations = [];
     
@@ -1360,11 +1760,14 @@ class CodeQualityAnalyzer {
    */
   async scanCodeSecurityIssues(owner, repo) {
     try {
-      const files = await this.githubService.getRepositoryFiles(owner, repo, '.js,.ts,.jsx,.tsx,.py,.java,.go');
+      const files = await this.getRepositoryFiles(owner, repo, '.js,.ts,.jsx,.tsx,.py,.java,.go');
       const securityIssues = [];
 
-      for (const file of files.slice(0, 15)) { // Analyze first 15 files
-        if (this.isAnalyzableFile(file.name)) {
+      const sample = this.sampleFiles(files, 15).files; // Analyze a sample of 15 files
+      await this.prefetchFileContents(owner, repo, sample.filter(file => this.isAnalyzableFile(file.path)));
+
+      for (const file of sample) {
+        if (this.isAnalyzableFile(file.path)) {
           try {
             const content = await this.githubService.getFileContent(owner, repo, file.path);
             const issues = this.detectSecurityPatterns(content, file.path);
@@ -1670,46 +2073,87 @@ class CodeQualityAnalyzer {
   }
 
   /**
-   * Performs linting analysis on repository files with improved filtering
+   * Runs ESLint over the repository's JavaScript and TypeScript files
+   * Uses the repository's own configuration when it has one (see getLintConfig)
+   * and this.eslintConfig otherwise. Test and documentation files are skipped;
+   * beyond the file budget a sample is linted.
+   * @returns {Object} { totalIssues, errorCount, warningCount, filesLinted, filesWithIssues,
+   *   parseErrors, byRule: [{ rule, severity, count, files }], bySeverity, issuesByFile,
+   *   topIssueTypes, config: { source, custom, ignored, rules }, coverage, score }
    */
   async performLinting(owner, repo) {
     try {
-      const files = await this.githubService.getRepositoryFiles(owner, repo, '.js,.ts,.jsx,.tsx');
-      let totalIssues = 0;
-      let errorCount = 0;
-      let warningCount = 0;
-      let fileResults = [];
-
-      for (const file of files.slice(0, 20)) { // Analyze first 20 files
-        if (this.isAnalyzableFile(file.name) && !this.isTestOrDocFile(file.path)) {
-          try {
-            const content = await this.githubService.getFileContent(owner, repo, file.path);
-            const issues = this.lintCode(content, file.path);
-            
-            totalIssues += issues.length;
-            errorCount += issues.filter(i => i.severity === 'error').length;
-            warningCount += issues.filter(i => i.severity === 'warning').length;
-            
-            if (issues.length > 0) {
-              fileResults.push({
-                path: file.path,
-                issues: issues.slice(0, 5) // Top 5 issues per file
-              });
-            }
-          } catch (error) {
-            console.warn(`Failed to lint ${file.path}:`, error.message);
+      const files = await this.getRepositoryFiles(owner, repo, '.js,.ts,.jsx,.tsx');
+      const lintable = files.filter(file => this.isAnalyzableFile(file.path) && !this.isTestOrDocFile(file.path));
+      const { files: sample, coverage } = this.sampleFiles(lintable);
+      const [lintConfig] = await Promise.all([
+        this.getLintConfig(owner, repo),
+        this.prefetchFileContents(owner, repo, sample)
+      ]);
+
+      const rules = new Map();
+      const fileResults = [];
+      let filesLinted = 0;
+      let parseErrors = 0;
+
+      for (const file of sample) {
+        try {
+          const content = await this.githubService.getFileContent(owner, repo, file.path);
+          const issues = lintSource(content, file.path, lintConfig.config);
+          filesLinted++;
+
+          issues.forEach(issue => {
+            if (issue.fatal) parseErrors++;
+            const key = `${issue.rule}\0${issue.severity}`;
+            const entry = rules.get(key) || { rule: issue.rule, severity: issue.severity, count: 0, files: new Set() };
+            entry.count++;
+            entry.files.add(file.path);
+            rules.set(key, entry);
+          });
+
+          if (issues.length > 0) {
+            fileResults.push({
+              path: file.path,
+              errorCount: issues.filter(issue => issue.severity === 'error').length,
+              warningCount: issues.filter(issue => issue.severity === 'warning').length,
+              issues: issues.slice(0, 5) // Top 5 issues per file
+            });
           }
+        } catch (error) {
+          console.warn(`Failed to lint ${file.path}:`, error.message);
         }
       }
 
+      const byRule = [...rules.values()]
+        .map(entry => ({ ...entry, files: entry.files.size }))
+        .sort((a, b) => b.count - a.count);
+      const bySeverity = {
+        error: byRule.filter(entry => entry.severity === 'error').reduce((sum, entry) => sum + entry.count, 0),
+        warning: byRule.filter(entry => entry.severity === 'warning').reduce((sum, entry) => sum + entry.count, 0)
+      };
+      const totalIssues = bySeverity.error + bySeverity.warning;
+
       return {
         totalIssues,
-        errorCount,
-        warningCount,
+        errorCount: bySeverity.error,
+        warningCount: bySeverity.warning,
+        filesLinted,
         filesWithIssues: fileResults.length,
-        issuesByFile: fileResults.slice(0, 10), // Top 10 files with issues
-        score: this.getLintingScore(totalIssues, files.length),
-        topIssueTypes: this.getTopIssueTypes(fileResults)
+        parseErrors,
+        byRule,
+        bySeverity,
+        issuesByFile: fileResults
+          .sort((a, b) => b.errorCount - a.errorCount || b.warningCount - a.warningCount)
+          .slice(0, 10), // Top 10 files with issues
+        topIssueTypes: byRule.slice(0, 5).map(({ rule, count }) => ({ rule, count })),
+        config: {
+          source: lintConfig.source,
+          custom: lintConfig.custom,
+          ignored: lintConfig.ignored,
+          rules: lintConfig.rules
+        },
+        coverage,
+        score: this.getLintingScore(totalIssues, filesLinted)
       };
     } catch (error) {
       console.error('Error performing linting:', error);
@@ -1718,97 +2162,161 @@ class CodeQualityAnalyzer {
   }
 
   /**
-   * Enhanced code linting with context awareness
+   * Finds the ESLint configuration that applies to the analyzed code
+   * Looks in the scope directory first, then at the repository root. Config
+   * files are read, never executed; what cannot be applied here (plugins,
+   * shareable presets, YAML files) is listed in `ignored`.
+   * @returns {Object} { config, source, custom, ignored, rules } Linter config, the file it came
+   *   from ('default' for this.eslintConfig) and the number of enabled rules
    */
-  lintCode(content, filePath) {
-    const issues = [];
-    const lines = content.split('\n');
+  async getLintConfig(owner, repo) {
+    const ignored = [];
 
-    // Skip linting for test files and documentation
-    if (this.isTestOrDocFile(filePath)) {
-      return issues;
+    try {
+      const tree = await this.getRepositoryTree(owner, repo);
+      const paths = new Set(tree.tree.map(item => item.path));
+      const directories = this.scope ? [this.scope, ''] : [''];
+
+      for (const directory of directories) {
+        for (const name of LINT_CONFIG_FILES) {
+          const configPath = path.posix.join(directory, name);
+          if (!paths.has(configPath)) continue;
+
+          const content = await this.githubService.getFileContent(owner, repo, configPath);
+          const parsed = parseLintConfig(name, content);
+          if (!parsed) continue;
+
+          ignored.push(...parsed.ignored);
+          if (!parsed.config) continue;
+
+          const resolved = resolveLintConfig(parsed.config);
+          return {
+            ...resolved,
+            source: configPath,
+            custom: true,
+            ignored: [...ignored, ...resolved.ignored]
+          };
+        }
+      }
+    } catch (error) {
+      console.warn('Could not read ESLint configuration:', error.message);
     }
 
-    lines.forEach((line, index) => {
-      const trimmedLine = line.trim();
-      
-      // Skip comments and empty lines
-      if (!trimmedLine || trimmedLine.startsWith('//') || trimmedLine.startsWith('*')) {
-        return;
-      }
+    return { ...resolveLintConfig(this.eslintConfig), source: 'default', custom: false, ignored };
+  }
 
-      // Check for common issues with context awareness
-      if (line.includes('console.log') && !line.includes('//') && !this.isInTestContext(line)) {
-        issues.push({
-          line: index + 1,
-          message: 'Console statement should be removed in production code',
-          severity: 'warning',
-          rule: 'no-console'
-        });
-      }
+  /**
+   * Reads the repository's test coverage from coverage reports
+   * Reports (lcov, Cobertura, Istanbul summaries, Go cover profiles, JaCoCo)
+   * attached to the latest CI run are preferred, as they match the current
+   * code; reports committed to the repository are used otherwise.
+   * @returns {Object} { available, source: 'ci'|'repository'|null, run, reports: [{ path, format, files }],
+   *   files, lines, branches, byDirectory, testFiles } see summarizeCoverage
+   */
+  async analyzeTestCoverage(owner, repo) {
+    const results = this.getDefaultTestCoverage();
 
-      if (line.includes('eval(') && !this.isInCommentOrString(line, 'eval')) {
-        issues.push({
-          line: index + 1,
-          message: 'Use of eval() is dangerous',
-          severity: 'error',
-          rule: 'no-eval'
-        });
+    try {
+      const tree = await this.getRepositoryTree(owner, repo);
+      const paths = tree.tree.filter(item => item.type === 'blob').map(item => item.path);
+      results.testFiles = paths.filter(filePath => this.inScope(filePath) && TEST_FILE_PATTERN.test(filePath)).length;
+
+      let found = await this.readCiCoverageReports(owner, repo);
+      let source = 'ci';
+      if (found.reports.length === 0) {
+        found = { run: null, reports: await this.readCommittedCoverageReports(owner, repo, paths) };
+        source = 'repository';
       }
-
-      if (line.length > 120 && !line.includes('http') && !line.includes('import ')) {
-        issues.push({
-          line: index + 1,
-          message: 'Line too long (>120 characters)',
-          severity: 'warning',
-          rule: 'max-len'
-        });
+      if (found.reports.length === 0) {
+        return results;
       }
 
-      // More sophisticated security checks
-      if (line.includes('innerHTML') && line.includes('=') && 
-          !this.isInCommentOrString(line, 'innerHTML') && 
-          !this.isInTestContext(line)) {
-        issues.push({
-          line: index + 1,
-          message: 'Potential XSS vulnerability with innerHTML',
-          severity: 'error',
-          rule: 'security/detect-xss'
-        });
+      const files = resolveCoveragePaths(found.reports.flatMap(report => report.files), paths)
+        .filter(file => this.inScope(file.path));
+      if (files.length === 0) {
+        return results;
       }
-    });
 
-    return issues.slice(0, 10); // Limit issues per file
+      return {
+        ...results,
+        available: true,
+        source,
+        run: found.run,
+        reports: found.reports.map(report => ({ path: report.path, format: report.format, files: report.files.length })),
+        files: files.length,
+        ...summarizeCoverage(files)
+      };
+    } catch (error) {
+      console.warn('Could not read test coverage:', error.message);
+      return results;
+    }
   }
 
   /**
-   * Check if code is in a test context
+   * Coverage reports committed to the repository, outside dependency folders
    */
-  isInTestContext(line) {
-    const testIndicators = ['test(', 'it(', 'describe(', 'expect(', 'mock', 'spy'];
-    return testIndicators.some(indicator => line.includes(indicator));
+  async readCommittedCoverageReports(owner, repo, paths) {
+    const reports = [];
+
+    for (const reportPath of paths.filter(isCoverageReport).slice(0, MAX_COVERAGE_REPORTS)) {
+      try {
+        const parsed = parseCoverageReport(await this.githubService.getFileContent(owner, repo, reportPath));
+        if (parsed) reports.push({ path: reportPath, ...parsed });
+      } catch (error) {
+        console.warn(`Could not read coverage report ${reportPath}:`, error.message);
+      }
+    }
+
+    return reports;
   }
 
   /**
-   * Check if pattern appears in comment or string literal
+   * Coverage reports in the artifacts of the latest successful CI run that uploaded any, where the host provides artifacts
+   * @returns {Object} { run: { id, createdAt, url }|null, reports }
    */
-  isInCommentOrString(line, pattern) {
-    const patternIndex = line.indexOf(pattern);
-    if (patternIndex === -1) return false;
-
-    const beforePattern = line.substring(0, patternIndex);
-    
-    // Check if it's in a comment
-    if (beforePattern.includes('//') || beforePattern.includes('/*')) {
-      return true;
+  async readCiCoverageReports(owner, repo) {
+    if (typeof this.githubService.getLatestWorkflowArtifacts !== 'function') {
+      return { run: null, reports: [] };
     }
 
-    // Check if it's in a string literal
-    const singleQuotes = (beforePattern.match(/'/g) || []).length;
-    const doubleQuotes = (beforePattern.match(/"/g) || []).length;
-    const backticks = (beforePattern.match(/`/g) || []).length;
+    try {
+      const { run, artifacts } = await this.githubService.getLatestWorkflowArtifacts(owner, repo, {
+        matches: artifact => COVERAGE_ARTIFACT_PATTERN.test(artifact.name) && artifact.size_in_bytes <= MAX_COVERAGE_ARTIFACT_BYTES
+      });
+      const extractor = new ArchiveExtractor({ maxArchiveBytes: MAX_COVERAGE_ARTIFACT_BYTES });
+      const reports = [];
 
-    return (singleQuotes % 2 === 1) || (doubleQuotes % 2 === 1) || (backticks % 2 === 1);
+      // One unreadable artifact or report does not discard the others
+      for (const artifact of artifacts) {
+        let entries;
+        try {
+          const archive = await this.githubService.downloadWorkflowArtifact(owner, repo, artifact.id);
+          entries = extractor.readZip(archive).filter(entry => entry.type === 'file' && isCoverageReport(entry.path));
+        } catch (error) {
+          console.warn(`Could not read CI artifact ${artifact.name}:`, error.message);
+          continue;
+        }
+
+        for (const entry of entries) {
+          try {
+            const parsed = parseCoverageReport(entry.read().toString('utf8'));
+            if (parsed && reports.length < MAX_COVERAGE_REPORTS) {
+              reports.push({ path: `${artifact.name}/${entry.path}`, ...parsed });
+            }
+          } catch (error) {
+            console.warn(`Could not read coverage report ${artifact.name}/${entry.path}:`, error.message);
+          }
+        }
+      }
+
+      return {
+        run: reports.length > 0 ? { id: run.id, createdAt: run.created_at, url: run.html_url } : null,
+        reports
+      };
+    } catch (error) {
+      console.warn(`Could not read coverage from CI artifacts for ${owner}/${repo}:`, error.message);
+      return { run: null, reports: [] };
+    }
   }
 
   /**
@@ -1819,4 +2327,12 @@ class CodeQualityAnalyzer {
   }
 }
 
+/**
+ * Normalizes a subdirectory scope ("./packages/api/" -> "packages/api"); empty means the whole repository
+ */
+function normalizeScope(scope) {
+  const normalized = (scope || '').trim().replace(/^(\.\/|\/)+/, '').replace(/\/+$/, '');
+  return normalized && normalized !== '.' ? normalized : null;
+}
+
 module.exports = CodeQualityAnalyzer; 
\ No newline at end of file
@@ -1,8 +1,36 @@
 const fetch = require('node-fetch');
 
+// Workflow run / job conclusions that count as a failed deployment
+const FAILED_CONCLUSIONS = ['failure', 'timed_out', 'startup_failure'];
+
+// Deployment states that end a deployment, and which of them mean it failed
+// (GitHub deployment statuses, and GitLab's inline deployment status)
+const TERMINAL_DEPLOYMENT_STATES = ['success', 'failure', 'error', 'failed'];
+const FAILED_DEPLOYMENT_STATES = ['failure', 'error', 'failed'];
+
 class DORAMetricsCollector {
-  constructor(githubService) {
+  /**
+   * @param {RepositoryClient} githubService - Request-scoped repository client
+   * @param {Object} options - { deployWorkflows, deployJobs, deploymentEnvironment }
+   *   deployWorkflows/deployJobs: workflow (name or file) and job names whose runs are
+   *   deployments, as arrays or comma-separated strings
+   *   deploymentEnvironment: Deployments API environment to measure (default: production)
+   */
+  constructor(githubService, options = {}) {
     this.githubService = githubService;
+    this.deployWorkflows = parseNameList(
+      options.deployWorkflows !== undefined ? options.deployWorkflows : process.env.DORA_DEPLOY_WORKFLOWS
+    );
+    this.deployJobs = parseNameList(
+      options.deployJobs !== undefined ? options.deployJobs : process.env.DORA_DEPLOY_JOBS
+    );
+    // Requested as configured (the providers' filters match names exactly), compared in lowercase
+    this.deploymentEnvironmentName = String(
+      (options.deploymentEnvironment !== undefined ? options.deploymentEnvironment : process.env.DORA_DEPLOYMENT_ENVIRONMENT) || ''
+    ).trim();
+    this.deploymentEnvironment = this.deploymentEnvironmentName.toLowerCase();
+    this.trackedDeployments = new Map();
+    this.deploymentSources = new Map();
     this.deploymentPatterns = [
       /deploy/i,
       /release/i,
@@ -27,6 +55,17 @@ class DORAMetricsCollector {
       const endDate = new Date();
       const startDate = new Date(endDate.getTime() - (timeRange * 24 * 60 * 60 * 1000));
 
+      const previousPeriodStart = new Date(startDate.getTime() - (timeRange * 24 * 60 * 60 * 1000));
+
+      // Bulk data sources load the current and previous (trend) periods in one pass
+      if (typeof this.githubService.prefetchHistory === 'function') {
+        await this.githubService.prefetchHistory(owner, repo, { since: previousPeriodStart.toISOString() })
+          .catch(error => console.warn('Could not prefetch repository history:', error.message));
+      }
+
+      // Decided once so the current and trend periods use the same deployment source
+      const deploymentSource = await this.resolveDeploymentSource(owner, repo, previousPeriodStart);
+
       const [
         deploymentFrequency,
         leadTimeForChanges, 
@@ -64,7 +103,9 @@ class DORAMetricsCollector {
         }),
         collectedAt: new Date().toISOString(),
         timeRange: `${timeRange} days`,
-        trends: await this.calculateTrends(owner, repo, timeRange)
+        trends: await this.calculateTrends(owner, repo, timeRange),
+        dataSource: this.describeDataSource(deploymentSource),
+        dataCompleteness: this.getDataCompleteness(owner, repo)
       };
     } catch (error) {
       console.error('Error collecting DORA metrics:', error);
@@ -77,14 +118,22 @@ class DORAMetricsCollector {
    */
   async calculateDeploymentFrequency(owner, repo, startDate, endDate) {
     try {
-      // Get releases as primary deployment indicator
-      const releases = await this.githubService.getReleases(owner, repo);
-      const deploymentEvents = await this.identifyDeploymentEvents(owner, repo, startDate, endDate);
-      
-      const recentReleases = releases.filter(release => {
-        const releaseDate = new Date(release.published_at);
-        return releaseDate >= startDate && releaseDate <= endDate;
-      });
+      const tracked = await this.getTrackedDeployments(owner, repo, startDate, endDate);
+      let recentReleases = [];
+      let deploymentEvents;
+
+      if (tracked) {
+        deploymentEvents = tracked.deployments.filter(deployment => deployment.status === 'success');
+      } else {
+        // Get releases as primary deployment indicator
+        const releases = await this.githubService.getReleases(owner, repo, this.toDateRange(startDate, endDate));
+        deploymentEvents = await this.identifyDeploymentEvents(owner, repo, startDate, endDate);
+
+        recentReleases = releases.filter(release => {
+          const releaseDate = new Date(release.published_at);
+          return releaseDate >= startDate && releaseDate <= endDate;
+        });
+      }
 
       const totalDeployments = recentReleases.length + deploymentEvents.length;
       const daysDiff = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
@@ -97,7 +146,8 @@ class DORAMetricsCollector {
         deploymentsPerWeek: Math.round(deploymentsPerWeek * 100) / 100,
         frequency: this.classifyDeploymentFrequency(deploymentsPerDay),
         recentDeployments: this.formatDeploymentHistory(recentReleases, deploymentEvents),
-        trend: this.calculateFrequencyTrend(recentReleases, deploymentEvents, daysDiff)
+        trend: this.calculateFrequencyTrend(recentReleases, deploymentEvents, daysDiff),
+        source: tracked ? tracked.source : 'releases'
       };
     } catch (error) {
       console.error('Error calculating deployment frequency:', error);
@@ -110,8 +160,14 @@ class DORAMetricsCollector {
    */
   async calculateLeadTimeForChanges(owner, repo, startDate, endDate) {
     try {
-      const commits = await this.githubService.getCommitHistory(owner, repo);
-      const releases = await this.githubService.getReleases(owner, repo);
+      const range = this.toDateRange(startDate, endDate);
+      const commits = await this.githubService.getCommitHistory(owner, repo, range);
+      const tracked = await this.getTrackedDeployments(owner, repo, startDate, endDate);
+      if (tracked) {
+        return this.summarizeLeadTimes(this.calculateDeploymentLeadTimes(commits, tracked.deployments), tracked.source);
+      }
+
+      const releases = await this.githubService.getReleases(owner, repo, range);
       
       const leadTimes = [];
       const recentReleases = releases.filter(release => {
@@ -143,33 +199,79 @@ class DORAMetricsCollector {
         }
       }
 
-      const avgLeadTimeHours = leadTimes.length > 0 
-        ? leadTimes.reduce((sum, lt) => sum + lt.leadTimeHours, 0) / leadTimes.length
-        : 0;
-      
-      const avgLeadTimeDays = avgLeadTimeHours / 24;
-
-      return {
-        averageLeadTimeHours: Math.round(avgLeadTimeHours * 100) / 100,
-        averageLeadTimeDays: Math.round(avgLeadTimeDays * 100) / 100,
-        classification: this.classifyLeadTime(avgLeadTimeHours),
-        leadTimeDetails: leadTimes.slice(0, 5), // Last 5 releases
-        distribution: this.calculateLeadTimeDistribution(leadTimes),
-        trend: this.calculateLeadTimeTrend(leadTimes)
-      };
+      return this.summarizeLeadTimes(leadTimes, 'releases');
     } catch (error) {
       console.error('Error calculating lead time for changes:', error);
       return this.getDefaultLeadTime();
     }
   }
 
+  summarizeLeadTimes(leadTimes, source) {
+    const avgLeadTimeHours = leadTimes.length > 0 
+      ? leadTimes.reduce((sum, lt) => sum + lt.leadTimeHours, 0) / leadTimes.length
+      : 0;
+    
+    const avgLeadTimeDays = avgLeadTimeHours / 24;
+
+    return {
+      averageLeadTimeHours: Math.round(avgLeadTimeHours * 100) / 100,
+      averageLeadTimeDays: Math.round(avgLeadTimeDays * 100) / 100,
+      classification: this.classifyLeadTime(avgLeadTimeHours),
+      leadTimeDetails: leadTimes.slice(0, 5), // Last 5 deployments
+      distribution: this.calculateLeadTimeDistribution(leadTimes),
+      trend: this.calculateLeadTimeTrend(leadTimes),
+      source
+    };
+  }
+
+  /**
+   * Lead time per successful deployment: the average age of the commits it shipped,
+   * i.e. those committed after the previous successful deployment
+   * @param {Array} commits - Commits in the period
+   * @param {Array} deployments - Tracked deployments, newest first
+   */
+  calculateDeploymentLeadTimes(commits, deployments) {
+    const successful = deployments.filter(deployment => deployment.status === 'success');
+    const leadTimes = [];
+
+    successful.slice(0, 10).forEach((deployment, index) => { // Analyze last 10 deployments
+      const deployedAt = new Date(deployment.date);
+      const previous = successful[index + 1] ? new Date(successful[index + 1].date) : null;
+
+      const shipped = commits.filter(commit => {
+        const commitDate = new Date(commit.commit.committer.date);
+        return commitDate <= deployedAt && (!previous || commitDate > previous);
+      });
+
+      if (shipped.length > 0) {
+        const leadTimeHours = shipped.reduce((sum, commit) =>
+          sum + (deployedAt - new Date(commit.commit.committer.date)), 0) / shipped.length / (1000 * 60 * 60);
+
+        leadTimes.push({
+          deployment: deployment.name,
+          leadTimeHours: Math.round(leadTimeHours * 100) / 100,
+          leadTimeDays: Math.round(leadTimeHours / 24 * 100) / 100,
+          commitsIncluded: shipped.length
+        });
+      }
+    });
+
+    return leadTimes;
+  }
+
   /**
    * Calculates change failure rate
    */
   async calculateChangeFailureRate(owner, repo, startDate, endDate) {
     try {
-      const releases = await this.githubService.getReleases(owner, repo);
-      const issues = await this.githubService.getIssues(owner, repo);
+      // No upper bound: failures are looked for up to 72 hours after each release
+      const issues = await this.githubService.getIssues(owner, repo, { since: startDate.toISOString() });
+      const tracked = await this.getTrackedDeployments(owner, repo, startDate, endDate);
+      if (tracked) {
+        return this.calculateTrackedChangeFailureRate(tracked, issues);
+      }
+
+      const releases = await this.githubService.getReleases(owner, repo, this.toDateRange(startDate, endDate));
       
       const recentReleases = releases.filter(release => {
         const releaseDate = new Date(release.published_at);
@@ -214,7 +316,8 @@ class DORAMetricsCollector {
         totalDeployments: recentReleases.length,
         failedDeployments: failedDeployments.length,
         failureDetails: failedDeployments.slice(0, 5),
-        trend: this.calculateFailureRateTrend(recentReleases, failedDeployments)
+        trend: this.calculateFailureRateTrend(recentReleases, failedDeployments),
+        source: 'releases'
       };
     } catch (error) {
       console.error('Error calculating change failure rate:', error);
@@ -222,12 +325,55 @@ class DORAMetricsCollector {
     }
   }
 
+  /**
+   * Change failure rate over tracked deployments: failed deployment runs, plus
+   * successful ones followed by failure issues within 72 hours
+   */
+  calculateTrackedChangeFailureRate(tracked, issues) {
+    const failedDeployments = [];
+
+    tracked.deployments.forEach(deployment => {
+      if (deployment.status === 'failure') {
+        failedDeployments.push({ deployment: deployment.name, deploymentDate: deployment.date, reason: 'failed_deployment' });
+        return;
+      }
+
+      const deployedAt = new Date(deployment.date);
+      const postDeploymentIssues = issues.filter(issue => {
+        const hoursDiff = (new Date(issue.created_at) - deployedAt) / (1000 * 60 * 60);
+        return hoursDiff > 0 && hoursDiff <= 72 && this.isDeploymentFailureIssue(issue);
+      });
+
+      if (postDeploymentIssues.length > 0) {
+        failedDeployments.push({
+          deployment: deployment.name,
+          deploymentDate: deployment.date,
+          reason: 'post_deployment_issues',
+          failureIssues: postDeploymentIssues.length
+        });
+      }
+    });
+
+    const totalDeployments = tracked.deployments.length;
+    const changeFailureRate = totalDeployments > 0 ? (failedDeployments.length / totalDeployments) * 100 : 0;
+
+    return {
+      changeFailureRate: Math.round(changeFailureRate * 100) / 100,
+      classification: this.classifyChangeFailureRate(changeFailureRate),
+      totalDeployments,
+      failedDeployments: failedDeployments.length,
+      failureDetails: failedDeployments.slice(0, 5),
+      trend: this.calculateFailureRateTrend(tracked.deployments, failedDeployments),
+      source: tracked.source
+    };
+  }
+
   /**
    * Calculates mean time to restore
    */
   async calculateMeanTimeToRestore(owner, repo, startDate, endDate) {
     try {
-      const issues = await this.githubService.getIssues(owner, repo);
+      const issues = await this.githubService.getIssues(owner, repo, this.toDateRange(startDate, endDate));
       
       // Find production incidents/bugs
       const productionIssues = issues.filter(issue => {
@@ -444,11 +590,217 @@ class DORAMetricsCollector {
     return 1;
   }
 
+  /**
+   * Gets deployments recorded by the repository's delivery tooling, newest first
+   * @returns {Object|null} { source, deployments: [{ id, name, sha, date, status, url }] } with
+   *   status 'success' or 'failure', or null when neither deploy workflows/jobs are configured
+   *   nor Deployments API records exist, so the release and commit message heuristics apply
+   */
+  async getTrackedDeployments(owner, repo, startDate, endDate) {
+    const source = await this.resolveDeploymentSource(owner, repo, startDate);
+    if (source === 'releases') {
+      return null;
+    }
+
+    // Shared by every metric for the same period
+    const key = `${owner}/${repo}:${startDate.toISOString()}:${endDate.toISOString()}`;
+    if (!this.trackedDeployments.has(key)) {
+      this.trackedDeployments.set(key, source === 'deployments'
+        ? this.loadEnvironmentDeployments(owner, repo, startDate, endDate)
+        : this.loadWorkflowDeployments(owner, repo, startDate, endDate));
+    }
+    return this.trackedDeployments.get(key);
+  }
+
+  /**
+   * Picks where deployments come from: configured deploy workflows/jobs, then
+   * Deployments API records for the target environment, then releases
+   * @param {Date} since - Earliest date deployments are analyzed from
+   * @returns {Promise<string>} 'workflow_runs', 'deployments' or 'releases'
+   */
+  resolveDeploymentSource(owner, repo, since) {
+    const key = `${owner}/${repo}`;
+    if (!this.deploymentSources.has(key)) {
+      this.deploymentSources.set(key, this.detectDeploymentSource(owner, repo, since));
+    }
+    return this.deploymentSources.get(key);
+  }
+
+  async detectDeploymentSource(owner, repo, since) {
+    if ((this.deployWorkflows.length > 0 || this.deployJobs.length > 0) &&
+        typeof this.githubService.getWorkflowRuns === 'function') {
+      return 'workflow_runs';
+    }
+
+    if (typeof this.githubService.getDeployments === 'function') {
+      try {
+        const recent = await this.githubService.getDeployments(owner, repo, {
+          since: since.toISOString(),
+          environment: this.deploymentEnvironmentName || undefined
+        });
+        if (recent.some(deployment => this.isTargetEnvironment(deployment))) {
+          return 'deployments';
+        }
+      } catch (error) {
+        console.warn(`Could not check deployments for ${owner}/${repo}:`, error.message);
+      }
+    }
+
+    return 'releases';
+  }
+
+  /**
+   * Describes the deployment data source for reports
+   */
+  describeDataSource(source) {
+    if (source === 'deployments') {
+      const environment = this.deploymentEnvironment || 'production';
+      return {
+        type: source,
+        environment,
+        description: `Deployment statuses for the ${environment} environment`
+      };
+    }
+
+    if (source === 'workflow_runs') {
+      const names = [...this.deployWorkflows, ...this.deployJobs.map(job => `job ${job}`)];
+      return {
+        type: source,
+        environment: null,
+        description: `GitHub Actions deploy workflow runs (${names.join(', ')})`
+      };
+    }
+
+    return {
+      type: 'releases',
+      environment: null,
+      description: 'Releases and deployment-related commit messages'
+    };
+  }
+
+  /**
+   * Deployments API records for the target environment, each resolved by its
+   * first terminal status
+   */
+  async loadEnvironmentDeployments(owner, repo, startDate, endDate) {
+    const deployments = (await this.githubService.getDeployments(owner, repo, {
+      ...this.toDateRange(startDate, endDate),
+      environment: this.deploymentEnvironmentName || undefined
+    }))
+      .filter(deployment => this.isTargetEnvironment(deployment));
+
+    // GitLab reports a deployment's status inline instead of as a list of statuses
+    const statuses = await Promise.all(deployments.map(deployment => {
+      if (typeof this.githubService.getDeploymentStatuses !== 'function') {
+        return deployment.status ? [{ state: deployment.status, created_at: deployment.updated_at }] : [];
+      }
+      return this.githubService.getDeploymentStatuses(owner, repo, deployment.id).catch(error => {
+        console.warn(`Could not get statuses for deployment ${deployment.id}:`, error.message);
+        return [];
+      });
+    }));
+
+    return {
+      source: 'deployments',
+      deployments: deployments
+        .map((deployment, index) => this.toEnvironmentDeployment(deployment, statuses[index]))
+        .filter(deployment => deployment.status && deployment.date)
+        .sort((a, b) => new Date(b.date) - new Date(a.date))
+    };
+  }
+
+  /**
+   * Without an explicit environment, production is whatever GitHub flags as such
+   * or an environment literally named prod/production
+   */
+  isTargetEnvironment(deployment) {
+    const environment = (deployment.environment || '').toLowerCase();
+    if (this.deploymentEnvironment) {
+      return environment === this.deploymentEnvironment;
+    }
+    return deployment.production_environment === true || /^prod(uction)?$/.test(environment);
+  }
+
+  toEnvironmentDeployment(deployment, statuses) {
+    // Redeploying the same deployment adds statuses; the first outcome is the one that counts
+    const outcome = statuses
+      .filter(status => TERMINAL_DEPLOYMENT_STATES.includes(status.state))
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))[0];
+
+    // Deployments still pending or in progress are not counted either way
+    return {
+      type: 'deployment',
+      id: deployment.id,
+      name: deployment.environment,
+      sha: deployment.sha,
+      date: outcome ? outcome.created_at : null,
+      status: outcome ? (FAILED_DEPLOYMENT_STATES.includes(outcome.state) ? 'failure' : 'success') : null,
+      url: outcome ? outcome.target_url || outcome.log_url || null : null
+    };
+  }
+
+  /**
+   * Deployments from GitHub Actions: completed runs of the deploy workflows, or of
+   * the deploy jobs within them when job names are configured
+   */
+  async loadWorkflowDeployments(owner, repo, startDate, endDate) {
+    const runs = await this.githubService.getWorkflowRuns(owner, repo, this.toDateRange(startDate, endDate));
+    const deployRuns = this.deployWorkflows.length > 0 ? runs.filter(run => this.isDeployWorkflow(run)) : runs;
+
+    const deployments = [];
+    if (this.deployJobs.length === 0) {
+      deployRuns.forEach(run => deployments.push(this.toDeployment(run, run.conclusion, run.updated_at, run.name)));
+    } else {
+      const runJobs = await Promise.all(deployRuns.map(run =>
+        this.githubService.getWorkflowRunJobs(owner, repo, run.id).catch(error => {
+          console.warn(`Could not get jobs for workflow run ${run.id}:`, error.message);
+          return [];
+        })
+      ));
+
+      deployRuns.forEach((run, index) => {
+        runJobs[index]
+          .filter(job => this.deployJobs.includes((job.name || '').toLowerCase()))
+          .forEach(job => deployments.push(this.toDeployment(run, job.conclusion, job.completed_at, `${run.name} / ${job.name}`)));
+      });
+    }
+
+    return {
+      source: 'workflow_runs',
+      deployments: deployments
+        .filter(deployment => deployment.status && deployment.date)
+        .sort((a, b) => new Date(b.date) - new Date(a.date))
+    };
+  }
+
+  isDeployWorkflow(run) {
+    const workflowPath = (run.path || '').split('@')[0].toLowerCase();
+    const candidates = [(run.name || '').toLowerCase(), workflowPath, workflowPath.split('/').pop()];
+    return this.deployWorkflows.some(name => candidates.includes(name));
+  }
+
+  toDeployment(run, conclusion, date, name) {
+    let status = null;
+    if (conclusion === 'success') status = 'success';
+    else if (FAILED_CONCLUSIONS.includes(conclusion)) status = 'failure';
+
+    // Cancelled and skipped runs are not deployments either way
+    return {
+      type: 'workflow_run',
+      id: run.id,
+      name,
+      sha: run.head_sha,
+      date,
+      status,
+      url: run.html_url
+    };
+  }
+
   // Helper methods for data processing
   async identifyDeploymentEvents(owner, repo, startDate, endDate) {
     try {
       // Look for deployment-related commits, branches, or workflow runs
-      const commits = await this.githubService.getCommitHistory(owner, repo);
+      const commits = await this.githubService.getCommitHistory(owner, repo, this.toDateRange(startDate, endDate));
       
       const deploymentCommits = commits.filter(commit => {
         const commitDate = new Date(commit.commit.committer.date);
@@ -722,6 +1074,24 @@ class DORAMetricsCollector {
   }
 
   // Helper methods for data processing
+  toDateRange(startDate, endDate) {
+    return {
+      since: startDate.toISOString(),
+      until: endDate.toISOString()
+    };
+  }
+
+  /**
+   * Reports whether the history fetched for this repository was complete or
+   * cut short by the client's pagination cap
+   */
+  getDataCompleteness(owner, repo) {
+    if (typeof this.githubService.getFetchStatus !== 'function') {
+      return null;
+    }
+    return this.githubService.getFetchStatus(owner, repo);
+  }
+
   formatDeploymentHistory(releases, events) {
     return [...releases, ...events]
       .sort((a, b) => new Date(b.published_at || b.date) - new Date(a.published_at || a.date))
@@ -831,4 +1201,12 @@ class DORAMetricsCollector {
   }
 }
 
+/**
+ * Normalizes a list of names given as an array or comma-separated string
+ */
+function parseNameList(value) {
+  const names = Array.isArray(value) ? value : String(value || '').split(',');
+  return names.map(name => String(name).trim().toLowerCase()).filter(Boolean);
+}
+
 module.exports = DORAMetricsCollector; 
\ No newline at end of file
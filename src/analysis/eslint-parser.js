@@ -0,0 +1,168 @@
+const { parse } = require('@babel/parser');
+
+// Babel token types that keep their meaning in ESLint's (espree's) token format
+const TOKEN_TYPES = {
+  name: 'Identifier',
+  string: 'String',
+  num: 'Numeric',
+  bigint: 'Numeric',
+  decimal: 'Numeric',
+  regexp: 'RegularExpression',
+  jsxName: 'JSXIdentifier',
+  jsxText: 'JSXText',
+  true: 'Boolean',
+  false: 'Boolean',
+  null: 'Null'
+};
+
+/**
+ * ESLint parser for TypeScript (and TSX) built on @babel/parser
+ *
+ * Babel's estree plugin produces the AST ESLint's core rules expect; TypeScript
+ * nodes (type annotations, interfaces, enums) are walked by ESLint's fallback
+ * traversal. Tokens and comments are converted to espree's format, which rules
+ * working on tokens (spacing, semicolons, quotes) depend on.
+ * @param {string} code - Source code
+ * @param {Object} options - ESLint parser options, plus { filePath }
+ * @returns {Object} { ast } ESTree Program with tokens and comments
+ * @throws {SyntaxError} With lineNumber and column, which ESLint reports as a fatal error
+ */
+function parseForESLint(code, options = {}) {
+  const plugins = ['estree', 'typescript', 'decorators-legacy'];
+  if (/x$/i.test(options.filePath || '') || (options.ecmaFeatures && options.ecmaFeatures.jsx)) {
+    plugins.push('jsx');
+  }
+
+  let file;
+  try {
+    file = parse(code, {
+      sourceType: options.sourceType === 'script' ? 'script' : 'module',
+      plugins,
+      tokens: true,
+      ranges: true,
+      allowReturnOutsideFunction: true,
+      allowImportExportEverywhere: true
+    });
+  } catch (error) {
+    // ESLint reads the position of parse errors from these properties
+    error.lineNumber = error.loc ? error.loc.line : 1;
+    error.column = error.loc ? error.loc.column + 1 : 1;
+    error.index = error.pos;
+    throw error;
+  }
+
+  const ast = file.program;
+  ast.comments = file.comments.map(comment => ({
+    type: comment.type === 'CommentLine' ? 'Line' : 'Block',
+    value: comment.value,
+    range: [comment.start, comment.end],
+    loc: comment.loc
+  }));
+  ast.tokens = convertTokens(file.tokens.filter(token => typeof token.type !== 'string'), code);
+  widenTemplateElements(ast);
+
+  return { ast };
+}
+
+/**
+ * espree's template elements include their delimiters (`abc${), Babel's do not
+ */
+function widenTemplateElements(node) {
+  if (Array.isArray(node)) {
+    node.forEach(widenTemplateElements);
+    return;
+  }
+  if (!node || typeof node.type !== 'string') {
+    return;
+  }
+
+  if (node.type === 'TemplateElement') {
+    const after = node.tail ? 1 : 2;
+    node.range = [node.range[0] - 1, node.range[1] + after];
+    node.start = node.range[0];
+    node.end = node.range[1];
+    node.loc = {
+      start: { line: node.loc.start.line, column: node.loc.start.column - 1 },
+      end: { line: node.loc.end.line, column: node.loc.end.column + after }
+    };
+    return;
+  }
+
+  Object.keys(node).forEach(key => {
+    if (key !== 'loc' && key !== 'range' && key !== 'extra') widenTemplateElements(node[key]);
+  });
+}
+
+/**
+ * Babel tokens to espree tokens: keywords, template chunks (`abc${ as one
+ * token) and private names (#name) follow espree's conventions
+ */
+function convertTokens(tokens, code) {
+  const converted = [];
+  const braces = [];
+  let template = null;
+
+  const push = (type, start, end, loc, extra = {}) => {
+    converted.push({ type, value: code.slice(start, end), range: [start, end], loc, ...extra });
+  };
+  const extendTemplate = token => {
+    template.end = token.end;
+    template.loc = { start: template.loc.start, end: token.loc.end };
+  };
+
+  tokens.forEach((token, index) => {
+    const label = token.type.label;
+
+    if (template) {
+      extendTemplate(token);
+      if (label === '${' || label === '`') {
+        if (label === '${') braces.push('template');
+        push('Template', template.start, template.end, template.loc);
+        template = null;
+      }
+      return;
+    }
+
+    switch (label) {
+      case 'eof':
+        return;
+      case '`':
+        template = { start: token.start, end: token.end, loc: token.loc };
+        return;
+      case '}':
+        if (braces.pop() === 'template') {
+          template = { start: token.start, end: token.end, loc: token.loc };
+          return;
+        }
+        break;
+      case '{':
+        braces.push('brace');
+        break;
+      case '#': {
+        const name = tokens[index + 1];
+        if (name && name.type.label === 'name' && name.start === token.end) {
+          name.private = token;
+          return;
+        }
+        break;
+      }
+      default:
+    }
+
+    if (token.private) {
+      push('PrivateIdentifier', token.private.start, token.end, { start: token.private.loc.start, end: token.loc.end });
+    } else if (label === 'regexp') {
+      push('RegularExpression', token.start, token.end, token.loc, { regex: { pattern: token.value.pattern, flags: token.value.flags } });
+    } else if (TOKEN_TYPES[label]) {
+      push(TOKEN_TYPES[label], token.start, token.end, token.loc);
+    } else {
+      push(token.type.keyword ? 'Keyword' : 'Punctuator', token.start, token.end, token.loc);
+    }
+  });
+
+  return converted;
+}
+
+module.exports = {
+  parseForESLint
+};
@@ -0,0 +1,281 @@
+const { Linter } = require('eslint');
+const { builtinRules } = require('eslint/use-at-your-own-risk');
+const { parse } = require('@babel/parser');
+const { parseForESLint } = require('./eslint-parser');
+
+// Configuration files in the order ESLint looks for them in a directory (flat config first)
+const LINT_CONFIG_FILES = [
+  'eslint.config.js', 'eslint.config.mjs', 'eslint.config.cjs',
+  '.eslintrc.js', '.eslintrc.cjs', '.eslintrc.yaml', '.eslintrc.yml', '.eslintrc.json', '.eslintrc',
+  'package.json'
+];
+
+// Core rules the TypeScript compiler checks better (typescript-eslint turns them off for
+// TypeScript files), and no-unused-vars, which cannot see uses in type annotations
+const TYPESCRIPT_DISABLED_RULES = [
+  'constructor-super', 'getter-return', 'no-const-assign', 'no-dupe-args', 'no-dupe-class-members',
+  'no-dupe-keys', 'no-func-assign', 'no-import-assign', 'no-new-symbol', 'no-obj-calls', 'no-redeclare',
+  'no-setter-return', 'no-this-before-super', 'no-undef', 'no-unreachable', 'no-unsafe-negation',
+  'no-unused-vars'
+];
+
+const TYPESCRIPT_PARSER = 'babel-ts';
+
+let linter = null;
+let validator = null;
+
+function getLinter() {
+  if (!linter) {
+    linter = new Linter();
+    linter.defineParser(TYPESCRIPT_PARSER, { parseForESLint });
+  }
+  return linter;
+}
+
+/**
+ * Reads an ESLint configuration file without running it
+ * JSON files and package.json `eslintConfig` are parsed; JavaScript configs
+ * (eslintrc or flat) are read statically, keeping only literal values.
+ * @param {string} fileName - One of LINT_CONFIG_FILES
+ * @param {string} content - File content
+ * @returns {Object|null} { config, ignored } eslintrc-shaped config (null if unreadable) and
+ *   the parts of the file that could not be read; null if the file holds no ESLint config
+ */
+function parseLintConfig(fileName, content) {
+  if (fileName === 'package.json') {
+    const pkg = JSON.parse(content);
+    return pkg.eslintConfig ? { config: pkg.eslintConfig, ignored: [] } : null;
+  }
+
+  if (/\.[cm]?js$/.test(fileName)) {
+    return parseJavaScriptConfig(content, fileName.startsWith('eslint.config'));
+  }
+
+  // .eslintrc may be JSON or YAML
+  try {
+    return { config: JSON.parse(stripJsonComments(content)), ignored: [] };
+  } catch (error) {
+    return { config: null, ignored: [`${fileName} (YAML configuration is not read)`] };
+  }
+}
+
+function stripJsonComments(content) {
+  return content.replace(/("(?:\\.|[^"\\])*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || '');
+}
+
+/**
+ * `module.exports = {...}` / `export default [...]`, including wrappers such as
+ * `defineConfig(...)`. `js.configs.recommended` stands for eslint:recommended
+ * and `globals.node` (and the like) for the matching environment.
+ */
+function parseJavaScriptConfig(content, flat) {
+  const context = { extends: [], env: {}, ignored: [], content };
+  const program = parse(content, { sourceType: 'unambiguous', errorRecovery: true }).program;
+
+  let exported = null;
+  program.body.forEach(statement => {
+    if (statement.type === 'ExportDefaultDeclaration') {
+      exported = statement.declaration;
+    } else if (statement.type === 'ExpressionStatement' && statement.expression.type === 'AssignmentExpression' &&
+        /^(module\.)?exports$/.test(content.slice(statement.expression.left.start, statement.expression.left.end))) {
+      exported = statement.expression.right;
+    }
+  });
+
+  while (exported && exported.type === 'CallExpression') {
+    exported = exported.arguments.length === 1 && exported.arguments[0].type !== 'SpreadElement'
+      ? exported.arguments[0]
+      : { type: 'ArrayExpression', elements: exported.arguments, start: exported.start, end: exported.end };
+  }
+  if (!exported) {
+    return { config: null, ignored: ['configuration export'] };
+  }
+
+  const value = staticValue(exported, context);
+  const config = flat ? fromFlatConfig([].concat(value || []), context) : value;
+  if (config && !flat && Object.keys(context.env).length > 0) {
+    config.env = { ...context.env, ...config.env };
+  }
+
+  return { config: config || null, ignored: context.ignored };
+}
+
+/**
+ * Literal value of an expression; anything computed is recorded in context.ignored
+ */
+function staticValue(node, context) {
+  const source = context.content.slice(node.start, node.end);
+
+  switch (node.type) {
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return node.value;
+    case 'NullLiteral':
+      return null;
+    case 'TemplateLiteral':
+      if (node.expressions.length === 0) return node.quasis[0].value.cooked;
+      break;
+    case 'UnaryExpression':
+      if (node.operator === '-' && node.argument.type === 'NumericLiteral') return -node.argument.value;
+      break;
+    case 'ArrayExpression':
+      return node.elements.flatMap(element => {
+        if (!element) return [];
+        const value = staticValue(element.type === 'SpreadElement' ? element.argument : element, context);
+        if (value === undefined) return [];
+        return element.type === 'SpreadElement' && Array.isArray(value) ? value : [value];
+      });
+    case 'ObjectExpression':
+      return node.properties.reduce((object, property) => {
+        if (property.type === 'SpreadElement') {
+          const value = staticValue(property.argument, context);
+          return value && typeof value === 'object' ? { ...object, ...value } : object;
+        }
+        if (property.type !== 'ObjectProperty' || property.computed) {
+          context.ignored.push(context.content.slice(property.start, property.end).split('\n')[0]);
+          return object;
+        }
+        const key = property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+        const value = staticValue(property.value, context);
+        return value === undefined ? object : { ...object, [key]: value };
+      }, {});
+    case 'MemberExpression':
+      if (/^(js|eslint|eslintJs)\.configs\.recommended$/.test(source)) {
+        context.extends.push('eslint:recommended');
+        return {};
+      }
+      if (/^globals\.\w+$/.test(source)) {
+        context.env[source.split('.')[1]] = true;
+        return {};
+      }
+      break;
+    default:
+  }
+
+  context.ignored.push(source.split('\n')[0]);
+  return undefined;
+}
+
+/**
+ * Folds the elements of a flat config that apply to JavaScript/TypeScript into one eslintrc-shaped config
+ */
+function fromFlatConfig(elements, context) {
+  const config = { extends: context.extends, env: context.env, globals: {}, parserOptions: {}, rules: {} };
+
+  elements.filter(element => element && typeof element === 'object').forEach(element => {
+    // Elements limited to other file types (Markdown, JSON, ...) do not apply
+    const files = [].concat(element.files || []).flat().filter(pattern => typeof pattern === 'string');
+    if (files.length > 0 && !files.some(pattern => /[jt]sx?\b/.test(pattern) || !/\.\w+$/.test(pattern))) {
+      return;
+    }
+
+    const languageOptions = element.languageOptions || {};
+    Object.assign(config.rules, element.rules);
+    Object.assign(config.globals, languageOptions.globals);
+    Object.assign(config.parserOptions, languageOptions.parserOptions);
+    if (languageOptions.ecmaVersion) config.parserOptions.ecmaVersion = languageOptions.ecmaVersion;
+    if (languageOptions.sourceType) config.parserOptions.sourceType = languageOptions.sourceType;
+  });
+
+  return config;
+}
+
+/**
+ * Turns an eslintrc-shaped config into one the in-memory Linter runs
+ * Only ESLint's core rules are available here: eslint:recommended and
+ * eslint:all are expanded, other presets (shareable configs, plugins) are
+ * stood in for by eslint:recommended, which most of them build on, and
+ * plugin rules are left out. `overrides` are not applied.
+ * @param {Object} config - eslintrc-shaped config
+ * @returns {Object} { config, ignored, rules } Linter config, what was left out and the number of enabled rules
+ */
+function resolveLintConfig(config) {
+  const ignored = [];
+  const presets = [].concat(config.extends || []);
+  const rules = {};
+
+  if (presets.includes('eslint:all')) {
+    builtinRules.forEach((rule, name) => {
+      if (!rule.meta.deprecated) rules[name] = 'error';
+    });
+  } else if (presets.length > 0) {
+    builtinRules.forEach((rule, name) => {
+      if (rule.meta.docs.recommended) rules[name] = 'error';
+    });
+  }
+  ignored.push(...presets.filter(preset => !['eslint:recommended', 'eslint:all'].includes(preset)));
+
+  const pluginRules = Object.keys(config.rules || {}).filter(name => !builtinRules.has(name));
+  Object.entries(config.rules || {})
+    .filter(([name, setting]) => builtinRules.has(name) && isValidRuleSetting(name, setting))
+    .forEach(([name, setting]) => { rules[name] = setting; });
+  if (pluginRules.length > 0) ignored.push(`${pluginRules.length} plugin rules`);
+  if (config.overrides) ignored.push('overrides');
+
+  const resolved = {
+    parser: config.parser ? TYPESCRIPT_PARSER : undefined,
+    env: { ...config.env },
+    globals: { ...config.globals },
+    parserOptions: { ecmaVersion: 'latest', sourceType: 'module', ...config.parserOptions },
+    rules
+  };
+
+  return {
+    config: resolved,
+    ignored,
+    rules: Object.values(rules).filter(setting => ![0, 'off'].includes(Array.isArray(setting) ? setting[0] : setting)).length
+  };
+}
+
+// The eslintrc-mode Linter does not check rule options; flat mode does
+function isValidRuleSetting(name, setting) {
+  validator = validator || new Linter({ configType: 'flat' });
+  try {
+    validator.verify('', [{ rules: { [name]: setting } }]);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Lints one file in memory
+ * TypeScript is parsed with eslint-parser.js, and the core rules TypeScript
+ * makes redundant are turned off for it; JSX is enabled for .jsx/.tsx files.
+ * @param {string} content - Source code
+ * @param {string} filePath - Repository path
+ * @param {Object} config - Linter config from resolveLintConfig
+ * @returns {Array} [{ line, column, rule, message, severity: 'error'|'warning', fatal }]
+ */
+function lintSource(content, filePath, config) {
+  const typescript = /\.[cm]?tsx?$/i.test(filePath);
+  const fileConfig = {
+    ...config,
+    parser: typescript ? TYPESCRIPT_PARSER : config.parser,
+    parserOptions: {
+      ...config.parserOptions,
+      ecmaFeatures: { ...(config.parserOptions || {}).ecmaFeatures, ...(/x$/i.test(filePath) ? { jsx: true } : {}) }
+    },
+    rules: typescript
+      ? { ...config.rules, ...Object.fromEntries(TYPESCRIPT_DISABLED_RULES.map(rule => [rule, 'off'])) }
+      : config.rules
+  };
+  if (!fileConfig.parser) delete fileConfig.parser;
+
+  return getLinter().verify(content, fileConfig, { filename: filePath }).map(message => ({
+    line: message.line,
+    column: message.column,
+    rule: message.ruleId || (message.fatal ? 'parse-error' : 'eslint'),
+    message: message.message,
+    severity: message.severity === 2 ? 'error' : 'warning',
+    fatal: Boolean(message.fatal)
+  }));
+}
+
+module.exports = {
+  LINT_CONFIG_FILES,
+  parseLintConfig,
+  resolveLintConfig,
+  lintSource
+};
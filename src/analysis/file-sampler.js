@@ -0,0 +1,115 @@
+const path = require('path').posix;
+const { LANGUAGE_EXTENSIONS } = require('../local/languages');
+
+// Files read per analysis before sampling kicks in
+const DEFAULT_FILE_BUDGET = parseInt(process.env.CODE_ANALYSIS_FILE_BUDGET) || 300;
+const DEFAULT_STRATEGY = process.env.CODE_ANALYSIS_SAMPLING || 'stratified';
+
+// Directory levels that define a stratum ("packages/api/src/x.js" -> "packages/api")
+const STRATUM_DEPTH = 2;
+
+const STRATEGIES = {
+  /**
+   * Every directory/language group gets files in proportion to its size (at least one),
+   * picked evenly across the group so results are reproducible between runs
+   */
+  stratified(files, budget) {
+    const strata = new Map();
+    files.forEach(file => {
+      const key = stratumKey(file.path);
+      if (!strata.has(key)) strata.set(key, []);
+      strata.get(key).push(file);
+    });
+
+    const groups = Array.from(strata.values())
+      .map(group => group.sort((a, b) => a.path.localeCompare(b.path)))
+      .sort((a, b) => b.length - a.length || a[0].path.localeCompare(b[0].path));
+    const quotas = allocate(groups.map(group => group.length), budget);
+
+    return groups.flatMap((group, index) => pickEvenly(group, quotas[index]));
+  },
+
+  /**
+   * The first files of the listing (tree order)
+   */
+  first(files, budget) {
+    return files.slice(0, budget);
+  }
+};
+
+/**
+ * Selects the files to analyze when a listing exceeds the file budget
+ * @param {Array} files - File entries ({ path })
+ * @param {Object} options - { budget } maximum files, { strategy } 'stratified' or 'first'
+ * @returns {Object} { files, coverage: { totalFiles, analyzedFiles, percentage, sampled, strategy, budget } }
+ */
+function sampleFiles(files, options = {}) {
+  const budget = options.budget || DEFAULT_FILE_BUDGET;
+  let strategy = options.strategy || DEFAULT_STRATEGY;
+  if (!STRATEGIES[strategy]) {
+    console.warn(`Unknown sampling strategy "${strategy}", using stratified`);
+    strategy = 'stratified';
+  }
+
+  const sampled = files.length > budget;
+  const selected = sampled ? STRATEGIES[strategy](files, budget) : files;
+
+  return {
+    files: selected,
+    coverage: {
+      totalFiles: files.length,
+      analyzedFiles: selected.length,
+      percentage: files.length > 0 ? Math.round((selected.length / files.length) * 1000) / 10 : 100,
+      sampled,
+      strategy: sampled ? strategy : 'all',
+      budget
+    }
+  };
+}
+
+function stratumKey(filePath) {
+  const directory = path.dirname(filePath).split('/').slice(0, STRATUM_DEPTH).join('/');
+  const extension = path.extname(filePath).toLowerCase();
+  return `${directory}|${LANGUAGE_EXTENSIONS[extension] || extension}`;
+}
+
+/**
+ * Splits a budget across groups (largest first) in proportion to their size. Every group
+ * gets at least one file while the budget lasts; rounding goes to the largest remainders.
+ */
+function allocate(sizes, budget) {
+  const total = sizes.reduce((sum, size) => sum + size, 0);
+  const shares = sizes.map(size => (size / total) * budget);
+  const quotas = shares.map((share, i) => (i < budget ? Math.max(1, Math.floor(share)) : 0));
+  let allocated = quotas.reduce((sum, quota) => sum + quota, 0);
+
+  // Minimums can overshoot the budget; take the excess back from the largest groups
+  for (let i = 0; allocated > budget; i = (i + 1) % quotas.length) {
+    if (quotas[i] > 1) {
+      quotas[i]--;
+      allocated--;
+    }
+  }
+
+  shares
+    .map((share, i) => ({ i, remainder: share - Math.floor(share) }))
+    .sort((a, b) => b.remainder - a.remainder || a.i - b.i)
+    .forEach(({ i }) => {
+      if (allocated < budget && quotas[i] < sizes[i]) {
+        quotas[i]++;
+        allocated++;
+      }
+    });
+
+  return quotas;
+}
+
+function pickEvenly(group, count) {
+  if (count >= group.length) return group;
+  return Array.from({ length: count }, (_, i) => group[Math.floor((i * group.length) / count)]);
+}
+
+module.exports = {
+  DEFAULT_FILE_BUDGET,
+  sampleFiles
+};
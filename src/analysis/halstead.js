@@ -0,0 +1,98 @@
+// Maintainability index bands on the original 0-171 scale (Oman & Hagemeister)
+const MAINTAINABILITY_BANDS = { high: 85, moderate: 65 };
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Halstead metrics of a token stream
+ * @param {Array} tokens - [{ kind: 'operator'|'operand'|null, text }]; tokens without a kind
+ *   (closing brackets, statement terminators) are not counted
+ * @returns {Object} { operators, operands, totalOperators, totalOperands, vocabulary, length,
+ *   volume, difficulty, effort }
+ */
+function halsteadMetrics(tokens) {
+  const operators = new Set();
+  const operands = new Set();
+  let totalOperators = 0;
+  let totalOperands = 0;
+
+  tokens.forEach(({ kind, text }) => {
+    if (kind === 'operator') {
+      operators.add(text);
+      totalOperators++;
+    } else if (kind === 'operand') {
+      operands.add(text);
+      totalOperands++;
+    }
+  });
+
+  const vocabulary = operators.size + operands.size;
+  const length = totalOperators + totalOperands;
+  const volume = vocabulary > 1 ? length * Math.log2(vocabulary) : 0;
+  const difficulty = operands.size > 0 ? (operators.size / 2) * (totalOperands / operands.size) : 0;
+
+  return {
+    operators: operators.size,
+    operands: operands.size,
+    totalOperators,
+    totalOperands,
+    vocabulary,
+    length,
+    volume: round(volume),
+    difficulty: round(difficulty),
+    effort: round(volume * difficulty)
+  };
+}
+
+/**
+ * Maintainability index: 171 - 5.2 ln(V) - 0.23 CC - 16.2 ln(SLOC)
+ * @param {number} volume - Halstead volume
+ * @param {number} complexity - Cyclomatic complexity
+ * @param {number} codeLines - Lines holding code
+ * @returns {Object} { maintainabilityIndex, maintainability } the index on its original scale
+ *   (171 at best, negative for very large units) and rescaled to 0-100
+ */
+function maintainabilityIndex(volume, complexity, codeLines) {
+  const index = 171 -
+    5.2 * Math.log(Math.max(1, volume)) -
+    0.23 * complexity -
+    16.2 * Math.log(Math.max(1, codeLines));
+
+  return {
+    maintainabilityIndex: round(index, 1),
+    maintainability: Math.round(Math.min(100, Math.max(0, index * 100 / 171)))
+  };
+}
+
+/**
+ * Halstead metrics and maintainability index of a function or file
+ * @param {Array} tokens - [{ kind, text, line }] every code token in the unit
+ * @param {number} complexity - Cyclomatic complexity of the unit
+ * @returns {Object} { halstead, maintainabilityIndex, maintainability }
+ */
+function measureMaintainability(tokens, complexity) {
+  const halstead = halsteadMetrics(tokens);
+  const codeLines = new Set(tokens.map(token => token.line)).size;
+
+  return {
+    halstead,
+    ...maintainabilityIndex(halstead.volume, complexity, codeLines)
+  };
+}
+
+/**
+ * Band of a maintainability index: 'high' (85+), 'moderate' (65-85) or 'low'
+ */
+function maintainabilityRating(index) {
+  if (index >= MAINTAINABILITY_BANDS.high) return 'high';
+  if (index >= MAINTAINABILITY_BANDS.moderate) return 'moderate';
+  return 'low';
+}
+
+module.exports = {
+  MAINTAINABILITY_BANDS,
+  halsteadMetrics,
+  maintainabilityIndex,
+  maintainabilityRating,
+  measureMaintainability
+};
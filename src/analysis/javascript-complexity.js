@@ -0,0 +1,342 @@
+const { parse } = require('@babel/parser');
+const { measureMaintainability } = require('./halstead');
+
+// Keys that never hold child nodes worth walking
+const SKIPPED_KEYS = new Set([
+  'type', 'loc', 'start', 'end', 'range', 'extra',
+  'leadingComments', 'trailingComments', 'innerComments', 'comments', 'tokens'
+]);
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression',
+  'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod'
+]);
+
+const LOOP_TYPES = new Set([
+  'ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement'
+]);
+
+const LOGICAL_ASSIGNMENTS = new Set(['&&=', '||=', '??=']);
+
+// Token types that are Halstead operands; every other token is an operator
+const OPERAND_TOKENS = new Set([
+  'name', 'string', 'num', 'bigint', 'decimal', 'regexp', 'template',
+  'jsxName', 'jsxText', 'true', 'false', 'null', 'this', 'super'
+]);
+
+// Closing halves of pairs counted at their opening token, and statement terminators
+const UNCOUNTED_TOKENS = new Set([')', ']', '}', '`', 'jsxTagEnd', ';']);
+
+/**
+ * Parses JavaScript or TypeScript (including JSX/TSX) source
+ * @param {string} content - Source code
+ * @param {string} filePath - Path, whose extension picks the syntax plugins
+ * @returns {Object} Babel File node (with tokens)
+ * @throws {SyntaxError} When the source cannot be parsed
+ */
+function parseSource(content, filePath = '') {
+  const extension = (filePath.match(/\.([cm]?[jt]sx?)$/i) || [])[1] || 'js';
+  const typescript = /^[cm]?tsx?$/i.test(extension);
+  const plugins = typescript ? ['typescript', 'decorators-legacy'] : ['flow', 'decorators-legacy'];
+
+  // .ts files cannot contain JSX (it clashes with `<T>value` casts); JavaScript files often do
+  if (!typescript || /x$/i.test(extension)) {
+    plugins.push('jsx');
+  }
+
+  return parse(content, {
+    sourceType: 'unambiguous',
+    plugins,
+    tokens: true,
+    errorRecovery: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true,
+    allowSuperOutsideMethod: true
+  });
+}
+
+/**
+ * Measures every function in a JavaScript/TypeScript file.
+ *
+ * Per function: cyclomatic complexity (counted like ESLint's `complexity`
+ * rule), cognitive complexity (SonarSource: structures cost 1 plus their
+ * nesting level, `else`/`else if` and each run of like logical operators cost
+ * 1), deepest nesting of control structures, parameter count and line range.
+ * Nested functions and callbacks are measured on their own and do not add to
+ * the function that contains them. Halstead metrics and the maintainability
+ * index come from the parser's token stream over the function's source text.
+ * @param {string} content - Source code
+ * @param {string} filePath - Path used to pick TypeScript/JSX syntax
+ * @returns {Object} { functions, complexity, cognitiveComplexity, halstead, maintainabilityIndex,
+ *   maintainability, lines: { total, code }, tokens } where tokens is the classified token stream
+ * @throws {SyntaxError} When the source cannot be parsed
+ */
+function analyzeJavaScript(content, filePath) {
+  const ast = parseSource(content, filePath);
+  const tokens = ast.tokens
+    .filter(token => token.type !== 'CommentLine' && token.type !== 'CommentBlock' && token.type.label !== 'eof')
+    .map(halsteadToken);
+  const functions = [];
+  const module = measure(ast.program, { functions, tokens, className: null });
+
+  // File totals: one path through the module plus every decision point in it
+  const complexity = functions.reduce((total, fn) => total + fn.complexity - 1, module.complexity);
+  const cognitiveComplexity = functions.reduce((total, fn) => total + fn.cognitiveComplexity, module.cognitiveComplexity);
+  const maintainability = measureMaintainability(tokens, complexity);
+
+  return {
+    functions,
+    complexity,
+    cognitiveComplexity,
+    ...maintainability,
+    lines: {
+      total: content.split('\n').length,
+      code: new Set(tokens.map(token => token.line)).size
+    },
+    tokens
+  };
+}
+
+/**
+ * Classifies a Babel token as a Halstead operator or operand
+ * @returns {Object} { kind, text, line, start, end }
+ */
+function halsteadToken(token) {
+  const label = token.type.label;
+  let kind = 'operator';
+  let text = typeof token.value === 'string' && token.value ? token.value : label;
+
+  if (UNCOUNTED_TOKENS.has(label) || (label === 'template' && !token.value)) {
+    kind = null;
+  } else if (OPERAND_TOKENS.has(label)) {
+    kind = 'operand';
+    if (label === 'string') text = JSON.stringify(token.value);
+    else if (label === 'regexp') text = `/${token.value.pattern}/${token.value.flags}`;
+    else if (label === 'num') text = String(token.value);
+  }
+
+  return { kind, text, line: token.loc.start.line, start: token.start, end: token.end };
+}
+
+/**
+ * Walks one function body (or the module) and records nested functions as it meets them
+ */
+function measure(root, context) {
+  const metrics = { complexity: 1, cognitiveComplexity: 0, nestingDepth: 0 };
+
+  const visit = (node, parent, nesting) => {
+    if (!node || typeof node.type !== 'string') {
+      return;
+    }
+
+    if (FUNCTION_TYPES.has(node.type) && node !== root) {
+      recordFunction(node, parent, context);
+      return;
+    }
+
+    const nest = () => {
+      metrics.cognitiveComplexity += 1 + nesting;
+      metrics.nestingDepth = Math.max(metrics.nestingDepth, nesting + 1);
+    };
+
+    switch (node.type) {
+      case 'ClassDeclaration':
+      case 'ClassExpression': {
+        const className = node.id ? node.id.name : nameFromParent(parent, context) || null;
+        visitChildren(node, nesting, (child, owner, level) => {
+          const saved = context.className;
+          context.className = className;
+          visit(child, owner, level);
+          context.className = saved;
+        });
+        return;
+      }
+
+      case 'IfStatement': {
+        const isElseIf = parent && parent.type === 'IfStatement' && parent.alternate === node;
+        metrics.complexity++;
+        if (isElseIf) {
+          metrics.cognitiveComplexity++;
+          metrics.nestingDepth = Math.max(metrics.nestingDepth, nesting + 1);
+        } else {
+          nest();
+        }
+
+        visit(node.test, node, nesting);
+        visit(node.consequent, node, nesting + 1);
+        if (node.alternate && node.alternate.type === 'IfStatement') {
+          visit(node.alternate, node, nesting);
+        } else if (node.alternate) {
+          metrics.cognitiveComplexity++;
+          visit(node.alternate, node, nesting + 1);
+        }
+        return;
+      }
+
+      case 'ConditionalExpression':
+        metrics.complexity++;
+        nest();
+        visit(node.test, node, nesting);
+        visit(node.consequent, node, nesting + 1);
+        visit(node.alternate, node, nesting + 1);
+        return;
+
+      case 'SwitchStatement':
+        nest();
+        visit(node.discriminant, node, nesting);
+        node.cases.forEach(switchCase => {
+          if (switchCase.test) metrics.complexity++;
+          visitChildren(switchCase, nesting + 1, visit);
+        });
+        return;
+
+      case 'CatchClause':
+        metrics.complexity++;
+        nest();
+        visitChildren(node, nesting + 1, visit);
+        return;
+
+      case 'LogicalExpression':
+        metrics.complexity++;
+        // a && b && c is one sequence; switching to || starts another
+        if (!(parent && parent.type === 'LogicalExpression' && parent.operator === node.operator)) {
+          metrics.cognitiveComplexity++;
+        }
+        break;
+
+      case 'AssignmentExpression':
+        if (LOGICAL_ASSIGNMENTS.has(node.operator)) metrics.complexity++;
+        break;
+
+      case 'BreakStatement':
+      case 'ContinueStatement':
+        if (node.label) metrics.cognitiveComplexity++;
+        break;
+
+      default:
+        if (LOOP_TYPES.has(node.type)) {
+          metrics.complexity++;
+          nest();
+          visitChildren(node, nesting + 1, visit);
+          return;
+        }
+    }
+
+    visitChildren(node, nesting, visit);
+  };
+
+  if (root.type === 'Program') {
+    visitChildren(root, 0, visit);
+  } else {
+    root.params.forEach(param => visit(param, root, 0));
+    visit(root.body, root, 0);
+  }
+
+  return metrics;
+}
+
+function visitChildren(node, nesting, visit) {
+  Object.keys(node).forEach(key => {
+    if (SKIPPED_KEYS.has(key)) return;
+
+    const value = node[key];
+    if (Array.isArray(value)) {
+      value.forEach(child => {
+        if (child && typeof child.type === 'string') visit(child, node, nesting);
+      });
+    } else if (value && typeof value.type === 'string') {
+      visit(value, node, nesting);
+    }
+  });
+}
+
+function recordFunction(node, parent, context) {
+  // Reserve the slot first so functions stay in source order
+  const entry = {
+    name: functionName(node, parent, context),
+    line: node.loc.start.line,
+    endLine: node.loc.end.line,
+    length: node.loc.end.line - node.loc.start.line + 1,
+    params: node.params.filter(param => !(param.type === 'Identifier' && param.name === 'this')).length
+  };
+  context.functions.push(entry);
+
+  const { complexity, cognitiveComplexity, nestingDepth } = measure(node, context);
+  const tokens = context.tokens.slice(firstTokenAt(context.tokens, node.start), firstTokenAt(context.tokens, node.end));
+  Object.assign(entry, { complexity, cognitiveComplexity, nestingDepth }, measureMaintainability(tokens, complexity));
+}
+
+/**
+ * Index of the first token starting at or after a source offset; tokens are in source
+ * order, so a function's tokens are found without scanning the whole file for each one
+ */
+function firstTokenAt(tokens, offset) {
+  let low = 0;
+  let high = tokens.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (tokens[middle].start < offset) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+function functionName(node, parent, context) {
+  if (node.type === 'ClassMethod' || node.type === 'ClassPrivateMethod' || node.type === 'ObjectMethod') {
+    const key = keyName(node.key, node.computed);
+    return node.type !== 'ObjectMethod' && context.className ? `${context.className}.${key}` : key;
+  }
+  if (node.id) {
+    return node.id.name;
+  }
+  return nameFromParent(parent, context) || (parent && parent.type === 'ExportDefaultDeclaration' ? 'default' : 'anonymous');
+}
+
+/**
+ * Name an anonymous function or class takes from where it is assigned
+ */
+function nameFromParent(parent, context) {
+  if (!parent) return null;
+
+  switch (parent.type) {
+    case 'VariableDeclarator':
+      return parent.id.type === 'Identifier' ? parent.id.name : null;
+    case 'AssignmentExpression':
+      return memberName(parent.left);
+    case 'AssignmentPattern':
+      return parent.left.type === 'Identifier' ? parent.left.name : null;
+    case 'ObjectProperty':
+      return keyName(parent.key, parent.computed);
+    case 'ClassProperty':
+    case 'ClassPrivateProperty': {
+      const key = keyName(parent.key, parent.computed);
+      return context.className ? `${context.className}.${key}` : key;
+    }
+    default:
+      return null;
+  }
+}
+
+function memberName(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if (node.type === 'MemberExpression') {
+    const object = memberName(node.object);
+    const property = keyName(node.property, node.computed);
+    return object ? `${object}.${property}` : property;
+  }
+  return null;
+}
+
+function keyName(key, computed) {
+  if (!computed && key.type === 'Identifier') return key.name;
+  if (key.type === 'PrivateName') return `#${key.id.name}`;
+  if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') return String(key.value);
+  return '[computed]';
+}
+
+module.exports = {
+  analyzeJavaScript,
+  parseSource
+};
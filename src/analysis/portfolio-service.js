@@ -0,0 +1,259 @@
+const async = require('async');
+const { v4: uuidv4 } = require('uuid');
+const githubService = require('../github/github-service');
+const analysisOrchestrator = require('./analysis-orchestrator');
+
+const MAX_REPOSITORIES = parseInt(process.env.PORTFOLIO_MAX_REPOSITORIES) || 100;
+const CONCURRENCY = parseInt(process.env.PORTFOLIO_CONCURRENCY) || 2;
+const MAX_JOBS = 20;
+const WEIGHTINGS = ['size', 'equal'];
+
+/**
+ * Analyzes every repository of a GitHub organization and rolls the results up
+ * into a portfolio summary.
+ *
+ * Repositories are discovered through the organization listing, filtered
+ * (archived, forks, topics, languages, recent activity) and analyzed through
+ * a queue of PORTFOLIO_CONCURRENCY concurrent analyses. Jobs run in the
+ * background and are kept in memory; the most recent MAX_JOBS are retained.
+ */
+class PortfolioService {
+  constructor() {
+    this.jobs = new Map();
+    this.running = new Map();
+  }
+
+  /**
+   * Discovers an organization's repositories and starts analyzing them
+   * @param {string} accessToken - GitHub access token
+   * @param {string} org - Organization (or user) login
+   * @param {Object} options - Repository filters, { weighting } 'size' or 'equal',
+   *   { requester } identifies who may read the job, { analysisOptions } passed to each analysis
+   * @returns {Object} The job as returned by getJob
+   */
+  async startPortfolioAnalysis(accessToken, org, options = {}) {
+    const limit = Math.min(parseInt(options.limit) || MAX_REPOSITORIES, MAX_REPOSITORIES);
+    const { repositories, complete } = await githubService.getOrganizationRepositories(accessToken, org);
+    const { selected, skipped } = this.filterRepositories(repositories, { ...options, limit });
+
+    const job = {
+      id: uuidv4(),
+      org,
+      requester: options.requester || null,
+      status: 'running',
+      weighting: WEIGHTINGS.includes(options.weighting) ? options.weighting : 'size',
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      discovered: repositories.length,
+      discoveryComplete: complete,
+      total: selected.length,
+      skipped,
+      results: [],
+      errors: [],
+      summary: null
+    };
+
+    this.storeJob(job);
+    const run = this.runJob(job, accessToken, selected, options.analysisOptions || {})
+      .finally(() => this.running.delete(job.id));
+    this.running.set(job.id, run);
+
+    console.log(`Portfolio ${job.id}: analyzing ${selected.length} of ${repositories.length} repositories in ${org}`);
+    return this.getJob(job.id);
+  }
+
+  /**
+   * Splits discovered repositories into those to analyze and those filtered out
+   * @param {Array} repositories - Summaries from getOrganizationRepositories
+   * @param {Object} filters - { includeArchived, includeForks, topics, languages, activeWithinDays, limit }
+   * @returns {Object} { selected, skipped: [{ repository, reason }] }
+   */
+  filterRepositories(repositories, filters = {}) {
+    const topics = toList(filters.topics).map(topic => topic.toLowerCase());
+    const languages = toList(filters.languages).map(language => language.toLowerCase());
+    const activeWithinDays = parseInt(filters.activeWithinDays) || null;
+    const activeSince = activeWithinDays ? Date.now() - activeWithinDays * 24 * 60 * 60 * 1000 : null;
+
+    const selected = [];
+    const skipped = [];
+
+    repositories.forEach(repository => {
+      let reason = null;
+
+      if (repository.archived && !isEnabled(filters.includeArchived)) {
+        reason = 'archived';
+      } else if (repository.fork && !isEnabled(filters.includeForks)) {
+        reason = 'fork';
+      } else if (repository.disabled) {
+        reason = 'disabled';
+      } else if (topics.length > 0 && !(repository.topics || []).some(topic => topics.includes(topic.toLowerCase()))) {
+        reason = 'topics';
+      } else if (languages.length > 0 && !languages.includes((repository.language || '').toLowerCase())) {
+        reason = 'language';
+      } else if (activeSince && !(new Date(repository.pushed_at).getTime() >= activeSince)) {
+        reason = 'inactive';
+      } else if (filters.limit && selected.length >= filters.limit) {
+        reason = 'limit';
+      }
+
+      if (reason) {
+        skipped.push({ repository: repository.full_name, reason });
+      } else {
+        selected.push(repository);
+      }
+    });
+
+    return { selected, skipped };
+  }
+
+  async runJob(job, accessToken, repositories, analysisOptions) {
+    try {
+      await async.eachLimit(repositories, CONCURRENCY, async repository => {
+        const owner = repository.owner || job.org;
+
+        try {
+          const analysis = await analysisOrchestrator.performComprehensiveAnalysis(
+            accessToken,
+            owner,
+            repository.name,
+            { forceRefresh: false, ...analysisOptions }
+          );
+
+          job.results.push({
+            repository: repository.full_name,
+            language: repository.language || null,
+            size: repository.size || 0,
+            score: analysis.techHealthScore.overall,
+            grade: analysis.techHealthScore.grade,
+            analysisId: analysis.analysisId
+          });
+        } catch (error) {
+          console.error(`Portfolio ${job.id}: analysis of ${repository.full_name} failed:`, error.message);
+          job.errors.push({ repository: repository.full_name, error: error.message });
+        }
+      });
+
+      job.summary = this.summarizePortfolio(job.results, job.weighting);
+      job.status = 'completed';
+    } catch (error) {
+      console.error(`Portfolio ${job.id} failed:`, error.message);
+      job.status = 'failed';
+      job.error = error.message;
+    } finally {
+      job.finishedAt = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Rolls per-repository scores up into an organization-level summary
+   * Size weighting is logarithmic: larger codebases count for more without one
+   * monolith drowning out the rest of the portfolio.
+   * @param {Array} results - [{ repository, language, size, score, grade }]
+   * @param {string} weighting - 'size' (repository size in KB) or 'equal'
+   */
+  summarizePortfolio(results, weighting = 'size') {
+    if (results.length === 0) {
+      return null;
+    }
+
+    const weighted = results.map(result => ({
+      ...result,
+      weight: weighting === 'equal' ? 1 : Math.round(Math.max(1, Math.log10((result.size || 0) + 1)) * 100) / 100
+    }));
+    const totalWeight = weighted.reduce((sum, result) => sum + result.weight, 0);
+    const score = weighted.reduce((sum, result) => sum + result.score * result.weight, 0) / totalWeight;
+
+    const gradeDistribution = {};
+    const languages = {};
+    weighted.forEach(result => {
+      const letter = result.grade.charAt(0);
+      gradeDistribution[letter] = (gradeDistribution[letter] || 0) + 1;
+
+      const language = result.language || 'Unknown';
+      languages[language] = languages[language] || { repositories: 0, totalScore: 0 };
+      languages[language].repositories++;
+      languages[language].totalScore += result.score;
+    });
+
+    const byScore = [...weighted].sort((a, b) => a.score - b.score);
+
+    return {
+      techHealthScore: {
+        overall: Math.round(score * 100) / 100,
+        grade: analysisOrchestrator.scoreToGrade(score),
+        weighting
+      },
+      repositories: byScore.length,
+      averageScore: Math.round(byScore.reduce((sum, result) => sum + result.score, 0) / byScore.length * 100) / 100,
+      gradeDistribution,
+      languages: Object.fromEntries(Object.entries(languages).map(([language, stats]) => [language, {
+        repositories: stats.repositories,
+        averageScore: Math.round(stats.totalScore / stats.repositories * 100) / 100
+      }])),
+      lowest: byScore.slice(0, 5).map(pickRanking),
+      highest: byScore.slice(-5).reverse().map(pickRanking),
+      repositoryScores: weighted
+    };
+  }
+
+  /**
+   * Public view of a job, or null if unknown (or started by someone else)
+   * @param {string} jobId - Job id
+   * @param {string} requester - Caller identity; omit to skip the ownership check
+   */
+  getJob(jobId, requester) {
+    const job = this.jobs.get(jobId);
+    if (!job || (requester !== undefined && job.requester !== requester)) {
+      return null;
+    }
+
+    const { requester: omitted, ...visible } = job;
+    return {
+      ...visible,
+      progress: {
+        total: job.total,
+        completed: job.results.length,
+        failed: job.errors.length,
+        percentage: job.total > 0 ? Math.round((job.results.length + job.errors.length) / job.total * 100) : 100
+      }
+    };
+  }
+
+  /**
+   * Keeps the most recent jobs, dropping the oldest finished ones
+   */
+  storeJob(job) {
+    this.jobs.set(job.id, job);
+
+    for (const [id, stored] of this.jobs) {
+      if (this.jobs.size <= MAX_JOBS) break;
+      if (stored.status !== 'running') {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Resolves once every running job has finished
+   */
+  async drain() {
+    await Promise.all([...this.running.values()]);
+  }
+}
+
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+function isEnabled(value) {
+  return value === true || value === 'true';
+}
+
+function pickRanking({ repository, score, grade }) {
+  return { repository, score, grade };
+}
+
+module.exports = new PortfolioService();
@@ -0,0 +1,230 @@
+const ACTIVITY_LIMIT = parseInt(process.env.PULL_REQUEST_ACTIVITY_LIMIT) || 100;
+
+// Lines changed (additions + deletions) at or below which a pull request falls in each bucket
+const SIZE_BUCKETS = [
+  { label: 'XS', maxLines: 10 },
+  { label: 'S', maxLines: 100 },
+  { label: 'M', maxLines: 400 },
+  { label: 'L', maxLines: 1000 },
+  { label: 'XL', maxLines: Infinity }
+];
+
+const HOUR_MS = 1000 * 60 * 60;
+
+class PullRequestAnalyzer {
+  /**
+   * @param {RepositoryClient} githubService - Request-scoped repository client
+   * @param {Object} options - { activityLimit } most recent pull requests to load reviews and commits for
+   */
+  constructor(githubService, options = {}) {
+    this.githubService = githubService;
+    this.activityLimit = options.activityLimit || ACTIVITY_LIMIT;
+  }
+
+  /**
+   * Collects pull request cycle-time metrics for a repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} options - { timeRange } in days
+   * @returns {Object} Pull request flow analysis
+   */
+  async analyzePullRequests(owner, repo, options = {}) {
+    try {
+      console.log(`Analyzing pull requests for ${owner}/${repo}`);
+
+      const timeRange = options.timeRange || 90;
+      const endDate = new Date();
+      const startDate = new Date(endDate.getTime() - (timeRange * 24 * HOUR_MS));
+
+      const pulls = await this.githubService.getPullRequests(owner, repo, {
+        since: startDate.toISOString(),
+        until: endDate.toISOString()
+      });
+
+      // Reviews and commits cost extra requests per pull request, so only the newest are enriched
+      const detailed = await Promise.all(pulls.slice(0, this.activityLimit).map(pull =>
+        this.githubService.getPullRequestActivity(owner, repo, pull).catch(error => {
+          console.warn(`Could not load activity for pull request #${pull.number}:`, error.message);
+          return pull;
+        })
+      ));
+
+      const reviewed = detailed.filter(pull => Array.isArray(pull.reviews));
+      const merged = pulls.filter(pull => pull.merged_at);
+      const reviewedMerged = reviewed.filter(pull => pull.merged_at);
+
+      const timeToFirstReview = this.summarizeDurations(reviewed.map(pull => {
+        const firstReview = this.getFirstReviewDate(pull);
+        return firstReview ? (firstReview - new Date(pull.created_at)) / HOUR_MS : null;
+      }));
+
+      const reviewToMerge = this.summarizeDurations(reviewedMerged.map(pull => {
+        const firstReview = this.getFirstReviewDate(pull);
+        return firstReview ? (new Date(pull.merged_at) - firstReview) / HOUR_MS : null;
+      }));
+
+      const cycleTime = this.summarizeDurations(merged.map(pull =>
+        (new Date(pull.merged_at) - new Date(pull.created_at)) / HOUR_MS
+      ));
+
+      const sizeDistribution = this.calculateSizeDistribution(detailed);
+      const reviewCoverage = this.calculateReviewCoverage(reviewedMerged);
+
+      return {
+        totals: {
+          total: pulls.length,
+          open: pulls.filter(pull => pull.state === 'open').length,
+          merged: merged.length,
+          closedWithoutMerge: pulls.filter(pull => pull.state === 'closed' && !pull.merged_at).length
+        },
+        timeToFirstReview,
+        reviewToMerge,
+        cycleTime,
+        sizeDistribution,
+        reviewCoverage,
+        sample: {
+          analyzed: detailed.length,
+          total: pulls.length,
+          reviewDataAvailable: reviewed.length > 0 || pulls.length === 0
+        },
+        recommendations: this.generateRecommendations({ timeToFirstReview, sizeDistribution, reviewCoverage }),
+        collectedAt: new Date().toISOString(),
+        timeRange: `${timeRange} days`,
+        dataCompleteness: this.getDataCompleteness(owner, repo)
+      };
+    } catch (error) {
+      console.error('Error analyzing pull requests:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Earliest submitted review by someone other than the author
+   * @returns {Date|null}
+   */
+  getFirstReviewDate(pull) {
+    const author = pull.user?.login;
+    const dates = (pull.reviews || [])
+      .filter(review => review.submitted_at && review.state !== 'PENDING')
+      .filter(review => !author || review.user?.login !== author)
+      .map(review => new Date(review.submitted_at));
+
+    return dates.length > 0 ? new Date(Math.min(...dates)) : null;
+  }
+
+  /**
+   * Summarizes durations in hours, ignoring missing values
+   */
+  summarizeDurations(hours) {
+    const values = hours.filter(value => value !== null && value >= 0).sort((a, b) => a - b);
+    if (values.length === 0) {
+      return { count: 0, averageHours: null, medianHours: null, p90Hours: null };
+    }
+
+    const round = value => Math.round(value * 100) / 100;
+    const percentile = p => values[Math.min(values.length - 1, Math.ceil(p * values.length) - 1)];
+
+    return {
+      count: values.length,
+      averageHours: round(values.reduce((sum, value) => sum + value, 0) / values.length),
+      medianHours: round(percentile(0.5)),
+      p90Hours: round(percentile(0.9))
+    };
+  }
+
+  /**
+   * Buckets pull requests by lines changed
+   */
+  calculateSizeDistribution(pulls) {
+    const sizes = pulls
+      .filter(pull => typeof pull.additions === 'number' && typeof pull.deletions === 'number')
+      .map(pull => pull.additions + pull.deletions)
+      .sort((a, b) => a - b);
+
+    const buckets = {};
+    SIZE_BUCKETS.forEach(bucket => {
+      buckets[bucket.label] = 0;
+    });
+    sizes.forEach(size => {
+      buckets[SIZE_BUCKETS.find(bucket => size <= bucket.maxLines).label]++;
+    });
+
+    return {
+      measured: sizes.length,
+      buckets,
+      medianLines: sizes.length > 0 ? sizes[Math.ceil(sizes.length / 2) - 1] : null,
+      largePercentage: sizes.length > 0
+        ? Math.round(((buckets.L + buckets.XL) / sizes.length) * 10000) / 100
+        : 0
+    };
+  }
+
+  /**
+   * Share of merged pull requests that had a review from someone other than the author before merging
+   */
+  calculateReviewCoverage(mergedPulls) {
+    const reviewedBeforeMerge = mergedPulls.filter(pull => {
+      const firstReview = this.getFirstReviewDate(pull);
+      return firstReview && firstReview <= new Date(pull.merged_at);
+    });
+
+    return {
+      merged: mergedPulls.length,
+      reviewed: reviewedBeforeMerge.length,
+      reviewedPercentage: mergedPulls.length > 0
+        ? Math.round((reviewedBeforeMerge.length / mergedPulls.length) * 10000) / 100
+        : null
+    };
+  }
+
+  /**
+   * Generates review process recommendations
+   */
+  generateRecommendations(metrics) {
+    const recommendations = [];
+
+    if (metrics.reviewCoverage.reviewedPercentage !== null && metrics.reviewCoverage.reviewedPercentage < 80) {
+      recommendations.push({
+        metric: 'Review Coverage',
+        priority: 'high',
+        title: 'Review Changes Before Merging',
+        description: `Only ${metrics.reviewCoverage.reviewedPercentage}% of merged pull requests were reviewed. Require at least one approving review through branch protection.`,
+        impact: 'Fewer defects reaching production and shared knowledge of the codebase'
+      });
+    }
+
+    if (metrics.timeToFirstReview.medianHours > 24) {
+      recommendations.push({
+        metric: 'Time to First Review',
+        priority: 'medium',
+        title: 'Speed Up First Review',
+        description: 'Pull requests typically wait more than a day for a first review. Set review expectations and use code owners to route reviews.',
+        impact: 'Shorter lead time and less context switching for authors'
+      });
+    }
+
+    if (metrics.sizeDistribution.largePercentage > 30) {
+      recommendations.push({
+        metric: 'Pull Request Size',
+        priority: 'medium',
+        title: 'Reduce Pull Request Size',
+        description: `${metrics.sizeDistribution.largePercentage}% of pull requests change more than 400 lines. Split work into smaller, independently reviewable changes.`,
+        impact: 'Faster, more thorough reviews and lower change risk'
+      });
+    }
+
+    return recommendations;
+  }
+
+  /**
+   * Reports whether the pull requests fetched were complete or cut short by the pagination cap
+   */
+  getDataCompleteness(owner, repo) {
+    if (typeof this.githubService.getFetchStatus !== 'function') {
+      return null;
+    }
+    return this.githubService.getFetchStatus(owner, repo).resources.pullRequests || null;
+  }
+}
+
+module.exports = PullRequestAnalyzer;
@@ -1,30 +1,47 @@
 const express = require('express');
 const analysisOrchestrator = require('./analysis-orchestrator');
-const githubService = require('../github/github-service');
-const { requireAuth } = require('../auth/validators');
+const portfolioService = require('./portfolio-service');
+const ArchiveExtractor = require('../local/archive-extractor');
+const ReportGenerator = require('../reports/report-generator');
+const {
+  requireProviderAuth,
+  requireValidRef,
+  requireValidPath,
+  getProviderOptions
+} = require('../auth/validators');
 
 const router = express.Router();
+const archiveExtractor = new ArchiveExtractor();
+const reportGenerator = new ReportGenerator();
 
 /**
  * GET /api/analysis/comprehensive/:owner/:repo
  * Performs comprehensive repository analysis
  */
-router.get('/comprehensive/:owner/:repo', requireAuth, async (req, res) => {
+router.get('/comprehensive/:owner/:repo', requireProviderAuth, requireValidRef, requireValidPath, async (req, res) => {
   try {
     const { owner, repo } = req.params;
-    const accessToken = req.session.user.accessToken;
+    const accessToken = req.auth.accessToken;
     
     const options = {
       forceRefresh: req.query.refresh === 'true',
       cacheTime: parseInt(req.query.cacheTime) || 3600000,
-      timeRange: parseInt(req.query.timeRange) || 90
+      timeRange: parseInt(req.query.timeRange) || 90,
+      deployWorkflows: req.query.deployWorkflows,
+      deployJobs: req.query.deployJobs,
+      deploymentEnvironment: req.query.environment,
+      maxItems: parseInt(req.query.maxItems) || undefined,
+      dataSource: req.query.dataSource,
+      ref: req.query.ref,
+      path: req.query.path,
+      fileBudget: parseInt(req.query.fileBudget) || undefined,
+      sampling: req.query.sampling,
+      minCloneTokens: parseInt(req.query.minCloneTokens) || undefined,
+      ...getProviderOptions(req)
     };
 
     console.log(`Starting comprehensive analysis for ${owner}/${repo}`);
     
-    // Set authenticated client for analysis
-    githubService.setAuthenticatedClient(accessToken);
-    
     const analysisResults = await analysisOrchestrator.performComprehensiveAnalysis(
       accessToken, 
       owner, 
@@ -39,13 +56,11 @@ router.get('/comprehensive/:owner/:repo', requireAuth, async (req, res) => {
 
   } catch (error) {
     console.error('Error in comprehensive analysis:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message,
       details: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
-  } finally {
-    githubService.clearAuthenticatedClient();
   }
 });
 
@@ -53,10 +68,10 @@ router.get('/comprehensive/:owner/:repo', requireAuth, async (req, res) => {
  * GET /api/analysis/streaming/:owner/:repo
  * Performs streaming analysis with progress updates via Server-Sent Events
  */
-router.get('/streaming/:owner/:repo', requireAuth, async (req, res) => {
+router.get('/streaming/:owner/:repo', requireProviderAuth, requireValidRef, requireValidPath, async (req, res) => {
   try {
     const { owner, repo } = req.params;
-    const accessToken = req.session.user.accessToken;
+    const accessToken = req.auth.accessToken;
     
     // Setup Server-Sent Events
     res.writeHead(200, {
@@ -68,14 +83,21 @@ router.get('/streaming/:owner/:repo', requireAuth, async (req, res) => {
     });
 
     const options = {
-      timeRange: parseInt(req.query.timeRange) || 90
+      timeRange: parseInt(req.query.timeRange) || 90,
+      deployWorkflows: req.query.deployWorkflows,
+      deployJobs: req.query.deployJobs,
+      deploymentEnvironment: req.query.environment,
+      dataSource: req.query.dataSource,
+      ref: req.query.ref,
+      path: req.query.path,
+      fileBudget: parseInt(req.query.fileBudget) || undefined,
+      sampling: req.query.sampling,
+      minCloneTokens: parseInt(req.query.minCloneTokens) || undefined,
+      ...getProviderOptions(req)
     };
 
     console.log(`Starting streaming analysis for ${owner}/${repo}`);
     
-    // Set authenticated client
-    githubService.setAuthenticatedClient(accessToken);
-
     const progressCallback = (progress) => {
       res.write(`data: ${JSON.stringify(progress)}\n\n`);
     };
@@ -111,8 +133,6 @@ router.get('/streaming/:owner/:repo', requireAuth, async (req, res) => {
       message: error.message 
     })}\n\n`);
     res.end();
-  } finally {
-    githubService.clearAuthenticatedClient();
   }
 });
 
@@ -120,19 +140,32 @@ router.get('/streaming/:owner/:repo', requireAuth, async (req, res) => {
  * GET /api/analysis/code-quality/:owner/:repo
  * Performs code quality analysis only
  */
-router.get('/code-quality/:owner/:repo', requireAuth, async (req, res) => {
+router.get('/code-quality/:owner/:repo', requireProviderAuth, requireValidRef, requireValidPath, async (req, res) => {
   try {
     const { owner, repo } = req.params;
-    const accessToken = req.session.user.accessToken;
+    const accessToken = req.auth.accessToken;
+
+    const options = {
+      dataSource: req.query.dataSource,
+      ref: req.query.ref,
+      path: req.query.path,
+      fileBudget: parseInt(req.query.fileBudget) || undefined,
+      sampling: req.query.sampling,
+      minCloneTokens: parseInt(req.query.minCloneTokens) || undefined,
+      ...getProviderOptions(req)
+    };
 
     console.log(`Starting code quality analysis for ${owner}/${repo}`);
     
-    githubService.setAuthenticatedClient(accessToken);
-    
+    const client = analysisOrchestrator.getProvider(options).createClient(accessToken, {
+      dataSource: options.dataSource,
+      ref: options.ref
+    });
     const codeQualityResults = await analysisOrchestrator.performCodeQualityAnalysis(
+      client,
       owner, 
       repo, 
-      {}
+      options
     );
 
     res.json({
@@ -147,8 +180,6 @@ router.get('/code-quality/:owner/:repo', requireAuth, async (req, res) => {
       success: false,
       error: error.message
     });
-  } finally {
-    githubService.clearAuthenticatedClient();
   }
 });
 
@@ -156,20 +187,29 @@ router.get('/code-quality/:owner/:repo', requireAuth, async (req, res) => {
  * GET /api/analysis/dora-metrics/:owner/:repo
  * Performs DORA metrics analysis only
  */
-router.get('/dora-metrics/:owner/:repo', requireAuth, async (req, res) => {
+router.get('/dora-metrics/:owner/:repo', requireProviderAuth, async (req, res) => {
   try {
     const { owner, repo } = req.params;
-    const accessToken = req.session.user.accessToken;
+    const accessToken = req.auth.accessToken;
 
     const options = {
-      timeRange: parseInt(req.query.timeRange) || 90
+      timeRange: parseInt(req.query.timeRange) || 90,
+      deployWorkflows: req.query.deployWorkflows,
+      deployJobs: req.query.deployJobs,
+      deploymentEnvironment: req.query.environment,
+      maxItems: parseInt(req.query.maxItems) || undefined,
+      dataSource: req.query.dataSource,
+      ...getProviderOptions(req)
     };
 
     console.log(`Starting DORA metrics analysis for ${owner}/${repo}`);
     
-    githubService.setAuthenticatedClient(accessToken);
-    
+    const client = analysisOrchestrator.getProvider(options).createClient(accessToken, {
+      maxItems: options.maxItems,
+      dataSource: options.dataSource
+    });
     const doraResults = await analysisOrchestrator.performDORAAnalysis(
+      client,
       owner, 
       repo, 
       options
@@ -187,8 +227,6 @@ router.get('/dora-metrics/:owner/:repo', requireAuth, async (req, res) => {
       success: false,
       error: error.message
     });
-  } finally {
-    githubService.clearAuthenticatedClient();
   }
 });
 
@@ -196,27 +234,30 @@ router.get('/dora-metrics/:owner/:repo', requireAuth, async (req, res) => {
  * GET /api/analysis/benchmarking/:owner/:repo
  * Performs benchmarking analysis with repository context
  */
-router.get('/benchmarking/:owner/:repo', requireAuth, async (req, res) => {
+router.get('/benchmarking/:owner/:repo', requireProviderAuth, requireValidRef, requireValidPath, async (req, res) => {
   try {
     const { owner, repo } = req.params;
-    const accessToken = req.session.user.accessToken;
+    const accessToken = req.auth.accessToken;
+
+    const options = { ref: req.query.ref, path: req.query.path, ...getProviderOptions(req) };
+    const provider = analysisOrchestrator.getProvider(options);
 
     console.log(`Starting benchmarking analysis for ${owner}/${repo}`);
     
-    githubService.setAuthenticatedClient(accessToken);
-    
     // Get repository context for benchmarking
     const repositoryContext = await analysisOrchestrator.gatherRepositoryContext(
       accessToken, 
       owner, 
-      repo
+      repo,
+      options
     );
 
     // For benchmarking-only analysis, we need some basic metrics
+    const client = provider.createClient(accessToken, { ref: options.ref });
     const [repositoryStats, codeQualityResults, doraResults] = await Promise.all([
-      githubService.getRepositoryStats(accessToken, owner, repo).catch(() => null),
-      analysisOrchestrator.performCodeQualityAnalysis(owner, repo, {}).catch(() => null),
-      analysisOrchestrator.performDORAAnalysis(owner, repo, {}).catch(() => null)
+      provider.getRepositoryStats(accessToken, owner, repo).catch(() => null),
+      analysisOrchestrator.performCodeQualityAnalysis(client, owner, repo, options).catch(() => null),
+      analysisOrchestrator.performDORAAnalysis(client, owner, repo, options).catch(() => null)
     ]);
 
     const combinedMetrics = {
@@ -244,8 +285,6 @@ router.get('/benchmarking/:owner/:repo', requireAuth, async (req, res) => {
       success: false,
       error: error.message
     });
-  } finally {
-    githubService.clearAuthenticatedClient();
   }
 });
 
@@ -253,20 +292,19 @@ router.get('/benchmarking/:owner/:repo', requireAuth, async (req, res) => {
  * GET /api/analysis/summary/:owner/:repo
  * Gets a quick summary analysis suitable for dashboards
  */
-router.get('/summary/:owner/:repo', requireAuth, async (req, res) => {
+router.get('/summary/:owner/:repo', requireProviderAuth, requireValidRef, requireValidPath, async (req, res) => {
   try {
     const { owner, repo } = req.params;
-    const accessToken = req.session.user.accessToken;
+    const accessToken = req.auth.accessToken;
+
+    const options = { ref: req.query.ref, path: req.query.path, ...getProviderOptions(req) };
 
     console.log(`Getting analysis summary for ${owner}/${repo}`);
     
-    githubService.setAuthenticatedClient(accessToken);
-    
     // Check cache first for comprehensive analysis
-    const cacheKey = `${owner}/${repo}`;
-    const cached = analysisOrchestrator.analysisCache?.get(cacheKey);
+    const cached = await analysisOrchestrator.getCachedAnalysis(accessToken, owner, repo, options, 1800000); // 30 minutes
     
-    if (cached && Date.now() - cached.timestamp < 1800000) { // 30 minutes
+    if (cached) {
       // Return summary from cached comprehensive analysis
       const summary = {
         repository: {
@@ -293,8 +331,8 @@ router.get('/summary/:owner/:repo', requireAuth, async (req, res) => {
 
     // Perform lightweight analysis for summary
     const [repositoryBasics, repositoryStats] = await Promise.all([
-      analysisOrchestrator.analyzeRepositoryBasics(accessToken, owner, repo),
-      githubService.getRepositoryStats(accessToken, owner, repo).catch(() => null)
+      analysisOrchestrator.analyzeRepositoryBasics(accessToken, owner, repo, options),
+      analysisOrchestrator.getProvider(options).getRepositoryStats(accessToken, owner, repo).catch(() => null)
     ]);
 
     const summary = {
@@ -336,8 +374,6 @@ router.get('/summary/:owner/:repo', requireAuth, async (req, res) => {
       success: false,
       error: error.message
     });
-  } finally {
-    githubService.clearAuthenticatedClient();
   }
 });
 
@@ -345,7 +381,7 @@ router.get('/summary/:owner/:repo', requireAuth, async (req, res) => {
  * GET /api/analysis/status
  * Gets analysis service status and cache information
  */
-router.get('/status', requireAuth, async (req, res) => {
+router.get('/status', requireProviderAuth, async (req, res) => {
   try {
     const cacheStats = analysisOrchestrator.getCacheStats();
     
@@ -382,7 +418,7 @@ router.get('/status', requireAuth, async (req, res) => {
  * DELETE /api/analysis/cache
  * Clears the analysis cache
  */
-router.delete('/cache', requireAuth, async (req, res) => {
+router.delete('/cache', requireProviderAuth, async (req, res) => {
   try {
     analysisOrchestrator.clearCache();
     
@@ -404,10 +440,10 @@ router.delete('/cache', requireAuth, async (req, res) => {
  * POST /api/analysis/batch
  * Performs batch analysis on multiple repositories
  */
-router.post('/batch', requireAuth, async (req, res) => {
+router.post('/batch', requireProviderAuth, async (req, res) => {
   try {
     const { repositories } = req.body;
-    const accessToken = req.session.user.accessToken;
+    const accessToken = req.auth.accessToken;
 
     if (!repositories || !Array.isArray(repositories)) {
       return res.status(400).json({
@@ -425,8 +461,6 @@ router.post('/batch', requireAuth, async (req, res) => {
 
     console.log(`Starting batch analysis for ${repositories.length} repositories`);
     
-    githubService.setAuthenticatedClient(accessToken);
-    
     const results = [];
     const errors = [];
 
@@ -438,7 +472,7 @@ router.post('/batch', requireAuth, async (req, res) => {
           accessToken,
           owner,
           name,
-          { forceRefresh: false }
+          { forceRefresh: false, ...getProviderOptions(req) }
         );
         
         results.push({
@@ -478,9 +512,169 @@ router.post('/batch', requireAuth, async (req, res) => {
       success: false,
       error: error.message
     });
-  } finally {
-    githubService.clearAuthenticatedClient();
   }
 });
 
+/**
+ * POST /api/analysis/portfolio/:org
+ * Discovers an organization's repositories and analyzes them in the background
+ * Body: { includeArchived, includeForks, topics, languages, activeWithinDays, limit, weighting, timeRange }
+ */
+router.post('/portfolio/:org', requireProviderAuth, async (req, res) => {
+  try {
+    const { org } = req.params;
+    const filters = req.body || {};
+
+    if (req.auth.provider !== 'github') {
+      return res.status(400).json({
+        success: false,
+        error: 'Portfolio analysis is only available for GitHub organizations'
+      });
+    }
+
+    if (!/^[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,38})$/.test(org)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid organization name'
+      });
+    }
+
+    const job = await portfolioService.startPortfolioAnalysis(req.auth.accessToken, org, {
+      includeArchived: filters.includeArchived,
+      includeForks: filters.includeForks,
+      topics: filters.topics,
+      languages: filters.languages,
+      activeWithinDays: filters.activeWithinDays,
+      limit: filters.limit,
+      weighting: filters.weighting,
+      requester: getRequester(req),
+      analysisOptions: {
+        timeRange: parseInt(filters.timeRange) || 90,
+        ...getProviderOptions(req)
+      }
+    });
+
+    res.status(202).json({
+      success: true,
+      data: job
+    });
+
+  } catch (error) {
+    console.error('Error starting portfolio analysis:', error);
+    res.status(error.status === 404 ? 404 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/analysis/portfolio/jobs/:jobId
+ * Returns the progress of a portfolio analysis and, once finished, its summary
+ */
+router.get('/portfolio/jobs/:jobId', requireProviderAuth, (req, res) => {
+  const job = portfolioService.getJob(req.params.jobId, getRequester(req));
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Portfolio job not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: job
+  });
+});
+
+/**
+ * Who started a portfolio job: the GitHub App installation or the signed-in user
+ */
+function getRequester(req) {
+  if (req.auth.installationId) {
+    return `installation:${req.auth.installationId}`;
+  }
+  return req.session.user ? `user:${req.session.user.id}` : `${req.auth.provider}:session`;
+}
+
+/**
+ * POST /api/analysis/archive
+ * Analyzes an uploaded source archive (zip, tar or tar.gz request body) and
+ * returns the Tech Health Appendix. DORA sections are marked unavailable since
+ * an archive has no history. Extracted files are deleted before responding.
+ */
+router.post('/archive',
+  requireProviderAuth,
+  express.raw({ type: () => true, limit: ArchiveExtractor.MAX_ARCHIVE_BYTES }),
+  async (req, res) => {
+    let extracted = null;
+
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Request body must be a zip, tar or tar.gz archive'
+        });
+      }
+
+      const name = String(req.query.name || 'uploaded-archive').replace(/[^A-Za-z0-9._-]/g, '-').slice(0, 100);
+      const options = {
+        format: req.query.format || 'html', // html, pdf, both
+        includeCharts: req.query.charts !== 'false'
+      };
+
+      extracted = await archiveExtractor.extract(req.body);
+      console.log(`Analyzing ${extracted.format} archive ${name} (${extracted.files} files)`);
+
+      const analysisResults = await analysisOrchestrator.performArchiveAnalysis(extracted.directory, name, {
+        archive: { format: extracted.format, files: extracted.files, bytes: extracted.bytes }
+      });
+      const report = await reportGenerator.generateTechHealthAppendix(analysisResults, options);
+
+      if (options.format === 'pdf') {
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="tech-health-appendix-${name}.pdf"`);
+        res.send(report.pdfBuffer);
+      } else if (options.format === 'both') {
+        res.json({
+          success: true,
+          data: {
+            reportId: report.reportId,
+            htmlContent: report.htmlContent,
+            pdfBase64: report.pdfBuffer.toString('base64'),
+            metadata: report.metadata,
+            charts: Object.keys(report.charts),
+            recommendations: report.recommendations.length
+          }
+        });
+      } else {
+        res.json({
+          success: true,
+          data: {
+            reportId: report.reportId,
+            htmlContent: report.htmlContent,
+            metadata: report.metadata,
+            executiveSummary: report.executiveSummary,
+            charts: Object.keys(report.charts),
+            recommendations: report.recommendations.length
+          }
+        });
+      }
+
+    } catch (error) {
+      console.error('Error in archive analysis:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+        details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      });
+    } finally {
+      if (extracted) {
+        await archiveExtractor.cleanup(extracted.directory);
+      }
+    }
+  }
+);
+
 module.exports = router; 
\ No newline at end of file
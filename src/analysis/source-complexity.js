@@ -0,0 +1,689 @@
+const path = require('path').posix;
+const { LANGUAGE_EXTENSIONS } = require('../local/languages');
+const { measureMaintainability } = require('./halstead');
+
+// Languages measured here; JavaScript and TypeScript go through javascript-complexity.js
+const SOURCE_LANGUAGES = ['Python', 'Go', 'Java'];
+
+const TOKEN_PATTERN = /""|[A-Za-z_$][\w$]*|&&|\|\||->|\.\.\.|[^\s\w]/g;
+
+// Halstead tokens: longest operators first so `<<=` is one operator, not three
+const HALSTEAD_PATTERN = new RegExp([
+  '""', '\\d[\\w.]*', '[A-Za-z_$][\\w$]*',
+  '>>>=', '<<=', '>>=', '\\*\\*=', '//=', '\\.\\.\\.', '&\\^=',
+  '&&', '\\|\\|', '->', '::', ':=', '==', '!=', '<=', '>=', '\\+\\+', '--', '<-', '&\\^',
+  '\\+=', '-=', '\\*=', '/=', '%=', '&=', '\\|=', '\\^=', '<<', '>>', '\\*\\*', '//',
+  '[^\\s\\w]'
+].join('|'), 'g');
+
+// Keywords are Halstead operators, except the literal ones
+const KEYWORDS = {
+  Python: new Set([
+    'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else',
+    'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal',
+    'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield', 'match', 'case'
+  ]),
+  Go: new Set([
+    'break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else', 'fallthrough', 'for',
+    'func', 'go', 'goto', 'if', 'import', 'interface', 'map', 'package', 'range', 'return', 'select',
+    'struct', 'switch', 'type', 'var'
+  ]),
+  Java: new Set([
+    'abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'continue',
+    'default', 'do', 'double', 'else', 'enum', 'extends', 'final', 'finally', 'float', 'for', 'if',
+    'implements', 'import', 'instanceof', 'int', 'interface', 'long', 'native', 'new', 'package',
+    'private', 'protected', 'public', 'record', 'return', 'short', 'static', 'strictfp', 'switch',
+    'synchronized', 'throw', 'throws', 'transient', 'try', 'var', 'void', 'volatile', 'while', 'yield'
+  ])
+};
+
+const JAVA_KEYWORDS = new Set([
+  'if', 'for', 'while', 'switch', 'catch', 'synchronized', 'return', 'new', 'throw',
+  'else', 'try', 'do', 'super', 'this', 'assert', 'case', 'yield', 'finally'
+]);
+const JAVA_TYPE_DECLARATIONS = new Set(['class', 'interface', 'enum', 'record']);
+
+/**
+ * Language of a file measured by analyzeSource, or null
+ * @param {string} filePath - Repository path
+ */
+function sourceLanguage(filePath) {
+  const language = LANGUAGE_EXTENSIONS[path.extname(filePath || '').toLowerCase()];
+  return SOURCE_LANGUAGES.includes(language) ? language : null;
+}
+
+/**
+ * Measures every function in a Python, Go or Java file.
+ *
+ * There is no parser for these languages here, so comments and string
+ * literals are stripped first and the remaining tokens are read with the
+ * language's block structure (indentation for Python, braces for Go and
+ * Java). Metrics match javascript-complexity.js: cyclomatic complexity,
+ * cognitive complexity, nesting depth, parameter count and line range per
+ * function, with nested functions, Go function literals and Java block
+ * lambdas measured on their own. Halstead metrics and the maintainability
+ * index are computed from the same stripped source, over each function's
+ * line range.
+ * @param {string} content - Source code
+ * @param {string} language - 'Python', 'Go' or 'Java'
+ * @returns {Object} { functions, complexity, cognitiveComplexity, halstead, maintainabilityIndex,
+ *   maintainability, lines: { total, code }, tokens } where tokens is the classified token stream
+ */
+function analyzeSource(content, language) {
+  if (!SOURCE_LANGUAGES.includes(language)) {
+    throw new Error(`No complexity analyzer for ${language}`);
+  }
+
+  const lines = stripComments(content, language).split('\n');
+  const { functions, module } = language === 'Python' ? measurePython(lines) : measureBraces(lines, language);
+  const tokens = halsteadTokens(lines, language);
+  const complexity = functions.reduce((total, fn) => total + fn.complexity - 1, module.complexity);
+
+  functions.forEach(fn => Object.assign(fn, measureMaintainability(
+    tokens.filter(token => token.line >= fn.line && token.line <= fn.endLine),
+    fn.complexity
+  )));
+
+  return {
+    functions,
+    complexity,
+    cognitiveComplexity: functions.reduce((total, fn) => total + fn.cognitiveComplexity, module.cognitiveComplexity),
+    ...measureMaintainability(tokens, complexity),
+    lines: {
+      total: lines.length,
+      code: lines.filter(line => line.trim()).length
+    },
+    tokens
+  };
+}
+
+/**
+ * Removes comments and replaces string literals with "" (keeping line breaks, so line numbers hold)
+ */
+function stripComments(content, language) {
+  const python = language === 'Python';
+  let output = '';
+  let i = 0;
+
+  const skipString = (quote, multiline) => {
+    output += '""';
+    i += quote.length;
+    while (i < content.length && !content.startsWith(quote, i)) {
+      if (content[i] === '\\' && quote !== '`') {
+        i++;
+      } else if (content[i] === '\n') {
+        if (!multiline) return;
+        output += '\n';
+      }
+      i++;
+    }
+    i += quote.length;
+  };
+
+  while (i < content.length) {
+    const char = content[i];
+    const next = content[i + 1];
+
+    if (python ? char === '#' : char === '/' && next === '/') {
+      while (i < content.length && content[i] !== '\n') i++;
+    } else if (!python && char === '/' && next === '*') {
+      const end = content.indexOf('*/', i + 2);
+      const comment = content.slice(i, end < 0 ? content.length : end + 2);
+      output += comment.replace(/[^\n]/g, ' ');
+      i += comment.length;
+    } else if ((python || language === 'Java') && (content.startsWith('"""', i) || (python && content.startsWith("'''", i)))) {
+      skipString(content.slice(i, i + 3), true);
+    } else if (char === '"' || char === '\'') {
+      skipString(char, false);
+    } else if (language === 'Go' && char === '`') {
+      skipString('`', true);
+    } else {
+      output += char;
+      i++;
+    }
+  }
+
+  return output;
+}
+
+function tokenize(lines) {
+  const tokens = [];
+  lines.forEach((line, index) => {
+    (line.match(TOKEN_PATTERN) || []).forEach(text => tokens.push({ text, line: index + 1 }));
+  });
+  return tokens;
+}
+
+/**
+ * Classifies the tokens of stripped source as Halstead operators and operands
+ * @returns {Array} [{ kind, text, line }]
+ */
+function halsteadTokens(lines, language) {
+  const keywords = KEYWORDS[language];
+  const tokens = [];
+
+  lines.forEach((line, index) => {
+    (line.match(HALSTEAD_PATTERN) || []).forEach(text => {
+      let kind = 'operator';
+      if ([')', ']', '}', ';'].includes(text)) {
+        kind = null;
+      } else if (/^[\w$"]/.test(text) && !keywords.has(text)) {
+        kind = 'operand';
+      }
+      tokens.push({ kind, text, line: index + 1 });
+    });
+  });
+
+  return tokens;
+}
+
+function createMetrics() {
+  return { complexity: 1, cognitiveComplexity: 0, nestingDepth: 0 };
+}
+
+function finishFunction(frame, endLine) {
+  frame.entry.endLine = endLine;
+  frame.entry.length = endLine - frame.entry.line + 1;
+  Object.assign(frame.entry, frame.metrics);
+}
+
+/**
+ * Go and Java: blocks are delimited by braces
+ */
+function measureBraces(lines, language) {
+  const java = language === 'Java';
+  const tokens = tokenize(lines);
+  const functions = [];
+  const module = createMetrics();
+  const stack = [];
+  let pending = null;
+  let parenDepth = 0;
+  let lastLogical = null;
+  let lastClosed = null;
+  let afterNew = false;
+
+  const functionFrame = () => [...stack].reverse().find(frame => frame.kind === 'function');
+  const metrics = () => (functionFrame() || { metrics: module }).metrics;
+  const nesting = () => {
+    let level = 0;
+    for (let index = stack.length - 1; index >= 0 && stack[index].kind !== 'function'; index--) {
+      if (stack[index].kind === 'control') level++;
+    }
+    return level;
+  };
+  const className = () => {
+    const frame = [...stack].reverse().find(candidate => candidate.kind === 'class' || candidate.kind === 'function');
+    return frame && frame.kind === 'class' ? frame.name : null;
+  };
+  const structure = (kind, cognitive = true) => {
+    const current = metrics();
+    const level = nesting();
+    if (cognitive) current.cognitiveComplexity += 1 + level;
+    current.nestingDepth = Math.max(current.nestingDepth, level + 1);
+    pending = { kind: 'control', structure: kind, parenDepth };
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const { text, line } = tokens[i];
+    const previous = tokens[i - 1] || {};
+    const next = tokens[i + 1] || {};
+
+    if (previous.line !== line && !['&&', '||', '(', ','].includes(previous.text)) {
+      lastLogical = null;
+    }
+
+    const header = java ? javaMethodHeader(tokens, i, stack) : goFunctionHeader(tokens, i);
+    if (header) {
+      const owner = className();
+      const entry = {
+        name: owner && header.name !== 'anonymous' ? `${owner}.${header.name}` : header.name,
+        line,
+        params: header.params
+      };
+      functions.push(entry);
+      pending = { kind: 'function', entry };
+      i = header.bodyIndex - 1;
+      continue;
+    }
+
+    switch (text) {
+      case '(':
+        parenDepth++;
+        break;
+      case ')':
+        parenDepth--;
+        break;
+      case '{': {
+        let frame = { kind: 'block' };
+        if (pending && pending.kind === 'function') {
+          frame = { kind: 'function', entry: pending.entry, metrics: createMetrics() };
+        } else if (pending && pending.kind === 'class') {
+          frame = { kind: 'class', name: pending.name };
+        } else if (pending && pending.kind === 'control' && pending.parenDepth === parenDepth) {
+          frame = { kind: 'control', structure: pending.structure };
+        } else if (java && afterNew && previous.text === ')') {
+          frame = { kind: 'class', name: 'anonymous' };
+        }
+        stack.push(frame);
+        pending = null;
+        afterNew = false;
+        lastLogical = null;
+        break;
+      }
+      case '}': {
+        const frame = stack.pop();
+        if (frame && frame.kind === 'function') {
+          finishFunction(frame, line);
+        }
+        lastClosed = frame || null;
+        lastLogical = null;
+        break;
+      }
+      case ';':
+        // A Java braceless body ends here; Go has none, and its headers hold init statements
+        if (java && pending && pending.kind === 'control' && pending.parenDepth === parenDepth) pending = null;
+        if (parenDepth === 0) afterNew = false;
+        lastLogical = null;
+        break;
+      case 'if':
+        metrics().complexity++;
+        if (previous.text === 'else') {
+          metrics().cognitiveComplexity++;
+          pending = { kind: 'control', structure: 'if', parenDepth };
+        } else {
+          structure('if');
+        }
+        break;
+      case 'else':
+        if (next.text !== 'if') {
+          metrics().cognitiveComplexity++;
+          pending = { kind: 'control', structure: 'else', parenDepth };
+        }
+        break;
+      case 'for':
+        metrics().complexity++;
+        structure('for');
+        break;
+      case 'while':
+        metrics().complexity++;
+        // The condition that closes a do-while was counted at `do`
+        if (!(java && previous.text === '}' && lastClosed && lastClosed.structure === 'do')) {
+          structure('while');
+        }
+        break;
+      case 'do':
+        if (java) structure('do');
+        break;
+      case 'catch':
+        if (java) {
+          metrics().complexity++;
+          structure('catch');
+        }
+        break;
+      case 'switch':
+      case 'select':
+        structure(text);
+        break;
+      case 'case':
+        metrics().complexity++;
+        break;
+      case '&&':
+      case '||':
+        metrics().complexity++;
+        // a && b && c is one sequence; switching to || starts another
+        if (lastLogical !== text) metrics().cognitiveComplexity++;
+        lastLogical = text;
+        break;
+      case '?':
+        // Ternary, unless it is a generic wildcard (List<?>, <? extends T>)
+        if (java && previous.text !== '<' && !['extends', 'super', '>', ','].includes(next.text)) {
+          metrics().complexity++;
+          metrics().cognitiveComplexity += 1 + nesting();
+        }
+        break;
+      case 'goto':
+        metrics().cognitiveComplexity++;
+        break;
+      case 'break':
+      case 'continue':
+        if (next.line === line && /^[A-Za-z_]/.test(next.text || '')) metrics().cognitiveComplexity++;
+        break;
+      case 'new':
+        afterNew = true;
+        break;
+      case '->':
+        if (java && next.text === '{') {
+          const entry = { name: 'lambda', line, params: lambdaParams(tokens, i) };
+          functions.push(entry);
+          pending = { kind: 'function', entry };
+        }
+        break;
+      default:
+        if (java && JAVA_TYPE_DECLARATIONS.has(text) && /^[A-Za-z_$]/.test(next.text || '') && previous.text !== '.') {
+          pending = { kind: 'class', name: next.text };
+        }
+    }
+  }
+
+  // Unbalanced braces (truncated or generated files): close what is still open
+  const lastLine = tokens.length > 0 ? tokens[tokens.length - 1].line : 1;
+  stack.filter(frame => frame.kind === 'function').forEach(frame => finishFunction(frame, lastLine));
+  functions.filter(entry => entry.complexity === undefined).forEach(entry => Object.assign(entry, createMetrics(), {
+    endLine: entry.line,
+    length: 1
+  }));
+
+  return { functions, module };
+}
+
+/**
+ * `func Name(...)`, `func (r *T) Name(...)` or a function literal `func(...)`, with a body on the same line
+ * @returns {Object|null} { name, params, bodyIndex }
+ */
+function goFunctionHeader(tokens, index) {
+  if (tokens[index].text !== 'func') {
+    return null;
+  }
+
+  let cursor = index + 1;
+  let name = 'anonymous';
+  let receiver = null;
+  const at = offset => (tokens[offset] || {}).text;
+
+  if (at(cursor) === '(') {
+    const close = matching(tokens, cursor);
+    if (close < 0) return null;
+    if (/^[A-Za-z_]/.test(at(close + 1) || '') && ['(', '['].includes(at(close + 2))) {
+      const receiverTypes = tokens.slice(cursor + 1, close).filter(token => /^[A-Za-z_]/.test(token.text));
+      receiver = receiverTypes.length > 0 ? receiverTypes[receiverTypes.length - 1].text : null;
+      name = at(close + 1);
+      cursor = close + 2;
+    }
+  } else if (/^[A-Za-z_]/.test(at(cursor) || '')) {
+    name = at(cursor);
+    cursor++;
+  } else {
+    return null;
+  }
+
+  if (at(cursor) === '[') {
+    cursor = matching(tokens, cursor) + 1;
+    if (cursor <= 0) return null;
+  }
+  if (at(cursor) !== '(') {
+    return null;
+  }
+
+  const close = matching(tokens, cursor);
+  if (close < 0) return null;
+  const params = countParams(tokens, cursor, close, false);
+
+  // Results and the opening brace must sit on the line the signature ends on
+  const signatureLine = tokens[close].line;
+  for (let scan = close + 1; scan < tokens.length && tokens[scan].line === signatureLine; scan++) {
+    const text = tokens[scan].text;
+    if (text === '{' && !['interface', 'struct'].includes(at(scan - 1))) {
+      return { name: receiver ? `${receiver}.${name}` : name, params, bodyIndex: scan };
+    }
+    if (text === '(' || text === '[' || text === '{') {
+      scan = matching(tokens, scan);
+      if (scan < 0) return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * `[modifiers] Type name(...) [throws ...] {` or a constructor, directly inside a class body
+ * @returns {Object|null} { name, params, bodyIndex }
+ */
+function javaMethodHeader(tokens, index, stack) {
+  const token = tokens[index];
+  const next = tokens[index + 1];
+  const previous = tokens[index - 1];
+  const enclosing = stack[stack.length - 1];
+
+  if (!next || next.text !== '(' || !/^[A-Za-z_$]/.test(token.text) || JAVA_KEYWORDS.has(token.text) ||
+      !enclosing || enclosing.kind !== 'class' || !previous ||
+      previous.text === '.' || previous.text === 'new' || JAVA_TYPE_DECLARATIONS.has(previous.text) ||
+      !(/^[A-Za-z_$]/.test(previous.text) || ['>', ']', '}', ';', '{'].includes(previous.text))) {
+    return null;
+  }
+
+  const close = matching(tokens, index + 1);
+  if (close < 0) return null;
+
+  let cursor = close + 1;
+  if ((tokens[cursor] || {}).text === 'throws') {
+    cursor++;
+    while (tokens[cursor] && /^[A-Za-z_$.,<>?]/.test(tokens[cursor].text) && tokens[cursor].text !== '{') cursor++;
+  }
+  if (!tokens[cursor] || tokens[cursor].text !== '{') {
+    return null;
+  }
+
+  return { name: token.text, params: countParams(tokens, index + 1, close, true), bodyIndex: cursor };
+}
+
+function lambdaParams(tokens, arrowIndex) {
+  const previous = tokens[arrowIndex - 1];
+  if (!previous) return 0;
+  if (previous.text !== ')') return 1;
+
+  let depth = 0;
+  for (let open = arrowIndex - 1; open >= 0; open--) {
+    if (tokens[open].text === ')') depth++;
+    if (tokens[open].text === '(' && --depth === 0) {
+      return countParams(tokens, open, arrowIndex - 1, true);
+    }
+  }
+  return 0;
+}
+
+/**
+ * Index of the bracket closing the one at `open`, or -1
+ */
+function matching(tokens, open) {
+  const pairs = { '(': ')', '[': ']', '{': '}' };
+  const closing = pairs[tokens[open].text];
+  let depth = 0;
+
+  for (let index = open; index < tokens.length; index++) {
+    const text = tokens[index].text;
+    if (text === tokens[open].text) depth++;
+    if (text === closing && --depth === 0) return index;
+  }
+  return -1;
+}
+
+/**
+ * Parameters between two parentheses: top-level commas (generic arguments in Java do not count)
+ */
+function countParams(tokens, open, close, generics) {
+  if (close - open <= 1) return 0;
+
+  let depth = 0;
+  let count = 1;
+  for (let index = open + 1; index < close; index++) {
+    const text = tokens[index].text;
+    if (['(', '[', '{'].includes(text) || (generics && text === '<')) depth++;
+    else if ([')', ']', '}'].includes(text) || (generics && text === '>')) depth--;
+    else if (text === ',' && depth === 0) count++;
+  }
+  return count;
+}
+
+/**
+ * Python: blocks are delimited by indentation
+ */
+function measurePython(lines) {
+  const functions = [];
+  const module = createMetrics();
+  const stack = [];
+  let lastLine = 1;
+
+  const functionFrame = () => [...stack].reverse().find(frame => frame.kind === 'function');
+  const close = frame => {
+    if (frame.kind === 'function') finishFunction(frame, lastLine);
+  };
+
+  logicalLines(lines).forEach(logical => {
+    while (stack.length > 0 && stack[stack.length - 1].indent >= logical.indent) {
+      close(stack.pop());
+    }
+
+    const tokens = logical.text.match(/[A-Za-z_]\w*|\S/g) || [];
+    const first = tokens[0] === 'async' ? tokens[1] : tokens[0];
+    const current = (functionFrame() || { metrics: module }).metrics;
+    let level = 0;
+    for (let index = stack.length - 1; index >= 0 && stack[index].kind !== 'function'; index--) {
+      if (stack[index].kind === 'control') level++;
+    }
+
+    const structure = (cognitive = 1 + level) => {
+      current.cognitiveComplexity += cognitive;
+      current.nestingDepth = Math.max(current.nestingDepth, level + 1);
+      return 'control';
+    };
+
+    let kind = 'block';
+    let skip = 1;
+    switch (first) {
+      case 'def': {
+        const enclosing = stack[stack.length - 1];
+        const name = tokens[tokens.indexOf('def') + 1];
+        const entry = {
+          name: enclosing && enclosing.kind === 'class' ? `${enclosing.name}.${name}` : name,
+          line: logical.line,
+          params: pythonParams(logical.text)
+        };
+        functions.push(entry);
+        stack.push({ kind: 'function', indent: logical.indent, entry, metrics: createMetrics() });
+        lastLine = logical.endLine;
+        return;
+      }
+      case 'class':
+        stack.push({ kind: 'class', indent: logical.indent, name: tokens[1] });
+        lastLine = logical.endLine;
+        return;
+      case 'if':
+      case 'while':
+      case 'for':
+        current.complexity++;
+        kind = structure();
+        break;
+      case 'elif':
+        current.complexity++;
+        kind = structure(1);
+        break;
+      case 'else':
+        kind = structure(1);
+        break;
+      case 'except':
+        current.complexity++;
+        kind = structure();
+        break;
+      case 'match':
+        kind = logical.text.endsWith(':') ? structure() : 'block';
+        break;
+      case 'case':
+        if (logical.text.endsWith(':') && !/^case\s+_\s*:/.test(logical.text)) current.complexity++;
+        break;
+      default:
+        skip = 0;
+    }
+    if (tokens[0] === 'async') skip++;
+
+    // Conditional expressions, comprehensions and boolean operators on the line
+    let lastLogical = null;
+    tokens.slice(skip).forEach(token => {
+      if (token === 'if') {
+        current.complexity++;
+        current.cognitiveComplexity += 1 + level;
+      } else if (token === 'for') {
+        current.complexity++;
+      } else if (token === 'and' || token === 'or') {
+        current.complexity++;
+        if (lastLogical !== token) current.cognitiveComplexity++;
+        lastLogical = token;
+      }
+    });
+
+    if (logical.text.endsWith(':')) {
+      stack.push({ kind, indent: logical.indent });
+    }
+    lastLine = logical.endLine;
+  });
+
+  while (stack.length > 0) {
+    close(stack.pop());
+  }
+
+  return { functions, module };
+}
+
+/**
+ * Joins physical lines continued by open brackets or a backslash
+ * @returns {Array} [{ line, endLine, indent, text }]
+ */
+function logicalLines(lines) {
+  const logical = [];
+  let current = null;
+  let depth = 0;
+
+  lines.forEach((raw, index) => {
+    const text = raw.trim();
+    if (!current) {
+      if (!text) return;
+      current = { line: index + 1, endLine: index + 1, indent: raw.replace(/\t/g, '        ').search(/\S/), text };
+    } else {
+      current.text += ` ${text}`;
+      current.endLine = index + 1;
+    }
+
+    depth += (text.match(/[([{]/g) || []).length - (text.match(/[)\]}]/g) || []).length;
+    if (depth <= 0 && !text.endsWith('\\')) {
+      current.text = current.text.replace(/\\\s/g, ' ');
+      logical.push(current);
+      current = null;
+      depth = 0;
+    }
+  });
+
+  if (current) logical.push(current);
+  return logical;
+}
+
+function pythonParams(definition) {
+  const open = definition.indexOf('(');
+  if (open < 0) return 0;
+
+  const params = [];
+  let depth = 0;
+  let currentParam = '';
+  for (const char of definition.slice(open + 1)) {
+    if ('([{'.includes(char)) depth++;
+    if (')]}'.includes(char)) {
+      if (depth === 0) break;
+      depth--;
+    }
+    if (char === ',' && depth === 0) {
+      params.push(currentParam);
+      currentParam = '';
+    } else {
+      currentParam += char;
+    }
+  }
+  params.push(currentParam);
+
+  return params
+    .map(param => param.split(/[:=]/)[0].trim())
+    .filter(param => param && !['self', 'cls', '*', '/'].includes(param))
+    .length;
+}
+
+module.exports = {
+  SOURCE_LANGUAGES,
+  analyzeSource,
+  sourceLanguage
+};
@@ -0,0 +1,340 @@
+const path = require('path');
+
+// File names coverage tools write by default (lcov, Cobertura, Istanbul, Go, JaCoCo)
+const COVERAGE_REPORT_PATTERN = new RegExp('(^|/)(lcov\\.info|[^/]+\\.lcov|coverage-summary\\.json|cobertura[^/]*\\.xml|' +
+  'coverage\\.xml|jacoco[^/]*\\.xml|(c|cover|coverage)\\.out|[^/]+\\.coverprofile)$', 'i');
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+/**
+ * Whether a path looks like a coverage report (dependencies excluded)
+ */
+function isCoverageReport(filePath) {
+  return COVERAGE_REPORT_PATTERN.test(filePath) && !/(^|\/)node_modules\//.test(filePath);
+}
+
+/**
+ * Recognizes a coverage report from its content
+ * @returns {string|null} 'lcov', 'cobertura', 'jacoco', 'istanbul', 'go' or null
+ */
+function detectCoverageFormat(content) {
+  const head = content.slice(0, 4096);
+  if (/^mode: (set|count|atomic)\s*$/m.test(head.split('\n')[0])) return 'go';
+  if (/^(TN|SF):/m.test(head)) return 'lcov';
+  if (/<report[\s>]/.test(head) && /jacoco|<sessioninfo|<package/i.test(head)) return 'jacoco';
+  if (/<coverage[\s>]/.test(head)) return 'cobertura';
+  if (/^\s*\{/.test(head) && /"total"\s*:/.test(content) && /"lines"\s*:/.test(head)) return 'istanbul';
+  return null;
+}
+
+/**
+ * Parses a coverage report in any supported format
+ * Paths are as the tool wrote them (often absolute or package-relative); see
+ * resolveCoveragePaths. Go profiles count statements, which stand in for lines.
+ * @param {string} content - Report content
+ * @returns {Object|null} { format, files: [{ path, lines: { total, covered },
+ *   branches: { total, covered }|null }] }, or null if the format is not recognized
+ */
+function parseCoverageReport(content) {
+  const format = detectCoverageFormat(content);
+  const parsers = { lcov: parseLcov, cobertura: parseCobertura, jacoco: parseJaCoCo, istanbul: parseIstanbulSummary, go: parseGoProfile };
+  return format ? { format, files: parsers[format](content) } : null;
+}
+
+function parseLcov(content) {
+  const files = [];
+  let current = null;
+
+  content.split(/\r?\n/).forEach(line => {
+    const separator = line.indexOf(':');
+    const key = separator === -1 ? line.trim() : line.slice(0, separator);
+    const value = line.slice(separator + 1).trim();
+
+    if (key === 'SF') {
+      current = { path: value, lines: new Map(), branches: new Map(), found: {} };
+    } else if (!current) {
+      return;
+    } else if (key === 'DA') {
+      const [lineNumber, hits] = value.split(',');
+      current.lines.set(lineNumber, Math.max(current.lines.get(lineNumber) || 0, Number(hits) || 0));
+    } else if (key === 'BRDA') {
+      const [lineNumber, block, branch, taken] = value.split(',');
+      current.branches.set(`${lineNumber},${block},${branch}`, taken !== '-' && Number(taken) > 0);
+    } else if (['LF', 'LH', 'BRF', 'BRH'].includes(key)) {
+      current.found[key] = Number(value) || 0;
+    } else if (key === 'end_of_record') {
+      const hits = [...current.lines.values()];
+      const taken = [...current.branches.values()];
+      const branchTotal = current.found.BRF !== undefined ? current.found.BRF : taken.length;
+
+      files.push({
+        path: current.path,
+        lines: {
+          total: current.found.LF !== undefined ? current.found.LF : hits.length,
+          covered: current.found.LH !== undefined ? current.found.LH : hits.filter(count => count > 0).length
+        },
+        branches: branchTotal > 0 ? {
+          total: branchTotal,
+          covered: current.found.BRH !== undefined ? current.found.BRH : taken.filter(Boolean).length
+        } : null
+      });
+      current = null;
+    }
+  });
+
+  return files;
+}
+
+/**
+ * Cobertura lists each line under its class and again under the class's
+ * methods; lines are keyed by number so neither they nor files holding
+ * several classes are counted twice
+ */
+function parseCobertura(content) {
+  const sources = [];
+  const files = new Map();
+  let current = null;
+  let inSource = false;
+
+  readXml(content, (name, attributes, closing, text) => {
+    if (name === 'source') {
+      inSource = !closing;
+      return;
+    }
+    if (text !== undefined) {
+      if (inSource && text.trim()) sources.push(text.trim());
+      return;
+    }
+
+    if (name === 'class' && !closing) {
+      const filePath = sources.length === 1 ? path.posix.join(sources[0].replace(/\\/g, '/'), attributes.filename) : attributes.filename;
+      if (!files.has(filePath)) files.set(filePath, { lines: new Map(), branches: new Map() });
+      current = files.get(filePath);
+    } else if (name === 'class' && closing) {
+      current = null;
+    } else if (name === 'line' && current && !closing) {
+      const number = attributes.number;
+      current.lines.set(number, Math.max(current.lines.get(number) || 0, Number(attributes.hits) || 0));
+
+      const conditions = /\((\d+)\/(\d+)\)/.exec(attributes['condition-coverage'] || '');
+      if (attributes.branch === 'true' && conditions) {
+        const previous = current.branches.get(number) || { covered: 0, total: 0 };
+        current.branches.set(number, {
+          covered: Math.max(previous.covered, Number(conditions[1])),
+          total: Math.max(previous.total, Number(conditions[2]))
+        });
+      }
+    }
+  });
+
+  return [...files.entries()].map(([filePath, file]) => {
+    const branches = [...file.branches.values()];
+    const branchTotal = branches.reduce((sum, branch) => sum + branch.total, 0);
+
+    return {
+      path: filePath,
+      lines: { total: file.lines.size, covered: [...file.lines.values()].filter(hits => hits > 0).length },
+      branches: branchTotal > 0 ? { total: branchTotal, covered: branches.reduce((sum, branch) => sum + branch.covered, 0) } : null
+    };
+  });
+}
+
+/**
+ * JaCoCo's per-source-file LINE and BRANCH counters; paths are package-relative
+ */
+function parseJaCoCo(content) {
+  const files = [];
+  const packages = [];
+  let current = null;
+
+  readXml(content, (name, attributes, closing, text) => {
+    if (text !== undefined) return;
+
+    if (name === 'package') {
+      if (closing) packages.pop();
+      else packages.push(attributes.name || '');
+    } else if (name === 'sourcefile' && !closing) {
+      current = { path: path.posix.join(packages[packages.length - 1] || '', attributes.name), lines: null, branches: null };
+    } else if (name === 'sourcefile' && closing) {
+      if (current && current.lines) files.push(current);
+      current = null;
+    } else if (name === 'counter' && current && !closing && ['LINE', 'BRANCH'].includes(attributes.type)) {
+      const missed = Number(attributes.missed) || 0;
+      const covered = Number(attributes.covered) || 0;
+      const counter = { total: missed + covered, covered };
+      if (attributes.type === 'LINE') current.lines = counter;
+      else current.branches = counter.total > 0 ? counter : null;
+    }
+  });
+
+  return files;
+}
+
+function parseIstanbulSummary(content) {
+  const summary = JSON.parse(content);
+
+  return Object.entries(summary)
+    .filter(([key, metrics]) => key !== 'total' && metrics && metrics.lines)
+    .map(([filePath, metrics]) => ({
+      path: filePath,
+      lines: { total: metrics.lines.total || 0, covered: metrics.lines.covered || 0 },
+      branches: metrics.branches && metrics.branches.total > 0
+        ? { total: metrics.branches.total, covered: metrics.branches.covered || 0 }
+        : null
+    }));
+}
+
+/**
+ * Go cover profiles: `file:start,end statements count`, one line per block;
+ * blocks repeat when several test binaries write to the same profile
+ */
+function parseGoProfile(content) {
+  const files = new Map();
+
+  content.split(/\r?\n/).slice(1).forEach(line => {
+    const match = /^(.+):(\d+\.\d+,\d+\.\d+) (\d+) (\d+)$/.exec(line.trim());
+    if (!match) return;
+
+    const [, filePath, block, statements, count] = match;
+    if (!files.has(filePath)) files.set(filePath, new Map());
+    const blocks = files.get(filePath);
+    const previous = blocks.get(block);
+    blocks.set(block, { statements: Number(statements), covered: (previous && previous.covered) || Number(count) > 0 });
+  });
+
+  return [...files.entries()].map(([filePath, blocks]) => {
+    const all = [...blocks.values()];
+    return {
+      path: filePath,
+      lines: {
+        total: all.reduce((sum, block) => sum + block.statements, 0),
+        covered: all.filter(block => block.covered).reduce((sum, block) => sum + block.statements, 0)
+      },
+      branches: null
+    };
+  });
+}
+
+/**
+ * Streams XML tags and text to a callback; enough for coverage reports, which
+ * hold no CDATA that matters
+ * @param {Function} visit - (name, attributes, closing, text) text is set for text nodes only
+ */
+function readXml(content, visit) {
+  const tagPattern = /<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|<!--[\s\S]*?-->|<[!?][^>]*>/g;
+  let last = 0;
+  let match;
+
+  while ((match = tagPattern.exec(content)) !== null) {
+    if (match.index > last) {
+      visit(null, {}, false, decodeXml(content.slice(last, match.index)));
+    }
+    last = tagPattern.lastIndex;
+    if (!match[2]) continue;
+
+    const attributes = {};
+    const attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let attribute;
+    while ((attribute = attributePattern.exec(match[3])) !== null) {
+      attributes[attribute[1]] = decodeXml(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+    }
+
+    visit(match[2], attributes, match[1] === '/', undefined);
+    if (match[4]) visit(match[2], attributes, true, undefined);
+  }
+}
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === '#') return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+    return XML_ENTITIES[name] !== undefined ? XML_ENTITIES[name] : entity;
+  });
+}
+
+/**
+ * Maps report paths onto repository paths
+ * Coverage tools write absolute CI paths (/home/runner/work/app/app/src/a.js),
+ * Go import paths or package-relative Java paths; each is matched to the
+ * repository file sharing the longest path suffix. Unmatched paths are kept,
+ * made relative.
+ * @param {Array} files - Parsed coverage files
+ * @param {Array} repositoryPaths - Paths of the files in the repository tree
+ * @returns {Array} Files with repository paths, one entry per path
+ */
+function resolveCoveragePaths(files, repositoryPaths) {
+  const byName = new Map();
+  repositoryPaths.forEach(repositoryPath => {
+    const name = path.posix.basename(repositoryPath);
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push(repositoryPath);
+  });
+
+  const resolved = new Map();
+  files.forEach(file => {
+    const reportPath = file.path.replace(/\\/g, '/').replace(/^(\.\/|[a-zA-Z]:)?\/*/, '');
+    const candidates = byName.get(path.posix.basename(reportPath)) || [];
+    const match = candidates
+      .map(candidate => ({ candidate, shared: sharedSuffix(candidate, reportPath) }))
+      .sort((a, b) => b.shared - a.shared)[0];
+    const repositoryPath = match ? match.candidate : reportPath;
+
+    // The same file in two reports (e.g. lcov and Cobertura from one run): keep the fuller one
+    const existing = resolved.get(repositoryPath);
+    if (!existing || file.lines.total > existing.lines.total) {
+      resolved.set(repositoryPath, { ...file, path: repositoryPath });
+    }
+  });
+
+  return [...resolved.values()];
+}
+
+function sharedSuffix(first, second) {
+  const a = first.split('/').reverse();
+  const b = second.split('/').reverse();
+  let shared = 0;
+  while (shared < a.length && shared < b.length && a[shared] === b[shared]) shared++;
+  return shared;
+}
+
+/**
+ * Line and branch coverage overall and per directory
+ * @param {Array} files - Coverage files (resolveCoveragePaths)
+ * @returns {Object} { lines, branches, byDirectory: [{ directory, files, lines, branches }] },
+ *   each measure { total, covered, percentage }; branches are null if no report counted any
+ */
+function summarizeCoverage(files) {
+  const directories = new Map();
+  files.forEach(file => {
+    const directory = path.posix.dirname(file.path);
+    if (!directories.has(directory)) directories.set(directory, []);
+    directories.get(directory).push(file);
+  });
+
+  return {
+    lines: totalCoverage(files.map(file => file.lines)),
+    branches: totalCoverage(files.map(file => file.branches).filter(Boolean)),
+    byDirectory: [...directories.entries()]
+      .map(([directory, directoryFiles]) => ({
+        directory,
+        files: directoryFiles.length,
+        lines: totalCoverage(directoryFiles.map(file => file.lines)),
+        branches: totalCoverage(directoryFiles.map(file => file.branches).filter(Boolean))
+      }))
+      .sort((a, b) => a.directory.localeCompare(b.directory))
+  };
+}
+
+function totalCoverage(measures) {
+  const total = measures.reduce((sum, measure) => sum + measure.total, 0);
+  const covered = measures.reduce((sum, measure) => sum + measure.covered, 0);
+  if (total === 0) return null;
+  return { total, covered, percentage: Math.round(covered / total * 1000) / 10 };
+}
+
+module.exports = {
+  isCoverageReport,
+  detectCoverageFormat,
+  parseCoverageReport,
+  resolveCoveragePaths,
+  summarizeCoverage
+};
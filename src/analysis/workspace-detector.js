@@ -0,0 +1,223 @@
+const path = require('path').posix;
+
+// Most packages analyzed individually per monorepo; the rest are still counted
+const MAX_PACKAGES = parseInt(process.env.WORKSPACE_MAX_PACKAGES) || 25;
+
+// Directories never treated as packages
+const IGNORED_SEGMENTS = ['node_modules', 'vendor', '.git'];
+
+/**
+ * Detects monorepo workspaces from the repository tree.
+ *
+ * Understands npm/yarn `workspaces`, pnpm-workspace.yaml, Lerna, Nx
+ * project.json files, Go workspaces (go.work or several go.mod modules) and
+ * Python repositories with several pyproject.toml/setup.py subprojects.
+ */
+class WorkspaceDetector {
+  /**
+   * @param {RepositoryClient} githubService - Request-scoped repository client
+   * @param {Object} options - { maxPackages } packages returned for per-package analysis
+   */
+  constructor(githubService, options = {}) {
+    this.githubService = githubService;
+    this.maxPackages = options.maxPackages || MAX_PACKAGES;
+  }
+
+  /**
+   * Finds the packages of a monorepo
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array} tree - Entries from getRepositoryTree
+   * @returns {Object|null} { tools, packages: [{ name, path, ecosystem, files }], totalPackages },
+   *   or null for a single-package repository
+   */
+  async detectWorkspaces(owner, repo, tree) {
+    const blobs = tree
+      .filter(item => item.type === 'blob')
+      .map(item => item.path)
+      .filter(filePath => !filePath.split('/').some(segment => IGNORED_SEGMENTS.includes(segment)));
+    const blobSet = new Set(blobs);
+    const tools = [];
+    const packages = new Map();
+
+    const addPackages = (directories, ecosystem) => {
+      directories
+        .filter(directory => directory && directory !== '.')
+        .forEach(directory => {
+          if (!packages.has(directory)) {
+            packages.set(directory, { name: directory, path: directory, ecosystem });
+          }
+        });
+    };
+    const manifestDirectories = fileName => blobs
+      .filter(filePath => path.basename(filePath) === fileName)
+      .map(filePath => path.dirname(filePath));
+
+    // JavaScript: workspace globs select directories with a package.json
+    const patterns = [];
+    const rootPackage = blobSet.has('package.json') ? await this.readJson(owner, repo, 'package.json') : null;
+    if (rootPackage && rootPackage.workspaces) {
+      tools.push(blobSet.has('yarn.lock') ? 'yarn' : 'npm');
+      patterns.push(...(Array.isArray(rootPackage.workspaces) ? rootPackage.workspaces : rootPackage.workspaces.packages || []));
+    }
+    if (blobSet.has('pnpm-workspace.yaml')) {
+      tools.push('pnpm');
+      patterns.push(...parsePnpmWorkspace(await this.readFile(owner, repo, 'pnpm-workspace.yaml')));
+    }
+    if (blobSet.has('lerna.json')) {
+      tools.push('lerna');
+      const lerna = await this.readJson(owner, repo, 'lerna.json');
+      patterns.push(...((lerna && lerna.packages) || ['packages/*']));
+    }
+    if (patterns.length > 0) {
+      addPackages(manifestDirectories('package.json').filter(directory => matchesWorkspace(directory, patterns)), 'javascript');
+    }
+
+    if (blobSet.has('nx.json')) {
+      tools.push('nx');
+      addPackages(manifestDirectories('project.json'), 'javascript');
+    }
+
+    // Go: go.work lists the modules; otherwise every nested go.mod is one
+    const goModules = blobSet.has('go.work')
+      ? parseGoWork(await this.readFile(owner, repo, 'go.work'))
+      : manifestDirectories('go.mod');
+    if (goModules.filter(directory => directory !== '.').length > 0 && (blobSet.has('go.work') || goModules.length > 1)) {
+      tools.push('go');
+      addPackages(goModules, 'go');
+    }
+
+    // Python: several directories with their own project definition
+    const pythonProjects = [...new Set([...manifestDirectories('pyproject.toml'), ...manifestDirectories('setup.py')])];
+    if (pythonProjects.length > 1) {
+      tools.push('python');
+      addPackages(pythonProjects, 'python');
+    }
+
+    if (packages.size === 0) {
+      return null;
+    }
+
+    const sorted = Array.from(packages.values()).sort((a, b) => a.path.localeCompare(b.path));
+    await this.resolvePackageNames(owner, repo, sorted.slice(0, this.maxPackages), blobSet);
+
+    return {
+      tools,
+      packages: sorted.slice(0, this.maxPackages).map(pkg => ({
+        ...pkg,
+        files: blobs.filter(filePath => filePath.startsWith(`${pkg.path}/`)).length
+      })),
+      totalPackages: sorted.length
+    };
+  }
+
+  /**
+   * Uses the name from each JavaScript package's manifest where there is one
+   */
+  async resolvePackageNames(owner, repo, packages, blobSet) {
+    await Promise.all(packages
+      .filter(pkg => pkg.ecosystem === 'javascript' && blobSet.has(`${pkg.path}/package.json`))
+      .map(async pkg => {
+        const manifest = await this.readJson(owner, repo, `${pkg.path}/package.json`);
+        if (manifest && manifest.name) {
+          pkg.name = manifest.name;
+        }
+      }));
+  }
+
+  async readFile(owner, repo, filePath) {
+    try {
+      return await this.githubService.getFileContent(owner, repo, filePath);
+    } catch (error) {
+      console.warn(`Could not read ${filePath}:`, error.message);
+      return '';
+    }
+  }
+
+  async readJson(owner, repo, filePath) {
+    try {
+      return JSON.parse(await this.readFile(owner, repo, filePath));
+    } catch (error) {
+      console.warn(`Could not parse ${filePath}:`, error.message);
+      return null;
+    }
+  }
+}
+
+/**
+ * Whether a directory is selected by workspace globs ("packages/*", "apps/**", "!**\/test")
+ */
+function matchesWorkspace(directory, patterns) {
+  const normalized = patterns.map(pattern => String(pattern).trim()).filter(Boolean);
+  const included = normalized
+    .filter(pattern => !pattern.startsWith('!'))
+    .some(pattern => globToRegExp(pattern).test(directory));
+  const excluded = normalized
+    .filter(pattern => pattern.startsWith('!'))
+    .some(pattern => globToRegExp(pattern.slice(1)).test(directory));
+  return included && !excluded;
+}
+
+function globToRegExp(pattern) {
+  const source = pattern
+    .replace(/^\.\//, '')
+    .replace(/\/+$/, '')
+    .split('/')
+    .map(segment => {
+      if (segment === '**') return '.*';
+      return segment
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '[^/]*')
+        .replace(/\?/g, '[^/]');
+    })
+    .join('/')
+    .replace(/\/\.\*$/, '(/.*)?')
+    .replace(/^\.\*\//, '(.*/)?');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Reads the `packages:` list of a pnpm-workspace.yaml
+ */
+function parsePnpmWorkspace(content) {
+  const patterns = [];
+  let inPackages = false;
+
+  content.split('\n').forEach(line => {
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true;
+      return;
+    }
+    if (inPackages && /^\S/.test(line)) {
+      inPackages = false;
+    }
+    const item = inPackages && line.match(/^\s*-\s*['"]?([^'"#]+?)['"]?\s*(#.*)?$/);
+    if (item) {
+      patterns.push(item[1]);
+    }
+  });
+
+  return patterns;
+}
+
+/**
+ * Reads the module directories from the `use` directives of a go.work file
+ */
+function parseGoWork(content) {
+  const directories = [];
+  const block = content.match(/^use\s*\(([\s\S]*?)\)/m);
+  const lines = block ? block[1].split('\n') : [];
+  content.split('\n').forEach(line => {
+    const single = line.match(/^use\s+([^\s(]+)/);
+    if (single) lines.push(single[1]);
+  });
+
+  lines
+    .map(line => line.replace(/\/\/.*$/, '').trim())
+    .filter(Boolean)
+    .forEach(directory => directories.push(path.normalize(directory).replace(/\/+$/, '')));
+
+  return directories;
+}
+
+module.exports = WorkspaceDetector;
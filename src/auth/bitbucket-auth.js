@@ -0,0 +1,103 @@
+const BitbucketService = require('../bitbucket/bitbucket-service');
+
+const BITBUCKET_OAUTH_URL = 'https://bitbucket.org/site/oauth2';
+
+/**
+ * Bitbucket Cloud OAuth 2.0 (OAuth consumer) flow.
+ * Cloud access tokens expire after two hours, so the refresh token is kept
+ * and used by requireProviderAuth once the access token is about to expire.
+ */
+class BitbucketAuth {
+  constructor() {
+    this.clientId = process.env.BITBUCKET_CLIENT_ID;
+    this.clientSecret = process.env.BITBUCKET_CLIENT_SECRET;
+    this.callbackUrl = process.env.BITBUCKET_CALLBACK_URL;
+  }
+
+  isConfigured() {
+    return Boolean(this.clientId && this.clientSecret);
+  }
+
+  /**
+   * Generate Bitbucket OAuth authorization URL
+   * Scopes are configured on the OAuth consumer (repository, issue, pullrequest read)
+   */
+  getAuthorizationUrl(state = null) {
+    const params = new URLSearchParams({
+      client_id: this.clientId,
+      response_type: 'code'
+    });
+
+    if (this.callbackUrl) {
+      params.append('redirect_uri', this.callbackUrl);
+    }
+    if (state) {
+      params.append('state', state);
+    }
+
+    return `${BITBUCKET_OAUTH_URL}/authorize?${params.toString()}`;
+  }
+
+  /**
+   * Exchange authorization code for access and refresh tokens
+   */
+  async exchangeCodeForToken(code) {
+    try {
+      const params = { grant_type: 'authorization_code', code };
+      if (this.callbackUrl) {
+        params.redirect_uri = this.callbackUrl;
+      }
+
+      const tokens = await this.requestToken(params);
+      const user = await new BitbucketService().getAuthenticatedUser(tokens.accessToken);
+
+      return { ...tokens, user };
+    } catch (error) {
+      console.error('Bitbucket token exchange error:', error);
+      throw new Error(`Failed to authenticate with Bitbucket: ${error.message}`);
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new access token
+   */
+  async refreshAccessToken(refreshToken) {
+    try {
+      return await this.requestToken({ grant_type: 'refresh_token', refresh_token: refreshToken });
+    } catch (error) {
+      console.error('Bitbucket token refresh error:', error);
+      throw new Error(`Failed to refresh Bitbucket token: ${error.message}`);
+    }
+  }
+
+  async requestToken(params) {
+    const response = await fetch(`${BITBUCKET_OAUTH_URL}/access_token`, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Authorization': `Basic ${Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64')}`
+      },
+      body: new URLSearchParams(params).toString()
+    });
+
+    const tokenData = await response.json();
+
+    if (tokenData.error) {
+      throw new Error(`Bitbucket OAuth error: ${tokenData.error_description || tokenData.error}`);
+    }
+
+    if (!tokenData.access_token) {
+      throw new Error('No access token received from Bitbucket');
+    }
+
+    return {
+      accessToken: tokenData.access_token,
+      refreshToken: tokenData.refresh_token,
+      expiresAt: tokenData.expires_in ? Date.now() + tokenData.expires_in * 1000 : null,
+      scope: tokenData.scopes
+    };
+  }
+}
+
+module.exports = new BitbucketAuth();
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { Octokit } = require('@octokit/rest');
+
+// Installation tokens live for an hour; refresh well before expiry so a
+// token handed to an analysis stays valid for its whole run
+const TOKEN_REFRESH_MARGIN_MS = 10 * 60 * 1000;
+const JWT_LIFETIME_SECONDS = 9 * 60;
+
+/**
+ * GitHub App authentication.
+ *
+ * Signs short-lived app JWTs with the app's private key and exchanges them for
+ * installation access tokens, which are cached per installation and refreshed
+ * automatically. Service callers (schedulers, CI jobs) authenticate to this API
+ * with GITHUB_APP_API_KEY instead of a browser session.
+ */
+class GitHubAppAuth {
+  constructor() {
+    this.appId = process.env.GITHUB_APP_ID;
+    this.privateKey = this.loadPrivateKey();
+    this.apiKey = process.env.GITHUB_APP_API_KEY;
+    this.defaultInstallationId = process.env.GITHUB_APP_INSTALLATION_ID;
+    this.installationTokens = new Map();
+    this.ownerInstallations = new Map();
+  }
+
+  loadPrivateKey() {
+    if (process.env.GITHUB_APP_PRIVATE_KEY) {
+      // Allow single-line keys with escaped newlines in .env files
+      return process.env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n');
+    }
+    if (process.env.GITHUB_APP_PRIVATE_KEY_PATH) {
+      try {
+        return fs.readFileSync(process.env.GITHUB_APP_PRIVATE_KEY_PATH, 'utf-8');
+      } catch (error) {
+        console.error('Could not read GitHub App private key:', error.message);
+      }
+    }
+    return null;
+  }
+
+  isConfigured() {
+    return Boolean(this.appId && this.privateKey);
+  }
+
+  /**
+   * Checks whether a request carries the service API key
+   */
+  verifyApiKey(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, key] = header.split(' ');
+
+    if (!this.apiKey || scheme !== 'Bearer' || !key) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.apiKey);
+    const actual = Buffer.from(key);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Creates a JWT identifying the app, signed with RS256
+   */
+  createAppJWT() {
+    if (!this.isConfigured()) {
+      throw new Error('GitHub App is not configured');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const header = { alg: 'RS256', typ: 'JWT' };
+    // Backdate to tolerate clock drift between us and GitHub
+    const payload = { iat: now - 60, exp: now + JWT_LIFETIME_SECONDS, iss: String(this.appId) };
+
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode(header)}.${encode(payload)}`;
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(this.privateKey, 'base64url');
+
+    return `${unsigned}.${signature}`;
+  }
+
+  createAppOctokit() {
+    return new Octokit({
+      auth: this.createAppJWT(),
+      userAgent: 'tech-health-mvp/1.0.0'
+    });
+  }
+
+  /**
+   * Gets a valid installation access token, minting a new one when the cached
+   * token is missing or close to expiry
+   * @param {string|number} installationId - App installation ID
+   * @returns {Object} { token, expiresAt, installationId }
+   */
+  async getInstallationToken(installationId) {
+    const key = String(installationId);
+    const cached = this.installationTokens.get(key);
+
+    if (cached && cached.pending) {
+      return cached.pending;
+    }
+    if (cached && new Date(cached.expiresAt).getTime() - Date.now() > TOKEN_REFRESH_MARGIN_MS) {
+      return cached;
+    }
+
+    const pending = this.createInstallationToken(key)
+      .then(token => {
+        this.installationTokens.set(key, token);
+        return token;
+      })
+      .catch(error => {
+        this.installationTokens.delete(key);
+        throw error;
+      });
+
+    this.installationTokens.set(key, { pending });
+    return pending;
+  }
+
+  async createInstallationToken(installationId) {
+    try {
+      const octokit = this.createAppOctokit();
+      const { data } = await octokit.rest.apps.createInstallationAccessToken({
+        installation_id: parseInt(installationId)
+      });
+
+      return {
+        token: data.token,
+        expiresAt: data.expires_at,
+        installationId
+      };
+    } catch (error) {
+      console.error(`Error creating installation token for ${installationId}:`, error.message);
+      throw new Error(`Failed to authenticate GitHub App installation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds the installation covering a repository owner (org or user)
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Optional repository name for a precise lookup
+   * @returns {string} Installation ID
+   */
+  async findInstallationId(owner, repo = null) {
+    if (this.ownerInstallations.has(owner)) {
+      return this.ownerInstallations.get(owner);
+    }
+
+    const octokit = this.createAppOctokit();
+    let data;
+
+    try {
+      if (repo) {
+        ({ data } = await octokit.rest.apps.getRepoInstallation({ owner, repo }));
+      } else {
+        ({ data } = await octokit.rest.apps.getOrgInstallation({ org: owner })
+          .catch(() => octokit.rest.apps.getUserInstallation({ username: owner })));
+      }
+    } catch (error) {
+      throw new Error(`GitHub App is not installed for ${repo ? `${owner}/${repo}` : owner}`);
+    }
+
+    const installationId = String(data.id);
+    this.ownerInstallations.set(owner, installationId);
+    return installationId;
+  }
+
+  /**
+   * Resolves the installation for a service request: explicit header, then the
+   * route's repository owner, then the configured default installation
+   * @returns {Object} { token, expiresAt, installationId }
+   */
+  async authenticateRequest(req) {
+    let installationId = req.headers['x-github-installation-id'];
+
+    if (!installationId && req.params && req.params.owner) {
+      installationId = await this.findInstallationId(req.params.owner, req.params.repo);
+    }
+    if (!installationId) {
+      installationId = this.defaultInstallationId;
+    }
+    if (!installationId) {
+      throw new Error('No GitHub App installation specified');
+    }
+
+    return this.getInstallationToken(installationId);
+  }
+
+  /**
+   * Lists installations of the app
+   */
+  async listInstallations() {
+    const octokit = this.createAppOctokit();
+    const { data } = await octokit.rest.apps.listInstallations({ per_page: 100 });
+
+    return data.map(installation => ({
+      id: installation.id,
+      account: installation.account ? installation.account.login : null,
+      accountType: installation.account ? installation.account.type : null,
+      repositorySelection: installation.repository_selection,
+      createdAt: installation.created_at,
+      suspendedAt: installation.suspended_at
+    }));
+  }
+}
+
+module.exports = new GitHubAppAuth();
@@ -1,6 +1,10 @@
 const express = require('express');
-const { validateGitHubConfig } = require('./validators');
+const crypto = require('crypto');
+const { validateGitHubConfig, validateGitHubAppConfig, validateBitbucketConfig } = require('./validators');
 const githubAuth = require('./github-auth');
+const githubAppAuth = require('./github-app-auth');
+const bitbucketAuth = require('./bitbucket-auth');
+const { getProvider, resolveGitLabUrl, resolveBitbucketUrl } = require('../providers');
 
 const router = express.Router();
 
@@ -107,6 +111,200 @@ router.post('/logout', (req, res) => {
   });
 });
 
+// GitHub App configuration status
+router.get('/app/status', (req, res) => {
+  const validation = validateGitHubAppConfig();
+
+  res.json({
+    configured: validation.isValid,
+    appId: githubAppAuth.appId || null,
+    errors: validation.errors
+  });
+});
+
+// List installations of the GitHub App (service API key required)
+router.get('/app/installations', async (req, res) => {
+  if (!githubAppAuth.isConfigured()) {
+    return res.status(500).json({
+      error: 'GitHub App not configured',
+      details: validateGitHubAppConfig().errors
+    });
+  }
+
+  if (!githubAppAuth.verifyApiKey(req)) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Provide the service API key as a Bearer token'
+    });
+  }
+
+  try {
+    const installations = await githubAppAuth.listInstallations();
+    res.json({ installations });
+  } catch (error) {
+    console.error('GitHub App installations error:', error);
+    res.status(500).json({
+      error: 'Failed to list GitHub App installations',
+      message: error.message
+    });
+  }
+});
+
+// Connect a GitLab account (gitlab.com or an allowed self-hosted instance)
+// with a personal, project or OAuth access token
+router.post('/gitlab', async (req, res) => {
+  const { accessToken, baseUrl } = req.body || {};
+
+  if (!accessToken) {
+    return res.status(400).json({
+      error: 'accessToken is required'
+    });
+  }
+
+  try {
+    const gitlabUrl = resolveGitLabUrl(baseUrl);
+    const user = await getProvider('gitlab', { baseUrl: gitlabUrl }).getAuthenticatedUser(accessToken);
+
+    req.session.gitlab = {
+      baseUrl: gitlabUrl,
+      user,
+      accessToken // Note: In production, encrypt this
+    };
+
+    console.log('GitLab account connected for user:', user.login);
+    res.json({
+      message: 'GitLab account connected',
+      baseUrl: gitlabUrl,
+      user
+    });
+  } catch (error) {
+    console.error('GitLab auth error:', error);
+    res.status(401).json({
+      error: 'Failed to authenticate with GitLab',
+      message: error.message
+    });
+  }
+});
+
+// Disconnect the GitLab account
+router.delete('/gitlab', (req, res) => {
+  delete req.session.gitlab;
+  res.json({
+    message: 'GitLab account disconnected'
+  });
+});
+
+// Bitbucket Cloud OAuth routes
+router.get('/bitbucket', (req, res) => {
+  try {
+    const validation = validateBitbucketConfig();
+    if (!validation.isValid) {
+      return res.status(500).json({
+        error: 'Bitbucket OAuth not configured',
+        details: validation.errors
+      });
+    }
+
+    const state = crypto.randomBytes(16).toString('hex');
+    req.session.bitbucketOAuthState = state;
+
+    res.json({
+      authUrl: bitbucketAuth.getAuthorizationUrl(state),
+      message: 'Redirect user to this URL for Bitbucket authentication'
+    });
+  } catch (error) {
+    console.error('Bitbucket auth error:', error);
+    res.status(500).json({
+      error: 'Failed to initiate Bitbucket authentication',
+      message: error.message
+    });
+  }
+});
+
+// Bitbucket Cloud OAuth callback
+router.get('/bitbucket/callback', async (req, res) => {
+  const { code, state, error } = req.query;
+  const expectedState = req.session.bitbucketOAuthState;
+  delete req.session.bitbucketOAuthState;
+
+  if (error) {
+    console.error('Bitbucket OAuth error:', error);
+    return res.redirect(`/?error=oauth_error&message=${encodeURIComponent(error)}`);
+  }
+
+  if (!code) {
+    return res.redirect(`/?error=missing_code&message=${encodeURIComponent('Authorization code missing')}`);
+  }
+
+  if (!expectedState || state !== expectedState) {
+    return res.redirect(`/?error=invalid_state&message=${encodeURIComponent('OAuth state mismatch')}`);
+  }
+
+  try {
+    const authResult = await bitbucketAuth.exchangeCodeForToken(code);
+
+    req.session.bitbucket = {
+      baseUrl: null,
+      user: authResult.user,
+      accessToken: authResult.accessToken, // Note: In production, encrypt this
+      refreshToken: authResult.refreshToken,
+      expiresAt: authResult.expiresAt
+    };
+
+    console.log('Bitbucket account connected for user:', authResult.user.login);
+    res.redirect('/?auth=success&provider=bitbucket');
+  } catch (error) {
+    console.error('Bitbucket callback error:', error);
+    res.redirect(`/?error=auth_failed&message=${encodeURIComponent(error.message)}`);
+  }
+});
+
+// Connect a Bitbucket account with an access token: a Bitbucket Cloud
+// workspace/repository access token, or an HTTP access token for an allowed
+// Bitbucket Server / Data Center instance (pass its baseUrl)
+router.post('/bitbucket', async (req, res) => {
+  const { accessToken, baseUrl } = req.body || {};
+
+  if (!accessToken) {
+    return res.status(400).json({
+      error: 'accessToken is required'
+    });
+  }
+
+  try {
+    const bitbucketUrl = resolveBitbucketUrl(baseUrl);
+    const user = await getProvider('bitbucket', { baseUrl: bitbucketUrl }).getAuthenticatedUser(accessToken);
+
+    req.session.bitbucket = {
+      baseUrl: bitbucketUrl,
+      user,
+      accessToken // Note: In production, encrypt this
+    };
+
+    console.log('Bitbucket account connected for user:', user.login);
+    res.json({
+      message: 'Bitbucket account connected',
+      deployment: bitbucketUrl ? 'server' : 'cloud',
+      baseUrl: bitbucketUrl,
+      user
+    });
+  } catch (error) {
+    console.error('Bitbucket auth error:', error);
+    res.status(401).json({
+      error: 'Failed to authenticate with Bitbucket',
+      message: error.message
+    });
+  }
+});
+
+// Disconnect the Bitbucket account
+router.delete('/bitbucket', (req, res) => {
+  delete req.session.bitbucket;
+  res.json({
+    message: 'Bitbucket account disconnected'
+  });
+});
+
 // Authentication status check
 router.get('/status', (req, res) => {
   res.json({
@@ -115,7 +313,19 @@ router.get('/status', (req, res) => {
       id: req.session.user.id,
       login: req.session.user.login,
       name: req.session.user.name
-    } : null
+    } : null,
+    providers: {
+      github: !!req.session.user,
+      gitlab: req.session.gitlab ? {
+        baseUrl: req.session.gitlab.baseUrl,
+        login: req.session.gitlab.user.login
+      } : null,
+      bitbucket: req.session.bitbucket ? {
+        deployment: req.session.bitbucket.baseUrl ? 'server' : 'cloud',
+        baseUrl: req.session.bitbucket.baseUrl,
+        login: req.session.bitbucket.user.login
+      } : null
+    }
   });
 });
 
@@ -1,4 +1,11 @@
+const crypto = require('crypto');
 const Joi = require('joi');
+const githubAppAuth = require('./github-app-auth');
+const bitbucketAuth = require('./bitbucket-auth');
+const { SUPPORTED_PROVIDERS, getProvider } = require('../providers');
+
+// Refresh expiring OAuth tokens this long before they expire
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
 
 /**
  * Validate GitHub OAuth configuration
@@ -24,6 +31,50 @@ function validateGitHubConfig() {
   };
 }
 
+/**
+ * Validate GitHub App configuration
+ */
+function validateGitHubAppConfig() {
+  const errors = [];
+
+  if (!process.env.GITHUB_APP_ID) {
+    errors.push('GITHUB_APP_ID environment variable is required');
+  }
+
+  if (!process.env.GITHUB_APP_PRIVATE_KEY && !process.env.GITHUB_APP_PRIVATE_KEY_PATH) {
+    errors.push('GITHUB_APP_PRIVATE_KEY or GITHUB_APP_PRIVATE_KEY_PATH environment variable is required');
+  }
+
+  if (!process.env.GITHUB_APP_API_KEY) {
+    errors.push('GITHUB_APP_API_KEY environment variable is required');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate Bitbucket Cloud OAuth consumer configuration
+ */
+function validateBitbucketConfig() {
+  const errors = [];
+
+  if (!process.env.BITBUCKET_CLIENT_ID) {
+    errors.push('BITBUCKET_CLIENT_ID environment variable is required');
+  }
+
+  if (!process.env.BITBUCKET_CLIENT_SECRET) {
+    errors.push('BITBUCKET_CLIENT_SECRET environment variable is required');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
 /**
  * Validate GitHub callback parameters
  */
@@ -66,11 +117,96 @@ function validateRepositoryName(repoName) {
   return repositoryNameSchema.validate(repoName);
 }
 
+/**
+ * Validate a branch, tag or commit name (refs are passed on to git and host APIs)
+ */
+const gitRefSchema = Joi.string()
+  .max(255)
+  .pattern(/^(?![-/])(?!.*\.\.)[\w./-]+$/)
+  .messages({
+    'string.pattern.base': 'ref must be a branch, tag or commit SHA'
+  });
+
+function validateGitRef(ref) {
+  return gitRefSchema.validate(ref);
+}
+
+/**
+ * Validate a subdirectory to scope an analysis to (relative, no parent segments)
+ */
+const repositoryPathSchema = Joi.string()
+  .max(1024)
+  .pattern(/^(?!\/)(?!.*(^|\/)\.\.(\/|$))[\w@.+/ -]+$/)
+  .messages({
+    'string.pattern.base': 'path must be a directory relative to the repository root'
+  });
+
+function validateRepositoryPath(repositoryPath) {
+  return repositoryPathSchema.validate(repositoryPath);
+}
+
+/**
+ * Rejects requests whose `ref` query parameter is not a valid git ref
+ */
+function requireValidRef(req, res, next) {
+  if (req.query.ref === undefined) {
+    return next();
+  }
+
+  const { error } = validateGitRef(req.query.ref);
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid ref',
+      message: error.message
+    });
+  }
+  next();
+}
+
+/**
+ * Rejects requests whose `path` query parameter is not a repository subdirectory
+ */
+function requireValidPath(req, res, next) {
+  if (req.query.path === undefined) {
+    return next();
+  }
+
+  const { error } = validateRepositoryPath(req.query.path);
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid path',
+      message: error.message
+    });
+  }
+  next();
+}
+
 /**
  * Check if user is authenticated middleware
- * Enhanced to also validate access token exists
+ * Enhanced to also validate access token exists.
+ * Accepts either an OAuth browser session or a service request carrying the
+ * GitHub App API key; either way the token to use is set on req.auth.
  */
 function requireAuth(req, res, next) {
+  if (!req.session.user && githubAppAuth.isConfigured() && githubAppAuth.verifyApiKey(req)) {
+    return githubAppAuth.authenticateRequest(req)
+      .then(installation => {
+        req.auth = {
+          provider: 'github',
+          type: 'app',
+          accessToken: installation.token,
+          installationId: installation.installationId
+        };
+        next();
+      })
+      .catch(error => {
+        res.status(401).json({
+          error: 'GitHub App authentication failed',
+          message: error.message
+        });
+      });
+  }
+
   if (!req.session.user) {
     return res.status(401).json({
       error: 'Authentication required',
@@ -85,10 +221,133 @@ function requireAuth(req, res, next) {
       message: 'Please reauthenticate with GitHub - your session may have expired'
     });
   }
+
+  req.auth = {
+    provider: 'github',
+    type: 'oauth',
+    accessToken: req.session.user.accessToken
+  };
   
   next();
 }
 
+/**
+ * Authentication for routes that can analyze repositories on any supported
+ * host. The host comes from the `provider` query/body parameter (GitHub by
+ * default); other hosts use the credentials connected under /api/auth/<provider>.
+ */
+function requireProviderAuth(req, res, next) {
+  const provider = req.query.provider || (req.body && req.body.provider) || 'github';
+
+  if (provider === 'github') {
+    return requireAuth(req, res, next);
+  }
+
+  if (!SUPPORTED_PROVIDERS.includes(provider)) {
+    return res.status(400).json({
+      error: 'Unsupported provider',
+      message: `Provider must be one of: ${SUPPORTED_PROVIDERS.join(', ')}`
+    });
+  }
+
+  if (provider === 'local') {
+    return requireLocalAccess(req, res, next);
+  }
+
+  const credentials = req.session[provider];
+  if (!credentials || !credentials.accessToken) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: `Please connect your ${provider} account first`
+    });
+  }
+
+  const authenticate = () => {
+    req.auth = {
+      provider,
+      type: credentials.refreshToken ? 'oauth' : 'token',
+      accessToken: credentials.accessToken,
+      baseUrl: credentials.baseUrl || undefined
+    };
+    next();
+  };
+
+  // Bitbucket Cloud OAuth tokens expire after two hours
+  if (provider === 'bitbucket' && credentials.refreshToken && credentials.expiresAt &&
+      credentials.expiresAt - Date.now() < TOKEN_REFRESH_MARGIN_MS) {
+    return bitbucketAuth.refreshAccessToken(credentials.refreshToken)
+      .then(tokens => {
+        Object.assign(credentials, {
+          accessToken: tokens.accessToken,
+          refreshToken: tokens.refreshToken || credentials.refreshToken,
+          expiresAt: tokens.expiresAt
+        });
+        authenticate();
+      })
+      .catch(error => {
+        res.status(401).json({
+          error: 'Access token expired',
+          message: `Please reconnect your ${provider} account: ${error.message}`
+        });
+      });
+  }
+
+  authenticate();
+}
+
+/**
+ * Local repository analysis needs no host credentials. It must be enabled
+ * with LOCAL_REPOSITORIES_ROOT, and LOCAL_REPOSITORIES_API_KEY must be set and
+ * sent as a Bearer token: without a key every repository under the root
+ * would be readable by anyone reaching the server, so access is refused.
+ */
+function requireLocalAccess(req, res, next) {
+  if (!getProvider('local').isEnabled()) {
+    return res.status(400).json({
+      error: 'Local analysis disabled',
+      message: 'Set LOCAL_REPOSITORIES_ROOT to analyze repositories on disk'
+    });
+  }
+
+  const apiKey = process.env.LOCAL_REPOSITORIES_API_KEY;
+  if (!apiKey) {
+    return res.status(503).json({
+      error: 'Local analysis not configured',
+      message: 'Set LOCAL_REPOSITORIES_API_KEY to allow local repository analysis'
+    });
+  }
+
+  const [scheme, key] = (req.headers.authorization || '').split(' ');
+  const expected = Buffer.from(apiKey);
+  const actual = Buffer.from(key || '');
+
+  if (scheme !== 'Bearer' || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Provide the local repositories API key as a Bearer token'
+    });
+  }
+
+  req.auth = {
+    provider: 'local',
+    type: 'local',
+    accessToken: null
+  };
+
+  next();
+}
+
+/**
+ * Analysis options selecting the host authenticated by requireProviderAuth.
+ * Always taken from req.auth so request bodies can't send a token to another host.
+ */
+function getProviderOptions(req) {
+  return {
+    provider: req.auth.provider,
+    providerUrl: req.auth.baseUrl
+  };
+}
+
 /**
  * Validate API rate limiting parameters
  */
@@ -118,9 +377,17 @@ function validateRateLimitConfig() {
 
 module.exports = {
   validateGitHubConfig,
+  validateGitHubAppConfig,
+  validateBitbucketConfig,
   validateGitHubCallback,
   validateUserSession,
   validateRepositoryName,
+  validateGitRef,
+  validateRepositoryPath,
   validateRateLimitConfig,
-  requireAuth
+  requireAuth,
+  requireProviderAuth,
+  requireValidRef,
+  requireValidPath,
+  getProviderOptions
 }; 
\ No newline at end of file
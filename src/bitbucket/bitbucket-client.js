@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const RepositoryClient = require('../providers/repository-client');
+
+/**
+ * Base class for the request-scoped Bitbucket clients.
+ *
+ * Bitbucket Cloud and Bitbucket Server/Data Center have unrelated REST APIs,
+ * so each has its own subclass; this class holds what they share. Neither API
+ * exposes blob SHAs, so file contents are cached under a digest of the commit
+ * and path they were read at, which is just as immutable.
+ */
+class BitbucketClient extends RepositoryClient {
+  /**
+   * @param {Function} request - (path, params, options) => { data, headers }, bound to one token
+   * @param {Object} options - See RepositoryClient
+   */
+  constructor(request, options = {}) {
+    if (typeof request !== 'function') {
+      throw new Error('BitbucketClient requires an authenticated request function');
+    }
+    super(options);
+    this.request = request;
+  }
+
+  /**
+   * Gets the content of a specific file at the pinned commit
+   * @param {string} owner - Workspace (Cloud) or project key (Server)
+   * @param {string} repo - Repository slug
+   * @param {string} path - File path
+   * @returns {string} File content
+   */
+  async getFileContent(owner, repo, path) {
+    try {
+      const commit = await this.getHeadCommit(owner, repo);
+      const key = this.contentKey(owner, repo, commit, path);
+
+      const cached = this.blobCache ? await this.blobCache.getBlob(key) : null;
+      if (cached !== null) {
+        return cached;
+      }
+
+      const content = await this.fetchFileContent(owner, repo, commit, path);
+      await this.cacheBlob(key, content);
+      return content;
+    } catch (error) {
+      console.error(`Error getting file content for ${owner}/${repo}/${path}:`, error.message);
+      throw error;
+    }
+  }
+
+  contentKey(owner, repo, commit, path) {
+    return crypto.createHash('sha256').update(`${owner}/${repo}@${commit}:${path}`).digest('hex');
+  }
+
+  /**
+   * Gets contributors for DORA metrics
+   * Bitbucket has no contributors endpoint, so authors are counted from commit history
+   * @param {Object} options - { maxItems } commits to scan
+   */
+  async getContributors(owner, repo, options = {}) {
+    const commits = await this.getCommitHistory(owner, repo, options);
+    const commitStatus = this.getFetchStatus(owner, repo).resources.commits;
+    const contributors = new Map();
+
+    commits.forEach(commit => {
+      const author = commit.commit.author;
+      const login = commit.author ? commit.author.login : author.name;
+      if (!login) {
+        return;
+      }
+      if (!contributors.has(login)) {
+        contributors.set(login, { login, name: author.name, email: author.email, contributions: 0 });
+      }
+      contributors.get(login).contributions++;
+    });
+
+    const items = Array.from(contributors.values()).sort((a, b) => b.contributions - a.contributions);
+    this.recordFetch(owner, repo, 'contributors', {
+      complete: commitStatus ? commitStatus.complete : false,
+      count: items.length
+    });
+    return items;
+  }
+
+  /**
+   * Most tag names follow semver; treat pre-release suffixes as prereleases
+   */
+  static isPrerelease(tagName) {
+    return /-(alpha|beta|rc|pre|preview|dev)/i.test(tagName || '');
+  }
+}
+
+module.exports = BitbucketClient;
@@ -0,0 +1,344 @@
+const BitbucketClient = require('./bitbucket-client');
+
+// Upper bound on tree entries listed per repository (GitHub truncates at 100k)
+const MAX_TREE_ENTRIES = parseInt(process.env.BITBUCKET_MAX_TREE_ENTRIES) || 20000;
+const MAX_TREE_DEPTH = 50;
+
+const OPEN_ISSUE_STATES = ['new', 'open', 'on hold'];
+
+/**
+ * Request-scoped Bitbucket Cloud client used by the analyzers.
+ *
+ * Implements the GitHubClient data operations against the Bitbucket 2.0 API
+ * (`owner` is the workspace, `repo` the repository slug) and maps records to
+ * the GitHub shapes the analyzers read. Tags stand in for releases.
+ * Instances are created through `bitbucketService.createClient(accessToken)`.
+ */
+class BitbucketCloudClient extends BitbucketClient {
+  constructor(request, options = {}) {
+    super(request, options);
+    this.defaultBranches = new Map();
+  }
+
+  repositoryPath(owner, repo) {
+    return `/repositories/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+  }
+
+  /**
+   * Adapts a Bitbucket Cloud list endpoint ({ values, next }) to RepositoryClient.paginate
+   */
+  listRequest(path) {
+    return async ({ per_page, page, ...params }) => {
+      const { data } = await this.request(path, { ...params, pagelen: per_page, page });
+      return { data: data.values, hasNextPage: Boolean(data.next) };
+    };
+  }
+
+  /**
+   * Builds a BBQL filter on an item's creation date
+   */
+  createdOnQuery(since, until) {
+    const clauses = [];
+    if (since) {
+      clauses.push(`created_on >= ${new Date(since).toISOString()}`);
+    }
+    if (until) {
+      clauses.push(`created_on <= ${new Date(until).toISOString()}`);
+    }
+    return clauses.length > 0 ? clauses.join(' AND ') : undefined;
+  }
+
+  async fetchHeadCommit(owner, repo) {
+    if (this.ref) {
+      const { data } = await this.request(`${this.repositoryPath(owner, repo)}/commit/${encodeURIComponent(this.ref)}`);
+      return data.hash;
+    }
+
+    const branch = await this.getDefaultBranch(owner, repo);
+    const { data } = await this.request(`${this.repositoryPath(owner, repo)}/refs/branches/${encodeURIComponent(branch)}`);
+    return data.target.hash;
+  }
+
+  async fetchFileContent(owner, repo, commit, path) {
+    const filePath = path.split('/').map(encodeURIComponent).join('/');
+    const { data } = await this.request(`${this.repositoryPath(owner, repo)}/src/${commit}/${filePath}`, {}, { raw: true });
+    return data;
+  }
+
+  /**
+   * Gets the repository tree structure in the GitHub git/trees format
+   * @param {string} owner - Workspace
+   * @param {string} repo - Repository slug
+   * @returns {Object} { sha, tree, truncated }
+   */
+  async getRepositoryTree(owner, repo) {
+    try {
+      const commit = await this.getHeadCommit(owner, repo);
+      const { items, complete } = await this.paginate(
+        this.listRequest(`${this.repositoryPath(owner, repo)}/src/${commit}/`),
+        { max_depth: MAX_TREE_DEPTH },
+        { maxItems: MAX_TREE_ENTRIES }
+      );
+
+      const tree = items.map(item => ({
+        path: item.path,
+        mode: item.type === 'commit_directory' ? '040000' : '100644',
+        type: item.type === 'commit_directory' ? 'tree' : 'blob',
+        size: item.size
+      }));
+
+      return { sha: commit, tree, truncated: !complete };
+    } catch (error) {
+      console.error(`Error getting repository tree for ${owner}/${repo}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets commit history of the main branch for DORA metrics
+   * @param {Object} options - { since, until, maxItems } (ISO dates)
+   */
+  async getCommitHistory(owner, repo, options = {}) {
+    const { since, until, maxItems } = options;
+
+    try {
+      const branch = await this.getDefaultBranch(owner, repo);
+      const { items, complete } = await this.paginate(
+        this.listRequest(`${this.repositoryPath(owner, repo)}/commits`),
+        { include: branch },
+        {
+          maxItems,
+          isBeforeRange: since ? commit => new Date(commit.date) < new Date(since) : null,
+          isAfterRange: until ? commit => new Date(commit.date) > new Date(until) : null
+        }
+      );
+
+      this.recordFetch(owner, repo, 'commits', { complete, count: items.length, since, until });
+      return items.map(commit => {
+        const author = BitbucketCloudClient.parseAuthor(commit.author);
+        return {
+          sha: commit.hash,
+          html_url: commit.links && commit.links.html ? commit.links.html.href : null,
+          commit: {
+            message: commit.message,
+            author: { ...author, date: commit.date },
+            committer: { ...author, date: commit.date }
+          },
+          author: commit.author && commit.author.user
+            ? { login: commit.author.user.nickname || commit.author.user.display_name }
+            : null
+        };
+      });
+    } catch (error) {
+      console.error(`Error getting commit history for ${owner}/${repo}:`, error.message);
+      this.recordFetch(owner, repo, 'commits', { complete: false, count: 0, since, until, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Gets issues for DORA metrics
+   * Repositories with the issue tracker disabled have no issues rather than a failed fetch
+   * @param {Object} options - { since, until, maxItems } (ISO dates)
+   */
+  async getIssues(owner, repo, options = {}) {
+    const { since, until, maxItems } = options;
+
+    try {
+      const { items, complete } = await this.paginate(
+        this.listRequest(`${this.repositoryPath(owner, repo)}/issues`),
+        { q: this.createdOnQuery(since, until), sort: '-created_on' },
+        { maxItems }
+      );
+
+      this.recordFetch(owner, repo, 'issues', { complete, count: items.length, since, until });
+      return items.map(issue => {
+        const open = OPEN_ISSUE_STATES.includes(issue.state);
+        const labels = [issue.kind, issue.priority, issue.component ? issue.component.name : null]
+          .filter(Boolean)
+          .map(name => ({ name }));
+
+        return {
+          id: issue.id,
+          number: issue.id,
+          title: issue.title,
+          body: issue.content ? issue.content.raw : null,
+          state: open ? 'open' : 'closed',
+          html_url: issue.links && issue.links.html ? issue.links.html.href : null,
+          created_at: issue.created_on,
+          updated_at: issue.updated_on,
+          closed_at: open ? null : issue.updated_on,
+          user: issue.reporter ? { login: issue.reporter.nickname || issue.reporter.display_name } : null,
+          labels
+        };
+      });
+    } catch (error) {
+      if (error.status === 404) {
+        this.recordFetch(owner, repo, 'issues', { complete: true, count: 0, since, until, unavailable: true });
+        return [];
+      }
+      console.error(`Error getting issues for ${owner}/${repo}:`, error.message);
+      this.recordFetch(owner, repo, 'issues', { complete: false, count: 0, since, until, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Gets pull requests in the GitHub shape
+   * Bitbucket doesn't expose a merge date, so merged_at is the last update of a merged PR
+   * @param {Object} options - { since, until, maxItems } (ISO dates)
+   */
+  async getPullRequests(owner, repo, options = {}) {
+    const { since, until, maxItems } = options;
+
+    try {
+      const { items, complete } = await this.paginate(
+        this.listRequest(`${this.repositoryPath(owner, repo)}/pullrequests`),
+        {
+          state: ['OPEN', 'MERGED', 'DECLINED', 'SUPERSEDED'],
+          q: this.createdOnQuery(since, until),
+          sort: '-created_on'
+        },
+        { maxItems }
+      );
+
+      this.recordFetch(owner, repo, 'pullRequests', { complete, count: items.length, since, until });
+      return items.map(pullRequest => {
+        const open = pullRequest.state === 'OPEN';
+        return {
+          id: pullRequest.id,
+          number: pullRequest.id,
+          title: pullRequest.title,
+          state: open ? 'open' : 'closed',
+          html_url: pullRequest.links && pullRequest.links.html ? pullRequest.links.html.href : null,
+          created_at: pullRequest.created_on,
+          updated_at: pullRequest.updated_on,
+          closed_at: open ? null : pullRequest.updated_on,
+          merged_at: pullRequest.state === 'MERGED' ? pullRequest.updated_on : null,
+          user: pullRequest.author ? { login: pullRequest.author.nickname || pullRequest.author.display_name } : null
+        };
+      });
+    } catch (error) {
+      console.error(`Error getting pull requests for ${owner}/${repo}:`, error.message);
+      this.recordFetch(owner, repo, 'pullRequests', { complete: false, count: 0, since, until, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Gets tags as releases for DORA metrics (Bitbucket has no releases)
+   * @param {Object} options - { since, until, maxItems } (ISO dates)
+   */
+  async getReleases(owner, repo, options = {}) {
+    const { since, until, maxItems } = options;
+    const tagDate = tag => new Date(tag.target.date);
+
+    try {
+      const { items, complete } = await this.paginate(
+        this.listRequest(`${this.repositoryPath(owner, repo)}/refs/tags`),
+        { sort: '-target.date' },
+        {
+          maxItems,
+          isBeforeRange: since ? tag => tagDate(tag) < new Date(since) : null,
+          isAfterRange: until ? tag => tagDate(tag) > new Date(until) : null
+        }
+      );
+
+      this.recordFetch(owner, repo, 'releases', { complete, count: items.length, since, until });
+      return items.map(tag => ({
+        tag_name: tag.name,
+        name: tag.name,
+        body: tag.message || null,
+        html_url: tag.links && tag.links.html ? tag.links.html.href : null,
+        draft: false,
+        prerelease: BitbucketClient.isPrerelease(tag.name),
+        created_at: tag.target.date,
+        published_at: tag.date || tag.target.date,
+        author: null
+      }));
+    } catch (error) {
+      console.error(`Error getting releases for ${owner}/${repo}:`, error.message);
+      this.recordFetch(owner, repo, 'releases', { complete: false, count: 0, since, until, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Gets repository details for analysis in the GitHub repository shape
+   */
+  async getRepositoryDetails(owner, repo) {
+    try {
+      const { data } = await this.request(this.repositoryPath(owner, repo));
+      this.defaultBranches.set(`${owner}/${repo}`, data.mainbranch ? data.mainbranch.name : null);
+      return BitbucketCloudClient.toRepository(data);
+    } catch (error) {
+      console.error(`Error getting repository details for ${owner}/${repo}:`, error.message);
+      throw error;
+    }
+  }
+
+  async getDefaultBranch(owner, repo) {
+    const key = `${owner}/${repo}`;
+    if (!this.defaultBranches.has(key)) {
+      await this.getRepositoryDetails(owner, repo);
+    }
+    return this.defaultBranches.get(key) || 'main';
+  }
+
+  /**
+   * Splits a Bitbucket "Name <email>" author string
+   */
+  static parseAuthor(author) {
+    const raw = author ? author.raw || '' : '';
+    const match = raw.match(/^(.*?)\s*<([^>]*)>$/);
+    const name = match ? match[1] : raw;
+
+    return {
+      name: name || (author && author.user ? author.user.display_name : null),
+      email: match ? match[2] : null
+    };
+  }
+
+  /**
+   * Maps a Bitbucket Cloud repository to the GitHub repository fields used across the app
+   */
+  static toRepository(repository) {
+    const links = repository.links || {};
+    const cloneLink = protocol => (links.clone || []).find(link => link.name === protocol);
+
+    return {
+      id: repository.uuid,
+      name: repository.slug || repository.name,
+      full_name: repository.full_name,
+      private: Boolean(repository.is_private),
+      description: repository.description || null,
+      language: repository.language || null,
+      // GitHub reports size in KB
+      size: Math.round((repository.size || 0) / 1024),
+      stargazers_count: 0,
+      watchers_count: 0,
+      forks_count: 0,
+      open_issues_count: 0,
+      network_count: 0,
+      subscribers_count: null,
+      created_at: repository.created_on,
+      updated_at: repository.updated_on,
+      pushed_at: repository.updated_on,
+      default_branch: repository.mainbranch ? repository.mainbranch.name : null,
+      topics: [],
+      has_issues: Boolean(repository.has_issues),
+      has_projects: false,
+      has_wiki: Boolean(repository.has_wiki),
+      has_pages: false,
+      archived: false,
+      disabled: false,
+      license: null,
+      homepage: repository.website || null,
+      html_url: links.html ? links.html.href : null,
+      clone_url: cloneLink('https') ? cloneLink('https').href : null,
+      ssh_url: cloneLink('ssh') ? cloneLink('ssh').href : null
+    };
+  }
+}
+
+module.exports = BitbucketCloudClient;
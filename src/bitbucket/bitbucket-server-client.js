@@ -0,0 +1,297 @@
+const BitbucketClient = require('./bitbucket-client');
+
+// Upper bound on files listed per repository (GitHub truncates at 100k)
+const MAX_TREE_ENTRIES = parseInt(process.env.BITBUCKET_MAX_TREE_ENTRIES) || 20000;
+
+/**
+ * Request-scoped Bitbucket Server / Data Center client used by the analyzers.
+ *
+ * Implements the GitHubClient data operations against the REST 1.0 API
+ * (`owner` is the project key, `repo` the repository slug) and maps records
+ * to the GitHub shapes the analyzers read. Tags stand in for releases;
+ * Server has no issue tracker (issues live in Jira), so issues are empty.
+ */
+class BitbucketServerClient extends BitbucketClient {
+  constructor(request, options = {}) {
+    super(request, options);
+    this.commitDates = new Map();
+  }
+
+  repositoryPath(owner, repo) {
+    return `/projects/${encodeURIComponent(owner)}/repos/${encodeURIComponent(repo)}`;
+  }
+
+  /**
+   * Adapts a Bitbucket Server paged endpoint ({ values, isLastPage }) to RepositoryClient.paginate
+   */
+  listRequest(path) {
+    return async ({ per_page, page, ...params }) => {
+      const { data } = await this.request(path, { ...params, limit: per_page, start: (page - 1) * per_page });
+      return { data: data.values, hasNextPage: !data.isLastPage };
+    };
+  }
+
+  async fetchHeadCommit(owner, repo) {
+    if (this.ref) {
+      const { data } = await this.request(`${this.repositoryPath(owner, repo)}/commits/${encodeURIComponent(this.ref)}`);
+      return data.id;
+    }
+
+    const { data } = await this.request(`${this.repositoryPath(owner, repo)}/branches/default`);
+    return data.latestCommit;
+  }
+
+  async fetchFileContent(owner, repo, commit, path) {
+    const filePath = path.split('/').map(encodeURIComponent).join('/');
+    const { data } = await this.request(`${this.repositoryPath(owner, repo)}/raw/${filePath}`, { at: commit }, { raw: true });
+    return data;
+  }
+
+  /**
+   * Gets the repository tree structure in the GitHub git/trees format
+   * Server only lists file paths, so directory entries are derived from them
+   * @param {string} owner - Project key
+   * @param {string} repo - Repository slug
+   * @returns {Object} { sha, tree, truncated }
+   */
+  async getRepositoryTree(owner, repo) {
+    try {
+      const commit = await this.getHeadCommit(owner, repo);
+      const { items, complete } = await this.paginate(
+        this.listRequest(`${this.repositoryPath(owner, repo)}/files`),
+        { at: commit },
+        { maxItems: MAX_TREE_ENTRIES }
+      );
+
+      const directories = new Set();
+      items.forEach(filePath => {
+        const parts = filePath.split('/');
+        for (let depth = 1; depth < parts.length; depth++) {
+          directories.add(parts.slice(0, depth).join('/'));
+        }
+      });
+
+      const tree = [
+        ...Array.from(directories).map(path => ({ path, mode: '040000', type: 'tree' })),
+        ...items.map(path => ({ path, mode: '100644', type: 'blob' }))
+      ];
+
+      return { sha: commit, tree, truncated: !complete };
+    } catch (error) {
+      console.error(`Error getting repository tree for ${owner}/${repo}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets commit history of the default branch for DORA metrics
+   * @param {Object} options - { since, until, maxItems } (ISO dates)
+   */
+  async getCommitHistory(owner, repo, options = {}) {
+    const { since, until, maxItems } = options;
+
+    try {
+      const { items, complete } = await this.paginate(
+        this.listRequest(`${this.repositoryPath(owner, repo)}/commits`),
+        {},
+        {
+          maxItems,
+          isBeforeRange: since ? commit => commit.committerTimestamp < new Date(since).getTime() : null,
+          isAfterRange: until ? commit => commit.committerTimestamp > new Date(until).getTime() : null
+        }
+      );
+
+      this.recordFetch(owner, repo, 'commits', { complete, count: items.length, since, until });
+      return items.map(commit => {
+        const author = commit.author || {};
+        const committer = commit.committer || author;
+        return {
+          sha: commit.id,
+          html_url: null,
+          commit: {
+            message: commit.message,
+            author: { name: author.displayName || author.name, email: author.emailAddress, date: toISO(commit.authorTimestamp) },
+            committer: { name: committer.displayName || committer.name, email: committer.emailAddress, date: toISO(commit.committerTimestamp) }
+          },
+          author: author.slug ? { login: author.slug } : null
+        };
+      });
+    } catch (error) {
+      console.error(`Error getting commit history for ${owner}/${repo}:`, error.message);
+      this.recordFetch(owner, repo, 'commits', { complete: false, count: 0, since, until, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Bitbucket Server has no issue tracker
+   */
+  async getIssues(owner, repo, options = {}) {
+    const { since, until } = options;
+    this.recordFetch(owner, repo, 'issues', { complete: true, count: 0, since, until, unavailable: true });
+    return [];
+  }
+
+  /**
+   * Gets pull requests in the GitHub shape
+   * @param {Object} options - { since, until, maxItems } (ISO dates)
+   */
+  async getPullRequests(owner, repo, options = {}) {
+    const { since, until, maxItems } = options;
+
+    try {
+      const { items, complete } = await this.paginate(
+        this.listRequest(`${this.repositoryPath(owner, repo)}/pull-requests`),
+        { state: 'ALL', order: 'NEWEST' },
+        {
+          maxItems,
+          isBeforeRange: since ? pullRequest => pullRequest.createdDate < new Date(since).getTime() : null,
+          isAfterRange: until ? pullRequest => pullRequest.createdDate > new Date(until).getTime() : null
+        }
+      );
+
+      this.recordFetch(owner, repo, 'pullRequests', { complete, count: items.length, since, until });
+      return items.map(pullRequest => {
+        const links = pullRequest.links && pullRequest.links.self ? pullRequest.links.self : [];
+        return {
+          id: pullRequest.id,
+          number: pullRequest.id,
+          title: pullRequest.title,
+          state: pullRequest.state === 'OPEN' ? 'open' : 'closed',
+          html_url: links.length > 0 ? links[0].href : null,
+          created_at: toISO(pullRequest.createdDate),
+          updated_at: toISO(pullRequest.updatedDate),
+          closed_at: toISO(pullRequest.closedDate),
+          merged_at: pullRequest.state === 'MERGED' ? toISO(pullRequest.closedDate || pullRequest.updatedDate) : null,
+          user: pullRequest.author && pullRequest.author.user ? { login: pullRequest.author.user.slug } : null
+        };
+      });
+    } catch (error) {
+      console.error(`Error getting pull requests for ${owner}/${repo}:`, error.message);
+      this.recordFetch(owner, repo, 'pullRequests', { complete: false, count: 0, since, until, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Gets tags as releases for DORA metrics
+   * Server tags carry no date, so each tag is dated by the commit it points at
+   * @param {Object} options - { since, until, maxItems } (ISO dates)
+   */
+  async getReleases(owner, repo, options = {}) {
+    const { since, until, maxItems } = options;
+    const listTags = this.listRequest(`${this.repositoryPath(owner, repo)}/tags`);
+    const listDatedTags = async params => {
+      const page = await listTags(params);
+      const data = await Promise.all((page.data || []).map(async tag => ({
+        ...tag,
+        date: await this.getCommitDate(owner, repo, tag.latestCommit)
+      })));
+      return { ...page, data };
+    };
+
+    try {
+      const { items, complete } = await this.paginate(
+        listDatedTags,
+        { orderBy: 'MODIFICATION' },
+        {
+          maxItems,
+          isBeforeRange: since ? tag => Boolean(tag.date) && new Date(tag.date) < new Date(since) : null,
+          isAfterRange: until ? tag => Boolean(tag.date) && new Date(tag.date) > new Date(until) : null
+        }
+      );
+
+      this.recordFetch(owner, repo, 'releases', { complete, count: items.length, since, until });
+      return items.map(tag => ({
+        tag_name: tag.displayId,
+        name: tag.displayId,
+        body: null,
+        html_url: null,
+        draft: false,
+        prerelease: BitbucketClient.isPrerelease(tag.displayId),
+        created_at: tag.date,
+        published_at: tag.date,
+        author: null
+      }));
+    } catch (error) {
+      console.error(`Error getting releases for ${owner}/${repo}:`, error.message);
+      this.recordFetch(owner, repo, 'releases', { complete: false, count: 0, since, until, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Gets the commit date of a tagged commit, or null if it can't be read
+   */
+  async getCommitDate(owner, repo, commitId) {
+    if (!commitId) {
+      return null;
+    }
+    if (!this.commitDates.has(commitId)) {
+      this.commitDates.set(commitId, this.request(`${this.repositoryPath(owner, repo)}/commits/${commitId}`)
+        .then(({ data }) => toISO(data.committerTimestamp))
+        .catch(() => null));
+    }
+    return this.commitDates.get(commitId);
+  }
+
+  /**
+   * Gets repository details for analysis in the GitHub repository shape
+   */
+  async getRepositoryDetails(owner, repo) {
+    try {
+      const { data } = await this.request(this.repositoryPath(owner, repo));
+      return BitbucketServerClient.toRepository(data);
+    } catch (error) {
+      console.error(`Error getting repository details for ${owner}/${repo}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Maps a Bitbucket Server repository to the GitHub repository fields used across the app
+   */
+  static toRepository(repository) {
+    const links = repository.links || {};
+    const cloneLink = protocol => (links.clone || []).find(link => link.name === protocol);
+    const projectKey = repository.project ? repository.project.key : null;
+
+    return {
+      id: repository.id,
+      name: repository.slug,
+      full_name: projectKey ? `${projectKey}/${repository.slug}` : repository.slug,
+      private: !repository.public,
+      description: repository.description || null,
+      language: null,
+      size: 0,
+      stargazers_count: 0,
+      watchers_count: 0,
+      forks_count: 0,
+      open_issues_count: 0,
+      network_count: 0,
+      subscribers_count: null,
+      created_at: null,
+      updated_at: null,
+      pushed_at: null,
+      default_branch: null,
+      topics: [],
+      has_issues: false,
+      has_projects: false,
+      has_wiki: false,
+      has_pages: false,
+      archived: Boolean(repository.archived),
+      disabled: false,
+      license: null,
+      homepage: null,
+      html_url: links.self && links.self.length > 0 ? links.self[0].href : null,
+      clone_url: cloneLink('http') ? cloneLink('http').href : null,
+      ssh_url: cloneLink('ssh') ? cloneLink('ssh').href : null
+    };
+  }
+}
+
+function toISO(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+module.exports = BitbucketServerClient;
@@ -0,0 +1,164 @@
+const BitbucketCloudClient = require('./bitbucket-cloud-client');
+const BitbucketServerClient = require('./bitbucket-server-client');
+const HttpCache = require('../github/http-cache');
+const RequestScheduler = require('../github/request-scheduler');
+const { buildRepositoryStats } = require('../providers/repository-stats');
+
+const CLOUD_API_URL = 'https://api.bitbucket.org/2.0';
+
+/**
+ * Bitbucket repository provider.
+ *
+ * Without a base URL it talks to Bitbucket Cloud; with one it talks to that
+ * Bitbucket Server / Data Center instance. Offers the same token-based
+ * operations as the GitHub service. One instance exists per deployment
+ * (see providers/index.js).
+ */
+class BitbucketService {
+  /**
+   * @param {Object} options - { baseUrl } Bitbucket Server instance; omit for Bitbucket Cloud
+   */
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl ? options.baseUrl.replace(/\/+$/, '') : null;
+    this.deployment = this.baseUrl ? 'server' : 'cloud';
+    this.apiUrl = this.baseUrl ? `${this.baseUrl}/rest/api/1.0` : CLOUD_API_URL;
+    this.httpCache = new HttpCache();
+    this.requestScheduler = new RequestScheduler();
+  }
+
+  /**
+   * Performs a Bitbucket API GET request through the shared scheduler
+   * @param {string} accessToken - OAuth access token or HTTP/repository access token
+   * @param {string} path - API path below the REST root
+   * @param {Object} params - Query parameters (undefined values are dropped, arrays repeat)
+   * @param {Object} options - { raw } return the body as text
+   * @returns {Object} { data, headers, status }
+   */
+  async request(accessToken, path, params = {}, options = {}) {
+    const url = new URL(`${this.apiUrl}${path}`);
+    Object.entries(params).forEach(([key, value]) => {
+      [].concat(value)
+        .filter(item => item !== undefined && item !== null)
+        .forEach(item => url.searchParams.append(key, item));
+    });
+
+    return this.requestScheduler.schedule(async () => {
+      const response = await fetch(url, {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Accept': 'application/json',
+          'User-Agent': 'tech-health-mvp/1.0.0'
+        }
+      });
+
+      const headers = {};
+      response.headers.forEach((value, key) => {
+        headers[key.toLowerCase()] = value;
+      });
+
+      if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        const error = new Error(`Bitbucket API error ${response.status}: ${body.slice(0, 200) || response.statusText}`);
+        error.status = response.status;
+        error.response = { headers };
+        throw error;
+      }
+
+      const data = options.raw ? await response.text() : await response.json();
+      return { data, headers, status: response.status };
+    }, this.requestScheduler.getTokenScope(accessToken));
+  }
+
+  /**
+   * Creates a request-scoped client for the analysis engine
+   * @param {string} accessToken - Bitbucket access token
+   * @param {Object} options - Client options (e.g. maxItems pagination cap)
+   * @returns {BitbucketCloudClient|BitbucketServerClient} Client bound to this token only
+   */
+  createClient(accessToken, options = {}) {
+    const request = (path, params, requestOptions) => this.request(accessToken, path, params, requestOptions);
+    const Client = this.deployment === 'server' ? BitbucketServerClient : BitbucketCloudClient;
+    return new Client(request, { blobCache: this.httpCache, ...options });
+  }
+
+  /**
+   * Subscribes to rate limit and retry waits for requests made with a token
+   */
+  onRateLimitWait(accessToken, listener) {
+    return this.requestScheduler.onWait(accessToken, listener);
+  }
+
+  /**
+   * Validates a token and returns the Bitbucket user it belongs to
+   * Server access tokens may belong to a project or repository rather than a
+   * user; the user is then named after the token as reported by the server.
+   */
+  async getAuthenticatedUser(accessToken) {
+    if (this.deployment === 'cloud') {
+      const { data } = await this.request(accessToken, '/user');
+      return {
+        id: data.uuid,
+        login: data.username || data.nickname,
+        name: data.display_name,
+        email: null,
+        avatar_url: data.links && data.links.avatar ? data.links.avatar.href : null
+      };
+    }
+
+    const { headers } = await this.request(accessToken, '/projects', { limit: 1 });
+    const login = headers['x-ausername'] || null;
+    return {
+      id: login,
+      login,
+      name: login,
+      email: null,
+      avatar_url: null
+    };
+  }
+
+  /**
+   * Get specific repository details
+   */
+  async getRepository(accessToken, owner, repo) {
+    try {
+      return await this.createClient(accessToken).getRepositoryDetails(owner, repo);
+    } catch (error) {
+      throw new Error(`Failed to fetch repository: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get repository languages
+   * Bitbucket Cloud records a single language per repository; Server records none
+   */
+  async getRepositoryLanguages(accessToken, owner, repo) {
+    try {
+      if (this.deployment === 'server') {
+        return [];
+      }
+
+      const repository = await this.getRepository(accessToken, owner, repo);
+      return repository.language
+        ? [{ language: repository.language, bytes: repository.size * 1024, percentage: '100.00' }]
+        : [];
+    } catch (error) {
+      throw new Error(`Failed to fetch repository languages: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get comprehensive repository statistics for tech health analysis
+   * Same shape and scoring as the GitHub service so scores compare across hosts
+   */
+  async getRepositoryStats(accessToken, owner, repo) {
+    try {
+      return await buildRepositoryStats(this, accessToken, owner, repo);
+    } catch (error) {
+      throw new Error(`Failed to fetch repository statistics: ${error.message}`);
+    }
+  }
+}
+
+BitbucketService.CLOUD_API_URL = CLOUD_API_URL;
+
+module.exports = BitbucketService;
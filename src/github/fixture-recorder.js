@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_BUNDLE = path.join(process.cwd(), 'fixtures', 'analysis-bundle.json');
+const DEFAULT_ACCEPT = 'application/vnd.github.v3+json';
+const BUNDLE_VERSION = 1;
+
+// Response headers worth keeping; the rest only bloat the bundle
+const RECORDED_HEADERS = ['content-type', 'etag', 'last-modified', 'link'];
+
+// Analysis windows end "now", so timestamps in requests differ between runs
+const TIMESTAMP_PATTERN = /\d{4}-\d{2}-\d{2}T\d{2}(:|%3A)\d{2}(:|%3A)\d{2}(\.\d+)?(Z|%2B00(:|%3A)00|\+00:00)/gi;
+
+/**
+ * Records outgoing API traffic into a fixture bundle and replays it.
+ *
+ * In `record` mode every GitHub request (REST and GraphQL) and every
+ * registry/advisory lookup made through CodeQualityAnalyzer#makeHttpRequest is
+ * performed as usual and its response (or error) stored in one JSON bundle.
+ * In `replay` mode the same requests are answered from the bundle and nothing
+ * goes over the network, so a whole analysis can be served offline and
+ * deterministically. Requests are matched on method, URL, Accept header and
+ * body, with timestamps masked; time windows are still measured from the
+ * current date, so metrics drift as a bundle ages.
+ */
+class FixtureRecorder {
+  /**
+   * @param {Object} options - { mode } 'record', 'replay' or 'off', { bundle } bundle file path
+   */
+  constructor(options = {}) {
+    this.configure({
+      mode: options.mode || process.env.GITHUB_FIXTURE_MODE,
+      bundle: options.bundle || process.env.GITHUB_FIXTURE_BUNDLE
+    });
+  }
+
+  /**
+   * Switches mode or bundle; recorded entries not yet saved are discarded
+   */
+  configure({ mode, bundle } = {}) {
+    this.mode = ['record', 'replay'].includes(mode) ? mode : 'off';
+    this.bundlePath = bundle || DEFAULT_BUNDLE;
+    this.entries = null;
+    this.saving = Promise.resolve();
+    this.saveQueued = false;
+  }
+
+  get enabled() {
+    return this.mode !== 'off';
+  }
+
+  /**
+   * Routes an Octokit instance's requests through the recorder
+   * Attach last so it wraps the cache and scheduler: replayed requests skip both.
+   * @param {Octokit} octokit - Octokit instance to wrap
+   * @returns {Octokit} The same instance
+   */
+  attach(octokit) {
+    if (!this.enabled || !octokit.hook) {
+      return octokit;
+    }
+
+    const { endpoint } = octokit.request;
+    octokit.hook.wrap('request', (request, options) => this.octokitRequest(request, options, endpoint));
+    return octokit;
+  }
+
+  /**
+   * Records or replays one Octokit request
+   */
+  async octokitRequest(request, options, endpoint) {
+    const { method, url, headers, body } = endpoint.parse(options);
+    const key = this.requestKey(method, url, headers.accept, body);
+
+    return this.handle(key, async () => {
+      const response = await request(options);
+      const recordedHeaders = {};
+      RECORDED_HEADERS
+        .filter(name => response.headers && response.headers[name] !== undefined)
+        .forEach(name => { recordedHeaders[name] = response.headers[name]; });
+      return {
+        stored: { status: response.status, url: response.url, headers: recordedHeaders, ...encodeData(response.data) },
+        result: response
+      };
+    }, decodeResponse);
+  }
+
+  /**
+   * Records or replays a plain HTTP request (package registries, OSV, advisories)
+   * @param {string} url - Request URL
+   * @param {Object} options - { method, body }
+   * @param {Function} perform - Makes the real request, resolving to { ok, status, statusText, text }
+   * @returns {Object} Response with the same shape as perform's
+   */
+  async httpRequest(url, options, perform) {
+    if (!this.enabled) {
+      return perform();
+    }
+
+    const key = this.requestKey(options.method || 'GET', url, null, options.body);
+    return this.handle(key, async () => {
+      const response = await perform();
+      const stored = { status: response.status, statusText: response.statusText, body: await response.text() };
+      return { stored, result: toHttpResponse(stored) };
+    }, toHttpResponse);
+  }
+
+  /**
+   * Replays the entry for a key, or performs and records the request
+   * @param {Function} perform - Resolves to { stored, result }
+   * @param {Function} restore - Rebuilds a response from its stored form
+   */
+  async handle(key, perform, restore) {
+    const entries = await this.loadEntries();
+
+    if (this.mode === 'replay') {
+      const entry = entries[key];
+      if (!entry) {
+        const error = new Error(`No recorded response for ${key} in ${this.bundlePath}`);
+        error.status = 404;
+        throw error;
+      }
+      if (entry.error) {
+        throw toError(entry.error);
+      }
+      return restore(entry.response);
+    }
+
+    try {
+      const { stored, result } = await perform();
+      entries[key] = { response: stored };
+      this.queueSave();
+      return result;
+    } catch (error) {
+      entries[key] = {
+        error: {
+          message: error.message,
+          status: error.status || null,
+          data: error.response ? error.response.data : undefined
+        }
+      };
+      this.queueSave();
+      throw error;
+    }
+  }
+
+  /**
+   * Matching key for a request: method, URL and Accept header with the body hashed
+   */
+  requestKey(method, url, accept, body) {
+    const mask = value => value.replace(TIMESTAMP_PATTERN, '<timestamp>');
+    const parts = [method.toUpperCase(), mask(url)];
+
+    if (accept && accept !== DEFAULT_ACCEPT) {
+      parts.push(accept);
+    }
+    if (body !== undefined && body !== null && body !== '') {
+      const serialized = typeof body === 'string' ? body : JSON.stringify(body);
+      parts.push(crypto.createHash('sha256').update(mask(serialized)).digest('hex').slice(0, 16));
+    }
+    return parts.join(' ');
+  }
+
+  /**
+   * Loads the bundle once; recording starts from an existing bundle so runs can be topped up
+   */
+  async loadEntries() {
+    if (!this.entries) {
+      this.entries = fs.readFile(this.bundlePath, 'utf8')
+        .then(content => JSON.parse(content).entries || {})
+        .catch(error => {
+          if (this.mode === 'replay') {
+            console.error(`Could not read fixture bundle ${this.bundlePath}:`, error.message);
+          }
+          return {};
+        });
+    }
+    return this.entries;
+  }
+
+  /**
+   * Writes the bundle after the current write finishes; bursts of requests share one write
+   */
+  queueSave() {
+    if (this.saveQueued) {
+      return;
+    }
+    this.saveQueued = true;
+    this.saving = this.saving.then(async () => {
+      this.saveQueued = false;
+      const entries = await this.entries;
+      const bundle = { version: BUNDLE_VERSION, recordedAt: new Date().toISOString(), entries };
+      await fs.mkdir(path.dirname(this.bundlePath), { recursive: true });
+      await fs.writeFile(this.bundlePath, JSON.stringify(bundle, null, 2));
+    }).catch(error => {
+      console.error(`Could not write fixture bundle ${this.bundlePath}:`, error.message);
+    });
+  }
+
+  /**
+   * Resolves once every recorded response is written to the bundle
+   */
+  async flush() {
+    await this.saving;
+  }
+}
+
+/**
+ * Binary bodies (artifact and archive downloads) do not survive JSON; they are stored as base64
+ */
+function encodeData(data) {
+  if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+    const buffer = ArrayBuffer.isView(data) ? Buffer.from(data.buffer, data.byteOffset, data.byteLength) : Buffer.from(data);
+    return { data: buffer.toString('base64'), encoding: 'base64' };
+  }
+  return { data };
+}
+
+/**
+ * Rebuilds an Octokit response; binary bodies come back as the ArrayBuffer Octokit returns
+ */
+function decodeResponse(stored) {
+  if (stored.encoding !== 'base64') {
+    return stored;
+  }
+  const { status, url, headers } = stored;
+  const buffer = Buffer.from(stored.data, 'base64');
+  return { status, url, headers, data: buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength) };
+}
+
+function toHttpResponse(stored) {
+  return {
+    ok: stored.status >= 200 && stored.status < 300,
+    status: stored.status,
+    statusText: stored.statusText,
+    json: async () => JSON.parse(stored.body),
+    text: async () => stored.body
+  };
+}
+
+function toError(recorded) {
+  const error = new Error(recorded.message);
+  if (recorded.status) {
+    error.status = recorded.status;
+    error.response = { status: recorded.status, data: recorded.data, headers: {} };
+  }
+  return error;
+}
+
+module.exports = new FixtureRecorder();
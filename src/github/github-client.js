@@ -0,0 +1,523 @@
+const RepositoryClient = require('../providers/repository-client');
+
+const MAX_TREE_ENTRIES = parseInt(process.env.GITHUB_MAX_TREE_ENTRIES) || 100000;
+const MAX_ARTIFACT_RUNS = parseInt(process.env.GITHUB_MAX_ARTIFACT_RUNS) || 20;
+
+/**
+ * Request-scoped GitHub client used by the analyzers.
+ *
+ * Each instance wraps its own authenticated Octokit, so concurrent analyses
+ * for different users never share (or clear) each other's credentials.
+ * Instances are created through `githubService.createClient(accessToken)`.
+ */
+class GitHubClient extends RepositoryClient {
+  /**
+   * @param {Octokit} octokit - Authenticated Octokit instance
+   * @param {Object} options - See RepositoryClient
+   */
+  constructor(octokit, options = {}) {
+    if (!octokit) {
+      throw new Error('GitHubClient requires an authenticated Octokit instance');
+    }
+    super(options);
+    this.octokit = octokit;
+    this.trees = new Map();
+  }
+
+  /**
+   * Resolves a branch, tag or commit to its commit SHA
+   */
+  async fetchHeadCommit(owner, repo) {
+    const response = await this.octokit.rest.repos.getCommit({
+      owner,
+      repo,
+      ref: this.ref || 'HEAD',
+      mediaType: { format: 'sha' }
+    });
+    return String(response.data).trim();
+  }
+
+  /**
+   * Commit SHA that reads are pinned to when a ref was requested, else null (default branch)
+   */
+  async getPinnedCommit(owner, repo) {
+    return this.ref ? this.getHeadCommit(owner, repo) : null;
+  }
+
+  /**
+   * Gets the repository tree structure
+   * The recursive tree API truncates large repositories; those are walked subtree by
+   * subtree instead, so `truncated` is only set if the entry cap cut the walk short.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Object} Repository tree { sha, tree, truncated }
+   */
+  async getRepositoryTree(owner, repo) {
+    const key = `${owner}/${repo}`;
+    if (!this.trees.has(key)) {
+      this.trees.set(key, this.fetchRepositoryTree(owner, repo).catch(error => {
+        this.trees.delete(key);
+        console.error(`Error getting repository tree for ${owner}/${repo}:`, error.message);
+        throw error;
+      }));
+    }
+    return this.trees.get(key);
+  }
+
+  async fetchRepositoryTree(owner, repo) {
+    const commit = await this.getPinnedCommit(owner, repo);
+    const response = await this.octokit.rest.git.getTree({
+      owner,
+      repo,
+      tree_sha: commit || 'HEAD',
+      recursive: true
+    });
+
+    let data = response.data;
+    if (data.truncated) {
+      console.warn(`Tree for ${owner}/${repo} is truncated; walking it subtree by subtree`);
+      const walk = { entries: [], complete: true };
+      await this.walkTree(owner, repo, data.sha, '', walk);
+      if (walk.entries.length > MAX_TREE_ENTRIES) {
+        walk.entries.length = MAX_TREE_ENTRIES;
+        walk.complete = false;
+      }
+      data = { ...data, tree: walk.entries, truncated: !walk.complete };
+    }
+
+    this.rememberBlobShas(owner, repo, data.tree);
+
+    return data;
+  }
+
+  /**
+   * Lists a tree one level at a time, fetching each subdirectory recursively
+   * and descending further only into subdirectories that are themselves truncated
+   * @param {Object} walk - { entries, complete } accumulated across the walk
+   */
+  async walkTree(owner, repo, treeSha, prefix, walk) {
+    const { data } = await this.octokit.rest.git.getTree({ owner, repo, tree_sha: treeSha });
+    const withPrefix = item => ({ ...item, path: prefix ? `${prefix}/${item.path}` : item.path });
+
+    for (const item of data.tree.map(withPrefix)) {
+      if (walk.entries.length >= MAX_TREE_ENTRIES) {
+        walk.complete = false;
+        return;
+      }
+      walk.entries.push(item);
+      if (item.type !== 'tree') {
+        continue;
+      }
+
+      const subtree = await this.octokit.rest.git.getTree({ owner, repo, tree_sha: item.sha, recursive: true });
+      if (subtree.data.truncated) {
+        await this.walkTree(owner, repo, item.sha, item.path, walk);
+      } else {
+        walk.entries.push(...subtree.data.tree.map(entry => ({ ...entry, path: `${item.path}/${entry.path}` })));
+      }
+    }
+  }
+
+  /**
+   * Gets the content of a specific file
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} path - File path
+   * @returns {string} File content
+   */
+  async getFileContent(owner, repo, path) {
+    try {
+      const cached = await this.getCachedBlob(owner, repo, path);
+      if (cached !== null) {
+        return cached;
+      }
+
+      const commit = await this.getPinnedCommit(owner, repo);
+      const response = await this.octokit.rest.repos.getContent({
+        owner,
+        repo,
+        path,
+        ...(commit ? { ref: commit } : {})
+      });
+
+      if (response.data.type === 'file') {
+        const content = Buffer.from(response.data.content, 'base64').toString('utf-8');
+        await this.cacheBlob(response.data.sha, content);
+        return content;
+      } else {
+        throw new Error('Path is not a file');
+      }
+    } catch (error) {
+      console.error(`Error getting file content for ${owner}/${repo}/${path}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets commit history for DORA metrics
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} options - { since, until, maxItems } (ISO dates)
+   * @returns {Array} Commit history
+   */
+  async getCommitHistory(owner, repo, options = {}) {
+    const { since, until, maxItems } = options;
+
+    try {
+      const { items, complete } = await this.paginate(
+        this.octokit.rest.repos.listCommits,
+        { owner, repo, since, until },
+        { maxItems }
+      );
+
+      this.recordFetch(owner, repo, 'commits', { complete, count: items.length, since, until });
+      return items;
+    } catch (error) {
+      console.error(`Error getting commit history for ${owner}/${repo}:`, error.message);
+      this.recordFetch(owner, repo, 'commits', { complete: false, count: 0, since, until, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Gets contributors for DORA metrics
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} options - { maxItems }
+   * @returns {Array} Contributors
+   */
+  async getContributors(owner, repo, options = {}) {
+    const { maxItems } = options;
+
+    try {
+      const { items, complete } = await this.paginate(
+        this.octokit.rest.repos.listContributors,
+        { owner, repo },
+        { maxItems }
+      );
+
+      this.recordFetch(owner, repo, 'contributors', { complete, count: items.length });
+      return items;
+    } catch (error) {
+      console.error(`Error getting contributors for ${owner}/${repo}:`, error.message);
+      this.recordFetch(owner, repo, 'contributors', { complete: false, count: 0, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Gets issues for DORA metrics
+   * Pull requests, which the REST issues list mixes in, are left out as the
+   * GraphQL issues connection leaves them out.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} options - { since, until, maxItems } (ISO dates)
+   * @returns {Array} Issues
+   */
+  async getIssues(owner, repo, options = {}) {
+    const { since, until, maxItems } = options;
+
+    try {
+      // The issues API filters `since` on updated_at, so the creation window is
+      // enforced here; results are newest-first, which lets us stop early.
+      const { items, complete } = await this.paginate(
+        this.octokit.rest.issues.listForRepo,
+        { owner, repo, state: 'all', since, sort: 'created', direction: 'desc' },
+        {
+          maxItems,
+          isBeforeRange: since ? issue => new Date(issue.created_at) < new Date(since) : null,
+          isAfterRange: until ? issue => new Date(issue.created_at) > new Date(until) : null,
+          include: issue => !issue.pull_request
+        }
+      );
+
+      this.recordFetch(owner, repo, 'issues', { complete, count: items.length, since, until });
+      return items;
+    } catch (error) {
+      console.error(`Error getting issues for ${owner}/${repo}:`, error.message);
+      this.recordFetch(owner, repo, 'issues', { complete: false, count: 0, since, until, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Gets releases for DORA metrics
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} options - { since, until, maxItems } (ISO dates)
+   * @returns {Array} Releases
+   */
+  async getReleases(owner, repo, options = {}) {
+    const { since, until, maxItems } = options;
+    const releaseDate = release => new Date(release.published_at || release.created_at);
+
+    try {
+      // The releases API has no date filter; it is ordered newest-first
+      const { items, complete } = await this.paginate(
+        this.octokit.rest.repos.listReleases,
+        { owner, repo },
+        {
+          maxItems,
+          isBeforeRange: since ? release => releaseDate(release) < new Date(since) : null,
+          isAfterRange: until ? release => releaseDate(release) > new Date(until) : null
+        }
+      );
+
+      this.recordFetch(owner, repo, 'releases', { complete, count: items.length, since, until });
+      return items;
+    } catch (error) {
+      console.error(`Error getting releases for ${owner}/${repo}:`, error.message);
+      this.recordFetch(owner, repo, 'releases', { complete: false, count: 0, since, until, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Gets pull requests created in a time range, newest first
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} options - { since, until, maxItems } (ISO dates)
+   * @returns {Array} Pull requests
+   */
+  async getPullRequests(owner, repo, options = {}) {
+    const { since, until, maxItems } = options;
+
+    try {
+      const { items, complete } = await this.paginate(
+        this.octokit.rest.pulls.list,
+        { owner, repo, state: 'all', sort: 'created', direction: 'desc' },
+        {
+          maxItems,
+          isBeforeRange: since ? pull => new Date(pull.created_at) < new Date(since) : null,
+          isAfterRange: until ? pull => new Date(pull.created_at) > new Date(until) : null
+        }
+      );
+
+      this.recordFetch(owner, repo, 'pullRequests', { complete, count: items.length, since, until });
+      return items;
+    } catch (error) {
+      console.error(`Error getting pull requests for ${owner}/${repo}:`, error.message);
+      this.recordFetch(owner, repo, 'pullRequests', { complete: false, count: 0, since, until, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Adds reviews, commit and size data to a pull request from getPullRequests
+   * The list endpoint omits these, so this costs three requests per pull request.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} pull - Pull request
+   * @returns {Object} The pull request with reviews, commits_count, first_commit_at,
+   *   additions, deletions and changed_files
+   */
+  async getPullRequestActivity(owner, repo, pull) {
+    const params = { owner, repo, pull_number: pull.number };
+
+    const [details, reviews, firstCommits] = await Promise.all([
+      this.octokit.rest.pulls.get(params),
+      this.paginate(this.octokit.rest.pulls.listReviews, params, { maxItems: 100 }),
+      // Pull request commits are listed oldest first
+      this.octokit.rest.pulls.listCommits({ ...params, per_page: 1 })
+    ]);
+
+    const firstCommit = firstCommits.data[0];
+
+    return {
+      ...pull,
+      additions: details.data.additions,
+      deletions: details.data.deletions,
+      changed_files: details.data.changed_files,
+      commits_count: details.data.commits,
+      first_commit_at: firstCommit ? firstCommit.commit.author?.date || firstCommit.commit.committer?.date : null,
+      reviews: reviews.items.map(review => ({
+        state: review.state,
+        submitted_at: review.submitted_at,
+        user: review.user ? { login: review.user.login } : null
+      }))
+    };
+  }
+
+  /**
+   * Gets deployments created in a time range, newest first
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} options - { since, until, environment, maxItems } (ISO dates; all environments
+   *   unless one is named)
+   * @returns {Array} Deployments
+   */
+  async getDeployments(owner, repo, options = {}) {
+    const { since, until, environment, maxItems } = options;
+
+    try {
+      const { items, complete } = await this.paginate(
+        this.octokit.rest.repos.listDeployments,
+        { owner, repo, ...(environment ? { environment } : {}) },
+        {
+          maxItems,
+          isBeforeRange: since ? deployment => new Date(deployment.created_at) < new Date(since) : null,
+          isAfterRange: until ? deployment => new Date(deployment.created_at) > new Date(until) : null
+        }
+      );
+
+      this.recordFetch(owner, repo, 'deployments', { complete, count: items.length, since, until });
+      return items;
+    } catch (error) {
+      console.error(`Error getting deployments for ${owner}/${repo}:`, error.message);
+      this.recordFetch(owner, repo, 'deployments', { complete: false, count: 0, since, until, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Gets the statuses of a deployment, newest first
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} deploymentId - Deployment ID
+   * @returns {Array} Deployment statuses
+   */
+  async getDeploymentStatuses(owner, repo, deploymentId) {
+    const { items } = await this.paginate(
+      this.octokit.rest.repos.listDeploymentStatuses,
+      { owner, repo, deployment_id: deploymentId },
+      { maxItems: 100 }
+    );
+    return items;
+  }
+
+  /**
+   * Gets completed GitHub Actions workflow runs created in a time range, newest first
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} options - { since, until, maxItems } (ISO dates)
+   * @returns {Array} Workflow runs
+   */
+  async getWorkflowRuns(owner, repo, options = {}) {
+    const { since, until, maxItems } = options;
+    const created = since && until ? `${since}..${until}` : since ? `>=${since}` : until ? `<=${until}` : undefined;
+
+    try {
+      const { items, complete } = await this.paginate(
+        params => this.octokit.rest.actions.listWorkflowRunsForRepo(params)
+          .then(response => ({ data: response.data.workflow_runs })),
+        { owner, repo, status: 'completed', created },
+        { maxItems }
+      );
+
+      this.recordFetch(owner, repo, 'workflowRuns', { complete, count: items.length, since, until });
+      return items;
+    } catch (error) {
+      console.error(`Error getting workflow runs for ${owner}/${repo}:`, error.message);
+      this.recordFetch(owner, repo, 'workflowRuns', { complete: false, count: 0, since, until, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Gets the jobs of the latest attempt of a workflow run
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} runId - Workflow run ID
+   * @returns {Array} Jobs
+   */
+  async getWorkflowRunJobs(owner, repo, runId) {
+    const { items } = await this.paginate(
+      params => this.octokit.rest.actions.listJobsForWorkflowRun(params)
+        .then(response => ({ data: response.data.jobs })),
+      { owner, repo, run_id: runId, filter: 'latest' }
+    );
+    return items;
+  }
+
+  /**
+   * Gets the artifacts of the latest successful workflow run that has matching ones
+   * Runs are searched newest first, back to MAX_ARTIFACT_RUNS of them, so a later
+   * run of an unrelated workflow does not hide the one that uploads the artifacts.
+   * Analyses pinned to a ref look at the runs for that commit.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} options - { matches } artifact predicate (any unexpired artifact by default)
+   * @returns {Object} { run, artifacts } the run's matching artifacts; run is null if none has any
+   */
+  async getLatestWorkflowArtifacts(owner, repo, options = {}) {
+    const matches = options.matches || (() => true);
+    const headSha = await this.getPinnedCommit(owner, repo);
+    const { data } = await this.octokit.rest.actions.listWorkflowRunsForRepo({
+      owner,
+      repo,
+      status: 'success',
+      per_page: MAX_ARTIFACT_RUNS,
+      ...(headSha ? { head_sha: headSha } : {})
+    });
+
+    for (const run of data.workflow_runs) {
+      const { items } = await this.paginate(
+        params => this.octokit.rest.actions.listWorkflowRunArtifacts(params)
+          .then(response => ({ data: response.data.artifacts })),
+        { owner, repo, run_id: run.id }
+      );
+      const artifacts = items.filter(artifact => !artifact.expired && matches(artifact));
+      if (artifacts.length > 0) {
+        return { run, artifacts };
+      }
+    }
+
+    return { run: null, artifacts: [] };
+  }
+
+  /**
+   * Downloads a workflow artifact
+   * @returns {Buffer} Zip archive
+   */
+  async downloadWorkflowArtifact(owner, repo, artifactId) {
+    const response = await this.octokit.rest.actions.downloadArtifact({
+      owner,
+      repo,
+      artifact_id: artifactId,
+      archive_format: 'zip'
+    });
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * Bytes per language from GitHub's statistics for the default branch
+   * Analyses pinned to a ref estimate from that ref's tree instead.
+   * @returns {Array} [{ language, bytes, percentage }] largest first
+   */
+  async getRepositoryLanguages(owner, repo) {
+    if (this.ref) {
+      return super.getRepositoryLanguages(owner, repo);
+    }
+
+    const { data } = await this.octokit.rest.repos.listLanguages({ owner, repo });
+    const totalBytes = Object.values(data).reduce((sum, bytes) => sum + bytes, 0);
+
+    return Object.entries(data).map(([language, bytes]) => ({
+      language,
+      bytes,
+      percentage: totalBytes > 0 ? ((bytes / totalBytes) * 100).toFixed(2) : '0.00'
+    })).sort((a, b) => b.bytes - a.bytes);
+  }
+
+  /**
+   * Gets repository details for analysis
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Object} Repository details
+   */
+  async getRepositoryDetails(owner, repo) {
+    try {
+      const response = await this.octokit.rest.repos.get({
+        owner,
+        repo
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error(`Error getting repository details for ${owner}/${repo}:`, error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = GitHubClient;
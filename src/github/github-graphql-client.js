@@ -0,0 +1,424 @@
+const GitHubClient = require('./github-client');
+
+const PAGE_SIZE = 100;
+const BLOB_BATCH_SIZE = 50;
+
+/**
+ * Connections fetched together in the bulk history query. Each entry knows how
+ * to render its GraphQL selection (and the window variables it uses), where to
+ * find it in the response, how to map nodes to the REST shapes the analyzers
+ * already consume, and (for lists ordered newest-first) when a node falls
+ * before the requested window.
+ */
+const HISTORY_CONNECTIONS = {
+  commits: {
+    variables: { since: 'GitTimestamp' },
+    selection: cursor => `
+      defaultBranchRef {
+        target {
+          ... on Commit {
+            history(first: ${PAGE_SIZE}, since: $since, after: ${cursor}) {
+              pageInfo { hasNextPage endCursor }
+              nodes {
+                oid
+                url
+                message
+                author { name email date }
+                committer { name email date }
+              }
+            }
+          }
+        }
+      }`,
+    extract: repository => repository.defaultBranchRef?.target?.history,
+    map: node => ({
+      sha: node.oid,
+      html_url: node.url,
+      commit: {
+        message: node.message,
+        author: { ...node.author },
+        committer: { ...node.committer }
+      }
+    }),
+    date: commit => commit.commit.committer.date,
+    // The history connection applies `since` server-side
+    isBeforeRange: null
+  },
+  issues: {
+    variables: { updatedSince: 'DateTime' },
+    selection: cursor => `
+      issues(first: ${PAGE_SIZE}, after: ${cursor}, orderBy: {field: CREATED_AT, direction: DESC}, filterBy: {since: $updatedSince}) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          databaseId
+          number
+          title
+          body
+          state
+          url
+          createdAt
+          updatedAt
+          closedAt
+          author { login }
+          labels(first: 20) { nodes { name color description } }
+        }
+      }`,
+    extract: repository => repository.issues,
+    map: node => ({
+      id: node.databaseId,
+      number: node.number,
+      title: node.title,
+      body: node.body,
+      state: node.state.toLowerCase(),
+      html_url: node.url,
+      created_at: node.createdAt,
+      updated_at: node.updatedAt,
+      closed_at: node.closedAt,
+      user: node.author ? { login: node.author.login } : null,
+      labels: node.labels?.nodes || []
+    }),
+    date: issue => issue.created_at,
+    isBeforeRange: (issue, since) => new Date(issue.created_at) < new Date(since)
+  },
+  pullRequests: {
+    selection: cursor => `
+      pullRequests(first: ${PAGE_SIZE}, after: ${cursor}, orderBy: {field: CREATED_AT, direction: DESC}) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          databaseId
+          number
+          title
+          state
+          url
+          createdAt
+          updatedAt
+          closedAt
+          mergedAt
+          additions
+          deletions
+          changedFiles
+          author { login }
+          reviews(first: 20) { nodes { state submittedAt author { login } } }
+          commits(first: 1) { totalCount nodes { commit { authoredDate } } }
+        }
+      }`,
+    extract: repository => repository.pullRequests,
+    map: node => ({
+      id: node.databaseId,
+      number: node.number,
+      title: node.title,
+      state: node.state === 'OPEN' ? 'open' : 'closed',
+      html_url: node.url,
+      created_at: node.createdAt,
+      updated_at: node.updatedAt,
+      closed_at: node.closedAt,
+      merged_at: node.mergedAt,
+      additions: node.additions,
+      deletions: node.deletions,
+      changed_files: node.changedFiles,
+      commits_count: node.commits?.totalCount,
+      first_commit_at: node.commits?.nodes?.[0]?.commit.authoredDate || null,
+      reviews: (node.reviews?.nodes || []).map(review => ({
+        state: review.state,
+        submitted_at: review.submittedAt,
+        user: review.author ? { login: review.author.login } : null
+      })),
+      user: node.author ? { login: node.author.login } : null
+    }),
+    date: pull => pull.created_at,
+    isBeforeRange: (pull, since) => new Date(pull.created_at) < new Date(since)
+  },
+  releases: {
+    selection: cursor => `
+      releases(first: ${PAGE_SIZE}, after: ${cursor}, orderBy: {field: CREATED_AT, direction: DESC}) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          databaseId
+          tagName
+          name
+          url
+          isDraft
+          isPrerelease
+          createdAt
+          publishedAt
+          author { login }
+        }
+      }`,
+    extract: repository => repository.releases,
+    map: node => ({
+      id: node.databaseId,
+      tag_name: node.tagName,
+      name: node.name,
+      html_url: node.url,
+      draft: node.isDraft,
+      prerelease: node.isPrerelease,
+      created_at: node.createdAt,
+      published_at: node.publishedAt,
+      author: node.author ? { login: node.author.login } : null
+    }),
+    date: release => release.published_at || release.created_at,
+    isBeforeRange: (release, since) => new Date(release.created_at) < new Date(since)
+  }
+};
+
+/**
+ * GraphQL-backed GitHub client.
+ *
+ * Drop-in replacement for GitHubClient selected with `dataSource: 'graphql'`.
+ * Commits, issues, pull requests and releases are loaded together through one
+ * paginated query per repository and served from memory to every analyzer
+ * call that falls inside the loaded window; file contents are fetched in
+ * batches of blobs instead of one REST call per file. Endpoints GraphQL does
+ * not cover (tree, contributors, repository details) fall through to REST.
+ */
+class GitHubGraphQLClient extends GitHubClient {
+  constructor(octokit, options = {}) {
+    super(octokit, options);
+    this.historyCache = new Map();
+    this.contentCache = new Map();
+  }
+
+  async getCommitHistory(owner, repo, options = {}) {
+    return this.getHistoryItems(owner, repo, 'commits', options);
+  }
+
+  async getIssues(owner, repo, options = {}) {
+    return this.getHistoryItems(owner, repo, 'issues', options);
+  }
+
+  async getPullRequests(owner, repo, options = {}) {
+    return this.getHistoryItems(owner, repo, 'pullRequests', options);
+  }
+
+  async getReleases(owner, repo, options = {}) {
+    return this.getHistoryItems(owner, repo, 'releases', options);
+  }
+
+  /**
+   * Reviews, commits and size are part of the bulk query, so no extra requests are needed
+   */
+  async getPullRequestActivity(owner, repo, pull) {
+    return pull;
+  }
+
+  /**
+   * Loads commits, issues, pull requests and releases back to `since` in one go,
+   * so later calls for narrower windows are answered without API requests
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} options - { since } (ISO date)
+   */
+  async prefetchHistory(owner, repo, options = {}) {
+    await this.loadHistory(owner, repo, options.since);
+  }
+
+  /**
+   * Gets the content of a specific file, batching with any pending prefetch
+   */
+  async getFileContent(owner, repo, path) {
+    const key = `${owner}/${repo}:${path}`;
+    if (!this.contentCache.has(key)) {
+      await this.prefetchFileContents(owner, repo, [path]);
+    }
+
+    const content = await this.contentCache.get(key);
+    if (content === null) {
+      // Binary, oversized or missing from the batch: use the REST contents API
+      return super.getFileContent(owner, repo, path);
+    }
+    return content;
+  }
+
+  /**
+   * Fetches many file contents with a handful of batched GraphQL queries
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array<string>} paths - File paths to load
+   */
+  async prefetchFileContents(owner, repo, paths) {
+    const requested = [...new Set(paths)].filter(path => !this.contentCache.has(`${owner}/${repo}:${path}`));
+    const pending = [];
+
+    // Files whose blob SHA is already on disk never reach the API
+    for (const path of requested) {
+      const cached = await this.getCachedBlob(owner, repo, path);
+      if (cached !== null) {
+        this.contentCache.set(`${owner}/${repo}:${path}`, Promise.resolve(cached));
+      } else {
+        pending.push(path);
+      }
+    }
+
+    const batches = [];
+    for (let i = 0; i < pending.length; i += BLOB_BATCH_SIZE) {
+      const batch = pending.slice(i, i + BLOB_BATCH_SIZE);
+      const request = this.fetchBlobBatch(owner, repo, batch);
+
+      // Register every path before awaiting so concurrent readers share the request
+      batch.forEach((path, index) => {
+        this.contentCache.set(`${owner}/${repo}:${path}`, request.then(texts => texts[index]));
+      });
+      batches.push(request);
+    }
+
+    await Promise.all(batches);
+  }
+
+  async fetchBlobBatch(owner, repo, paths) {
+    const variableDefinitions = paths.map((_, index) => `$e${index}: String!`).join(', ');
+    const selections = paths.map((_, index) => `
+      f${index}: object(expression: $e${index}) {
+        ... on Blob { oid text isBinary isTruncated }
+      }`).join('');
+
+    try {
+      const commit = await this.getPinnedCommit(owner, repo);
+      const variables = { owner, repo };
+      paths.forEach((path, index) => {
+        variables[`e${index}`] = `${commit || 'HEAD'}:${path}`;
+      });
+
+      const { repository } = await this.octokit.graphql(
+        `query($owner: String!, $repo: String!, ${variableDefinitions}) {
+          repository(owner: $owner, name: $repo) {${selections}
+          }
+        }`,
+        variables
+      );
+
+      const texts = paths.map((_, index) => {
+        const blob = repository?.[`f${index}`];
+        if (!blob || blob.isBinary || blob.isTruncated || typeof blob.text !== 'string') {
+          return null;
+        }
+        return blob.text;
+      });
+
+      await Promise.all(paths.map((_, index) =>
+        texts[index] !== null ? this.cacheBlob(repository[`f${index}`].oid, texts[index]) : null
+      ));
+
+      return texts;
+    } catch (error) {
+      console.warn(`GraphQL blob batch failed for ${owner}/${repo}:`, error.message);
+      return paths.map(() => null);
+    }
+  }
+
+  /**
+   * Serves a history resource from the bulk-loaded window, filtered to the request
+   */
+  async getHistoryItems(owner, repo, resource, options = {}) {
+    const { since, until } = options;
+
+    try {
+      const history = await this.loadHistory(owner, repo, since);
+      const connection = HISTORY_CONNECTIONS[resource];
+
+      return history[resource].filter(item => {
+        const date = new Date(connection.date(item));
+        return (!since || date >= new Date(since)) && (!until || date <= new Date(until));
+      });
+    } catch (error) {
+      console.error(`Error getting ${resource} for ${owner}/${repo} via GraphQL:`, error.message);
+      this.recordFetch(owner, repo, resource, { complete: false, count: 0, since, until, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Returns the cached history load covering `since`, starting a new one if needed
+   */
+  loadHistory(owner, repo, since) {
+    const key = `${owner}/${repo}`;
+    const cached = this.historyCache.get(key);
+    const covers = cached && (!cached.since || (since && new Date(cached.since) <= new Date(since)));
+
+    if (covers) {
+      return cached.promise;
+    }
+
+    const promise = this.fetchHistory(owner, repo, since);
+    this.historyCache.set(key, { since, promise });
+
+    // Let a later call retry instead of reusing a failed load
+    promise.catch(() => {
+      if (this.historyCache.get(key)?.promise === promise) {
+        this.historyCache.delete(key);
+      }
+    });
+
+    return promise;
+  }
+
+  /**
+   * Pages through every history connection at once; each round only asks for
+   * the connections that still have data inside the window and under the cap
+   */
+  async fetchHistory(owner, repo, since) {
+    const results = {};
+    const state = {};
+
+    Object.keys(HISTORY_CONNECTIONS).forEach(resource => {
+      results[resource] = [];
+      state[resource] = { cursor: null, done: false, complete: false };
+    });
+
+    let pending = Object.keys(HISTORY_CONNECTIONS);
+
+    while (pending.length > 0) {
+      // GitHub rejects queries declaring variables they do not use, so only the
+      // pending connections' variables are declared
+      const variables = { owner, repo };
+      const definitions = ['$owner: String!', '$repo: String!'];
+      pending.forEach(resource => {
+        Object.entries(HISTORY_CONNECTIONS[resource].variables || {}).forEach(([name, type]) => {
+          variables[name] = since || null;
+          definitions.push(`$${name}: ${type}`);
+        });
+        variables[`${resource}Cursor`] = state[resource].cursor;
+        definitions.push(`$${resource}Cursor: String`);
+      });
+
+      const { repository } = await this.octokit.graphql(
+        `query(${definitions.join(', ')}) {
+          repository(owner: $owner, name: $repo) {
+            ${pending.map(resource => HISTORY_CONNECTIONS[resource].selection(`$${resource}Cursor`)).join('\n')}
+          }
+        }`,
+        variables
+      );
+
+      for (const resource of pending) {
+        const connection = HISTORY_CONNECTIONS[resource];
+        const page = connection.extract(repository || {});
+        const nodes = (page?.nodes || []).map(connection.map);
+        const inRange = since && connection.isBeforeRange
+          ? nodes.filter(node => !connection.isBeforeRange(node, since))
+          : nodes;
+
+        results[resource].push(...inRange);
+
+        if (!page?.pageInfo?.hasNextPage || inRange.length < nodes.length) {
+          state[resource] = { ...state[resource], done: true, complete: true };
+        } else if (results[resource].length >= this.maxItems) {
+          state[resource] = { ...state[resource], done: true, complete: false };
+        } else {
+          state[resource].cursor = page.pageInfo.endCursor;
+        }
+      }
+
+      pending = pending.filter(resource => !state[resource].done);
+    }
+
+    Object.keys(HISTORY_CONNECTIONS).forEach(resource => {
+      const complete = state[resource].complete && results[resource].length <= this.maxItems;
+      results[resource] = results[resource].slice(0, this.maxItems);
+      this.recordFetch(owner, repo, resource, { complete, count: results[resource].length, since });
+    });
+
+    return results;
+  }
+}
+
+module.exports = GitHubGraphQLClient;
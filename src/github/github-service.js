@@ -1,14 +1,41 @@
 const { Octokit } = require('@octokit/rest');
+const GitHubClient = require('./github-client');
+const GitHubGraphQLClient = require('./github-graphql-client');
+const HttpCache = require('./http-cache');
+const RequestScheduler = require('./request-scheduler');
+const fixtureRecorder = require('./fixture-recorder');
 
 class GitHubService {
+  constructor() {
+    this.httpCache = new HttpCache();
+    this.requestScheduler = new RequestScheduler();
+  }
+
   /**
-   * Create authenticated Octokit instance
+   * Create authenticated Octokit instance with conditional-request caching.
+   * Requests go through the shared scheduler (innermost, so revalidations are
+   * throttled and retried like any other call) and, when GITHUB_FIXTURE_MODE
+   * is set, the fixture recorder (outermost, so replays never reach the network).
    */
   createOctokit(accessToken) {
-    return new Octokit({
+    const octokit = new Octokit({
       auth: accessToken,
       userAgent: 'tech-health-mvp/1.0.0'
     });
+
+    this.requestScheduler.attach(octokit, accessToken);
+    this.httpCache.attach(octokit, accessToken);
+    return fixtureRecorder.attach(octokit);
+  }
+
+  /**
+   * Subscribes to rate limit and retry waits for requests made with a token
+   * @param {string} accessToken - GitHub access token
+   * @param {Function} listener - Called with { reason, waitMs, resumeAt, attempt }
+   * @returns {Function} Unsubscribe function
+   */
+  onRateLimitWait(accessToken, listener) {
+    return this.requestScheduler.onWait(accessToken, listener);
   }
 
   /**
@@ -34,33 +61,82 @@ class GitHubService {
         page
       });
 
-      return data.map(repo => ({
-        id: repo.id,
-        name: repo.name,
-        full_name: repo.full_name,
-        private: repo.private,
-        description: repo.description,
-        language: repo.language,
-        stargazers_count: repo.stargazers_count,
-        forks_count: repo.forks_count,
-        open_issues_count: repo.open_issues_count,
-        size: repo.size,
-        created_at: repo.created_at,
-        updated_at: repo.updated_at,
-        pushed_at: repo.pushed_at,
-        default_branch: repo.default_branch,
-        topics: repo.topics,
-        has_issues: repo.has_issues,
-        has_projects: repo.has_projects,
-        has_wiki: repo.has_wiki,
-        archived: repo.archived,
-        disabled: repo.disabled
-      }));
+      return data.map(repo => this.summarizeRepository(repo));
     } catch (error) {
       throw new Error(`Failed to fetch repositories: ${error.message}`);
     }
   }
 
+  /**
+   * Lists the repositories of an organization (or, failing that, a user account)
+   * @param {string} accessToken - GitHub access token
+   * @param {string} org - Organization or user login
+   * @param {Object} options - { maxItems } cap on repositories listed
+   * @returns {Object} { repositories, complete } where complete is false if the cap cut the list short
+   */
+  async getOrganizationRepositories(accessToken, org, options = {}) {
+    const octokit = this.createOctokit(accessToken);
+    const maxItems = options.maxItems || 500;
+    const listPage = async page => {
+      try {
+        return await octokit.rest.repos.listForOrg({ org, type: 'all', sort: 'pushed', per_page: 100, page });
+      } catch (error) {
+        if (error.status !== 404) throw error;
+        return octokit.rest.repos.listForUser({ username: org, type: 'owner', sort: 'pushed', per_page: 100, page });
+      }
+    };
+
+    try {
+      const repositories = [];
+      let complete = false;
+
+      for (let page = 1; repositories.length < maxItems; page++) {
+        const { data } = await listPage(page);
+        repositories.push(...data.map(repo => this.summarizeRepository(repo)));
+        if (data.length < 100) {
+          complete = true;
+          break;
+        }
+      }
+
+      return {
+        repositories: repositories.slice(0, maxItems),
+        complete: complete && repositories.length <= maxItems
+      };
+    } catch (error) {
+      const failure = new Error(`Failed to list repositories of ${org}: ${error.message}`);
+      failure.status = error.status;
+      throw failure;
+    }
+  }
+
+  summarizeRepository(repo) {
+    return {
+      id: repo.id,
+      name: repo.name,
+      full_name: repo.full_name,
+      owner: repo.owner ? repo.owner.login : null,
+      private: repo.private,
+      description: repo.description,
+      language: repo.language,
+      stargazers_count: repo.stargazers_count,
+      forks_count: repo.forks_count,
+      open_issues_count: repo.open_issues_count,
+      size: repo.size,
+      created_at: repo.created_at,
+      updated_at: repo.updated_at,
+      pushed_at: repo.pushed_at,
+      default_branch: repo.default_branch,
+      topics: repo.topics,
+      has_issues: repo.has_issues,
+      has_projects: repo.has_projects,
+      has_wiki: repo.has_wiki,
+      fork: repo.fork,
+      archived: repo.archived,
+      disabled: repo.disabled
+    };
+  }
+
   /**
    * Get specific repository details
    */
@@ -449,220 +525,22 @@ class GitHubService {
   }
 
   /**
-   * Gets repository files with optional filtering
-   * @param {string} owner - Repository owner
-   * @param {string} repo - Repository name  
-   * @param {string} extensions - Comma-separated file extensions (e.g., '.js,.ts')
-   * @returns {Array} Array of file objects
-   */
-  async getRepositoryFiles(owner, repo, extensions = '') {
-    try {
-      const tree = await this.getRepositoryTree(owner, repo);
-      let files = tree.tree.filter(item => item.type === 'blob');
-      
-      if (extensions) {
-        const extArray = extensions.split(',').map(ext => ext.trim().toLowerCase());
-        files = files.filter(file => {
-          const fileExt = '.' + file.path.split('.').pop().toLowerCase();
-          return extArray.includes(fileExt);
-        });
-      }
-      
-      return files;
-    } catch (error) {
-      console.error(`Error getting repository files for ${owner}/${repo}:`, error.message);
-      return [];
-    }
-  }
-
-  /**
-   * Gets the repository tree structure
-   * @param {string} owner - Repository owner
-   * @param {string} repo - Repository name
-   * @returns {Object} Repository tree
-   */
-  async getRepositoryTree(owner, repo) {
-    try {
-      const response = await this.octokit.rest.git.getTree({
-        owner,
-        repo,
-        tree_sha: 'HEAD',
-        recursive: true
-      });
-      
-      return response.data;
-    } catch (error) {
-      console.error(`Error getting repository tree for ${owner}/${repo}:`, error.message);
-      throw error;
-    }
-  }
-
-  /**
-   * Gets the content of a specific file
-   * @param {string} owner - Repository owner
-   * @param {string} repo - Repository name
-   * @param {string} path - File path
-   * @returns {string} File content
-   */
-  async getFileContent(owner, repo, path) {
-    try {
-      const response = await this.octokit.rest.repos.getContent({
-        owner,
-        repo,
-        path
-      });
-      
-      if (response.data.type === 'file') {
-        return Buffer.from(response.data.content, 'base64').toString('utf-8');
-      } else {
-        throw new Error('Path is not a file');
-      }
-    } catch (error) {
-      console.error(`Error getting file content for ${owner}/${repo}/${path}:`, error.message);
-      throw error;
-    }
-  }
-
-  /**
-   * Gets commit history for DORA metrics
-   * @param {string} owner - Repository owner
-   * @param {string} repo - Repository name
-   * @returns {Array} Commit history
-   */
-  async getCommitHistory(owner, repo) {
-    try {
-      // Use the authenticated client if available, otherwise create a temporary one
-      if (!this.octokit) {
-        throw new Error('GitHub client not initialized. Use getRepositoryCommits with access token instead.');
-      }
-
-      const response = await this.octokit.rest.repos.listCommits({
-        owner,
-        repo,
-        per_page: 100
-      });
-      
-      return response.data;
-    } catch (error) {
-      console.error(`Error getting commit history for ${owner}/${repo}:`, error.message);
-      return [];
-    }
-  }
-
-  /**
-   * Gets contributors for DORA metrics
-   * @param {string} owner - Repository owner
-   * @param {string} repo - Repository name
-   * @returns {Array} Contributors
-   */
-  async getContributors(owner, repo) {
-    try {
-      if (!this.octokit) {
-        throw new Error('GitHub client not initialized. Use getRepositoryContributors with access token instead.');
-      }
-
-      const response = await this.octokit.rest.repos.listContributors({
-        owner,
-        repo,
-        per_page: 100
-      });
-      
-      return response.data;
-    } catch (error) {
-      console.error(`Error getting contributors for ${owner}/${repo}:`, error.message);
-      return [];
-    }
-  }
-
-  /**
-   * Gets issues for DORA metrics
-   * @param {string} owner - Repository owner
-   * @param {string} repo - Repository name
-   * @returns {Array} Issues
-   */
-  async getIssues(owner, repo) {
-    try {
-      if (!this.octokit) {
-        throw new Error('GitHub client not initialized. Use getRepositoryIssues with access token instead.');
-      }
-
-      const response = await this.octokit.rest.issues.listForRepo({
-        owner,
-        repo,
-        state: 'all',
-        per_page: 100
-      });
-      
-      return response.data;
-    } catch (error) {
-      console.error(`Error getting issues for ${owner}/${repo}:`, error.message);
-      return [];
-    }
-  }
-
-  /**
-   * Gets releases for DORA metrics
-   * @param {string} owner - Repository owner
-   * @param {string} repo - Repository name
-   * @returns {Array} Releases
-   */
-  async getReleases(owner, repo) {
-    try {
-      if (!this.octokit) {
-        throw new Error('GitHub client not initialized. Use getRepositoryReleases with access token instead.');
-      }
-
-      const response = await this.octokit.rest.repos.listReleases({
-        owner,
-        repo,
-        per_page: 100
-      });
-      
-      return response.data;
-    } catch (error) {
-      console.error(`Error getting releases for ${owner}/${repo}:`, error.message);
-      return [];
-    }
-  }
-
-  /**
-   * Gets repository details for analysis
-   * @param {string} owner - Repository owner
-   * @param {string} repo - Repository name
-   * @returns {Object} Repository details
-   */
-  async getRepositoryDetails(owner, repo) {
-    try {
-      if (!this.octokit) {
-        throw new Error('GitHub client not initialized. Use getRepository with access token instead.');
-      }
-
-      const response = await this.octokit.rest.repos.get({
-        owner,
-        repo
-      });
-      
-      return response.data;
-    } catch (error) {
-      console.error(`Error getting repository details for ${owner}/${repo}:`, error.message);
-      throw error;
-    }
-  }
-
-  /**
-   * Sets the authenticated octokit instance for use with analysis methods
+   * Creates a request-scoped client for the analysis engine
    * @param {string} accessToken - GitHub access token
+   * @param {Object} options - Client options: maxItems pagination cap, dataSource 'rest' (default) or 'graphql',
+   *   ref branch, tag or commit to read files at
+   * @returns {GitHubClient} Client bound to this token only
    */
-  setAuthenticatedClient(accessToken) {
-    this.octokit = this.createOctokit(accessToken);
-  }
+  createClient(accessToken, options = {}) {
+    const octokit = this.createOctokit(accessToken);
+    // Blob cache hits never reach the API, so they would be missing from a recording
+    const clientOptions = { blobCache: fixtureRecorder.enabled ? null : this.httpCache, ...options };
 
-  /**
-   * Clears the authenticated client
-   */
-  clearAuthenticatedClient() {
-    this.octokit = null;
+    if (options.dataSource === 'graphql') {
+      return new GitHubGraphQLClient(octokit, clientOptions);
+    }
+    return new GitHubClient(octokit, clientOptions);
   }
 }
 
-module.exports = new GitHubService(); 
\ No newline at end of file
+module.exports = new GitHubService();
\ No newline at end of file
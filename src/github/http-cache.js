@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_CACHE_DIR = path.join(process.cwd(), '.cache', 'github');
+const DEFAULT_MAX_BYTES = (parseInt(process.env.GITHUB_HTTP_CACHE_MAX_MB) || 500) * 1024 * 1024;
+const DEFAULT_MAX_AGE = (parseInt(process.env.GITHUB_HTTP_CACHE_MAX_AGE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+/**
+ * Disk-backed cache for GitHub API responses.
+ *
+ * GET responses carrying an ETag are stored per URL and token scope and
+ * revalidated with `If-None-Match`; GitHub answers unchanged resources with a
+ * 304, which does not count against the rate limit, and the stored body is
+ * replayed. File contents are additionally stored by blob SHA so an unchanged
+ * file is never downloaded twice, whichever path or analysis asks for it.
+ * The directory is bounded: the first write of a process, and every tenth of
+ * maxBytes written after it, prune entries older than maxAge and then the
+ * least recently used ones until the cache fits in maxBytes.
+ */
+class HttpCache {
+  /**
+   * @param {Object} options - { directory, enabled, maxBytes, maxAge } (maxAge in ms)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== undefined
+      ? options.enabled
+      : process.env.GITHUB_HTTP_CACHE !== 'false';
+    this.directory = options.directory || process.env.GITHUB_HTTP_CACHE_DIR || DEFAULT_CACHE_DIR;
+    this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+    this.maxAge = options.maxAge || DEFAULT_MAX_AGE;
+    this.stats = { hits: 0, misses: 0, blobHits: 0 };
+    // Bytes written since the last prune; null until the first one runs
+    this.bytesSincePrune = null;
+    this.pruning = null;
+  }
+
+  /**
+   * Routes an Octokit instance's requests through the cache
+   * @param {Octokit} octokit - Octokit instance to wrap
+   * @param {string} accessToken - Token the instance authenticates with
+   * @returns {Octokit} The same instance
+   */
+  attach(octokit, accessToken) {
+    if (!this.enabled || !octokit.hook) {
+      return octokit;
+    }
+
+    const scope = this.getTokenScope(accessToken);
+    const { endpoint } = octokit.request;
+    octokit.hook.wrap('request', (request, options) => this.conditionalRequest(request, options, scope, endpoint));
+    return octokit;
+  }
+
+  /**
+   * Performs a request, revalidating any stored response with its ETag
+   * @param {Function} request - Next request handler in the Octokit hook chain
+   * @param {Object} options - Endpoint options for this request
+   * @param {string} scope - Token scope from getTokenScope
+   * @param {Object} endpoint - Octokit endpoint helper used to resolve the full URL
+   */
+  async conditionalRequest(request, options, scope, endpoint) {
+    if ((options.method || 'GET').toUpperCase() !== 'GET') {
+      return request(options);
+    }
+
+    const { url, headers } = endpoint.parse(options);
+    const key = this.hash(`${scope} ${headers.accept || ''} ${url}`);
+    const cached = await this.readJSON(this.responsePath(key));
+
+    if (cached) {
+      options.headers = { ...options.headers, 'if-none-match': cached.etag };
+    }
+
+    try {
+      const response = await request(options);
+      this.stats.misses++;
+
+      if (response.headers && response.headers.etag) {
+        await this.writeJSON(this.responsePath(key), {
+          etag: response.headers.etag,
+          url: response.url,
+          status: response.status,
+          headers: response.headers,
+          ...encodeBody(response.data)
+        });
+      }
+
+      return response;
+    } catch (error) {
+      if (error.status === 304 && cached) {
+        this.stats.hits++;
+        this.touch(this.responsePath(key));
+        return {
+          status: cached.status,
+          url: cached.url,
+          // Fresh headers carry the current rate-limit counters
+          headers: { ...cached.headers, ...(error.response ? error.response.headers : {}) },
+          data: decodeBody(cached)
+        };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Gets file content previously stored for a blob SHA
+   * @param {string} sha - Git blob SHA
+   * @returns {string|null} Content, or null when not cached
+   */
+  async getBlob(sha) {
+    if (!this.enabled || !sha) {
+      return null;
+    }
+
+    try {
+      const content = await fs.readFile(this.blobPath(sha), 'utf-8');
+      this.stats.blobHits++;
+      this.touch(this.blobPath(sha));
+      return content;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Stores file content under its blob SHA
+   * @param {string} sha - Git blob SHA
+   * @param {string} content - Decoded file content
+   */
+  async setBlob(sha, content) {
+    if (!this.enabled || !sha || typeof content !== 'string') {
+      return;
+    }
+
+    await this.writeFile(this.blobPath(sha), content);
+  }
+
+  /**
+   * Removes every cached response and blob
+   */
+  async clear() {
+    await fs.rm(this.directory, { recursive: true, force: true });
+    this.stats = { hits: 0, misses: 0, blobHits: 0 };
+  }
+
+  /**
+   * Removes entries older than maxAge, then the least recently used ones until
+   * the cache fits in maxBytes
+   * @returns {Object} { removed, bytes } entries removed and bytes left
+   */
+  async prune(now = Date.now()) {
+    const files = await listFiles(this.directory);
+    const kept = [];
+    let removed = 0;
+    let bytes = 0;
+
+    for (const file of files) {
+      if (now - file.mtimeMs > this.maxAge) {
+        await fs.rm(file.path, { force: true });
+        removed++;
+      } else {
+        kept.push(file);
+        bytes += file.size;
+      }
+    }
+
+    // Temp files belong to writes in progress
+    const evictable = kept.filter(file => !file.path.endsWith('.tmp')).sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const file of evictable) {
+      if (bytes <= this.maxBytes) break;
+      await fs.rm(file.path, { force: true });
+      bytes -= file.size;
+      removed++;
+    }
+
+    return { removed, bytes };
+  }
+
+  /**
+   * Starts a prune on the first write, then after every tenth of maxBytes written
+   */
+  schedulePrune(bytesWritten) {
+    if (this.bytesSincePrune !== null) {
+      this.bytesSincePrune += bytesWritten;
+    }
+    if (this.pruning || (this.bytesSincePrune !== null && this.bytesSincePrune < this.maxBytes / 10)) {
+      return;
+    }
+
+    this.bytesSincePrune = 0;
+    this.pruning = this.prune()
+      .catch(error => console.warn(`Could not prune GitHub cache ${this.directory}:`, error.message))
+      .finally(() => { this.pruning = null; });
+  }
+
+  /**
+   * Marks an entry as used so pruning keeps it longer
+   */
+  touch(filePath) {
+    const now = new Date();
+    fs.utimes(filePath, now, now).catch(() => {});
+  }
+
+  getStats() {
+    return { enabled: this.enabled, directory: this.directory, ...this.stats };
+  }
+
+  /**
+   * Tokens are never written to disk; responses are partitioned by a digest of
+   * the token so one user's private data is never replayed to another
+   */
+  getTokenScope(accessToken) {
+    return accessToken ? this.hash(accessToken).slice(0, 16) : 'anonymous';
+  }
+
+  hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  responsePath(key) {
+    return path.join(this.directory, 'responses', key.slice(0, 2), `${key}.json`);
+  }
+
+  blobPath(sha) {
+    const safeSha = sha.replace(/[^a-f0-9]/gi, '');
+    return path.join(this.directory, 'blobs', safeSha.slice(0, 2), safeSha);
+  }
+
+  async readJSON(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async writeJSON(filePath, value) {
+    await this.writeFile(filePath, JSON.stringify(value));
+  }
+
+  /**
+   * Writes through a temp file so concurrent readers never see partial entries.
+   * Cache failures are logged, never propagated to the analysis.
+   */
+  async writeFile(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(tempPath, content);
+      await fs.rename(tempPath, filePath);
+      this.schedulePrune(Buffer.byteLength(content));
+    } catch (error) {
+      console.warn(`Could not write GitHub cache entry ${filePath}:`, error.message);
+      await fs.rm(tempPath, { force: true }).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Binary bodies (artifact and archive downloads) are stored as base64; JSON would turn them into {}
+ */
+function encodeBody(data) {
+  if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+    const buffer = ArrayBuffer.isView(data) ? Buffer.from(data.buffer, data.byteOffset, data.byteLength) : Buffer.from(data);
+    return { data: buffer.toString('base64'), encoding: 'base64' };
+  }
+  return { data };
+}
+
+/**
+ * Stored body as Octokit returned it; binary bodies come back as an ArrayBuffer
+ */
+function decodeBody(cached) {
+  if (cached.encoding !== 'base64') {
+    return cached.data;
+  }
+  const buffer = Buffer.from(cached.data, 'base64');
+  return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+}
+
+/**
+ * Every file below a directory with its size and modification time; [] if it does not exist
+ */
+async function listFiles(directory) {
+  let entries;
+  try {
+    entries = await fs.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(entryPath));
+    } else if (entry.isFile()) {
+      const stat = await fs.stat(entryPath).catch(() => null);
+      if (stat) files.push({ path: entryPath, size: stat.size, mtimeMs: stat.mtimeMs });
+    }
+  }
+  return files;
+}
+
+module.exports = HttpCache;
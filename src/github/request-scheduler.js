@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const TRANSIENT_STATUSES = [500, 502, 503, 504];
+
+/**
+ * Central scheduler for GitHub API requests.
+ *
+ * Every Octokit instance created by the GitHub service routes its requests
+ * through one scheduler, which caps concurrent requests, tracks the primary
+ * rate limit per token from `X-RateLimit-*` headers, honors `Retry-After` on
+ * secondary rate limits, and retries transient failures with exponential
+ * backoff. Each wait is emitted as a `wait` event so long-running analyses
+ * can report it instead of appearing stuck.
+ */
+class RequestScheduler extends EventEmitter {
+  /**
+   * @param {Object} options - { maxConcurrent, maxRetries, baseDelay, maxWait, sleep }
+   */
+  constructor(options = {}) {
+    super();
+    this.maxConcurrent = options.maxConcurrent || parseInt(process.env.GITHUB_MAX_CONCURRENT_REQUESTS) || 4;
+    this.maxRetries = options.maxRetries !== undefined
+      ? options.maxRetries
+      : parseInt(process.env.GITHUB_MAX_RETRIES) || 3;
+    this.baseDelay = options.baseDelay !== undefined ? options.baseDelay : 1000;
+    // Longest we are willing to sleep for a rate limit reset before failing
+    this.maxWait = options.maxWait || parseInt(process.env.GITHUB_MAX_RATE_LIMIT_WAIT_MS) || 15 * 60 * 1000;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    this.active = 0;
+    this.queue = [];
+    this.rateLimits = new Map();
+  }
+
+  /**
+   * Routes an Octokit instance's requests through the scheduler
+   * @param {Octokit} octokit - Octokit instance to wrap
+   * @param {string} accessToken - Token the instance authenticates with
+   * @returns {Octokit} The same instance
+   */
+  attach(octokit, accessToken) {
+    if (!octokit.hook) {
+      return octokit;
+    }
+
+    const scope = this.getTokenScope(accessToken);
+    octokit.hook.wrap('request', (request, options) => this.schedule(() => request(options), scope));
+    return octokit;
+  }
+
+  /**
+   * Subscribes to wait events for one token
+   * @param {string} accessToken - Token whose waits should be reported
+   * @param {Function} listener - Called with { reason, waitMs, resumeAt, attempt }
+   * @returns {Function} Unsubscribe function
+   */
+  onWait(accessToken, listener) {
+    const scope = this.getTokenScope(accessToken);
+    const handler = event => {
+      if (event.scope === scope) {
+        const { scope: _scope, ...details } = event;
+        listener(details);
+      }
+    };
+
+    this.on('wait', handler);
+    return () => this.off('wait', handler);
+  }
+
+  /**
+   * Runs a request once a concurrency slot is free and the token is not
+   * rate limited, retrying it while the failure is retryable
+   * @param {Function} task - Performs the request
+   * @param {string} scope - Token scope from getTokenScope
+   */
+  async schedule(task, scope) {
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForRateLimit(scope);
+      await this.acquire();
+
+      let retry;
+      try {
+        const response = await task();
+        this.updateRateLimit(scope, response.headers);
+        return response;
+      } catch (error) {
+        this.updateRateLimit(scope, error.response ? error.response.headers : null);
+        retry = this.getRetry(error, attempt);
+        if (!retry) {
+          throw error;
+        }
+      } finally {
+        this.release();
+      }
+
+      // Sleep outside the slot so other tokens keep moving
+      this.notifyWait(scope, { ...retry, attempt: attempt + 1 });
+      await this.sleep(retry.waitMs);
+    }
+  }
+
+  /**
+   * Decides whether a failed request should be retried and after how long
+   * @returns {Object|null} { reason, waitMs } or null to give up
+   */
+  getRetry(error, attempt) {
+    if (attempt >= this.maxRetries) {
+      return null;
+    }
+
+    const status = error.status;
+    const headers = (error.response && error.response.headers) || {};
+
+    if (status === 403 || status === 429) {
+      if (headers['retry-after']) {
+        return { reason: 'secondary_rate_limit', waitMs: parseInt(headers['retry-after']) * 1000 };
+      }
+      if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+        const waitMs = Math.max(0, parseInt(headers['x-ratelimit-reset']) * 1000 - Date.now());
+        return waitMs <= this.maxWait ? { reason: 'rate_limit', waitMs } : null;
+      }
+      // A 403 without rate limit headers is a permission problem, not a limit
+      return status === 429 ? { reason: 'secondary_rate_limit', waitMs: this.getBackoff(attempt) } : null;
+    }
+
+    // Network failures surface without a status
+    if (!status || TRANSIENT_STATUSES.includes(status)) {
+      return { reason: 'transient_error', waitMs: this.getBackoff(attempt) };
+    }
+
+    return null;
+  }
+
+  getBackoff(attempt) {
+    const jitter = Math.random() * this.baseDelay;
+    return this.baseDelay * Math.pow(2, attempt) + jitter;
+  }
+
+  /**
+   * Records the primary rate limit state reported by a response
+   */
+  updateRateLimit(scope, headers) {
+    if (!headers || headers['x-ratelimit-remaining'] === undefined) {
+      return;
+    }
+
+    this.rateLimits.set(scope, {
+      remaining: parseInt(headers['x-ratelimit-remaining']),
+      resetAt: parseInt(headers['x-ratelimit-reset']) * 1000
+    });
+  }
+
+  /**
+   * Holds requests for a token whose rate limit is exhausted until it resets
+   */
+  async waitForRateLimit(scope) {
+    const limit = this.rateLimits.get(scope);
+    if (!limit || limit.remaining > 0) {
+      return;
+    }
+
+    const waitMs = limit.resetAt - Date.now();
+    if (waitMs <= 0) {
+      this.rateLimits.delete(scope);
+      return;
+    }
+    if (waitMs > this.maxWait) {
+      throw new Error(`GitHub rate limit exhausted until ${new Date(limit.resetAt).toISOString()}`);
+    }
+
+    this.notifyWait(scope, { reason: 'rate_limit', waitMs, attempt: 0 });
+    await this.sleep(waitMs);
+    this.rateLimits.delete(scope);
+  }
+
+  notifyWait(scope, { reason, waitMs, attempt }) {
+    const event = {
+      scope,
+      reason,
+      waitMs: Math.round(waitMs),
+      resumeAt: new Date(Date.now() + waitMs).toISOString(),
+      attempt
+    };
+
+    console.warn(`GitHub request waiting ${event.waitMs}ms (${reason})`);
+    try {
+      this.emit('wait', event);
+    } catch (error) {
+      console.warn('Rate limit listener failed:', error.message);
+    }
+  }
+
+  acquire() {
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.queue.push(resolve));
+  }
+
+  release() {
+    const next = this.queue.shift();
+    if (next) {
+      // Hand the slot straight to the next queued request
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  getTokenScope(accessToken) {
+    return accessToken
+      ? crypto.createHash('sha256').update(accessToken).digest('hex').slice(0, 16)
+      : 'anonymous';
+  }
+
+  getStats() {
+    return {
+      active: this.active,
+      queued: this.queue.length,
+      maxConcurrent: this.maxConcurrent
+    };
+  }
+}
+
+module.exports = RequestScheduler;
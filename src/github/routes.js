@@ -13,7 +13,7 @@ router.get('/repositories', async (req, res) => {
     const { page = 1, per_page = 30, type = 'owner', sort = 'updated' } = req.query;
     
     const repositories = await githubService.getUserRepositories(
-      req.session.user.accessToken,
+      req.auth.accessToken,
       { page: parseInt(page), per_page: parseInt(per_page), type, sort }
     );
 
@@ -50,7 +50,7 @@ router.get('/repository/:owner/:repo', async (req, res) => {
     }
 
     const repository = await githubService.getRepository(
-      req.session.user.accessToken,
+      req.auth.accessToken,
       owner,
       repo
     );
@@ -71,7 +71,7 @@ router.get('/repository/:owner/:repo/languages', async (req, res) => {
     const { owner, repo } = req.params;
     
     const languages = await githubService.getRepositoryLanguages(
-      req.session.user.accessToken,
+      req.auth.accessToken,
       owner,
       repo
     );
@@ -93,7 +93,7 @@ router.get('/repository/:owner/:repo/commits', async (req, res) => {
     const { since, until, per_page = 30, page = 1 } = req.query;
     
     const commits = await githubService.getRepositoryCommits(
-      req.session.user.accessToken,
+      req.auth.accessToken,
       owner,
       repo,
       { since, until, per_page: parseInt(per_page), page: parseInt(page) }
@@ -122,7 +122,7 @@ router.get('/repository/:owner/:repo/contributors', async (req, res) => {
     const { per_page = 30 } = req.query;
     
     const contributors = await githubService.getRepositoryContributors(
-      req.session.user.accessToken,
+      req.auth.accessToken,
       owner,
       repo,
       { per_page: parseInt(per_page) }
@@ -145,7 +145,7 @@ router.get('/repository/:owner/:repo/issues', async (req, res) => {
     const { state = 'all', per_page = 30, page = 1 } = req.query;
     
     const issues = await githubService.getRepositoryIssues(
-      req.session.user.accessToken,
+      req.auth.accessToken,
       owner,
       repo,
       { state, per_page: parseInt(per_page), page: parseInt(page) }
@@ -174,7 +174,7 @@ router.get('/repository/:owner/:repo/releases', async (req, res) => {
     const { per_page = 10 } = req.query;
     
     const releases = await githubService.getRepositoryReleases(
-      req.session.user.accessToken,
+      req.auth.accessToken,
       owner,
       repo,
       { per_page: parseInt(per_page) }
@@ -197,7 +197,7 @@ router.get('/repository/:owner/:repo/tree', async (req, res) => {
     const { ref = 'main', path = '' } = req.query;
     
     const tree = await githubService.getRepositoryTree(
-      req.session.user.accessToken,
+      req.auth.accessToken,
       owner,
       repo,
       { ref, path }
@@ -219,7 +219,7 @@ router.get('/repository/:owner/:repo/stats', async (req, res) => {
     const { owner, repo } = req.params;
     
     const stats = await githubService.getRepositoryStats(
-      req.session.user.accessToken,
+      req.auth.accessToken,
       owner,
       repo
     );
@@ -0,0 +1,375 @@
+const RepositoryClient = require('../providers/repository-client');
+
+// Upper bound on tree entries listed per repository (GitHub truncates at 100k)
+const MAX_TREE_ENTRIES = parseInt(process.env.GITLAB_MAX_TREE_ENTRIES) || 20000;
+
+/**
+ * Request-scoped GitLab client used by the analyzers.
+ *
+ * Implements the same data operations as GitHubClient against the GitLab v4
+ * API and maps every record to the GitHub shape the analyzers already read,
+ * so `owner/repo` may be any GitLab namespace path (groups and subgroups).
+ * Instances are created through `gitlabService.createClient(accessToken)`.
+ */
+class GitLabClient extends RepositoryClient {
+  /**
+   * @param {Function} request - (path, params, options) => { data, headers }, bound to one token
+   * @param {Object} options - See RepositoryClient
+   */
+  constructor(request, options = {}) {
+    if (typeof request !== 'function') {
+      throw new Error('GitLabClient requires an authenticated request function');
+    }
+    super(options);
+    this.request = request;
+    this.defaultBranches = new Map();
+  }
+
+  projectPath(owner, repo) {
+    return `/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+  }
+
+  /**
+   * Adapts a GitLab list endpoint to RepositoryClient.paginate
+   */
+  listRequest(path) {
+    return params => this.request(path, params);
+  }
+
+  /**
+   * Resolves a branch, tag or commit to its commit SHA
+   */
+  async fetchHeadCommit(owner, repo) {
+    const ref = this.ref || await this.getDefaultBranch(owner, repo);
+    const { data } = await this.request(`${this.projectPath(owner, repo)}/repository/commits/${encodeURIComponent(ref)}`);
+    return data.id;
+  }
+
+  /**
+   * Gets the repository tree structure in the GitHub git/trees format
+   * @param {string} owner - Namespace path
+   * @param {string} repo - Project path
+   * @returns {Object} { tree, truncated }
+   */
+  async getRepositoryTree(owner, repo) {
+    try {
+      const commit = this.ref ? await this.getHeadCommit(owner, repo) : null;
+      const { items, complete } = await this.paginate(
+        this.listRequest(`${this.projectPath(owner, repo)}/repository/tree`),
+        { recursive: true, ...(commit ? { ref: commit } : {}) },
+        { maxItems: MAX_TREE_ENTRIES }
+      );
+
+      const tree = items.map(item => ({
+        path: item.path,
+        mode: item.mode,
+        type: item.type,
+        sha: item.id
+      }));
+      this.rememberBlobShas(owner, repo, tree);
+
+      return { sha: commit, tree, truncated: !complete };
+    } catch (error) {
+      console.error(`Error getting repository tree for ${owner}/${repo}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the content of a specific file
+   * @param {string} owner - Namespace path
+   * @param {string} repo - Project path
+   * @param {string} path - File path
+   * @returns {string} File content
+   */
+  async getFileContent(owner, repo, path) {
+    try {
+      const cached = await this.getCachedBlob(owner, repo, path);
+      if (cached !== null) {
+        return cached;
+      }
+
+      const sha = this.blobShas.get(`${owner}/${repo}:${path}`);
+      if (sha) {
+        const { data } = await this.request(`${this.projectPath(owner, repo)}/repository/blobs/${sha}/raw`, {}, { raw: true });
+        await this.cacheBlob(sha, data);
+        return data;
+      }
+
+      const ref = this.ref ? await this.getHeadCommit(owner, repo) : await this.getDefaultBranch(owner, repo);
+      const { data } = await this.request(
+        `${this.projectPath(owner, repo)}/repository/files/${encodeURIComponent(path)}/raw`,
+        { ref },
+        { raw: true }
+      );
+      return data;
+    } catch (error) {
+      console.error(`Error getting file content for ${owner}/${repo}/${path}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets commit history for DORA metrics
+   * @param {Object} options - { since, until, maxItems } (ISO dates)
+   */
+  async getCommitHistory(owner, repo, options = {}) {
+    const { since, until, maxItems } = options;
+
+    try {
+      const { items, complete } = await this.paginate(
+        this.listRequest(`${this.projectPath(owner, repo)}/repository/commits`),
+        { since, until },
+        { maxItems }
+      );
+
+      this.recordFetch(owner, repo, 'commits', { complete, count: items.length, since, until });
+      return items.map(commit => ({
+        sha: commit.id,
+        html_url: commit.web_url,
+        commit: {
+          message: commit.message,
+          author: { name: commit.author_name, email: commit.author_email, date: commit.authored_date },
+          committer: { name: commit.committer_name, email: commit.committer_email, date: commit.committed_date }
+        }
+      }));
+    } catch (error) {
+      console.error(`Error getting commit history for ${owner}/${repo}:`, error.message);
+      this.recordFetch(owner, repo, 'commits', { complete: false, count: 0, since, until, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Gets contributors for DORA metrics
+   * @param {Object} options - { maxItems }
+   */
+  async getContributors(owner, repo, options = {}) {
+    const { maxItems } = options;
+
+    try {
+      const { items, complete } = await this.paginate(
+        this.listRequest(`${this.projectPath(owner, repo)}/repository/contributors`),
+        { order_by: 'commits', sort: 'desc' },
+        { maxItems }
+      );
+
+      this.recordFetch(owner, repo, 'contributors', { complete, count: items.length });
+      // GitLab identifies contributors by commit author, not account
+      return items.map(contributor => ({
+        login: contributor.name,
+        name: contributor.name,
+        email: contributor.email,
+        contributions: contributor.commits
+      }));
+    } catch (error) {
+      console.error(`Error getting contributors for ${owner}/${repo}:`, error.message);
+      this.recordFetch(owner, repo, 'contributors', { complete: false, count: 0, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Gets issues for DORA metrics
+   * @param {Object} options - { since, until, maxItems } (ISO dates)
+   */
+  async getIssues(owner, repo, options = {}) {
+    const { since, until, maxItems } = options;
+
+    try {
+      const { items, complete } = await this.paginate(
+        this.listRequest(`${this.projectPath(owner, repo)}/issues`),
+        { scope: 'all', created_after: since, created_before: until, order_by: 'created_at', sort: 'desc' },
+        { maxItems }
+      );
+
+      this.recordFetch(owner, repo, 'issues', { complete, count: items.length, since, until });
+      return items.map(issue => ({
+        id: issue.id,
+        number: issue.iid,
+        title: issue.title,
+        body: issue.description,
+        state: issue.state === 'opened' ? 'open' : 'closed',
+        html_url: issue.web_url,
+        created_at: issue.created_at,
+        updated_at: issue.updated_at,
+        closed_at: issue.closed_at,
+        user: issue.author ? { login: issue.author.username } : null,
+        labels: (issue.labels || []).map(name => ({ name }))
+      }));
+    } catch (error) {
+      console.error(`Error getting issues for ${owner}/${repo}:`, error.message);
+      this.recordFetch(owner, repo, 'issues', { complete: false, count: 0, since, until, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Gets merge requests in the GitHub pull request shape
+   * @param {Object} options - { since, until, maxItems } (ISO dates)
+   */
+  async getPullRequests(owner, repo, options = {}) {
+    const { since, until, maxItems } = options;
+
+    try {
+      const { items, complete } = await this.paginate(
+        this.listRequest(`${this.projectPath(owner, repo)}/merge_requests`),
+        { state: 'all', created_after: since, created_before: until, order_by: 'created_at', sort: 'desc' },
+        { maxItems }
+      );
+
+      this.recordFetch(owner, repo, 'pullRequests', { complete, count: items.length, since, until });
+      return items.map(mergeRequest => ({
+        id: mergeRequest.id,
+        number: mergeRequest.iid,
+        title: mergeRequest.title,
+        state: mergeRequest.state === 'opened' ? 'open' : 'closed',
+        html_url: mergeRequest.web_url,
+        created_at: mergeRequest.created_at,
+        updated_at: mergeRequest.updated_at,
+        closed_at: mergeRequest.closed_at || mergeRequest.merged_at,
+        merged_at: mergeRequest.merged_at,
+        user: mergeRequest.author ? { login: mergeRequest.author.username } : null
+      }));
+    } catch (error) {
+      console.error(`Error getting merge requests for ${owner}/${repo}:`, error.message);
+      this.recordFetch(owner, repo, 'pullRequests', { complete: false, count: 0, since, until, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Gets releases for DORA metrics
+   * @param {Object} options - { since, until, maxItems } (ISO dates)
+   */
+  async getReleases(owner, repo, options = {}) {
+    const { since, until, maxItems } = options;
+    const releaseDate = release => new Date(release.released_at || release.created_at);
+
+    try {
+      const { items, complete } = await this.paginate(
+        this.listRequest(`${this.projectPath(owner, repo)}/releases`),
+        { order_by: 'released_at', sort: 'desc' },
+        {
+          maxItems,
+          isBeforeRange: since ? release => releaseDate(release) < new Date(since) : null,
+          isAfterRange: until ? release => releaseDate(release) > new Date(until) : null
+        }
+      );
+
+      this.recordFetch(owner, repo, 'releases', { complete, count: items.length, since, until });
+      return items.map(release => ({
+        tag_name: release.tag_name,
+        name: release.name,
+        body: release.description,
+        html_url: release._links ? release._links.self : null,
+        draft: false,
+        prerelease: Boolean(release.upcoming_release),
+        created_at: release.created_at,
+        published_at: release.released_at || release.created_at,
+        author: release.author ? { login: release.author.username } : null
+      }));
+    } catch (error) {
+      console.error(`Error getting releases for ${owner}/${repo}:`, error.message);
+      this.recordFetch(owner, repo, 'releases', { complete: false, count: 0, since, until, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Gets environment deployments, newest first
+   * @param {Object} options - { since, until, environment, maxItems } (ISO dates)
+   */
+  async getDeployments(owner, repo, options = {}) {
+    const { since, until, environment, maxItems } = options;
+
+    try {
+      const { items, complete } = await this.paginate(
+        this.listRequest(`${this.projectPath(owner, repo)}/deployments`),
+        { environment, order_by: 'created_at', sort: 'desc' },
+        {
+          maxItems,
+          isBeforeRange: since ? deployment => new Date(deployment.created_at) < new Date(since) : null,
+          isAfterRange: until ? deployment => new Date(deployment.created_at) > new Date(until) : null
+        }
+      );
+
+      this.recordFetch(owner, repo, 'deployments', { complete, count: items.length, since, until });
+      return items.map(deployment => ({
+        id: deployment.id,
+        sha: deployment.sha,
+        ref: deployment.ref,
+        environment: deployment.environment ? deployment.environment.name : null,
+        status: deployment.status,
+        created_at: deployment.created_at,
+        updated_at: deployment.updated_at
+      }));
+    } catch (error) {
+      console.error(`Error getting deployments for ${owner}/${repo}:`, error.message);
+      this.recordFetch(owner, repo, 'deployments', { complete: false, count: 0, since, until, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Gets repository details for analysis in the GitHub repository shape
+   */
+  async getRepositoryDetails(owner, repo) {
+    try {
+      const { data } = await this.request(this.projectPath(owner, repo), { license: true, statistics: true });
+      this.defaultBranches.set(`${owner}/${repo}`, data.default_branch);
+      return GitLabClient.toRepository(data);
+    } catch (error) {
+      console.error(`Error getting repository details for ${owner}/${repo}:`, error.message);
+      throw error;
+    }
+  }
+
+  async getDefaultBranch(owner, repo) {
+    const key = `${owner}/${repo}`;
+    if (!this.defaultBranches.has(key)) {
+      await this.getRepositoryDetails(owner, repo);
+    }
+    return this.defaultBranches.get(key) || 'HEAD';
+  }
+
+  /**
+   * Maps a GitLab project to the GitHub repository fields used across the app
+   */
+  static toRepository(project) {
+    return {
+      id: project.id,
+      name: project.path,
+      full_name: project.path_with_namespace,
+      private: project.visibility !== 'public',
+      description: project.description,
+      language: null,
+      // GitHub reports size in KB
+      size: project.statistics ? Math.round(project.statistics.repository_size / 1024) : 0,
+      stargazers_count: project.star_count,
+      watchers_count: project.star_count,
+      forks_count: project.forks_count,
+      open_issues_count: project.open_issues_count || 0,
+      network_count: project.forks_count,
+      subscribers_count: null,
+      created_at: project.created_at,
+      updated_at: project.last_activity_at,
+      pushed_at: project.last_activity_at,
+      default_branch: project.default_branch,
+      topics: project.topics || project.tag_list || [],
+      has_issues: Boolean(project.issues_enabled),
+      has_projects: false,
+      has_wiki: Boolean(project.wiki_enabled),
+      has_pages: project.pages_access_level ? project.pages_access_level !== 'disabled' : false,
+      archived: Boolean(project.archived),
+      disabled: false,
+      license: project.license ? { key: project.license.key, name: project.license.name } : null,
+      homepage: null,
+      html_url: project.web_url,
+      clone_url: project.http_url_to_repo,
+      ssh_url: project.ssh_url_to_repo
+    };
+  }
+}
+
+module.exports = GitLabClient;
@@ -0,0 +1,170 @@
+const GitLabClient = require('./gitlab-client');
+const HttpCache = require('../github/http-cache');
+const RequestScheduler = require('../github/request-scheduler');
+const { buildRepositoryStats } = require('../providers/repository-stats');
+
+const DEFAULT_GITLAB_URL = process.env.GITLAB_URL || 'https://gitlab.com';
+
+/**
+ * GitLab repository provider.
+ *
+ * Offers the same token-based operations the orchestrator uses on the GitHub
+ * service (repository summary, languages, stats, request-scoped clients), so
+ * analyses run unchanged against gitlab.com or a self-hosted instance. One
+ * instance exists per GitLab base URL (see providers/index.js).
+ */
+class GitLabService {
+  /**
+   * @param {Object} options - { baseUrl } GitLab instance, defaults to GITLAB_URL or gitlab.com
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || DEFAULT_GITLAB_URL).replace(/\/+$/, '');
+    this.apiUrl = `${this.baseUrl}/api/v4`;
+    this.httpCache = new HttpCache();
+    this.requestScheduler = new RequestScheduler();
+  }
+
+  /**
+   * Performs a GitLab API GET request through the shared scheduler
+   * @param {string} accessToken - GitLab personal, project or OAuth access token
+   * @param {string} path - API path below /api/v4
+   * @param {Object} params - Query parameters (undefined values are dropped)
+   * @param {Object} options - { raw } return the body as text
+   * @returns {Object} { data, headers, status }
+   */
+  async request(accessToken, path, params = {}, options = {}) {
+    const url = new URL(`${this.apiUrl}${path}`);
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, value);
+      }
+    });
+
+    return this.requestScheduler.schedule(async () => {
+      const response = await fetch(url, {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Accept': 'application/json',
+          'User-Agent': 'tech-health-mvp/1.0.0'
+        }
+      });
+
+      const headers = this.normalizeHeaders(response.headers);
+
+      if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        const error = new Error(`GitLab API error ${response.status}: ${body.slice(0, 200) || response.statusText}`);
+        error.status = response.status;
+        error.response = { headers };
+        throw error;
+      }
+
+      const data = options.raw ? await response.text() : await response.json();
+      return { data, headers, status: response.status };
+    }, this.requestScheduler.getTokenScope(accessToken));
+  }
+
+  /**
+   * GitLab sends RateLimit-* headers; expose them under the X-RateLimit-*
+   * names the scheduler reads for GitHub
+   */
+  normalizeHeaders(responseHeaders) {
+    const headers = {};
+    responseHeaders.forEach((value, key) => {
+      headers[key.toLowerCase()] = value;
+    });
+
+    if (headers['ratelimit-remaining'] !== undefined) {
+      headers['x-ratelimit-remaining'] = headers['ratelimit-remaining'];
+      headers['x-ratelimit-reset'] = headers['ratelimit-reset'];
+    }
+    return headers;
+  }
+
+  /**
+   * Creates a request-scoped client for the analysis engine
+   * @param {string} accessToken - GitLab access token
+   * @param {Object} options - Client options (e.g. maxItems pagination cap)
+   * @returns {GitLabClient} Client bound to this token only
+   */
+  createClient(accessToken, options = {}) {
+    const request = (path, params, requestOptions) => this.request(accessToken, path, params, requestOptions);
+    return new GitLabClient(request, { blobCache: this.httpCache, ...options });
+  }
+
+  /**
+   * Subscribes to rate limit and retry waits for requests made with a token
+   */
+  onRateLimitWait(accessToken, listener) {
+    return this.requestScheduler.onWait(accessToken, listener);
+  }
+
+  /**
+   * Validates a token and returns the GitLab user it belongs to
+   */
+  async getAuthenticatedUser(accessToken) {
+    const { data } = await this.request(accessToken, '/user');
+    return {
+      id: data.id,
+      login: data.username,
+      name: data.name,
+      email: data.email || data.public_email || null,
+      avatar_url: data.avatar_url
+    };
+  }
+
+  /**
+   * Get specific repository details
+   */
+  async getRepository(accessToken, owner, repo) {
+    try {
+      const client = this.createClient(accessToken);
+      const [repository, languages] = await Promise.all([
+        client.getRepositoryDetails(owner, repo),
+        this.getRepositoryLanguages(accessToken, owner, repo).catch(() => [])
+      ]);
+
+      return {
+        ...repository,
+        language: languages.length > 0 ? languages[0].language : null
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch repository: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get repository languages
+   * GitLab only reports percentages, so bytes are estimated from the repository size
+   */
+  async getRepositoryLanguages(accessToken, owner, repo) {
+    try {
+      const client = this.createClient(accessToken);
+      const { data } = await this.request(accessToken, `${client.projectPath(owner, repo)}/languages`);
+
+      return Object.entries(data).map(([language, percentage]) => ({
+        language,
+        bytes: Math.round(percentage * 1000),
+        percentage: Number(percentage).toFixed(2)
+      })).sort((a, b) => b.bytes - a.bytes);
+    } catch (error) {
+      throw new Error(`Failed to fetch repository languages: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get comprehensive repository statistics for tech health analysis
+   * Same shape and scoring as the GitHub service so scores compare across hosts
+   */
+  async getRepositoryStats(accessToken, owner, repo) {
+    try {
+      return await buildRepositoryStats(this, accessToken, owner, repo);
+    } catch (error) {
+      throw new Error(`Failed to fetch repository statistics: ${error.message}`);
+    }
+  }
+}
+
+GitLabService.DEFAULT_URL = DEFAULT_GITLAB_URL;
+
+module.exports = GitLabService;
@@ -23,6 +23,7 @@ const authRoutes = require('./auth/routes');
 const githubRoutes = require('./github/routes');
 const analysisRoutes = require('./analysis/routes');
 const reportRoutes = require('./reports/routes');
+const webhookRoutes = require('./webhooks/routes');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -55,6 +56,9 @@ app.use(createRateLimitMiddleware(generalLimiter, 'general'));
 // Input sanitization
 app.use(sanitizeInputs);
 
+// Webhooks verify signatures over the raw body, so they are routed before it is parsed
+app.use('/api/webhooks', webhookRoutes);
+
 // Body parsing middleware
 app.use(express.json({ 
   limit: '10mb',
@@ -121,13 +125,16 @@ app.get('/api/status', (req, res) => {
       githubIntegration: true,
       codeAnalysis: true,
       reportGeneration: true,
-      realTimeAnalysis: true
+      realTimeAnalysis: true,
+      portfolioAnalysis: true,
+      webhooks: Boolean(process.env.GITHUB_WEBHOOK_SECRET)
     },
     endpoints: {
       auth: '/api/auth',
       github: '/api/github',
       analysis: '/api/analysis',
-      reports: '/api/reports'
+      reports: '/api/reports',
+      webhooks: '/api/webhooks'
     },
     security: {
       rateLimiting: true,
@@ -0,0 +1,359 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const MAX_ARCHIVE_BYTES = parseInt(process.env.ARCHIVE_MAX_UPLOAD_BYTES) || 100 * 1024 * 1024;
+const MAX_EXTRACTED_BYTES = parseInt(process.env.ARCHIVE_MAX_EXTRACTED_BYTES) || 500 * 1024 * 1024;
+const MAX_ENTRIES = parseInt(process.env.ARCHIVE_MAX_ENTRIES) || 20000;
+
+const TAR_BLOCK = 512;
+
+/**
+ * Extracts uploaded source archives (zip, tar, tar.gz) into a private
+ * temporary directory for analysis.
+ *
+ * Archives are parsed in-process rather than handed to system tools so every
+ * entry can be checked before anything is written: paths must stay inside the
+ * target directory, only regular files and directories are extracted (links
+ * and devices are skipped), and the entry count and total extracted size are
+ * capped so compression bombs fail early.
+ */
+class ArchiveExtractor {
+  /**
+   * @param {Object} options - { maxArchiveBytes, maxExtractedBytes, maxEntries, tempDirectory }
+   */
+  constructor(options = {}) {
+    this.maxArchiveBytes = options.maxArchiveBytes || MAX_ARCHIVE_BYTES;
+    this.maxExtractedBytes = options.maxExtractedBytes || MAX_EXTRACTED_BYTES;
+    this.maxEntries = options.maxEntries || MAX_ENTRIES;
+    this.tempDirectory = options.tempDirectory || os.tmpdir();
+  }
+
+  /**
+   * Detects the archive format from its leading bytes
+   * @param {Buffer} buffer - Archive contents
+   * @returns {string|null} 'zip', 'tar.gz', 'tar' or null
+   */
+  detectFormat(buffer) {
+    if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) return 'zip';
+    if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) return 'tar.gz';
+    if (buffer.length >= 262 && buffer.toString('ascii', 257, 262) === 'ustar') return 'tar';
+    return null;
+  }
+
+  /**
+   * Extracts an archive into a new temporary directory
+   * @param {Buffer} buffer - Archive contents
+   * @returns {Object} { directory, format, files, bytes } - call cleanup(directory) when done
+   */
+  async extract(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+      throw archiveError('Archive is empty');
+    }
+    if (buffer.length > this.maxArchiveBytes) {
+      throw archiveError(`Archive exceeds the ${this.maxArchiveBytes} byte upload limit`);
+    }
+
+    const format = this.detectFormat(buffer);
+    if (!format) {
+      throw archiveError('Unsupported archive format; upload a .zip, .tar or .tar.gz file');
+    }
+
+    const entries = format === 'zip' ? this.readZip(buffer) : this.readTar(format === 'tar.gz' ? this.gunzip(buffer) : buffer);
+    const directory = await fs.mkdtemp(path.join(this.tempDirectory, 'tech-health-archive-'));
+
+    try {
+      const stripPrefix = this.getCommonRoot(entries);
+      let files = 0;
+      let bytes = 0;
+
+      for (const entry of entries) {
+        const relativePath = entry.path.slice(stripPrefix.length);
+        if (!relativePath) {
+          continue;
+        }
+
+        const target = this.resolveTarget(directory, relativePath);
+        if (entry.type === 'directory') {
+          await fs.mkdir(target, { recursive: true, mode: 0o700 });
+          continue;
+        }
+
+        const content = entry.read();
+        await fs.mkdir(path.dirname(target), { recursive: true, mode: 0o700 });
+        await fs.writeFile(target, content, { mode: 0o600, flag: 'wx' }).catch(error => {
+          throw error.code === 'EEXIST' ? archiveError(`Archive contains ${relativePath} more than once`) : error;
+        });
+        files++;
+        bytes += content.length;
+      }
+
+      return { directory, format, files, bytes };
+    } catch (error) {
+      await this.cleanup(directory);
+      throw error;
+    }
+  }
+
+  /**
+   * Removes an extracted archive
+   */
+  async cleanup(directory) {
+    if (directory && path.resolve(directory).startsWith(path.resolve(this.tempDirectory) + path.sep)) {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Normalizes an entry name and rejects anything that could escape the target directory
+   * @returns {string} Normalized relative path ('dir/' for directories)
+   */
+  normalizeEntryPath(name) {
+    const normalized = name.replace(/\\/g, '/');
+    const isDirectory = normalized.endsWith('/');
+
+    if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized) || normalized.includes('\0')) {
+      throw archiveError(`Archive entry has an absolute path: ${name}`);
+    }
+
+    const parts = normalized.split('/').filter(part => part && part !== '.');
+    if (parts.some(part => part === '..')) {
+      throw archiveError(`Archive entry escapes the extraction directory: ${name}`);
+    }
+
+    return parts.join('/') + (isDirectory && parts.length > 0 ? '/' : '');
+  }
+
+  resolveTarget(directory, relativePath) {
+    const target = path.resolve(directory, relativePath);
+    if (!target.startsWith(directory + path.sep)) {
+      throw archiveError(`Archive entry escapes the extraction directory: ${relativePath}`);
+    }
+    return target;
+  }
+
+  /**
+   * Archives of a project usually wrap everything in one folder (e.g. repo-main/);
+   * strip it so paths match the repository layout
+   */
+  getCommonRoot(entries) {
+    const roots = new Set(entries.map(entry => entry.path.split('/')[0]));
+    const onlyRoot = roots.size === 1 ? Array.from(roots)[0] : null;
+    const wrapsEverything = onlyRoot && entries.every(entry => entry.path.startsWith(`${onlyRoot}/`) || entry.path === onlyRoot);
+    return wrapsEverything ? `${onlyRoot}/` : '';
+  }
+
+  /**
+   * Adds an entry after checking the entry count and extracted size budgets
+   */
+  addEntry(entries, budget, entry) {
+    if (entries.length >= this.maxEntries) {
+      throw archiveError(`Archive has more than ${this.maxEntries} entries`);
+    }
+    if (entry.type === 'file') {
+      budget.bytes += entry.size;
+      if (budget.bytes > this.maxExtractedBytes) {
+        throw archiveError(`Archive expands beyond the ${this.maxExtractedBytes} byte limit`);
+      }
+    }
+    entries.push(entry);
+  }
+
+  gunzip(buffer) {
+    try {
+      // Bound the output so a gzip bomb fails instead of exhausting memory
+      return zlib.gunzipSync(buffer, { maxOutputLength: this.maxExtractedBytes + this.maxEntries * TAR_BLOCK * 2 });
+    } catch (error) {
+      throw archiveError(`Invalid or oversized gzip data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reads zip entries from the central directory
+   */
+  readZip(buffer) {
+    const endOffset = this.findZipEnd(buffer);
+    const entryCount = buffer.readUInt16LE(endOffset + 10);
+    const directoryOffset = buffer.readUInt32LE(endOffset + 16);
+
+    if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+      throw archiveError('ZIP64 archives are not supported');
+    }
+
+    const entries = [];
+    const budget = { bytes: 0 };
+    let offset = directoryOffset;
+
+    for (let index = 0; index < entryCount; index++) {
+      if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+        throw archiveError('Corrupt zip central directory');
+      }
+
+      const flags = buffer.readUInt16LE(offset + 8);
+      const method = buffer.readUInt16LE(offset + 10);
+      const compressedSize = buffer.readUInt32LE(offset + 20);
+      const size = buffer.readUInt32LE(offset + 24);
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      const fileType = (buffer.readUInt32LE(offset + 38) >>> 16) & 0o170000;
+      const localOffset = buffer.readUInt32LE(offset + 42);
+      const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      if (flags & 0x1) {
+        throw archiveError('Encrypted zip archives are not supported');
+      }
+
+      const entryPath = this.normalizeEntryPath(name);
+      if (!entryPath) {
+        continue;
+      }
+      if (entryPath.endsWith('/')) {
+        this.addEntry(entries, budget, { path: entryPath.slice(0, -1), type: 'directory' });
+        continue;
+      }
+      // Only regular files (or entries without Unix mode bits)
+      if (fileType !== 0 && fileType !== 0o100000) {
+        continue;
+      }
+      if (method !== 0 && method !== 8) {
+        throw archiveError(`Unsupported zip compression method ${method} for ${name}`);
+      }
+
+      this.addEntry(entries, budget, {
+        path: entryPath,
+        type: 'file',
+        size,
+        read: () => this.readZipEntry(buffer, localOffset, method, compressedSize, size, name)
+      });
+    }
+
+    return entries;
+  }
+
+  findZipEnd(buffer) {
+    // The end of central directory record is at most 64KB (comment) from the end
+    const minOffset = Math.max(0, buffer.length - 22 - 0xffff);
+    for (let offset = buffer.length - 22; offset >= minOffset; offset--) {
+      if (buffer.readUInt32LE(offset) === 0x06054b50) {
+        return offset;
+      }
+    }
+    throw archiveError('Corrupt zip archive: end of central directory not found');
+  }
+
+  readZipEntry(buffer, localOffset, method, compressedSize, size, name) {
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+      throw archiveError(`Corrupt zip entry: ${name}`);
+    }
+
+    const dataOffset = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataOffset, dataOffset + compressedSize);
+    let content;
+
+    try {
+      content = method === 0 ? data : zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+    } catch (error) {
+      throw archiveError(`Corrupt or oversized zip entry ${name}: ${error.message}`);
+    }
+
+    if (content.length !== size) {
+      throw archiveError(`Zip entry ${name} does not match its declared size`);
+    }
+    return content;
+  }
+
+  /**
+   * Reads tar entries (ustar, with pax and GNU long names)
+   */
+  readTar(buffer) {
+    const entries = [];
+    const budget = { bytes: 0 };
+    let offset = 0;
+    let longName = null;
+
+    while (offset + TAR_BLOCK <= buffer.length) {
+      const header = buffer.subarray(offset, offset + TAR_BLOCK);
+      if (header.every(byte => byte === 0)) {
+        break;
+      }
+
+      const size = this.readOctal(header, 124, 12);
+      const type = String.fromCharCode(header[156] || 0x30);
+      const dataOffset = offset + TAR_BLOCK;
+      const data = buffer.subarray(dataOffset, dataOffset + size);
+      offset = dataOffset + Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+
+      if (data.length < size) {
+        throw archiveError('Truncated tar archive');
+      }
+
+      if (type === 'x') {
+        longName = this.readPaxPath(data) || longName;
+        continue;
+      }
+      if (type === 'L') {
+        longName = data.toString('utf8').replace(/\0.*$/s, '');
+        continue;
+      }
+
+      let name = longName;
+      longName = null;
+      if (!name) {
+        const prefix = this.readString(header, 345, 155);
+        const baseName = this.readString(header, 0, 100);
+        name = prefix ? `${prefix}/${baseName}` : baseName;
+      }
+
+      const entryPath = this.normalizeEntryPath(type === '5' && !name.endsWith('/') ? `${name}/` : name);
+      if (!entryPath) {
+        continue;
+      }
+
+      if (type === '5') {
+        this.addEntry(entries, budget, { path: entryPath.slice(0, -1), type: 'directory' });
+      } else if (type === '0' || type === '\0' || type === '7') {
+        this.addEntry(entries, budget, { path: entryPath, type: 'file', size, read: () => Buffer.from(data) });
+      }
+      // Links, devices, FIFOs and global pax headers are skipped
+    }
+
+    return entries;
+  }
+
+  readString(header, start, length) {
+    return header.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+  }
+
+  readOctal(header, start, length) {
+    if (header[start] & 0x80) {
+      throw archiveError('Tar entries over 8GB are not supported');
+    }
+    const value = parseInt(this.readString(header, start, length).trim() || '0', 8);
+    if (Number.isNaN(value)) {
+      throw archiveError('Corrupt tar header');
+    }
+    return value;
+  }
+
+  readPaxPath(data) {
+    const records = data.toString('utf8');
+    const match = records.match(/^\d+ path=(.*)$/m);
+    return match ? match[1] : null;
+  }
+}
+
+/**
+ * Error for a rejected archive; status 400 marks it as the uploader's fault
+ */
+function archiveError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+ArchiveExtractor.MAX_ARCHIVE_BYTES = MAX_ARCHIVE_BYTES;
+
+module.exports = ArchiveExtractor;
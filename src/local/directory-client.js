@@ -0,0 +1,153 @@
+const fs = require('fs').promises;
+const path = require('path');
+const RepositoryClient = require('../providers/repository-client');
+
+// Never analyzed: VCS metadata and installed dependencies
+const SKIPPED_DIRECTORIES = ['.git', '.hg', '.svn', 'node_modules'];
+
+/**
+ * Client for a plain directory of source code, such as an extracted archive.
+ *
+ * Serves the file tree and contents from disk; there is no history, so
+ * commits, releases, issues and pull requests are empty and recorded as
+ * unavailable. The owner/repo arguments of each method are ignored.
+ */
+class DirectoryClient extends RepositoryClient {
+  /**
+   * @param {string} directory - Root of the source tree
+   * @param {Object} options - { name } display name, plus RepositoryClient options
+   */
+  constructor(directory, options = {}) {
+    if (!directory) {
+      throw new Error('DirectoryClient requires a directory');
+    }
+    super(options);
+    this.directory = path.resolve(directory);
+    this.name = options.name || path.basename(this.directory);
+  }
+
+  /**
+   * Gets the directory tree in the GitHub git/trees format
+   * @returns {Object} { sha, tree, truncated }
+   */
+  async getRepositoryTree(owner, repo) {
+    try {
+      const tree = [];
+      await this.walk('', tree);
+      return { sha: null, tree, truncated: false };
+    } catch (error) {
+      console.error(`Error getting directory tree for ${this.directory}:`, error.message);
+      throw error;
+    }
+  }
+
+  async walk(relativeDirectory, tree) {
+    const entries = await fs.readdir(path.join(this.directory, relativeDirectory), { withFileTypes: true });
+
+    for (const entry of entries) {
+      const relativePath = relativeDirectory ? `${relativeDirectory}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory() && !SKIPPED_DIRECTORIES.includes(entry.name)) {
+        tree.push({ path: relativePath, mode: '040000', type: 'tree' });
+        await this.walk(relativePath, tree);
+      } else if (entry.isFile()) {
+        const stats = await fs.stat(path.join(this.directory, relativePath));
+        tree.push({ path: relativePath, mode: '100644', type: 'blob', size: stats.size });
+      }
+      // Symlinks are not followed
+    }
+  }
+
+  /**
+   * Gets the content of a specific file
+   * @param {string} owner - Ignored
+   * @param {string} repo - Ignored
+   * @param {string} filePath - Path relative to the directory
+   * @returns {string} File content
+   */
+  async getFileContent(owner, repo, filePath) {
+    try {
+      const fullPath = path.resolve(this.directory, filePath);
+      if (!fullPath.startsWith(this.directory + path.sep)) {
+        throw new Error(`Path ${filePath} is outside the source directory`);
+      }
+
+      const stats = await fs.lstat(fullPath);
+      if (!stats.isFile()) {
+        throw new Error(`${filePath} is not a regular file`);
+      }
+      return await fs.readFile(fullPath, 'utf-8');
+    } catch (error) {
+      console.error(`Error getting file content for ${filePath}:`, error.message);
+      throw error;
+    }
+  }
+
+  async getCommitHistory(owner, repo, options = {}) {
+    return this.unavailable(owner, repo, 'commits', options);
+  }
+
+  async getContributors(owner, repo, options = {}) {
+    return this.unavailable(owner, repo, 'contributors', options);
+  }
+
+  async getIssues(owner, repo, options = {}) {
+    return this.unavailable(owner, repo, 'issues', options);
+  }
+
+  async getPullRequests(owner, repo, options = {}) {
+    return this.unavailable(owner, repo, 'pullRequests', options);
+  }
+
+  async getReleases(owner, repo, options = {}) {
+    return this.unavailable(owner, repo, 'releases', options);
+  }
+
+  unavailable(owner, repo, resource, options) {
+    const { since, until } = options;
+    this.recordFetch(owner, repo, resource, { complete: true, count: 0, since, until, unavailable: true });
+    return [];
+  }
+
+  /**
+   * Gets minimal repository details in the GitHub repository shape
+   */
+  async getRepositoryDetails(owner, repo) {
+    const topLevel = await fs.readdir(this.directory).catch(() => []);
+    const licenseFile = topLevel.find(name => /^(licen[cs]e|copying)(\.|$)/i.test(name));
+
+    return {
+      id: null,
+      name: this.name,
+      full_name: this.name,
+      private: true,
+      description: null,
+      language: null,
+      size: 0,
+      stargazers_count: 0,
+      watchers_count: 0,
+      forks_count: 0,
+      open_issues_count: 0,
+      network_count: 0,
+      subscribers_count: null,
+      created_at: null,
+      updated_at: null,
+      pushed_at: null,
+      default_branch: null,
+      topics: [],
+      has_issues: false,
+      has_projects: false,
+      has_wiki: false,
+      has_pages: false,
+      archived: false,
+      disabled: false,
+      license: licenseFile ? { key: 'other', name: licenseFile } : null,
+      homepage: null,
+      html_url: null,
+      clone_url: null,
+      ssh_url: null
+    };
+  }
+}
+
+module.exports = DirectoryClient;
@@ -0,0 +1,42 @@
+const path = require('path');
+
+const LANGUAGE_EXTENSIONS = {
+  '.js': 'JavaScript', '.jsx': 'JavaScript', '.mjs': 'JavaScript', '.cjs': 'JavaScript',
+  '.ts': 'TypeScript', '.tsx': 'TypeScript',
+  '.py': 'Python', '.go': 'Go', '.java': 'Java', '.kt': 'Kotlin', '.scala': 'Scala',
+  '.rb': 'Ruby', '.php': 'PHP', '.cs': 'C#', '.c': 'C', '.h': 'C',
+  '.cpp': 'C++', '.cc': 'C++', '.hpp': 'C++', '.rs': 'Rust', '.swift': 'Swift',
+  '.m': 'Objective-C', '.dart': 'Dart', '.ex': 'Elixir', '.exs': 'Elixir',
+  '.sh': 'Shell', '.html': 'HTML', '.css': 'CSS', '.scss': 'SCSS',
+  '.vue': 'Vue', '.svelte': 'Svelte', '.sql': 'SQL'
+};
+
+/**
+ * Estimates bytes per language from file extensions and sizes in a tree
+ * @param {Array} tree - Tree entries ({ path, type, size })
+ * @returns {Array} [{ language, bytes, percentage }] largest first, like getRepositoryLanguages
+ */
+function estimateLanguages(tree) {
+  const bytes = {};
+
+  tree.filter(item => item.type === 'blob').forEach(item => {
+    const language = LANGUAGE_EXTENSIONS[path.extname(item.path).toLowerCase()];
+    if (language) {
+      bytes[language] = (bytes[language] || 0) + (item.size || 0);
+    }
+  });
+
+  const total = Object.values(bytes).reduce((sum, value) => sum + value, 0);
+  return Object.entries(bytes)
+    .map(([language, languageBytes]) => ({
+      language,
+      bytes: languageBytes,
+      percentage: total > 0 ? ((languageBytes / total) * 100).toFixed(2) : '0.00'
+    }))
+    .sort((a, b) => b.bytes - a.bytes);
+}
+
+module.exports = {
+  LANGUAGE_EXTENSIONS,
+  estimateLanguages
+};
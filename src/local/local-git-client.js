@@ -0,0 +1,352 @@
+const fs = require('fs').promises;
+const path = require('path');
+const RepositoryClient = require('../providers/repository-client');
+
+// Field and record separators for parsing git log / for-each-ref output
+const FIELD = '\x1f';
+const RECORD = '\x1e';
+
+/**
+ * Request-scoped client for a git repository on local disk.
+ *
+ * Implements the GitHubClient data operations with the git CLI so the
+ * analyzers run against a clone or bare repository without any hosting API.
+ * Working trees are read from disk (including uncommitted changes), bare
+ * repositories and any requested ref from the committed objects. Tags stand
+ * in for releases; there are no issues or pull requests.
+ */
+class LocalGitClient extends RepositoryClient {
+  /**
+   * @param {LocalGitService} repositories - Resolves owner/repo to a repository on disk and runs git in it
+   * @param {Object} options - See RepositoryClient
+   */
+  constructor(repositories, options = {}) {
+    if (!repositories) {
+      throw new Error('LocalGitClient requires a local repository service');
+    }
+    super(options);
+    this.repositories = repositories;
+  }
+
+  async git(owner, repo, args) {
+    const repository = await this.repositories.resolveRepository(owner, repo);
+    return this.repositories.git(repository.path, args);
+  }
+
+  /**
+   * Resolves a branch, tag or commit to its commit SHA
+   */
+  async fetchHeadCommit(owner, repo) {
+    try {
+      const output = await this.git(owner, repo, ['rev-parse', '--verify', '--end-of-options', `${this.ref || 'HEAD'}^{commit}`]);
+      return output.trim();
+    } catch (error) {
+      const notFound = new Error(`Unknown revision ${this.ref || 'HEAD'} in ${owner}/${repo}`);
+      notFound.status = 404;
+      throw notFound;
+    }
+  }
+
+  /**
+   * Gets the repository tree structure in the GitHub git/trees format
+   * @param {string} owner - Directory below LOCAL_REPOSITORIES_ROOT
+   * @param {string} repo - Repository directory (with or without .git)
+   * @returns {Object} { sha, tree, truncated }
+   */
+  async getRepositoryTree(owner, repo) {
+    try {
+      const repository = await this.repositories.resolveRepository(owner, repo);
+      // An unknown ref must fail the read; an empty repository simply has no HEAD yet
+      const head = this.ref
+        ? await this.getHeadCommit(owner, repo)
+        : await this.getHeadCommit(owner, repo).catch(() => null);
+      const tree = repository.bare || this.ref
+        ? await this.listCommittedTree(owner, repo, head || 'HEAD')
+        : await this.listWorkingTree(owner, repo, repository.path);
+
+      return { sha: head, tree, truncated: false };
+    } catch (error) {
+      console.error(`Error getting repository tree for ${owner}/${repo}:`, error.message);
+      throw error;
+    }
+  }
+
+  async listCommittedTree(owner, repo, commit) {
+    const output = await this.git(owner, repo, ['ls-tree', '-r', '-t', '-l', '-z', commit]);
+
+    return output.split('\0').filter(Boolean).map(entry => {
+      const [info, filePath] = entry.split('\t');
+      const [mode, type, sha, size] = info.split(/\s+/);
+      return {
+        path: filePath,
+        mode,
+        type,
+        sha,
+        ...(type === 'blob' ? { size: parseInt(size) || 0 } : {})
+      };
+    });
+  }
+
+  /**
+   * Tracked and untracked (not ignored) files of a working tree, with derived directories
+   */
+  async listWorkingTree(owner, repo, repositoryPath) {
+    const output = await this.git(owner, repo, ['ls-files', '-z', '--cached', '--others', '--exclude-standard']);
+    const filePaths = Array.from(new Set(output.split('\0').filter(Boolean)));
+
+    const files = [];
+    for (const filePath of filePaths) {
+      try {
+        const stats = await fs.stat(path.join(repositoryPath, filePath));
+        if (stats.isFile()) {
+          files.push({ path: filePath, mode: '100644', type: 'blob', size: stats.size });
+        }
+      } catch (error) {
+        // Deleted in the working tree but still in the index
+      }
+    }
+
+    const directories = new Set();
+    files.forEach(file => {
+      const parts = file.path.split('/');
+      for (let depth = 1; depth < parts.length; depth++) {
+        directories.add(parts.slice(0, depth).join('/'));
+      }
+    });
+
+    return [
+      ...Array.from(directories).map(directory => ({ path: directory, mode: '040000', type: 'tree' })),
+      ...files
+    ];
+  }
+
+  /**
+   * Gets the content of a specific file
+   * @param {string} owner - Directory below LOCAL_REPOSITORIES_ROOT
+   * @param {string} repo - Repository directory
+   * @param {string} filePath - File path relative to the repository root
+   * @returns {string} File content
+   */
+  async getFileContent(owner, repo, filePath) {
+    try {
+      const repository = await this.repositories.resolveRepository(owner, repo);
+
+      if (repository.bare || this.ref) {
+        const commit = this.ref ? await this.getHeadCommit(owner, repo) : 'HEAD';
+        return await this.git(owner, repo, ['cat-file', 'blob', `${commit}:${filePath}`]);
+      }
+
+      // Resolve symlinks too, so a link can't read files outside the repository
+      const fullPath = await fs.realpath(path.resolve(repository.path, filePath));
+      if (!fullPath.startsWith(repository.path + path.sep)) {
+        throw new Error(`Path ${filePath} is outside the repository`);
+      }
+      return await fs.readFile(fullPath, 'utf-8');
+    } catch (error) {
+      console.error(`Error getting file content for ${owner}/${repo}/${filePath}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets commit history of HEAD for DORA metrics
+   * @param {Object} options - { since, until, maxItems } (ISO dates)
+   */
+  async getCommitHistory(owner, repo, options = {}) {
+    const { since, until, maxItems = this.maxItems } = options;
+
+    try {
+      const args = [
+        'log',
+        `--max-count=${maxItems + 1}`,
+        `--format=%H${FIELD}%an${FIELD}%ae${FIELD}%aI${FIELD}%cn${FIELD}%ce${FIELD}%cI${FIELD}%B${RECORD}`
+      ];
+      if (since) args.push(`--since=${new Date(since).toISOString()}`);
+      if (until) args.push(`--until=${new Date(until).toISOString()}`);
+      args.push('HEAD', '--');
+
+      const output = await this.git(owner, repo, args);
+      const items = parseRecords(output).map(([sha, authorName, authorEmail, authorDate, committerName, committerEmail, committerDate, message]) => ({
+        sha,
+        html_url: null,
+        commit: {
+          message: (message || '').trim(),
+          author: { name: authorName, email: authorEmail, date: authorDate },
+          committer: { name: committerName, email: committerEmail, date: committerDate }
+        },
+        author: null
+      }));
+
+      const complete = items.length <= maxItems;
+      items.length = Math.min(items.length, maxItems);
+
+      this.recordFetch(owner, repo, 'commits', { complete, count: items.length, since, until });
+      return items;
+    } catch (error) {
+      console.error(`Error getting commit history for ${owner}/${repo}:`, error.message);
+      this.recordFetch(owner, repo, 'commits', { complete: false, count: 0, since, until, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Gets contributors from commit authors on HEAD
+   */
+  async getContributors(owner, repo, options = {}) {
+    const { maxItems = this.maxItems } = options;
+
+    try {
+      const output = await this.git(owner, repo, ['shortlog', '-sne', 'HEAD', '--']);
+      const contributors = output.split('\n').filter(Boolean).map(line => {
+        const match = line.trim().match(/^(\d+)\s+(.*?)\s*(?:<([^>]*)>)?$/);
+        return {
+          login: match[2],
+          name: match[2],
+          email: match[3] || null,
+          contributions: parseInt(match[1])
+        };
+      });
+
+      this.recordFetch(owner, repo, 'contributors', { complete: contributors.length <= maxItems, count: contributors.length });
+      return contributors.slice(0, maxItems);
+    } catch (error) {
+      console.error(`Error getting contributors for ${owner}/${repo}:`, error.message);
+      this.recordFetch(owner, repo, 'contributors', { complete: false, count: 0, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Local repositories have no issue tracker
+   */
+  async getIssues(owner, repo, options = {}) {
+    const { since, until } = options;
+    this.recordFetch(owner, repo, 'issues', { complete: true, count: 0, since, until, unavailable: true });
+    return [];
+  }
+
+  /**
+   * Local repositories have no pull requests
+   */
+  async getPullRequests(owner, repo, options = {}) {
+    const { since, until } = options;
+    this.recordFetch(owner, repo, 'pullRequests', { complete: true, count: 0, since, until, unavailable: true });
+    return [];
+  }
+
+  /**
+   * Gets tags as releases (the DORA deployment signal), newest first
+   * Only tags matching LOCAL_RELEASE_TAG_PATTERN count when it is set.
+   * Annotated tags are dated by the tagger, lightweight tags by their commit.
+   * @param {Object} options - { since, until, maxItems } (ISO dates)
+   */
+  async getReleases(owner, repo, options = {}) {
+    const { since, until, maxItems = this.maxItems } = options;
+    const tagPattern = this.repositories.releaseTagPattern;
+
+    try {
+      const output = await this.git(owner, repo, [
+        'for-each-ref',
+        '--sort=-creatordate',
+        `--format=%(refname:short)${FIELD}%(creatordate:iso-strict)${FIELD}%(taggername)${FIELD}%(contents)${RECORD}`,
+        'refs/tags'
+      ]);
+
+      const tags = parseRecords(output)
+        .map(([name, date, tagger, message]) => ({ name, date, tagger, message }))
+        .filter(tag => !tagPattern || tagPattern.test(tag.name))
+        .filter(tag => !since || new Date(tag.date) >= new Date(since))
+        .filter(tag => !until || new Date(tag.date) <= new Date(until));
+
+      const items = tags.slice(0, maxItems);
+      this.recordFetch(owner, repo, 'releases', { complete: tags.length <= maxItems, count: items.length, since, until });
+
+      return items.map(tag => ({
+        tag_name: tag.name,
+        name: tag.name,
+        body: tag.tagger ? (tag.message || '').trim() : null,
+        html_url: null,
+        draft: false,
+        prerelease: /-(alpha|beta|rc|pre|preview|dev)/i.test(tag.name),
+        created_at: tag.date,
+        published_at: tag.date,
+        author: tag.tagger ? { login: tag.tagger } : null
+      }));
+    } catch (error) {
+      console.error(`Error getting releases for ${owner}/${repo}:`, error.message);
+      this.recordFetch(owner, repo, 'releases', { complete: false, count: 0, since, until, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Gets repository details for analysis in the GitHub repository shape
+   */
+  async getRepositoryDetails(owner, repo) {
+    try {
+      const repository = await this.repositories.resolveRepository(owner, repo);
+      const optional = args => this.git(owner, repo, args).then(out => out.trim()).catch(() => '');
+
+      const [branch, lastCommitDate, rootCommitDates, objectCounts, topLevel] = await Promise.all([
+        optional(['symbolic-ref', '--short', 'HEAD']),
+        optional(['log', '-1', '--format=%cI', 'HEAD', '--']),
+        optional(['log', '--max-parents=0', '--format=%cI', 'HEAD', '--']),
+        optional(['count-objects', '-v']),
+        optional(['ls-tree', '--name-only', 'HEAD'])
+      ]);
+
+      const sizeKb = objectCounts.split('\n').reduce((total, line) => {
+        const [key, value] = line.split(':');
+        return ['size', 'size-pack'].includes(key) ? total + (parseInt(value) || 0) : total;
+      }, 0);
+      const licenseFile = topLevel.split('\n').find(name => /^(licen[cs]e|copying)(\.|$)/i.test(name));
+      const createdAt = rootCommitDates.split('\n').filter(Boolean).sort()[0] || null;
+
+      return {
+        id: null,
+        name: repo,
+        full_name: `${owner}/${repo}`,
+        private: true,
+        description: null,
+        language: null,
+        size: sizeKb,
+        stargazers_count: 0,
+        watchers_count: 0,
+        forks_count: 0,
+        open_issues_count: 0,
+        network_count: 0,
+        subscribers_count: null,
+        created_at: createdAt,
+        updated_at: lastCommitDate || null,
+        pushed_at: lastCommitDate || null,
+        default_branch: branch || null,
+        topics: [],
+        has_issues: false,
+        has_projects: false,
+        has_wiki: false,
+        has_pages: false,
+        archived: false,
+        disabled: false,
+        license: licenseFile ? { key: 'other', name: licenseFile } : null,
+        homepage: null,
+        html_url: null,
+        clone_url: null,
+        ssh_url: null,
+        bare: repository.bare
+      };
+    } catch (error) {
+      console.error(`Error getting repository details for ${owner}/${repo}:`, error.message);
+      throw error;
+    }
+  }
+}
+
+function parseRecords(output) {
+  return output
+    .split(RECORD)
+    .map(record => record.replace(/^\n/, ''))
+    .filter(record => record.trim())
+    .map(record => record.split(FIELD));
+}
+
+module.exports = LocalGitClient;
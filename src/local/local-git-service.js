@@ -0,0 +1,166 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const LocalGitClient = require('./local-git-client');
+const { buildRepositoryStats } = require('../providers/repository-stats');
+
+const GIT_TIMEOUT_MS = parseInt(process.env.LOCAL_GIT_TIMEOUT_MS) || 60000;
+const GIT_MAX_BUFFER = 256 * 1024 * 1024;
+
+/**
+ * Local git repository provider.
+ *
+ * Analyzes clones and bare repositories under LOCAL_REPOSITORIES_ROOT without
+ * any hosting API, so code under NDA can be analyzed offline and without
+ * granting OAuth access. `owner/repo` maps to `<root>/<owner>/<repo>` (or
+ * `<repo>.git`); nothing outside the root can be read.
+ */
+class LocalGitService {
+  /**
+   * @param {Object} options - { root } directory holding the repositories,
+   *   { releaseTagPattern } regex source for tags that count as deployments
+   */
+  constructor(options = {}) {
+    const root = options.root !== undefined ? options.root : process.env.LOCAL_REPOSITORIES_ROOT;
+    const tagPattern = options.releaseTagPattern !== undefined
+      ? options.releaseTagPattern
+      : process.env.LOCAL_RELEASE_TAG_PATTERN;
+
+    this.root = root ? path.resolve(root) : null;
+    this.releaseTagPattern = tagPattern ? new RegExp(tagPattern) : null;
+    this.repositories = new Map();
+  }
+
+  isEnabled() {
+    return Boolean(this.root);
+  }
+
+  /**
+   * Finds the repository for owner/repo below the root
+   * @returns {Object} { path, bare }
+   */
+  async resolveRepository(owner, repo) {
+    if (!this.isEnabled()) {
+      throw new Error('Local repository analysis is disabled; set LOCAL_REPOSITORIES_ROOT');
+    }
+
+    const key = `${owner}/${repo}`;
+    if (!this.repositories.has(key)) {
+      this.repositories.set(key, this.findRepository(owner, repo).catch(error => {
+        this.repositories.delete(key);
+        throw error;
+      }));
+    }
+    return this.repositories.get(key);
+  }
+
+  async findRepository(owner, repo) {
+    const validName = name => typeof name === 'string' && /^[A-Za-z0-9._-]+$/.test(name) && !/^\.+$/.test(name);
+    if (!validName(owner) || !validName(repo)) {
+      throw new Error(`Invalid local repository name: ${owner}/${repo}`);
+    }
+
+    const root = await fs.realpath(this.root);
+    for (const candidate of [path.join(root, owner, repo), path.join(root, owner, `${repo}.git`)]) {
+      let repositoryPath;
+      try {
+        repositoryPath = await fs.realpath(candidate);
+      } catch (error) {
+        continue;
+      }
+
+      if (!repositoryPath.startsWith(root + path.sep)) {
+        throw new Error(`Local repository ${owner}/${repo} is outside LOCAL_REPOSITORIES_ROOT`);
+      }
+
+      const bare = (await this.git(repositoryPath, ['rev-parse', '--is-bare-repository'])).trim() === 'true';
+      return { path: repositoryPath, bare };
+    }
+
+    throw new Error(`Local repository not found: ${owner}/${repo}`);
+  }
+
+  /**
+   * Runs a read-only git command in a repository
+   * @param {string} repositoryPath - Repository directory
+   * @param {Array} args - git arguments (never passed through a shell)
+   * @returns {string} stdout
+   */
+  git(repositoryPath, args) {
+    return new Promise((resolve, reject) => {
+      execFile('git', ['-C', repositoryPath, ...args], {
+        timeout: GIT_TIMEOUT_MS,
+        maxBuffer: GIT_MAX_BUFFER,
+        env: { ...process.env, GIT_TERMINAL_PROMPT: '0', GIT_OPTIONAL_LOCKS: '0' }
+      }, (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(`git ${args[0]} failed: ${(stderr || error.message).trim()}`));
+          return;
+        }
+        resolve(stdout);
+      });
+    });
+  }
+
+  /**
+   * Creates a client for the analysis engine
+   * @param {string} accessToken - Unused; local repositories need no token
+   * @param {Object} options - Client options (e.g. maxItems pagination cap)
+   * @returns {LocalGitClient}
+   */
+  createClient(accessToken, options = {}) {
+    return new LocalGitClient(this, options);
+  }
+
+  /**
+   * Local reads are never rate limited
+   */
+  onRateLimitWait() {
+    return () => {};
+  }
+
+  /**
+   * Get specific repository details, with the primary language from file extensions
+   */
+  async getRepository(accessToken, owner, repo) {
+    try {
+      const client = this.createClient(accessToken);
+      const [repository, languages] = await Promise.all([
+        client.getRepositoryDetails(owner, repo),
+        client.getRepositoryLanguages(owner, repo).catch(() => [])
+      ]);
+
+      return {
+        ...repository,
+        language: languages.length > 0 ? languages[0].language : null
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch repository: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get repository languages, estimated from file sizes by extension
+   */
+  async getRepositoryLanguages(accessToken, owner, repo) {
+    try {
+      return await this.createClient(accessToken).getRepositoryLanguages(owner, repo);
+    } catch (error) {
+      throw new Error(`Failed to fetch repository languages: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get comprehensive repository statistics for tech health analysis
+   * Same shape and scoring as the GitHub service so scores compare across hosts
+   */
+  async getRepositoryStats(accessToken, owner, repo) {
+    try {
+      return await buildRepositoryStats(this, accessToken, owner, repo);
+    } catch (error) {
+      throw new Error(`Failed to fetch repository statistics: ${error.message}`);
+    }
+  }
+}
+
+module.exports = LocalGitService;
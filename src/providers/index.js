@@ -0,0 +1,137 @@
+const githubService = require('../github/github-service');
+const GitLabService = require('../gitlab/gitlab-service');
+const BitbucketService = require('../bitbucket/bitbucket-service');
+const LocalGitService = require('../local/local-git-service');
+
+const SUPPORTED_PROVIDERS = ['github', 'gitlab', 'bitbucket', 'local'];
+
+const gitlabServices = new Map();
+const bitbucketServices = new Map();
+let localGitService = null;
+
+const BITBUCKET_CLOUD_HOSTS = ['bitbucket.org', 'api.bitbucket.org'];
+
+/**
+ * Hosts listed in an allowlist environment variable. Self-hosted base URLs are
+ * limited to configured instances so user-supplied URLs can't make the server
+ * call arbitrary hosts.
+ */
+function getAllowedHosts(envVar, defaultUrl) {
+  const hosts = (process.env[envVar] || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (defaultUrl) {
+    hosts.push(new URL(defaultUrl).host.toLowerCase());
+  }
+  return hosts;
+}
+
+/**
+ * Normalizes a self-hosted base URL and checks it against an allowlist
+ * @returns {string} Normalized base URL
+ */
+function resolveInstanceUrl(baseUrl, { label, envVar, defaultUrl }) {
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch (error) {
+    throw new Error(`Invalid ${label} URL: ${baseUrl}`);
+  }
+
+  if (url.protocol !== 'https:' && process.env.NODE_ENV === 'production') {
+    throw new Error(`${label} URL must use https`);
+  }
+  if (!getAllowedHosts(envVar, defaultUrl).includes(url.host.toLowerCase())) {
+    throw new Error(`${label} host ${url.host} is not allowed; add it to ${envVar}`);
+  }
+
+  return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+}
+
+/**
+ * Normalizes and validates a GitLab base URL
+ * @param {string} baseUrl - e.g. https://gitlab.example.com
+ * @returns {string} Normalized base URL
+ */
+function resolveGitLabUrl(baseUrl) {
+  if (!baseUrl) {
+    return GitLabService.DEFAULT_URL.replace(/\/+$/, '');
+  }
+
+  return resolveInstanceUrl(baseUrl, {
+    label: 'GitLab',
+    envVar: 'GITLAB_ALLOWED_HOSTS',
+    defaultUrl: GitLabService.DEFAULT_URL
+  });
+}
+
+/**
+ * Normalizes and validates a Bitbucket Server / Data Center base URL
+ * @param {string} baseUrl - e.g. https://bitbucket.example.com; omit for Bitbucket Cloud
+ * @returns {string|null} Normalized base URL, or null for Bitbucket Cloud
+ */
+function resolveBitbucketUrl(baseUrl) {
+  if (!baseUrl) {
+    return null;
+  }
+
+  try {
+    if (BITBUCKET_CLOUD_HOSTS.includes(new URL(baseUrl).host.toLowerCase())) {
+      return null;
+    }
+  } catch (error) {
+    // Reported by resolveInstanceUrl
+  }
+
+  return resolveInstanceUrl(baseUrl, {
+    label: 'Bitbucket Server',
+    envVar: 'BITBUCKET_SERVER_ALLOWED_HOSTS',
+    defaultUrl: process.env.BITBUCKET_SERVER_URL
+  });
+}
+
+/**
+ * Gets the repository provider (data access service) for a host
+ * @param {string} name - 'github' (default), 'gitlab', 'bitbucket' or 'local'
+ * @param {Object} options - { baseUrl } for self-hosted instances
+ * @returns {Object} Provider with createClient, getRepository, getRepositoryLanguages,
+ *   getRepositoryStats and onRateLimitWait
+ */
+function getProvider(name = 'github', options = {}) {
+  switch (name || 'github') {
+    case 'github':
+      return githubService;
+    case 'gitlab': {
+      const baseUrl = resolveGitLabUrl(options.baseUrl);
+      if (!gitlabServices.has(baseUrl)) {
+        gitlabServices.set(baseUrl, new GitLabService({ baseUrl }));
+      }
+      return gitlabServices.get(baseUrl);
+    }
+    case 'bitbucket': {
+      const baseUrl = resolveBitbucketUrl(options.baseUrl);
+      const key = baseUrl || 'cloud';
+      if (!bitbucketServices.has(key)) {
+        bitbucketServices.set(key, new BitbucketService({ baseUrl }));
+      }
+      return bitbucketServices.get(key);
+    }
+    case 'local':
+      // Repositories on disk under LOCAL_REPOSITORIES_ROOT; no base URL
+      if (!localGitService) {
+        localGitService = new LocalGitService();
+      }
+      return localGitService;
+    default:
+      throw new Error(`Unsupported repository provider: ${name}`);
+  }
+}
+
+module.exports = {
+  SUPPORTED_PROVIDERS,
+  getProvider,
+  resolveGitLabUrl,
+  resolveBitbucketUrl
+};
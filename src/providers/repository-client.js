@@ -0,0 +1,204 @@
+const { estimateLanguages } = require('../local/languages');
+
+const PER_PAGE = 100;
+const DEFAULT_MAX_ITEMS = parseInt(process.env.GITHUB_MAX_ITEMS_PER_RESOURCE) || 1000;
+
+/**
+ * Base class for request-scoped repository clients.
+ *
+ * Provider clients (GitHub, GitLab, ...) expose the same data operations to
+ * the analyzers and return GitHub-shaped records, so analyzers never need to
+ * know which host a repository lives on. This class holds what they share:
+ * capped pagination, per-resource completeness tracking and the blob cache.
+ */
+class RepositoryClient {
+  /**
+   * @param {Object} options - { maxItems } hard cap on items fetched per list call,
+   *   { blobCache } store for file contents keyed by blob SHA (see HttpCache),
+   *   { ref } branch, tag or commit that tree and file reads are pinned to
+   *   (default: the default branch)
+   */
+  constructor(options = {}) {
+    this.maxItems = options.maxItems || DEFAULT_MAX_ITEMS;
+    this.blobCache = options.blobCache || null;
+    this.ref = options.ref || null;
+    this.blobShas = new Map();
+    this.fetchStatus = new Map();
+    this.headCommits = new Map();
+  }
+
+  /**
+   * Resolves `ref` (or the head of the default branch) to a commit SHA, once per repository
+   * @returns {string} Commit SHA the tree and file reads are pinned to
+   */
+  async getHeadCommit(owner, repo) {
+    const key = `${owner}/${repo}`;
+    if (!this.headCommits.has(key)) {
+      this.headCommits.set(key, this.fetchHeadCommit(owner, repo).catch(error => {
+        this.headCommits.delete(key);
+        throw error;
+      }));
+    }
+    return this.headCommits.get(key);
+  }
+
+  /**
+   * Provider lookup behind getHeadCommit
+   */
+  async fetchHeadCommit(owner, repo) {
+    throw new Error(`${this.constructor.name} cannot resolve commits`);
+  }
+
+  /**
+   * Gets repository files with optional filtering
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} extensions - Comma-separated file extensions (e.g., '.js,.ts')
+   * @returns {Array} Array of file objects
+   */
+  async getRepositoryFiles(owner, repo, extensions = '') {
+    try {
+      const tree = await this.getRepositoryTree(owner, repo);
+      let files = tree.tree.filter(item => item.type === 'blob');
+
+      if (extensions) {
+        const extArray = extensions.split(',').map(ext => ext.trim().toLowerCase());
+        files = files.filter(file => {
+          const fileExt = '.' + file.path.split('.').pop().toLowerCase();
+          return extArray.includes(fileExt);
+        });
+      }
+
+      return files;
+    } catch (error) {
+      console.error(`Error getting repository files for ${owner}/${repo}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Estimates bytes per language from file extensions in the tree
+   * Hosts with language statistics of their own override this.
+   * @returns {Array} [{ language, bytes, percentage }] largest first
+   */
+  async getRepositoryLanguages(owner, repo) {
+    const { tree } = await this.getRepositoryTree(owner, repo);
+    return estimateLanguages(tree);
+  }
+
+  /**
+   * Adds review, commit and size data to a pull request where the host provides it
+   * Hosts without review data return the pull request unchanged (no `reviews`).
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} pull - Pull request from getPullRequests
+   * @returns {Object} Pull request
+   */
+  async getPullRequestActivity(owner, repo, pull) {
+    return pull;
+  }
+
+  /**
+   * Remembers blob SHAs from a tree listing so file reads can be served from the blob cache
+   */
+  rememberBlobShas(owner, repo, tree) {
+    (tree || [])
+      .filter(item => item.type === 'blob')
+      .forEach(item => this.blobShas.set(`${owner}/${repo}:${item.path}`, item.sha));
+  }
+
+  /**
+   * Looks up a file's content by the blob SHA recorded from the repository tree
+   * @returns {string|null} Cached content, or null if unknown or not cached
+   */
+  async getCachedBlob(owner, repo, path) {
+    const sha = this.blobShas.get(`${owner}/${repo}:${path}`);
+    if (!this.blobCache || !sha) {
+      return null;
+    }
+    return this.blobCache.getBlob(sha);
+  }
+
+  async cacheBlob(sha, content) {
+    if (this.blobCache) {
+      await this.blobCache.setBlob(sha, content);
+    }
+  }
+
+  /**
+   * Walks a paginated list endpoint until the data runs out, the requested
+   * time range is exhausted, or the hard item cap is reached
+   * @param {Function} request - List request (e.g. an Octokit REST method) resolving to
+   *   { data }, plus { hasNextPage } for APIs whose page size can't be inferred
+   * @param {Object} params - Request parameters (without paging)
+   * @param {Object} options - { maxItems, isBeforeRange, isAfterRange, include } where include
+   *   drops items the endpoint mixes in (they do not count against the cap)
+   * @returns {Object} { items, complete } where complete is false if the cap cut the data short
+   */
+  async paginate(request, params, options = {}) {
+    const { maxItems = this.maxItems, isBeforeRange = null, isAfterRange = null, include = null } = options;
+    const items = [];
+    let page = 1;
+    let complete = false;
+
+    while (items.length < maxItems) {
+      const { data, hasNextPage } = await request({ ...params, per_page: PER_PAGE, page });
+      const pageItems = Array.isArray(data) ? data : [];
+      const lastPage = hasNextPage !== undefined ? !hasNextPage : pageItems.length < PER_PAGE;
+
+      // Lists are newest-first: once an item predates the range, the rest do too
+      const inRange = isBeforeRange ? pageItems.filter(item => !isBeforeRange(item)) : pageItems;
+      const inWindow = isAfterRange ? inRange.filter(item => !isAfterRange(item)) : inRange;
+      items.push(...(include ? inWindow.filter(include) : inWindow));
+
+      if (lastPage || inRange.length < pageItems.length) {
+        complete = true;
+        break;
+      }
+      page++;
+    }
+
+    if (items.length > maxItems) {
+      items.length = maxItems;
+      complete = false;
+    }
+
+    return { items, complete };
+  }
+
+  /**
+   * Records whether a fetch returned the full data set for the requested range
+   */
+  recordFetch(owner, repo, resource, status) {
+    const key = `${owner}/${repo}`;
+    if (!this.fetchStatus.has(key)) {
+      this.fetchStatus.set(key, {});
+    }
+
+    const resources = this.fetchStatus.get(key);
+    const previous = resources[resource];
+    resources[resource] = {
+      ...status,
+      // A resource is only complete if every fetch of it was
+      complete: status.complete && (previous ? previous.complete : true),
+      maxItems: this.maxItems
+    };
+  }
+
+  /**
+   * Gets data completeness for everything fetched for a repository by this client
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Object} { complete, resources }
+   */
+  getFetchStatus(owner, repo) {
+    const resources = this.fetchStatus.get(`${owner}/${repo}`) || {};
+
+    return {
+      complete: Object.values(resources).every(resource => resource.complete),
+      resources
+    };
+  }
+}
+
+module.exports = RepositoryClient;
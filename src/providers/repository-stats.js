@@ -0,0 +1,74 @@
+const githubService = require('../github/github-service');
+
+/**
+ * Builds repository statistics for tech health analysis from any provider.
+ * Same shape and scoring as githubService.getRepositoryStats so scores
+ * compare across hosts.
+ * @param {Object} provider - Provider service (getRepository, getRepositoryLanguages, createClient)
+ * @param {string} accessToken - Token for the provider
+ * @param {string} owner - Repository owner / namespace
+ * @param {string} repo - Repository name
+ * @returns {Object} Repository statistics
+ */
+async function buildRepositoryStats(provider, accessToken, owner, repo) {
+  const client = provider.createClient(accessToken);
+  const thirtyDaysAgo = new Date();
+  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+
+  const [repository, languages, recentCommits, contributors, issues, releases] = await Promise.all([
+    provider.getRepository(accessToken, owner, repo),
+    provider.getRepositoryLanguages(accessToken, owner, repo).catch(() => []),
+    client.getCommitHistory(owner, repo, { since: thirtyDaysAgo.toISOString() }),
+    client.getContributors(owner, repo),
+    client.getIssues(owner, repo, { maxItems: 100 }),
+    client.getReleases(owner, repo, { maxItems: 5 })
+  ]);
+  const openIssues = issues.filter(issue => issue.state === 'open');
+
+  return {
+    repository: {
+      name: repository.full_name,
+      description: repository.description,
+      language: repository.language,
+      size: repository.size,
+      created_at: repository.created_at,
+      updated_at: repository.updated_at,
+      pushed_at: repository.pushed_at
+    },
+    activity: {
+      commits_last_30_days: recentCommits.length,
+      contributors_count: contributors.length,
+      open_issues_count: openIssues.length,
+      releases_count: releases.length,
+      last_commit_date: recentCommits.length > 0 ? recentCommits[0].commit.author.date : null,
+      last_release_date: releases.length > 0 ? releases[0].published_at : null
+    },
+    code_quality: {
+      languages: languages,
+      primary_language: languages.length > 0 ? languages[0].language : repository.language,
+      language_diversity: languages.length,
+      has_readme: false,
+      has_license: !!repository.license,
+      has_wiki: repository.has_wiki,
+      has_issues_enabled: repository.has_issues
+    },
+    popularity: {
+      stars: repository.stargazers_count,
+      forks: repository.forks_count,
+      watchers: repository.watchers_count,
+      network_count: repository.network_count
+    },
+    health_score: githubService.calculateBasicHealthScore({
+      commits_last_30_days: recentCommits.length,
+      contributors_count: contributors.length,
+      open_issues_count: openIssues.length,
+      has_recent_release: releases.length > 0,
+      has_license: !!repository.license,
+      language_diversity: languages.length
+    })
+  };
+}
+
+module.exports = {
+  buildRepositoryStats
+};
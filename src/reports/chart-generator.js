@@ -473,6 +473,79 @@ class ChartGenerator {
     };
   }
 
+  /**
+   * Generates Maintainability Index Distribution Chart (files and functions per band)
+   */
+  async generateMaintainabilityChart(complexityData) {
+    const maintainability = complexityData?.maintainabilityIndex;
+    if (!maintainability || !maintainability.distribution) {
+      return this.generatePlaceholderChart('Maintainability Index Distribution', 'No maintainability data available');
+    }
+
+    const { files, functions } = maintainability.distribution;
+    const bands = [
+      { key: 'high', label: 'High (85+)' },
+      { key: 'moderate', label: 'Moderate (65-85)' },
+      { key: 'low', label: 'Low (<65)' }
+    ];
+
+    const configuration = {
+      type: 'bar',
+      data: {
+        labels: bands.map(band => band.label),
+        datasets: [
+          {
+            label: 'Files',
+            data: bands.map(band => files[band.key] || 0),
+            backgroundColor: 'rgba(54, 162, 235, 0.8)',
+            borderColor: 'rgba(54, 162, 235, 1)',
+            borderWidth: 1
+          },
+          {
+            label: 'Functions',
+            data: bands.map(band => functions[band.key] || 0),
+            backgroundColor: 'rgba(153, 102, 255, 0.8)',
+            borderColor: 'rgba(153, 102, 255, 1)',
+            borderWidth: 1
+          }
+        ]
+      },
+      options: {
+        ...this.defaultOptions,
+        plugins: {
+          ...this.defaultOptions.plugins,
+          title: {
+            ...this.defaultOptions.plugins.title,
+            text: `Maintainability Index Distribution (average ${maintainability.average})`
+          }
+        },
+        scales: {
+          y: {
+            beginAtZero: true,
+            title: {
+              display: true,
+              text: 'Count'
+            }
+          },
+          x: {
+            title: {
+              display: true,
+              text: 'Maintainability Index'
+            }
+          }
+        }
+      }
+    };
+
+    const imageBuffer = await this.chartJSNodeCanvas.renderToBuffer(configuration);
+    return {
+      type: 'maintainability',
+      title: 'Maintainability Index Distribution',
+      image: imageBuffer.toString('base64'),
+      data: { files, functions }
+    };
+  }
+
   /**
    * Generates Security Issues Chart
    */
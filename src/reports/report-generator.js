@@ -88,6 +88,9 @@ class ReportGenerator {
           generatedAt: new Date().toISOString(),
           generationTime: Date.now() - startTime,
           version: '1.0',
+          ref: analysisData.metadata?.ref || null,
+          commitSha: analysisData.metadata?.commitSha || null,
+          scope: analysisData.metadata?.scope || null,
           options
         }
       };
@@ -134,13 +137,17 @@ class ReportGenerator {
           analysisData.analysis.codeQuality.complexity
         );
 
+        charts.maintainabilityDistribution = await this.chartGenerator.generateMaintainabilityChart(
+          analysisData.analysis.codeQuality.complexity
+        );
+
         charts.securityIssues = await this.chartGenerator.generateSecurityChart(
           analysisData.analysis.codeQuality.security
         );
       }
 
-      // DORA Metrics
-      if (analysisData.analysis.dora) {
+      // DORA Metrics (unavailable for sources without history, e.g. uploaded archives)
+      if (analysisData.analysis.dora && !analysisData.analysis.dora.unavailable) {
         charts.doraMetrics = await this.chartGenerator.generateDORAMetricsChart(
           analysisData.analysis.dora
         );
@@ -208,10 +215,13 @@ class ReportGenerator {
         owner: analysisData.repository.owner,
         repo: analysisData.repository.repo,
         description: analysisData.repository.description || 'No description available',
-        url: `https://github.com/${analysisData.repository.fullName}`,
+        url: analysisData.metadata?.provider === 'archive' ? null : `https://github.com/${analysisData.repository.fullName}`,
         stars: analysisData.analysis.repository?.stargazers_count || 0,
         forks: analysisData.analysis.repository?.forks_count || 0,
-        language: analysisData.analysis.repository?.language || 'Not specified'
+        language: analysisData.analysis.repository?.language || 'Not specified',
+        ref: analysisData.metadata?.ref || null,
+        commitSha: analysisData.metadata?.commitSha || null,
+        scope: analysisData.metadata?.scope || null
       },
 
       // Tech Health Score
@@ -228,6 +238,9 @@ class ReportGenerator {
       // DORA Metrics Summary
       doraMetrics: this.summarizeDORAMetrics(analysisData.analysis.dora),
 
+      // Pull Request Flow Summary
+      pullRequestMetrics: this.summarizePullRequests(analysisData.analysis.pullRequests),
+
       // Benchmarking Summary
       benchmarking: this.summarizeBenchmarking(analysisData.analysis.benchmarking),
 
@@ -324,7 +337,10 @@ class ReportGenerator {
         average: codeQuality.complexity?.averageComplexity || 0,
         score: enhancedQuality.breakdown.complexity,
         highComplexityFiles: codeQuality.complexity?.highComplexityFiles?.length || 0,
-        distribution: this.getComplexityDistribution(codeQuality.complexity)
+        distribution: this.getComplexityDistribution(codeQuality.complexity),
+        byLanguage: this.summarizeLanguageComplexity(codeQuality.complexity?.byLanguage),
+        halstead: codeQuality.complexity?.halstead || null,
+        lowestMaintainability: codeQuality.complexity?.maintainabilityIndex?.lowestFiles?.slice(0, 5) || []
       },
       security: {
         score: enhancedQuality.breakdown.security,
@@ -334,7 +350,8 @@ class ReportGenerator {
       },
       maintainability: {
         score: enhancedQuality.breakdown.maintainability,
-        index: codeQuality.maintainability?.maintainabilityIndex || 0,
+        // Source maintainability index rescaled to 0-100, averaged over the analyzed files
+        index: codeQuality.complexity?.maintainabilityIndex?.normalized || 0,
         documentationScore: codeQuality.maintainability?.documentationScore || 0,
         codeChurn: codeQuality.maintainability?.codeChurn || 0
       },
@@ -349,13 +366,147 @@ class ReportGenerator {
         score: enhancedQuality.breakdown.testing,
         coverage: codeQuality.testCoverage || 0,
         hasFramework: this.hasTestingInfrastructure({ analysis: { codeQuality } }),
-        testFiles: this.countTestFiles(codeQuality)
+        testFiles: this.countTestFiles(codeQuality),
+        measured: this.summarizeTestCoverage(codeQuality.testing)
       },
       codeStyle: {
         score: enhancedQuality.breakdown.codeStyle,
         lintingIssues: codeQuality.linting?.totalIssues || 0,
         styleConsistency: this.calculateStyleConsistency(codeQuality)
-      }
+      },
+      duplication: this.summarizeDuplication(codeQuality.complexity?.duplication),
+      linting: this.summarizeLinting(codeQuality.linting),
+      workspaces: this.summarizeWorkspaces(codeQuality.workspaces),
+      coverage: this.summarizeCoverage(codeQuality.coverage)
+    };
+  }
+
+  /**
+   * Describes how much of the source the code quality metrics were computed from
+   */
+  summarizeCoverage(coverage) {
+    if (!coverage || coverage.totalFiles === undefined) return null;
+
+    const strategies = {
+      stratified: 'stratified sample by directory and language',
+      first: 'first files in tree order',
+      all: 'all files'
+    };
+
+    return {
+      analyzedFiles: coverage.analyzedFiles,
+      totalFiles: coverage.totalFiles,
+      percentage: coverage.percentage,
+      sampled: coverage.sampled,
+      method: strategies[coverage.strategy] || coverage.strategy,
+      treeIncomplete: coverage.treeComplete === false
+    };
+  }
+
+  /**
+   * Duplication share and the largest clone groups, one row per group
+   */
+  summarizeDuplication(duplication) {
+    if (!duplication) return null;
+
+    return {
+      percentage: duplication.percentage,
+      duplicatedLines: duplication.duplicatedLines,
+      totalLines: duplication.totalLines,
+      groups: duplication.totalGroups,
+      minTokens: duplication.minTokens,
+      score: duplication.score,
+      largestGroups: (duplication.largestGroups || []).slice(0, 5).map(group => ({
+        type: group.type,
+        lines: group.lines,
+        occurrences: group.occurrences,
+        locations: group.locations.map(location => `${location.path}:${location.startLine}-${location.endLine}`).join(', ')
+      }))
+    };
+  }
+
+  /**
+   * Measured line and branch coverage, with the least covered directories first
+   */
+  summarizeTestCoverage(testing) {
+    if (!testing || !testing.available) return null;
+
+    return {
+      lines: testing.lines.percentage,
+      branches: testing.branches ? testing.branches.percentage : null,
+      files: testing.files,
+      source: testing.source === 'ci' ? 'latest CI run' : 'committed reports',
+      reports: testing.reports.map(report => `${report.path} (${report.format})`).join(', '),
+      lowestDirectories: (testing.byDirectory || [])
+        .filter(directory => directory.lines)
+        .sort((a, b) => a.lines.percentage - b.lines.percentage)
+        .slice(0, 5)
+        .map(directory => ({
+          directory: directory.directory,
+          files: directory.files,
+          lines: directory.lines.percentage,
+          branches: directory.branches ? directory.branches.percentage : null
+        }))
+    };
+  }
+
+  /**
+   * ESLint findings by rule and the configuration they were found with
+   */
+  summarizeLinting(linting) {
+    if (!linting || !linting.config) return null;
+
+    return {
+      errorCount: linting.errorCount,
+      warningCount: linting.warningCount,
+      filesLinted: linting.filesLinted,
+      filesWithIssues: linting.filesWithIssues,
+      parseErrors: linting.parseErrors,
+      configSource: linting.config.custom ? linting.config.source : 'default rule set',
+      rules: linting.config.rules,
+      ignored: linting.config.ignored.join(', '),
+      topRules: (linting.byRule || []).slice(0, 8)
+    };
+  }
+
+  /**
+   * Per-language complexity rows, largest share of the code first
+   */
+  summarizeLanguageComplexity(byLanguage) {
+    if (!byLanguage || Object.keys(byLanguage).length === 0) return null;
+
+    return Object.entries(byLanguage)
+      .map(([language, summary]) => ({
+        language,
+        files: summary.files,
+        functions: summary.functions,
+        averageComplexity: summary.averageComplexity,
+        averageCognitiveComplexity: summary.averageCognitiveComplexity,
+        score: summary.score,
+        share: Math.round(summary.weight * 100)
+      }))
+      .sort((a, b) => b.share - a.share);
+  }
+
+  /**
+   * Summarizes per-package scores of a monorepo
+   */
+  summarizeWorkspaces(workspaces) {
+    if (!workspaces || !workspaces.packages?.length) return null;
+
+    return {
+      tools: workspaces.tools.join(', '),
+      rollUpScore: workspaces.rollUp.overall,
+      rollUpGrade: workspaces.rollUp.grade,
+      omitted: Math.max(0, workspaces.totalPackages - workspaces.packages.length),
+      packages: workspaces.packages.map(pkg => ({
+        name: pkg.name,
+        path: pkg.path,
+        ecosystem: pkg.ecosystem,
+        files: pkg.files,
+        score: pkg.qualityScore.overall,
+        grade: pkg.qualityScore.grade
+      }))
     };
   }
 
@@ -502,8 +653,18 @@ class ReportGenerator {
 
   /**
    * Calculate testing score (new)
+   * Measured coverage from the repository's coverage reports decides the score
+   * (lines 70%, branches 30%); without reports it is estimated from the test
+   * infrastructure found.
    */
   calculateTestingScore(codeQuality) {
+    const measured = codeQuality.testing?.available ? codeQuality.testing : null;
+    if (measured) {
+      const lines = measured.lines.percentage;
+      const branches = measured.branches ? measured.branches.percentage : lines;
+      return Math.round(lines * 0.7 + branches * 0.3);
+    }
+
     let score = 0;
 
     // Test coverage
@@ -565,6 +726,7 @@ class ReportGenerator {
   }
 
   countTestFiles(codeQuality) {
+    if (codeQuality.testing) return codeQuality.testing.testFiles || 0;
     if (!codeQuality.fileStructure) return 0;
     return codeQuality.fileStructure.filter(file => 
       file.includes('test') || file.includes('spec') || file.includes('__tests__')
@@ -604,6 +766,9 @@ class ReportGenerator {
    */
   summarizeDORAMetrics(doraMetrics) {
     if (!doraMetrics) return null;
+    if (doraMetrics.unavailable) {
+      return { unavailable: true, reason: doraMetrics.reason };
+    }
 
     return {
       overall: doraMetrics.overall || {},
@@ -622,7 +787,40 @@ class ReportGenerator {
       recoveryTime: {
         average: doraMetrics.meanTimeToRecovery?.averageRecoveryTime || 0,
         classification: doraMetrics.meanTimeToRecovery?.classification || 'Unknown'
-      }
+      },
+      dataSource: doraMetrics.dataSource?.description || null
+    };
+  }
+
+  /**
+   * Summarizes pull request cycle-time metrics
+   */
+  summarizePullRequests(pullRequests) {
+    if (!pullRequests) return null;
+    if (pullRequests.unavailable) {
+      return { unavailable: true, reason: pullRequests.reason };
+    }
+
+    const formatHours = hours => {
+      if (typeof hours !== 'number') return 'N/A';
+      return hours >= 48 ? `${Math.round(hours / 24 * 10) / 10} days` : `${Math.round(hours * 10) / 10} hours`;
+    };
+    const buckets = pullRequests.sizeDistribution?.buckets || {};
+
+    return {
+      total: pullRequests.totals?.total || 0,
+      merged: pullRequests.totals?.merged || 0,
+      open: pullRequests.totals?.open || 0,
+      timeToFirstReview: formatHours(pullRequests.timeToFirstReview?.medianHours),
+      reviewToMerge: formatHours(pullRequests.reviewToMerge?.medianHours),
+      cycleTime: formatHours(pullRequests.cycleTime?.medianHours),
+      reviewedPercentage: typeof pullRequests.reviewCoverage?.reviewedPercentage === 'number'
+        ? `${pullRequests.reviewCoverage.reviewedPercentage}%`
+        : 'N/A',
+      sizeBuckets: Object.entries(buckets).map(([label, count]) => ({ label, count })),
+      medianLines: pullRequests.sizeDistribution?.medianLines ?? 'N/A',
+      sampled: pullRequests.sample?.analyzed || 0,
+      reviewDataAvailable: pullRequests.sample?.reviewDataAvailable !== false
     };
   }
 
@@ -729,6 +927,12 @@ class ReportGenerator {
    * Helper method to detect testing infrastructure
    */
   hasTestingInfrastructure(analysisData) {
+    // Coverage reports or test sources found in the repository
+    const testing = analysisData.analysis.codeQuality?.testing;
+    if (testing && (testing.available || testing.testFiles > 0)) {
+      return true;
+    }
+
     // Check for common testing files and dependencies
     const dependencies = analysisData.analysis.codeQuality?.dependencies?.allDependencies || {};
     const devDependencies = analysisData.analysis.codeQuality?.dependencies?.devDependencies || {};
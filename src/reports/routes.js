@@ -1,8 +1,7 @@
 const express = require('express');
 const ReportGenerator = require('./report-generator');
 const analysisOrchestrator = require('../analysis/analysis-orchestrator');
-const githubService = require('../github/github-service');
-const { requireAuth } = require('../auth/validators');
+const { requireProviderAuth, requireValidRef, requireValidPath, getProviderOptions } = require('../auth/validators');
 const path = require('path');
 const fs = require('fs').promises;
 
@@ -13,23 +12,29 @@ const reportGenerator = new ReportGenerator();
  * GET /api/reports/generate/:owner/:repo
  * Generates a complete Tech Health Appendix report
  */
-router.get('/generate/:owner/:repo', requireAuth, async (req, res) => {
+router.get('/generate/:owner/:repo', requireProviderAuth, requireValidRef, requireValidPath, async (req, res) => {
   try {
     const { owner, repo } = req.params;
-    const accessToken = req.session.user.accessToken;
+    const accessToken = req.auth.accessToken;
     
     const options = {
       format: req.query.format || 'html', // html, pdf, both
       forceRefresh: req.query.refresh === 'true',
       includeCharts: req.query.charts !== 'false',
-      timeRange: parseInt(req.query.timeRange) || 90
+      timeRange: parseInt(req.query.timeRange) || 90,
+      deployWorkflows: req.query.deployWorkflows,
+      deployJobs: req.query.deployJobs,
+      deploymentEnvironment: req.query.environment,
+      dataSource: req.query.dataSource,
+      ref: req.query.ref,
+      path: req.query.path,
+      fileBudget: parseInt(req.query.fileBudget) || undefined,
+      sampling: req.query.sampling,
+      ...getProviderOptions(req)
     };
 
     console.log(`Generating Tech Health Appendix for ${owner}/${repo}`);
     
-    // Set authenticated client for analysis
-    githubService.setAuthenticatedClient(accessToken);
-    
     // Step 1: Get comprehensive analysis
     const analysisResults = await analysisOrchestrator.performComprehensiveAnalysis(
       accessToken, 
@@ -37,7 +42,17 @@ router.get('/generate/:owner/:repo', requireAuth, async (req, res) => {
       repo, 
       { 
         forceRefresh: options.forceRefresh,
-        timeRange: options.timeRange 
+        timeRange: options.timeRange,
+        deployWorkflows: options.deployWorkflows,
+        deployJobs: options.deployJobs,
+        deploymentEnvironment: options.deploymentEnvironment,
+        dataSource: options.dataSource,
+        ref: options.ref,
+        path: options.path,
+        fileBudget: options.fileBudget,
+        sampling: options.sampling,
+        provider: options.provider,
+        providerUrl: options.providerUrl
       }
     );
 
@@ -78,13 +93,11 @@ router.get('/generate/:owner/:repo', requireAuth, async (req, res) => {
 
   } catch (error) {
     console.error('Error generating Tech Health Appendix:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message,
       details: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
-  } finally {
-    githubService.clearAuthenticatedClient();
   }
 });
 
@@ -92,10 +105,10 @@ router.get('/generate/:owner/:repo', requireAuth, async (req, res) => {
  * GET /api/reports/streaming/:owner/:repo
  * Generates report with real-time progress updates via Server-Sent Events
  */
-router.get('/streaming/:owner/:repo', requireAuth, async (req, res) => {
+router.get('/streaming/:owner/:repo', requireProviderAuth, requireValidRef, requireValidPath, async (req, res) => {
   try {
     const { owner, repo } = req.params;
-    const accessToken = req.session.user.accessToken;
+    const accessToken = req.auth.accessToken;
     
     // Setup Server-Sent Events
     res.writeHead(200, {
@@ -108,14 +121,20 @@ router.get('/streaming/:owner/:repo', requireAuth, async (req, res) => {
 
     const options = {
       timeRange: parseInt(req.query.timeRange) || 90,
-      format: req.query.format || 'html'
+      deployWorkflows: req.query.deployWorkflows,
+      deployJobs: req.query.deployJobs,
+      deploymentEnvironment: req.query.environment,
+      format: req.query.format || 'html',
+      dataSource: req.query.dataSource,
+      ref: req.query.ref,
+      path: req.query.path,
+      fileBudget: parseInt(req.query.fileBudget) || undefined,
+      sampling: req.query.sampling,
+      ...getProviderOptions(req)
     };
 
     console.log(`Starting streaming report generation for ${owner}/${repo}`);
     
-    // Set authenticated client
-    githubService.setAuthenticatedClient(accessToken);
-
     let analysisResults = null;
 
     // Progress callback for analysis
@@ -195,8 +214,6 @@ router.get('/streaming/:owner/:repo', requireAuth, async (req, res) => {
       message: error.message 
     })}\n\n`);
     res.end();
-  } finally {
-    githubService.clearAuthenticatedClient();
   }
 });
 
@@ -204,7 +221,7 @@ router.get('/streaming/:owner/:repo', requireAuth, async (req, res) => {
  * GET /api/reports/:reportId/preview
  * Returns HTML preview of a generated report
  */
-router.get('/:reportId/preview', requireAuth, async (req, res) => {
+router.get('/:reportId/preview', requireProviderAuth, async (req, res) => {
   try {
     const { reportId } = req.params;
     
@@ -232,7 +249,7 @@ router.get('/:reportId/preview', requireAuth, async (req, res) => {
  * GET /api/reports/:reportId/download
  * Downloads PDF version of a generated report
  */
-router.get('/:reportId/download', requireAuth, async (req, res) => {
+router.get('/:reportId/download', requireProviderAuth, async (req, res) => {
   try {
     const { reportId } = req.params;
     const format = req.query.format || 'pdf';
@@ -276,10 +293,11 @@ router.get('/:reportId/download', requireAuth, async (req, res) => {
  * POST /api/reports/batch
  * Generates reports for multiple repositories
  */
-router.post('/batch', requireAuth, async (req, res) => {
+router.post('/batch', requireProviderAuth, async (req, res) => {
   try {
-    const { repositories, options = {} } = req.body;
-    const accessToken = req.session.user.accessToken;
+    const { repositories } = req.body;
+    const options = { ...req.body.options, ...getProviderOptions(req) };
+    const accessToken = req.auth.accessToken;
 
     if (!Array.isArray(repositories) || repositories.length === 0) {
       return res.status(400).json({
@@ -297,8 +315,6 @@ router.post('/batch', requireAuth, async (req, res) => {
 
     console.log(`Starting batch report generation for ${repositories.length} repositories`);
     
-    githubService.setAuthenticatedClient(accessToken);
-
     const batchResults = [];
     const batchId = Date.now().toString(36);
 
@@ -360,8 +376,6 @@ router.post('/batch', requireAuth, async (req, res) => {
       success: false,
       error: error.message
     });
-  } finally {
-    githubService.clearAuthenticatedClient();
   }
 });
 
@@ -369,7 +383,7 @@ router.post('/batch', requireAuth, async (req, res) => {
  * GET /api/reports/templates
  * Returns available report templates and formats
  */
-router.get('/templates', requireAuth, async (req, res) => {
+router.get('/templates', requireProviderAuth, async (req, res) => {
   try {
     const templates = {
       default: {
@@ -431,7 +445,7 @@ router.get('/templates', requireAuth, async (req, res) => {
  * GET /api/reports/status
  * Returns report generation service status
  */
-router.get('/status', requireAuth, async (req, res) => {
+router.get('/status', requireProviderAuth, async (req, res) => {
   try {
     const cacheStats = reportGenerator.reportCache.size;
     const browserStatus = reportGenerator.pdfGenerator.getBrowserStatus();
@@ -475,7 +489,7 @@ router.get('/status', requireAuth, async (req, res) => {
  * DELETE /api/reports/cache
  * Clears the report cache
  */
-router.delete('/cache', requireAuth, async (req, res) => {
+router.delete('/cache', requireProviderAuth, async (req, res) => {
   try {
     const reportsBefore = reportGenerator.reportCache.size;
     reportGenerator.clearCache();
@@ -300,6 +300,12 @@ class TemplateEngine {
             </div>
             <div class="cover-info">
                 <p><strong>Repository:</strong> {{repository.url}}</p>
+                {{#if repository.commitSha}}
+                <p><strong>Revision:</strong> {{#if repository.ref}}{{repository.ref}} @ {{/if}}{{repository.commitSha}}</p>
+                {{/if}}
+                {{#if repository.scope}}
+                <p><strong>Scope:</strong> {{repository.scope}}/</p>
+                {{/if}}
                 <p><strong>Analysis Date:</strong> {{generatedDate}} {{generatedTime}}</p>
                 <p><strong>Report ID:</strong> {{metadata.reportId}}</p>
                 <p><strong>Generated for:</strong> Investment Due Diligence</p>
@@ -381,12 +387,152 @@ class TemplateEngine {
                         <p><strong>High Complexity Files:</strong> {{codeQuality.complexity.highComplexityFiles}}</p>
                     </div>
                     {{/if}}
+                    {{#if codeQuality.coverage}}
+                    <p class="note">Sample coverage: {{codeQuality.coverage.analyzedFiles}} of {{codeQuality.coverage.totalFiles}} source files ({{codeQuality.coverage.percentage}}%, {{codeQuality.coverage.method}}).</p>
+                    {{#if codeQuality.coverage.treeIncomplete}}
+                    <p class="note">The repository tree exceeded the listing limit; files beyond it were not considered.</p>
+                    {{/if}}
+                    {{/if}}
+                    {{#if repository.scope}}
+                    <p class="note">Code quality covers {{repository.scope}}/ only; DORA and pull request metrics cover the whole repository.</p>
+                    {{/if}}
                 </div>
             </div>
 
+            {{#if codeQuality.workspaces}}
+            <div class="workspace-packages">
+                <h3>Workspace Packages ({{codeQuality.workspaces.tools}})</h3>
+                <p>Code quality roll-up: {{codeQuality.workspaces.rollUpScore}}/100 (Grade {{codeQuality.workspaces.rollUpGrade}}), weighted by package size.</p>
+                <table class="metrics-table">
+                    <thead>
+                        <tr><th>Package</th><th>Path</th><th>Ecosystem</th><th>Score</th><th>Grade</th><th>Files</th></tr>
+                    </thead>
+                    <tbody>
+                        {{#each codeQuality.workspaces.packages}}
+                        <tr>
+                            <td>{{name}}</td>
+                            <td>{{path}}</td>
+                            <td>{{ecosystem}}</td>
+                            <td>{{score}}</td>
+                            <td style="color: {{gradeColor grade}}">{{grade}}</td>
+                            <td>{{files}}</td>
+                        </tr>
+                        {{/each}}
+                    </tbody>
+                </table>
+                {{#if codeQuality.workspaces.omitted}}
+                <p class="note">{{codeQuality.workspaces.omitted}} more packages were not scored individually.</p>
+                {{/if}}
+            </div>
+            {{/if}}
+
+            {{#if codeQuality.complexity.byLanguage}}
+            <div class="complexity-languages">
+                <h3>Complexity by Language</h3>
+                <table class="metrics-table">
+                    <thead>
+                        <tr><th>Language</th><th>Share of Code</th><th>Files</th><th>Functions</th><th>Avg. Cyclomatic</th><th>Avg. Cognitive</th><th>Score</th></tr>
+                    </thead>
+                    <tbody>
+                        {{#each codeQuality.complexity.byLanguage}}
+                        <tr>
+                            <td>{{language}}</td>
+                            <td>{{share}}%</td>
+                            <td>{{files}}</td>
+                            <td>{{functions}}</td>
+                            <td>{{formatNumber averageComplexity 1}}</td>
+                            <td>{{formatNumber averageCognitiveComplexity 1}}</td>
+                            <td>{{score}}</td>
+                        </tr>
+                        {{/each}}
+                    </tbody>
+                </table>
+                <p class="note">The overall complexity score weights each language by its share of the code.</p>
+            </div>
+            {{/if}}
+
+            {{#if codeQuality.duplication}}
+            <div class="duplication">
+                <h3>Duplicated Code</h3>
+                <p>{{formatNumber codeQuality.duplication.percentage 1}}% of analyzed code lines ({{codeQuality.duplication.duplicatedLines}} of {{codeQuality.duplication.totalLines}}) are duplicated in {{codeQuality.duplication.groups}} clone groups. Score: {{codeQuality.duplication.score}}/100.</p>
+                {{#if codeQuality.duplication.largestGroups.length}}
+                <table class="metrics-table">
+                    <thead>
+                        <tr><th>Clone Type</th><th>Lines</th><th>Copies</th><th>Locations</th></tr>
+                    </thead>
+                    <tbody>
+                        {{#each codeQuality.duplication.largestGroups}}
+                        <tr>
+                            <td>{{type}}</td>
+                            <td>{{lines}}</td>
+                            <td>{{occurrences}}</td>
+                            <td>{{locations}}</td>
+                        </tr>
+                        {{/each}}
+                    </tbody>
+                </table>
+                {{/if}}
+                <p class="note">Type-1 clones are identical copies; type-2 clones differ only in names and literals. Fragments of at least {{codeQuality.duplication.minTokens}} tokens are compared.</p>
+            </div>
+            {{/if}}
+
+            {{#if codeQuality.testing.measured}}
+            <div class="test-coverage">
+                <h3>Test Coverage</h3>
+                <p>{{formatNumber codeQuality.testing.measured.lines 1}}% of lines{{#if codeQuality.testing.measured.branches includeZero=true}} and {{formatNumber codeQuality.testing.measured.branches 1}}% of branches{{/if}} are covered across {{codeQuality.testing.measured.files}} files, from {{codeQuality.testing.measured.source}}: {{codeQuality.testing.measured.reports}}.</p>
+                {{#if codeQuality.testing.measured.lowestDirectories.length}}
+                <table class="metrics-table">
+                    <thead>
+                        <tr><th>Least Covered Directory</th><th>Files</th><th>Lines</th><th>Branches</th></tr>
+                    </thead>
+                    <tbody>
+                        {{#each codeQuality.testing.measured.lowestDirectories}}
+                        <tr>
+                            <td>{{directory}}</td>
+                            <td>{{files}}</td>
+                            <td>{{formatNumber lines 1}}%</td>
+                            <td>{{#if branches includeZero=true}}{{formatNumber branches 1}}%{{else}}-{{/if}}</td>
+                        </tr>
+                        {{/each}}
+                    </tbody>
+                </table>
+                {{/if}}
+            </div>
+            {{/if}}
+
+            {{#if codeQuality.linting}}
+            <div class="lint-findings">
+                <h3>Lint Findings</h3>
+                <p>ESLint reported {{codeQuality.linting.errorCount}} errors and {{codeQuality.linting.warningCount}} warnings in {{codeQuality.linting.filesWithIssues}} of {{codeQuality.linting.filesLinted}} files, using {{codeQuality.linting.configSource}} ({{codeQuality.linting.rules}} rules).{{#if codeQuality.linting.parseErrors}} {{codeQuality.linting.parseErrors}} files could not be parsed.{{/if}}</p>
+                {{#if codeQuality.linting.topRules.length}}
+                <table class="metrics-table">
+                    <thead>
+                        <tr><th>Rule</th><th>Severity</th><th>Issues</th><th>Files</th></tr>
+                    </thead>
+                    <tbody>
+                        {{#each codeQuality.linting.topRules}}
+                        <tr>
+                            <td>{{rule}}</td>
+                            <td>{{severity}}</td>
+                            <td>{{count}}</td>
+                            <td>{{files}}</td>
+                        </tr>
+                        {{/each}}
+                    </tbody>
+                </table>
+                {{/if}}
+                {{#if codeQuality.linting.ignored}}
+                <p class="note">Not applied: {{codeQuality.linting.ignored}}. Only ESLint's core rules run here.</p>
+                {{/if}}
+            </div>
+            {{/if}}
+
             <div class="metrics-grid">
                 <div class="chart-section">
                     <h3>DORA Metrics Performance</h3>
+                    {{#if doraMetrics.unavailable}}
+                    <p><strong>DORA metrics unavailable:</strong> {{doraMetrics.reason}}</p>
+                    {{else}}
                     {{chartImage charts.doraMetrics}}
                     {{#if doraMetrics}}
                     <div class="dora-summary">
@@ -406,8 +552,12 @@ class TemplateEngine {
                             <span>Recovery Time:</span>
                             <span class="metric-value">{{doraMetrics.recoveryTime.classification}}</span>
                         </div>
+                        {{#if doraMetrics.dataSource}}
+                        <p class="note">Deployments measured from: {{doraMetrics.dataSource}}</p>
+                        {{/if}}
                     </div>
                     {{/if}}
+                    {{/if}}
                 </div>
 
                 <div class="chart-section">
@@ -432,6 +582,37 @@ class TemplateEngine {
                     </div>
                 </div>
                 
+                <div class="chart-row">
+                    <div class="chart-half">
+                        <h4>Maintainability Index</h4>
+                        {{chartImage charts.maintainabilityDistribution}}
+                    </div>
+                    <div class="chart-half">
+                        <h4>Least Maintainable Files</h4>
+                        {{#if codeQuality.complexity.lowestMaintainability.length}}
+                        <table class="metrics-table">
+                            <thead>
+                                <tr><th>File</th><th>Language</th><th>Index</th></tr>
+                            </thead>
+                            <tbody>
+                                {{#each codeQuality.complexity.lowestMaintainability}}
+                                <tr>
+                                    <td>{{path}}</td>
+                                    <td>{{language}}</td>
+                                    <td>{{maintainability}}/100</td>
+                                </tr>
+                                {{/each}}
+                            </tbody>
+                        </table>
+                        {{else}}
+                        <p>No maintainability data available</p>
+                        {{/if}}
+                        {{#if codeQuality.complexity.halstead}}
+                        <p class="note">Halstead averages per file: volume {{formatNumber codeQuality.complexity.halstead.averageVolume}}, difficulty {{formatNumber codeQuality.complexity.halstead.averageDifficulty 1}}, effort {{formatNumber codeQuality.complexity.halstead.averageEffort}}.</p>
+                        {{/if}}
+                    </div>
+                </div>
+
                 <div class="chart-row">
                     <div class="chart-half">
                         <h4>Repository Health</h4>
@@ -443,6 +624,35 @@ class TemplateEngine {
                     </div>
                 </div>
             </div>
+
+            {{#if pullRequestMetrics}}
+            <div class="pull-request-flow">
+                <h3>Pull Request Flow</h3>
+                {{#if pullRequestMetrics.unavailable}}
+                <p><strong>Pull request metrics unavailable:</strong> {{pullRequestMetrics.reason}}</p>
+                {{else}}
+                <table class="metrics-table">
+                    <thead>
+                        <tr>
+                            <th>Metric</th>
+                            <th>Median</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr><td>Time to First Review</td><td>{{pullRequestMetrics.timeToFirstReview}}</td></tr>
+                        <tr><td>Review to Merge</td><td>{{pullRequestMetrics.reviewToMerge}}</td></tr>
+                        <tr><td>Open to Merge</td><td>{{pullRequestMetrics.cycleTime}}</td></tr>
+                        <tr><td>Merged PRs Reviewed</td><td>{{pullRequestMetrics.reviewedPercentage}}</td></tr>
+                        <tr><td>Lines Changed per PR</td><td>{{pullRequestMetrics.medianLines}}</td></tr>
+                    </tbody>
+                </table>
+                <p><strong>Size Distribution:</strong>
+                    {{#each pullRequestMetrics.sizeBuckets}}{{this.label}}: {{this.count}}{{#unless @last}} &middot; {{/unless}}{{/each}}
+                </p>
+                <p class="note">{{pullRequestMetrics.total}} pull requests ({{pullRequestMetrics.merged}} merged, {{pullRequestMetrics.open}} open); reviews and sizes from the {{pullRequestMetrics.sampled}} most recent.{{#unless pullRequestMetrics.reviewDataAvailable}} This host does not provide review data.{{/unless}}</p>
+                {{/if}}
+            </div>
+            {{/if}}
         </div>
 
         <!-- Risk Assessment -->
@@ -490,6 +700,9 @@ class TemplateEngine {
                         <p><strong>Average Complexity:</strong> {{formatNumber codeQuality.complexity.average 1}}</p>
                         <p><strong>High Complexity Files:</strong> {{codeQuality.complexity.highComplexityFiles}}</p>
                         <p><strong>Maintainability Score:</strong> {{formatNumber codeQuality.maintainability.score}}/100</p>
+                        {{#if codeQuality.maintainability.index}}
+                        <p><strong>Maintainability Index:</strong> {{formatNumber codeQuality.maintainability.index}}/100</p>
+                        {{/if}}
                     </div>
                     {{else}}
                     <p>No complexity analysis data available</p>
@@ -499,7 +712,9 @@ class TemplateEngine {
                 <div class="risk-category">
                     <h3>Scalability Concerns</h3>
                     <div class="risk-details">
-                        {{#if doraMetrics}}
+                        {{#if doraMetrics.unavailable}}
+                        <p>Deployment metrics unavailable: {{doraMetrics.reason}}</p>
+                        {{else if doraMetrics}}
                         <p><strong>Deployment Readiness:</strong> {{doraMetrics.deploymentFrequency.classification}}</p>
                         <p><strong>Change Management:</strong> {{doraMetrics.leadTime.classification}}</p>
                         {{else}}
@@ -656,6 +871,15 @@ class TemplateEngine {
                     <tr><td><strong>Stars:</strong></td><td>{{repository.stars}}</td></tr>
                     <tr><td><strong>Forks:</strong></td><td>{{repository.forks}}</td></tr>
                     <tr><td><strong>URL:</strong></td><td><a href="{{repository.url}}">{{repository.url}}</a></td></tr>
+                    {{#if repository.ref}}
+                    <tr><td><strong>Analyzed Ref:</strong></td><td>{{repository.ref}}</td></tr>
+                    {{/if}}
+                    {{#if repository.commitSha}}
+                    <tr><td><strong>Commit:</strong></td><td>{{repository.commitSha}}</td></tr>
+                    {{/if}}
+                    {{#if repository.scope}}
+                    <tr><td><strong>Analyzed Path:</strong></td><td>{{repository.scope}}/</td></tr>
+                    {{/if}}
                 </table>
             </div>
 
@@ -689,7 +913,10 @@ class TemplateEngine {
                     <ul>
                         <li>GitHub Repository API</li>
                         <li>Git commit history analysis</li>
-                        <li>Static code analysis</li>
+                        {{#if doraMetrics.dataSource}}
+                        <li>DORA deployments: {{doraMetrics.dataSource}}</li>
+                        {{/if}}
+                        <li>Static code analysis{{#if codeQuality.coverage.sampled}} ({{codeQuality.coverage.percentage}}% of source files, {{codeQuality.coverage.method}}){{/if}}</li>
                         <li>Dependency vulnerability databases</li>
                     </ul>
 
@@ -935,6 +1162,11 @@ class TemplateEngine {
             margin-top: 1em;
         }
 
+        .dora-summary .note {
+            font-size: 0.9em;
+            color: #7f8c8d;
+        }
+
         .dora-metric {
             display: flex;
             justify-content: space-between;
@@ -949,6 +1181,32 @@ class TemplateEngine {
             color: #3498db;
         }
 
+        .pull-request-flow {
+            margin-top: 2em;
+        }
+
+        .pull-request-flow .note {
+            font-size: 0.9em;
+            color: #7f8c8d;
+        }
+
+        .workspace-packages,
+        .complexity-languages,
+        .duplication,
+        .test-coverage,
+        .lint-findings {
+            margin-top: 2em;
+        }
+
+        .metric-card .note,
+        .workspace-packages .note,
+        .complexity-languages .note,
+        .duplication .note,
+        .lint-findings .note {
+            font-size: 0.9em;
+            color: #7f8c8d;
+        }
+
         /* Risk Assessment */
         .risk-overview {
             text-align: center;
@@ -0,0 +1,52 @@
+const express = require('express');
+const webhookReceiver = require('./webhook-receiver');
+
+const router = express.Router();
+
+/**
+ * POST /api/webhooks/github
+ * Receives signed GitHub webhooks (push, release, deployment_status) and
+ * queues re-analysis of the affected repository
+ * Mounted before the JSON body parser: the signature covers the raw body.
+ */
+router.post('/github', express.raw({ type: 'application/json', limit: '5mb' }), (req, res) => {
+  if (!webhookReceiver.isConfigured()) {
+    return res.status(503).json({
+      error: 'Webhooks not configured',
+      message: 'Set GITHUB_WEBHOOK_SECRET to receive GitHub webhooks'
+    });
+  }
+
+  const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  if (!webhookReceiver.verifySignature(body, req.headers['x-hub-signature-256'])) {
+    return res.status(401).json({
+      error: 'Invalid signature',
+      message: 'X-Hub-Signature-256 does not match the request body'
+    });
+  }
+
+  const event = req.headers['x-github-event'];
+  if (event === 'ping') {
+    return res.json({ success: true, data: { event, pong: true } });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(body.toString('utf8'));
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Invalid payload',
+      message: 'Webhook body must be JSON'
+    });
+  }
+
+  const result = webhookReceiver.handleEvent(event, payload);
+  console.log(`Webhook ${event} for ${result.repository}: ${result.ignored ? result.reason : `${result.queued} re-analyses queued`}`);
+
+  res.status(result.ignored ? 200 : 202).json({
+    success: true,
+    data: result
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const analysisOrchestrator = require('../analysis/analysis-orchestrator');
+const githubAppAuth = require('../auth/github-app-auth');
+
+const SUPPORTED_EVENTS = ['push', 'release', 'deployment_status'];
+const TERMINAL_DEPLOYMENT_STATES = ['success', 'failure', 'error'];
+
+/**
+ * Receives GitHub webhooks and keeps cached analyses fresh.
+ *
+ * A verified `push`, `release` or `deployment_status` event invalidates the
+ * repository's affected entries in the orchestrator's analysisCache and queues
+ * a re-analysis for each of them (or for the default branch if none was
+ * cached). Re-analyses run one at a time and are incremental: the HTTP and
+ * blob caches skip unchanged files, and when the analyzed commit did not move
+ * (releases, deployments) the previous code quality results are reused.
+ */
+class WebhookReceiver {
+  constructor() {
+    this.secret = process.env.GITHUB_WEBHOOK_SECRET || null;
+    this.fallbackToken = process.env.GITHUB_WEBHOOK_TOKEN || null;
+    this.queue = [];
+    this.running = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.secret);
+  }
+
+  /**
+   * Checks the X-Hub-Signature-256 header against the raw request body
+   * @param {Buffer} body - Raw request body
+   * @param {string} signature - Header value ("sha256=<hex>")
+   */
+  verifySignature(body, signature) {
+    if (!this.secret || typeof signature !== 'string' || !signature.startsWith('sha256=')) {
+      return false;
+    }
+
+    const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', this.secret).update(body).digest('hex')}`);
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Invalidates and queues re-analyses for a verified event
+   * @param {string} event - X-GitHub-Event header
+   * @param {Object} payload - Parsed event payload
+   * @returns {Object} { event, repository, ignored, reason, invalidated, queued }
+   */
+  handleEvent(event, payload) {
+    const repository = payload.repository;
+    const summary = { event, repository: repository ? repository.full_name : null, invalidated: 0, queued: 0 };
+
+    const reason = this.getIgnoreReason(event, payload);
+    if (reason) {
+      return { ...summary, ignored: true, reason };
+    }
+
+    const owner = repository.owner.login || repository.owner.name;
+    const repo = repository.name;
+    const refs = this.getAffectedRefs(event, payload);
+    const removed = analysisOrchestrator.invalidateCache(owner, repo, { refs });
+
+    const jobs = removed.map(({ key, data }) => ({ key, options: data.metadata?.options || {}, previous: data }));
+    if (jobs.length === 0 && (!refs || refs.includes(null))) {
+      jobs.push({ key: analysisOrchestrator.getCacheKey(owner, repo), options: {}, previous: null });
+    }
+
+    jobs.forEach(job => this.enqueue({
+      ...job,
+      owner,
+      repo,
+      event,
+      installationId: payload.installation ? payload.installation.id : null
+    }));
+
+    return { ...summary, ignored: false, invalidated: removed.length, queued: jobs.length };
+  }
+
+  /**
+   * Why an event needs no re-analysis, or null if it does
+   */
+  getIgnoreReason(event, payload) {
+    if (!SUPPORTED_EVENTS.includes(event)) {
+      return `Unsupported event: ${event}`;
+    }
+    if (!payload.repository || !payload.repository.owner) {
+      return 'Payload has no repository';
+    }
+    if (event === 'push' && payload.deleted) {
+      return 'Ref was deleted';
+    }
+    if (event === 'deployment_status' &&
+        !TERMINAL_DEPLOYMENT_STATES.includes(payload.deployment_status && payload.deployment_status.state)) {
+      return 'Deployment has not finished';
+    }
+    return null;
+  }
+
+  /**
+   * Refs whose analyses an event makes stale (null stands for the default branch);
+   * releases and deployments change DORA metrics for every analyzed ref
+   */
+  getAffectedRefs(event, payload) {
+    if (event !== 'push') {
+      return undefined;
+    }
+
+    const ref = (payload.ref || '').replace(/^refs\/(heads|tags)\//, '');
+    return ref === payload.repository.default_branch ? [null, ref] : [ref];
+  }
+
+  /**
+   * Adds a re-analysis, replacing one for the same cache key that has not started yet
+   */
+  enqueue(job) {
+    const pending = this.queue.findIndex(queued => queued.key === job.key);
+    if (pending >= 0) {
+      this.queue[pending] = { ...job, previous: job.previous || this.queue[pending].previous };
+    } else {
+      this.queue.push(job);
+    }
+
+    if (!this.running) {
+      this.running = this.processQueue();
+    }
+  }
+
+  async processQueue() {
+    try {
+      while (this.queue.length > 0) {
+        await this.runJob(this.queue.shift());
+      }
+    } finally {
+      this.running = null;
+    }
+  }
+
+  async runJob(job) {
+    try {
+      const accessToken = await this.getAccessToken(job);
+      const results = await analysisOrchestrator.performComprehensiveAnalysis(accessToken, job.owner, job.repo, {
+        ...job.options,
+        forceRefresh: true,
+        previous: job.previous
+      });
+      console.log(`Webhook re-analysis of ${job.key} completed at ${results.metadata.commitSha || 'unknown commit'}` +
+        (results.metadata.codeQualityReused ? ' (code quality reused)' : ''));
+    } catch (error) {
+      console.error(`Webhook re-analysis of ${job.key} failed:`, error.message);
+    }
+  }
+
+  /**
+   * Token for a re-analysis: the event's GitHub App installation, else GITHUB_WEBHOOK_TOKEN
+   */
+  async getAccessToken(job) {
+    if (job.installationId && githubAppAuth.isConfigured()) {
+      const installation = await githubAppAuth.getInstallationToken(job.installationId);
+      return installation.token;
+    }
+    if (this.fallbackToken) {
+      return this.fallbackToken;
+    }
+    throw new Error('No GitHub App installation or GITHUB_WEBHOOK_TOKEN to re-analyze with');
+  }
+
+  /**
+   * Resolves once every queued re-analysis has finished
+   */
+  async drain() {
+    while (this.running) {
+      await this.running;
+    }
+  }
+}
+
+module.exports = new WebhookReceiver();
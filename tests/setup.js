@@ -12,6 +12,7 @@ process.env.SESSION_SECRET = 'test-session-secret';
 process.env.GITHUB_CLIENT_ID = 'test-client-id';
 process.env.GITHUB_CLIENT_SECRET = 'test-client-secret';
 process.env.GITHUB_CALLBACK_URL = 'http://localhost:3001/api/auth/github/callback';
+process.env.GITHUB_HTTP_CACHE = 'false';
 
 // Mock external APIs
 jest.mock('@octokit/rest', () => {
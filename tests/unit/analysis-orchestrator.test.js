@@ -0,0 +1,76 @@
+const analysisOrchestrator = require('../../src/analysis/analysis-orchestrator');
+
+const cacheAnalysis = (owner, repo, options = {}) => {
+  const key = analysisOrchestrator.getCacheKey(owner, repo, options);
+  analysisOrchestrator.analysisCache.set(key, {
+    timestamp: Date.now(),
+    data: {
+      repository: { owner, repo },
+      metadata: { provider: options.provider || 'github', ref: null, options }
+    }
+  });
+  return key;
+};
+
+describe('AnalysisOrchestrator cache', () => {
+  beforeEach(() => {
+    analysisOrchestrator.clearCache();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should keep analyses of different self-hosted instances apart', () => {
+    const gitlab = { provider: 'gitlab', providerUrl: 'https://gitlab.com' };
+    const selfHosted = { provider: 'gitlab', providerUrl: 'https://git.acme.internal/' };
+
+    expect(analysisOrchestrator.getCacheKey('acme', 'api')).toBe('acme/api');
+    expect(analysisOrchestrator.getCacheKey('acme', 'api', gitlab)).toBe('gitlab@gitlab.com:acme/api');
+    expect(analysisOrchestrator.getCacheKey('acme', 'api', selfHosted)).toBe('gitlab@git.acme.internal:acme/api');
+
+    cacheAnalysis('acme', 'api', gitlab);
+    const selfHostedKey = cacheAnalysis('acme', 'api', selfHosted);
+
+    expect(analysisOrchestrator.invalidateCache('acme', 'api', gitlab)).toHaveLength(1);
+    expect(analysisOrchestrator.analysisCache.has(selfHostedKey)).toBe(true);
+  });
+
+  test('should key analyses by every option that changes the result', () => {
+    const production = analysisOrchestrator.getCacheKey('acme', 'api', { timeRange: 90 });
+    expect(production).toBe(analysisOrchestrator.getCacheKey('acme', 'api'));
+    expect(analysisOrchestrator.getCacheKey('acme', 'api', { forceRefresh: true, cacheTime: 60000 })).toBe(production);
+
+    const variants = [
+      { deploymentEnvironment: 'staging' },
+      { deployWorkflows: 'deploy.yml' },
+      { deployJobs: 'release' },
+      { timeRange: 30 },
+      { fileBudget: 50 },
+      { sampling: 'first' },
+      { minCloneTokens: 40 },
+      { maxItems: 200 },
+      { dataSource: 'graphql' }
+    ].map(options => analysisOrchestrator.getCacheKey('acme', 'api', options));
+
+    expect(new Set([production, ...variants]).size).toBe(variants.length + 1);
+    expect(analysisOrchestrator.getCacheKey('acme', 'api', { ref: 'v1', deploymentEnvironment: 'staging' }))
+      .toBe('acme/api@v1?deploymentEnvironment=staging');
+  });
+
+  test('should only serve cached analyses to callers who can read the repository', async () => {
+    const getRepository = jest.fn().mockRejectedValueOnce(Object.assign(new Error('Not Found'), { status: 404 }))
+      .mockResolvedValueOnce({ name: 'api' });
+    jest.spyOn(analysisOrchestrator, 'getProvider').mockReturnValue({ getRepository });
+    cacheAnalysis('acme', 'api');
+
+    expect(await analysisOrchestrator.getCachedAnalysis('outsider-token', 'acme', 'api', {}, 3600000)).toBeNull();
+    expect(await analysisOrchestrator.getCachedAnalysis('member-token', 'acme', 'api', {}, 3600000))
+      .toEqual(expect.objectContaining({ data: expect.objectContaining({ repository: { owner: 'acme', repo: 'api' } }) }));
+    expect(getRepository).toHaveBeenCalledWith('outsider-token', 'acme', 'api');
+
+    // Expired entries are not checked at all
+    expect(await analysisOrchestrator.getCachedAnalysis('member-token', 'acme', 'api', {}, 0)).toBeNull();
+    expect(getRepository).toHaveBeenCalledTimes(2);
+  });
+});
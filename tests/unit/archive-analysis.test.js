@@ -0,0 +1,197 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const ArchiveExtractor = require('../../src/local/archive-extractor');
+const DirectoryClient = require('../../src/local/directory-client');
+const analysisOrchestrator = require('../../src/analysis/analysis-orchestrator');
+
+// Minimal zip writer: [{ name, content, mode, stored }]
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name);
+    const content = Buffer.from(entry.content || '');
+    const method = entry.stored ? 0 : 8;
+    const data = method === 0 ? content : zlib.deflateRawSync(content);
+    const crc = zlib.crc32(content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(0x031e, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(((entry.mode || 0o100644) << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, data);
+    centrals.push(central, name);
+    offset += local.length + name.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+// Minimal ustar writer: [{ name, content, type }]
+function buildTar(entries) {
+  const blocks = [];
+
+  for (const entry of entries) {
+    const content = Buffer.from(entry.content || '');
+    const header = Buffer.alloc(512);
+    header.write(entry.name, 0, 100);
+    header.write('0000644\0', 100);
+    header.write('0000000\0', 108);
+    header.write('0000000\0', 116);
+    header.write(content.length.toString(8).padStart(11, '0') + '\0', 124);
+    header.write('00000000000\0', 136);
+    header.write(entry.type || '0', 156);
+    header.write('ustar\0', 257);
+    header.write('00', 263);
+    header.fill(0x20, 148, 156);
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148);
+
+    blocks.push(header, content, Buffer.alloc((512 - (content.length % 512)) % 512));
+  }
+
+  return Buffer.concat([...blocks, Buffer.alloc(1024)]);
+}
+
+describe('Source Archive Analysis', () => {
+  let tempDirectory;
+  let extractor;
+
+  beforeEach(() => {
+    tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-'));
+    extractor = new ArchiveExtractor({ tempDirectory });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDirectory, { recursive: true, force: true });
+  });
+
+  test('should extract a zip and strip its single root folder', async () => {
+    const archive = buildZip([
+      { name: 'project-main/', content: '', mode: 0o040755 },
+      { name: 'project-main/src/index.js', content: 'module.exports = 1;\n' },
+      { name: 'project-main/README.md', content: '# Project\n', stored: true }
+    ]);
+
+    const result = await extractor.extract(archive);
+
+    expect(result).toEqual(expect.objectContaining({ format: 'zip', files: 2 }));
+    expect(fs.readFileSync(path.join(result.directory, 'src', 'index.js'), 'utf-8')).toBe('module.exports = 1;\n');
+    expect(fs.existsSync(path.join(result.directory, 'README.md'))).toBe(true);
+
+    await extractor.cleanup(result.directory);
+    expect(fs.existsSync(result.directory)).toBe(false);
+  });
+
+  test('should extract tar and tar.gz archives', async () => {
+    const tar = buildTar([
+      { name: 'app/', type: '5' },
+      { name: 'app/main.py', content: 'print("hi")\n' }
+    ]);
+
+    const plain = await extractor.extract(tar);
+    const gzipped = await extractor.extract(zlib.gzipSync(tar));
+
+    expect(plain.format).toBe('tar');
+    expect(gzipped.format).toBe('tar.gz');
+    expect(fs.readFileSync(path.join(gzipped.directory, 'main.py'), 'utf-8')).toBe('print("hi")\n');
+  });
+
+  test('should reject entries that escape the extraction directory', async () => {
+    await expect(extractor.extract(buildZip([{ name: '../evil.js', content: 'x' }])))
+      .rejects.toMatchObject({ status: 400, message: expect.stringContaining('escapes') });
+    await expect(extractor.extract(buildTar([{ name: '/etc/cron.d/evil', content: 'x' }])))
+      .rejects.toMatchObject({ status: 400, message: expect.stringContaining('absolute') });
+    await expect(extractor.extract(buildZip([{ name: 'C:\\Windows\\evil.dll', content: 'x' }])))
+      .rejects.toMatchObject({ status: 400 });
+
+    // Nothing is left behind after a rejected archive
+    expect(fs.readdirSync(tempDirectory)).toEqual([]);
+  });
+
+  test('should skip symlinks and enforce size and entry limits', async () => {
+    const withLink = buildZip([
+      { name: 'src/app.js', content: 'ok' },
+      { name: 'src/passwd', content: '/etc/passwd', mode: 0o120777 }
+    ]);
+    const result = await extractor.extract(withLink);
+    expect(fs.readdirSync(result.directory)).toEqual(['app.js']);
+
+    const bomb = buildZip([{ name: 'big.txt', content: 'a'.repeat(10000) }]);
+    await expect(new ArchiveExtractor({ tempDirectory, maxExtractedBytes: 1000 }).extract(bomb))
+      .rejects.toMatchObject({ status: 400, message: expect.stringContaining('byte limit') });
+
+    const many = buildTar(Array.from({ length: 5 }, (_, index) => ({ name: `f${index}.js`, content: 'x' })));
+    await expect(new ArchiveExtractor({ tempDirectory, maxEntries: 3 }).extract(many))
+      .rejects.toMatchObject({ status: 400, message: expect.stringContaining('entries') });
+
+    await expect(extractor.extract(Buffer.from('not an archive')))
+      .rejects.toMatchObject({ status: 400, message: expect.stringContaining('Unsupported') });
+  });
+
+  test('should serve an extracted directory through the repository client interface', async () => {
+    const { directory } = await extractor.extract(buildZip([
+      { name: 'LICENSE', content: 'MIT' },
+      { name: 'src/index.js', content: 'const a = 1;\n' },
+      { name: 'node_modules/dep/index.js', content: 'ignored' }
+    ]));
+    const client = new DirectoryClient(directory, { name: 'upload' });
+
+    const files = await client.getRepositoryFiles('archive', 'upload', '.js');
+    const details = await client.getRepositoryDetails('archive', 'upload');
+    const commits = await client.getCommitHistory('archive', 'upload');
+
+    expect(files.map(file => file.path)).toEqual(['src/index.js']);
+    expect(await client.getFileContent('archive', 'upload', 'src/index.js')).toBe('const a = 1;\n');
+    await expect(client.getFileContent('archive', 'upload', '../outside.js')).rejects.toThrow('outside');
+    expect(details.license).toEqual({ key: 'other', name: 'LICENSE' });
+    expect(commits).toEqual([]);
+    expect(client.getFetchStatus('archive', 'upload').resources.commits.unavailable).toBe(true);
+  });
+
+  test('should analyze an archive with DORA metrics marked unavailable', async () => {
+    const { directory } = await extractor.extract(buildZip([
+      { name: 'src/index.js', content: 'function add(a, b) {\n  return a + b;\n}\nmodule.exports = add;\n' },
+      { name: 'README.md', content: '# Upload\n' }
+    ]));
+
+    const results = await analysisOrchestrator.performArchiveAnalysis(directory, 'upload');
+
+    expect(results.repository.fullName).toBe('upload');
+    expect(results.metadata.provider).toBe('archive');
+    expect(results.analysis.dora).toEqual(expect.objectContaining({ unavailable: true, reason: expect.any(String) }));
+    expect(results.techHealthScore.breakdown.dora).toBeUndefined();
+    expect(results.techHealthScore.breakdown.codeQuality).toBeGreaterThan(0);
+    expect(results.analysis.codeQuality.error).toBeUndefined();
+    expect(analysisOrchestrator.getCacheStats().size).toBe(0);
+  });
+});
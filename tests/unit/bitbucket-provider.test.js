@@ -0,0 +1,245 @@
+const BitbucketService = require('../../src/bitbucket/bitbucket-service');
+const bitbucketAuth = require('../../src/auth/bitbucket-auth');
+const { getProvider, resolveBitbucketUrl } = require('../../src/providers');
+const { requireProviderAuth } = require('../../src/auth/validators');
+const DORAMetricsCollector = require('../../src/analysis/dora-metrics-collector');
+
+describe('Bitbucket Provider', () => {
+  let routes;
+  const testToken = 'bb-test-token';
+
+  const jsonResponse = (data, headers = {}) => ({
+    ok: true,
+    status: 200,
+    headers: new Headers(headers),
+    json: async () => data,
+    text: async () => (typeof data === 'string' ? data : JSON.stringify(data))
+  });
+
+  beforeEach(() => {
+    routes = {};
+    global.fetch = jest.fn(async url => {
+      const { pathname, searchParams } = new URL(url);
+      const handler = Object.keys(routes).find(route => pathname.endsWith(route));
+      if (!handler) {
+        return { ok: false, status: 404, statusText: 'Not Found', headers: new Headers(), text: async () => '' };
+      }
+      const result = routes[handler](searchParams);
+      return jsonResponse(result.body !== undefined ? result.body : result, result.headers);
+    });
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  describe('Bitbucket Cloud', () => {
+    let bitbucketService;
+
+    beforeEach(() => {
+      bitbucketService = new BitbucketService();
+      routes['/repositories/acme/api'] = () => ({
+        uuid: '{1}',
+        slug: 'api',
+        full_name: 'acme/api',
+        is_private: true,
+        language: 'javascript',
+        size: 2048,
+        mainbranch: { name: 'main' }
+      });
+      routes['/refs/branches/main'] = () => ({ name: 'main', target: { hash: 'abc123' } });
+    });
+
+    test('should list the tree at the main branch head and read files at that commit', async () => {
+      routes['/src/abc123/'] = searchParams => (searchParams.get('page') === '1'
+        ? {
+          values: [
+            { type: 'commit_directory', path: 'src' },
+            { type: 'commit_file', path: 'src/index.js', size: 20 }
+          ],
+          next: 'https://api.bitbucket.org/2.0/next'
+        }
+        : { values: [{ type: 'commit_file', path: 'README.md', size: 10 }] });
+      routes['/src/abc123/src/index.js'] = () => 'module.exports = {};';
+
+      const client = bitbucketService.createClient(testToken);
+      const tree = await client.getRepositoryTree('acme', 'api');
+      const files = await client.getRepositoryFiles('acme', 'api', '.js');
+      const content = await client.getFileContent('acme', 'api', 'src/index.js');
+
+      expect(tree.sha).toBe('abc123');
+      expect(tree.truncated).toBe(false);
+      expect(tree.tree).toHaveLength(3);
+      expect(files).toEqual([{ path: 'src/index.js', mode: '100644', type: 'blob', size: 20 }]);
+      expect(content).toBe('module.exports = {};');
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(String(url)).toBe('https://api.bitbucket.org/2.0/repositories/acme/api');
+      expect(init.headers.Authorization).toBe(`Bearer ${testToken}`);
+    });
+
+    test('should map commits, issues, pull requests and tags to GitHub shapes', async () => {
+      routes['/commits'] = () => ({
+        values: [
+          { hash: 'c2', message: 'Fix outage', date: '2024-03-10T00:00:00Z', author: { raw: 'Dev <dev@example.com>', user: { nickname: 'dev' } } },
+          { hash: 'c1', message: 'Old', date: '2024-02-01T00:00:00Z', author: { raw: 'Dev <dev@example.com>' } }
+        ],
+        next: 'https://api.bitbucket.org/2.0/next'
+      });
+      routes['/issues'] = () => ({
+        values: [{ id: 3, title: 'Bug', state: 'resolved', kind: 'bug', priority: 'critical', created_on: '2024-03-11T00:00:00Z', updated_on: '2024-03-12T00:00:00Z' }]
+      });
+      routes['/pullrequests'] = () => ({
+        values: [{ id: 4, title: 'Change', state: 'MERGED', created_on: '2024-03-09T00:00:00Z', updated_on: '2024-03-10T00:00:00Z' }]
+      });
+      routes['/refs/tags'] = () => ({
+        values: [{ name: 'v1.0.0-rc.1', target: { hash: 'c2', date: '2024-03-10T00:00:00Z' } }]
+      });
+
+      const client = bitbucketService.createClient(testToken);
+      const [commits, issues, pullRequests, releases] = await Promise.all([
+        client.getCommitHistory('acme', 'api', { since: '2024-03-01T00:00:00Z' }),
+        client.getIssues('acme', 'api', { since: '2024-03-01T00:00:00Z' }),
+        client.getPullRequests('acme', 'api'),
+        client.getReleases('acme', 'api')
+      ]);
+
+      expect(commits).toHaveLength(1);
+      expect(commits[0]).toEqual(expect.objectContaining({
+        sha: 'c2',
+        author: { login: 'dev' },
+        commit: expect.objectContaining({ author: { name: 'Dev', email: 'dev@example.com', date: '2024-03-10T00:00:00Z' } })
+      }));
+      expect(issues[0]).toEqual(expect.objectContaining({
+        number: 3,
+        state: 'closed',
+        closed_at: '2024-03-12T00:00:00Z',
+        labels: [{ name: 'bug' }, { name: 'critical' }]
+      }));
+      expect(pullRequests[0]).toEqual(expect.objectContaining({ number: 4, state: 'closed', merged_at: '2024-03-10T00:00:00Z' }));
+      expect(releases[0]).toEqual(expect.objectContaining({ tag_name: 'v1.0.0-rc.1', prerelease: true, published_at: '2024-03-10T00:00:00Z' }));
+      expect(client.getFetchStatus('acme', 'api').complete).toBe(true);
+
+      const issueQuery = global.fetch.mock.calls.map(([url]) => new URL(url)).find(url => url.pathname.endsWith('/issues'));
+      expect(issueQuery.searchParams.get('q')).toBe('created_on >= 2024-03-01T00:00:00.000Z');
+      const prQuery = global.fetch.mock.calls.map(([url]) => new URL(url)).find(url => url.pathname.endsWith('/pullrequests'));
+      expect(prQuery.searchParams.getAll('state')).toEqual(['OPEN', 'MERGED', 'DECLINED', 'SUPERSEDED']);
+    });
+
+    test('should treat a disabled issue tracker as no issues', async () => {
+      const client = bitbucketService.createClient(testToken);
+      const issues = await client.getIssues('acme', 'api');
+
+      expect(issues).toEqual([]);
+      expect(client.getFetchStatus('acme', 'api').resources.issues).toEqual(expect.objectContaining({
+        complete: true,
+        unavailable: true
+      }));
+    });
+
+    test('should run DORA metrics unchanged using tags as releases', async () => {
+      const recent = new Date(Date.now() - 5 * 86400000).toISOString();
+      routes['/refs/tags'] = () => ({ values: [{ name: 'v1.0.0', target: { hash: 'c1', date: recent } }] });
+      routes['/commits'] = () => ({ values: [] });
+      routes['/issues'] = () => ({ values: [] });
+
+      const collector = new DORAMetricsCollector(bitbucketService.createClient(testToken));
+      const metrics = await collector.collectDORAMetrics('acme', 'api', { timeRange: 30 });
+
+      expect(metrics.metrics.deploymentFrequency.totalDeployments).toBeGreaterThanOrEqual(1);
+      expect(metrics.dataCompleteness.complete).toBe(true);
+    });
+  });
+
+  describe('Bitbucket Server', () => {
+    let bitbucketService;
+    const repoPath = '/rest/api/1.0/projects/PROJ/repos/api';
+
+    beforeEach(() => {
+      bitbucketService = new BitbucketService({ baseUrl: 'https://bitbucket.example.com/' });
+      routes[`${repoPath}/branches/default`] = () => ({ id: 'refs/heads/master', latestCommit: 'def456' });
+    });
+
+    test('should list files at the default branch head and derive directories', async () => {
+      routes[`${repoPath}/files`] = searchParams => ({
+        values: searchParams.get('start') === '0' ? ['src/lib/util.js'] : ['README.md'],
+        isLastPage: searchParams.get('start') !== '0'
+      });
+      routes[`${repoPath}/raw/src/lib/util.js`] = searchParams => `// at ${searchParams.get('at')}`;
+
+      const client = bitbucketService.createClient(testToken);
+      const tree = await client.getRepositoryTree('PROJ', 'api');
+      const content = await client.getFileContent('PROJ', 'api', 'src/lib/util.js');
+
+      expect(tree.tree.map(item => `${item.type}:${item.path}`)).toEqual([
+        'tree:src', 'tree:src/lib', 'blob:src/lib/util.js', 'blob:README.md'
+      ]);
+      expect(content).toBe('// at def456');
+      expect(String(global.fetch.mock.calls[1][0])).toContain('https://bitbucket.example.com/rest/api/1.0/projects/PROJ/repos/api/files?at=def456');
+    });
+
+    test('should date tags by their commit and report issues as unavailable', async () => {
+      routes[`${repoPath}/tags`] = () => ({
+        values: [{ displayId: 'v2.0.0', latestCommit: 'c2' }, { displayId: 'v1.0.0', latestCommit: 'c1' }],
+        isLastPage: true
+      });
+      routes[`${repoPath}/commits/c2`] = () => ({ id: 'c2', committerTimestamp: Date.parse('2024-03-10T00:00:00Z') });
+      routes[`${repoPath}/commits/c1`] = () => ({ id: 'c1', committerTimestamp: Date.parse('2024-01-10T00:00:00Z') });
+
+      const client = bitbucketService.createClient(testToken);
+      const releases = await client.getReleases('PROJ', 'api', { since: '2024-03-01T00:00:00Z' });
+      const issues = await client.getIssues('PROJ', 'api');
+
+      expect(releases).toEqual([expect.objectContaining({ tag_name: 'v2.0.0', published_at: '2024-03-10T00:00:00.000Z' })]);
+      expect(issues).toEqual([]);
+      expect(client.getFetchStatus('PROJ', 'api').complete).toBe(true);
+    });
+
+    test('should identify the token owner from the X-AUSERNAME header', async () => {
+      routes['/rest/api/1.0/projects'] = () => ({ body: { values: [] }, headers: { 'X-AUSERNAME': 'ci-bot' } });
+
+      const user = await bitbucketService.getAuthenticatedUser(testToken);
+
+      expect(user.login).toBe('ci-bot');
+    });
+  });
+
+  test('should resolve Cloud and allowed Server instances', () => {
+    process.env.BITBUCKET_SERVER_ALLOWED_HOSTS = 'bitbucket.example.com';
+
+    expect(resolveBitbucketUrl()).toBeNull();
+    expect(resolveBitbucketUrl('https://bitbucket.org')).toBeNull();
+    expect(resolveBitbucketUrl('https://bitbucket.example.com/')).toBe('https://bitbucket.example.com');
+    expect(() => resolveBitbucketUrl('https://internal.example.net')).toThrow('not allowed');
+    expect(getProvider('bitbucket').deployment).toBe('cloud');
+    expect(getProvider('bitbucket', { baseUrl: 'https://bitbucket.example.com' }).deployment).toBe('server');
+
+    delete process.env.BITBUCKET_SERVER_ALLOWED_HOSTS;
+  });
+
+  test('should refresh an expiring Bitbucket Cloud OAuth token', async () => {
+    const refresh = jest.spyOn(bitbucketAuth, 'refreshAccessToken').mockResolvedValue({
+      accessToken: 'bb-fresh-token',
+      refreshToken: 'bb-refresh-2',
+      expiresAt: Date.now() + 7200000
+    });
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+    const next = jest.fn();
+    const req = {
+      query: { provider: 'bitbucket' },
+      session: {
+        bitbucket: { baseUrl: null, accessToken: 'bb-old-token', refreshToken: 'bb-refresh-1', expiresAt: Date.now() + 60000 }
+      },
+      headers: {}
+    };
+
+    await requireProviderAuth(req, res, next);
+
+    expect(refresh).toHaveBeenCalledWith('bb-refresh-1');
+    expect(next).toHaveBeenCalled();
+    expect(req.auth).toEqual({ provider: 'bitbucket', type: 'oauth', accessToken: 'bb-fresh-token' });
+    expect(req.session.bitbucket.refreshToken).toBe('bb-refresh-2');
+
+    refresh.mockRestore();
+  });
+});
@@ -1,4 +1,5 @@
 const CodeQualityAnalyzer = require('../../src/analysis/code-quality-analyzer');
+const ArchiveExtractor = require('../../src/local/archive-extractor');
 
 describe('CodeQualityAnalyzer', () => {
   let analyzer;
@@ -49,6 +50,7 @@ describe('CodeQualityAnalyzer', () => {
           linting: expect.any(Object),
           security: expect.any(Object),
           maintainability: expect.any(Object),
+          testing: expect.any(Object),
           recommendations: expect.any(Array),
           analyzedAt: expect.any(String)
         })
@@ -400,6 +402,549 @@ describe('CodeQualityAnalyzer', () => {
     });
   });
 
+  describe('AST Complexity', () => {
+    const source = `
+      // if (a && b) || c ? d : e
+      const template = 'if (x) { while (y) {} }';
+
+      function route(request, options = {}) {
+        if (!request) {
+          return null;
+        } else if (request.cached && options.cache) {
+          return request.cached;
+        } else {
+          for (const handler of options.handlers) {
+            if (handler.matches(request) || handler.fallback) {
+              return handler.handle(request);
+            }
+          }
+        }
+        return options.onMiss ? options.onMiss(request) : undefined;
+      }
+
+      class Store {
+        get(key) {
+          return this.items.find(item => item.key === key) ?? null;
+        }
+      }
+    `;
+
+    test('should measure each function from its syntax tree', () => {
+      const result = analyzer.analyzeFileComplexity(source, 'src/route.js');
+
+      expect(result.functions.map(func => func.name)).toEqual(['route', 'Store.get', 'anonymous']);
+      expect(result.functions[0]).toEqual({
+        name: 'route',
+        line: 5,
+        endLine: 18,
+        length: 14,
+        params: 2,
+        complexity: 8,
+        cognitiveComplexity: 11,
+        nestingDepth: 3,
+        halstead: expect.any(Object),
+        maintainabilityIndex: expect.any(Number),
+        maintainability: expect.any(Number)
+      });
+      expect(result.functions[1]).toEqual(expect.objectContaining({ complexity: 2, cognitiveComplexity: 1, params: 1 }));
+      expect(result.complexity).toBe(9);
+    });
+
+    test('should parse TypeScript and TSX', () => {
+      const typescript = analyzer.analyzeFileComplexity(
+        'export function first<T>(items: T[], fallback?: T): T | undefined { return items.length > 0 ? items[0] : fallback; }',
+        'src/first.ts'
+      );
+      const tsx = analyzer.analyzeFileComplexity(
+        'export const Badge = ({ count }: { count: number }) => <span>{count > 99 && "99+"}</span>;',
+        'src/Badge.tsx'
+      );
+
+      expect(typescript.functions).toEqual([expect.objectContaining({ name: 'first', params: 2, complexity: 2 })]);
+      expect(tsx.functions).toEqual([expect.objectContaining({ name: 'Badge', params: 1, complexity: 2 })]);
+    });
+
+    test('should analyze tree entries by path and skip files that do not parse', async () => {
+      mockGithubService.getRepositoryFiles.mockResolvedValue([
+        { path: 'src/route.js', type: 'blob' },
+        { path: 'src/broken.js', type: 'blob' }
+      ]);
+      mockGithubService.getFileContent.mockImplementation(async (owner, repo, filePath) => (
+        filePath === 'src/broken.js' ? 'function broken( { return }' : source
+      ));
+
+      const result = await analyzer.analyzeComplexity('owner', 'repo');
+
+      expect(result.totalFiles).toBe(1);
+      expect(result.parseErrors).toBe(1);
+      expect(result.totalFunctions).toBe(3);
+      expect(result.averageComplexity).toBe(3.67);
+      expect(result.functionMetrics[0]).toEqual(expect.objectContaining({ name: 'route', path: 'src/route.js' }));
+    });
+  });
+
+  describe('Multi-language Complexity', () => {
+    const python = [
+      'class Router:',
+      '    def route(self, request, *handlers, fallback=None):',
+      '        """if and or in a docstring"""',
+      '        if not request:',
+      '            return None',
+      '        for handler in handlers:',
+      '            if handler.matches(request) or handler.default:  # and',
+      '                return handler.handle(request)',
+      '        return fallback(request) if fallback else None',
+      '',
+      'def identity(value):',
+      '    return value',
+      ''
+    ].join('\n');
+
+    const go = [
+      'package router',
+      '',
+      '// Route picks a handler; if && || in comments do not count',
+      'func (r *Router) Route(req *Request, fallback Handler) (Handler, error) {',
+      '\tif req == nil {',
+      '\t\treturn nil, errors.New("if && ||")',
+      '\t} else if req.Cached && r.cache {',
+      '\t\treturn r.cached, nil',
+      '\t}',
+      '\tfor _, h := range r.handlers {',
+      '\t\tif h.Matches(req) || h.Default {',
+      '\t\t\treturn h, nil',
+      '\t\t}',
+      '\t}',
+      '\treturn fallback, nil',
+      '}',
+      ''
+    ].join('\n');
+
+    const java = [
+      'public class Router {',
+      '    public Handler route(Request request, Map<String, List<Handler>> handlers) throws RoutingException {',
+      '        if (request == null) {',
+      '            return null;',
+      '        }',
+      '        for (Handler handler : handlers.get(request.path())) {',
+      '            if (handler.matches(request) || handler.isDefault()) {',
+      '                return handler;',
+      '            }',
+      '        }',
+      '        return request.isCached() ? cached : fallback;',
+      '    }',
+      '',
+      '    abstract void reset();',
+      '}',
+      ''
+    ].join('\n');
+
+    test.each([
+      ['src/router.py', python, 'Python', { name: 'Router.route', line: 2, endLine: 9, params: 3, complexity: 6, cognitiveComplexity: 6, nestingDepth: 2 }],
+      ['router/router.go', go, 'Go', { name: 'Router.Route', line: 4, endLine: 16, params: 2, complexity: 7, cognitiveComplexity: 7, nestingDepth: 2 }],
+      ['src/Router.java', java, 'Java', { name: 'Router.route', line: 2, endLine: 12, params: 2, complexity: 6, cognitiveComplexity: 6, nestingDepth: 2 }]
+    ])('should measure functions in %s', (filePath, source, language, expected) => {
+      const result = analyzer.analyzeFileComplexity(source, filePath);
+
+      expect(result.language).toBe(language);
+      expect(result.functions[0]).toEqual(expect.objectContaining(expected));
+    });
+
+    test('should nest Go blocks whose headers hold init statements', () => {
+      const source = [
+        'package sum',
+        '',
+        'func Sum(values []string) int {',
+        '\ttotal := 0',
+        '\tfor i := 0; i < len(values); i++ {',
+        '\t\tif v, err := strconv.Atoi(values[i]); err != nil {',
+        '\t\t\tcontinue',
+        '\t\t} else if v > 0 {',
+        '\t\t\ttotal += v',
+        '\t\t}',
+        '\t}',
+        '\treturn total',
+        '}',
+        ''
+      ].join('\n');
+
+      const result = analyzer.analyzeFileComplexity(source, 'sum/sum.go');
+
+      expect(result.functions[0]).toEqual(expect.objectContaining({
+        name: 'Sum', complexity: 4, cognitiveComplexity: 4, nestingDepth: 2
+      }));
+    });
+
+    test('should weight each language by its bytes of code', async () => {
+      mockGithubService.getRepositoryFiles.mockResolvedValue([
+        { path: 'src/router.py', type: 'blob' },
+        { path: 'router/router.go', type: 'blob' },
+        { path: 'web/index.js', type: 'blob' },
+        { path: 'vendor/lib/lib.go', type: 'blob' }
+      ]);
+      mockGithubService.getRepositoryLanguages = jest.fn().mockResolvedValue([
+        { language: 'Go', bytes: 75000 },
+        { language: 'Python', bytes: 20000 },
+        { language: 'JavaScript', bytes: 5000 }
+      ]);
+      mockGithubService.getFileContent.mockImplementation(async (owner, repo, filePath) => ({
+        'src/router.py': python,
+        'router/router.go': go,
+        'web/index.js': 'export const add = (a, b) => a + b;'
+      })[filePath]);
+
+      const result = await analyzer.analyzeComplexity('owner', 'repo');
+
+      expect(mockGithubService.getFileContent).not.toHaveBeenCalledWith('owner', 'repo', 'vendor/lib/lib.go');
+      expect(Object.keys(result.byLanguage).sort()).toEqual(['Go', 'JavaScript', 'Python']);
+      expect(result.byLanguage.Go).toEqual(expect.objectContaining({ files: 1, functions: 1, averageComplexity: 7, weight: 0.75 }));
+      expect(result.byLanguage.Python).toEqual(expect.objectContaining({ functions: 2, averageComplexity: 3.5, weight: 0.2 }));
+      // 7 * 0.75 + 3.5 * 0.2 + 1 * 0.05
+      expect(result.averageComplexity).toBe(6);
+      expect(result.score).toBe(Math.round(80 * 0.75 + 95 * 0.2 + 95 * 0.05));
+    });
+  });
+
+  describe('Maintainability Index', () => {
+    test('should count Halstead operators and operands the same way in every language', () => {
+      const javascript = analyzer.analyzeFileComplexity('function add(a, b) {\n  return a + b;\n}\n', 'src/add.js');
+      const python = analyzer.analyzeFileComplexity('def add(a, b):\n    return a + b\n', 'src/add.py');
+
+      // Operators: function/def ( , { or : return +; operands: add a b a b
+      const halstead = {
+        operators: 6,
+        operands: 3,
+        totalOperators: 6,
+        totalOperands: 5,
+        vocabulary: 9,
+        length: 11,
+        volume: 34.87,
+        difficulty: 5,
+        effort: 174.35
+      };
+      expect(javascript.functions[0].halstead).toEqual(halstead);
+      expect(python.functions[0].halstead).toEqual(halstead);
+
+      // 171 - 5.2 ln(34.87) - 0.23 * 1 - 16.2 ln(3 lines)
+      expect(javascript.functions[0].maintainabilityIndex).toBe(134.5);
+      expect(javascript.functions[0].maintainability).toBe(79);
+      expect(python.maintainabilityIndex).toBe(141.1);
+    });
+
+    test('should rate files and functions and list the least maintainable files', async () => {
+      const branches = Array.from({ length: 60 }, (_, index) =>
+        `  if (input === ${index} && flags[${index}]) { output.push(transform(input, ${index})); }`).join('\n');
+      mockGithubService.getRepositoryFiles.mockResolvedValue([
+        { path: 'src/add.js', type: 'blob' },
+        { path: 'src/legacy.js', type: 'blob' }
+      ]);
+      mockGithubService.getFileContent.mockImplementation(async (owner, repo, filePath) => (
+        filePath === 'src/add.js'
+          ? 'export const add = (a, b) => a + b;'
+          : `function legacy(input, flags, output) {\n${branches}\n  return output;\n}\n`
+      ));
+
+      const result = await analyzer.analyzeComplexity('owner', 'repo');
+
+      expect(result.maintainabilityIndex.distribution).toEqual({
+        files: { high: 1, moderate: 0, low: 1 },
+        functions: { high: 1, moderate: 0, low: 1 }
+      });
+      expect(result.maintainabilityIndex.lowestFiles.map(file => file.path)).toEqual(['src/legacy.js', 'src/add.js']);
+      expect(result.maintainabilityIndex.lowestFiles[0].maintainabilityIndex).toBeLessThan(65);
+      expect(result.halstead.averageVolume).toBeGreaterThan(0);
+      expect(result.halstead.totalVolume).toBe(Math.round(result.halstead.averageVolume * 2));
+    });
+  });
+
+  describe('Duplicate Code', () => {
+    const filter = (name, field) => [
+      `function ${name}(items, limit) {`,
+      '  const result = [];',
+      '  for (const item of items) {',
+      `    if (item.${field} > limit && item.enabled) {`,
+      `      result.push({ id: item.id, value: item.${field} * 2 });`,
+      '    }',
+      '  }',
+      '  return result.sort((a, b) => a.value - b.value);',
+      '}',
+      ''
+    ].join('\n');
+
+    test('should find identical and renamed copies across files and languages', async () => {
+      const python = 'def total(values):\n    return sum(value for value in values)\n';
+      mockGithubService.getRepositoryFiles.mockResolvedValue([
+        { path: 'src/a.js', type: 'blob' },
+        { path: 'src/b.js', type: 'blob' },
+        { path: 'src/c.js', type: 'blob' },
+        { path: 'tools/total.py', type: 'blob' }
+      ]);
+      mockGithubService.getFileContent.mockImplementation(async (owner, repo, filePath) => ({
+        'src/a.js': `${filter('byScore', 'score')}\nmodule.exports = byScore;\n`,
+        'src/b.js': `// renamed copy\nconst LIMIT = 10;\n${filter('byWeight', 'weight')}`,
+        'src/c.js': `${filter('byCost', 'cost')}\n${filter('byScore', 'score')}`,
+        'tools/total.py': python
+      })[filePath]);
+
+      const analyzer = new CodeQualityAnalyzer(mockGithubService, { minCloneTokens: 30 });
+      const { duplication } = await analyzer.analyzeComplexity('owner', 'repo');
+
+      expect(duplication.totalGroups).toBe(1);
+      expect(duplication.largestGroups[0]).toEqual({
+        type: 'type-2',
+        tokens: 79,
+        lines: 9,
+        occurrences: 4,
+        locations: [
+          { path: 'src/a.js', startLine: 1, endLine: 9 },
+          { path: 'src/b.js', startLine: 3, endLine: 11 },
+          { path: 'src/c.js', startLine: 1, endLine: 9 },
+          { path: 'src/c.js', startLine: 11, endLine: 19 }
+        ]
+      });
+      // 36 of 40 code lines are part of a clone (the Python file and two module-level lines are not)
+      expect(duplication.duplicatedLines).toBe(36);
+      expect(duplication.totalLines).toBe(40);
+      expect(duplication.percentage).toBe(90);
+      expect(duplication.score).toBe(20);
+
+      const strict = new CodeQualityAnalyzer(mockGithubService, { minCloneTokens: 100 });
+      expect((await strict.analyzeComplexity('owner', 'repo')).duplication.totalGroups).toBe(0);
+    });
+
+    test('should tell verbatim copies from renamed ones and fold duplication into the quality score', () => {
+      const analyzer = new CodeQualityAnalyzer(mockGithubService, { minCloneTokens: 30 });
+      const file = (filePath, source) => ({ path: filePath, tokens: analyzer.analyzeFileComplexity(source, filePath).tokens });
+
+      const verbatim = analyzer.analyzeDuplication([file('a.js', filter('byScore', 'score')), file('b.js', filter('byScore', 'score'))]);
+      const renamed = analyzer.analyzeDuplication([file('a.js', filter('byScore', 'score')), file('b.js', filter('byCost', 'cost'))]);
+      expect(verbatim.byType).toEqual({ 'type-1': 1, 'type-2': 0 });
+      expect(renamed.byType).toEqual({ 'type-1': 0, 'type-2': 1 });
+
+      const analyses = {
+        complexity: { score: 80, duplication: verbatim },
+        dependencies: { healthScore: 80, outdatedPackages: [] },
+        linting: { score: 80, errorCount: 0 },
+        security: { vulnerabilities: [] },
+        maintainability: { maintenanceScore: 80 }
+      };
+      const score = analyzer.calculateOverallQualityScore(analyses);
+      expect(score.breakdown.duplication).toBe(20);
+      expect(score.weights.duplication).toBe(0.1);
+      // Security scores 100; everything else 80 except duplication
+      expect(score.overall).toBe(Math.round(80 * 0.7 + 100 * 0.2 + 20 * 0.1));
+      expect(analyzer.generateRecommendations(analyses)[0]).toEqual(expect.objectContaining({ type: 'duplication', priority: 'high' }));
+    });
+  });
+
+  describe('ESLint', () => {
+    const serve = files => {
+      mockGithubService.getRepositoryTree = jest.fn().mockResolvedValue({
+        tree: Object.keys(files).map(filePath => ({ path: filePath, type: 'blob' }))
+      });
+      mockGithubService.getRepositoryFiles.mockResolvedValue(
+        Object.keys(files).filter(filePath => /\.[jt]sx?$/.test(filePath)).map(filePath => ({ path: filePath, type: 'blob' }))
+      );
+      mockGithubService.getFileContent.mockImplementation(async (owner, repo, filePath) => files[filePath]);
+    };
+
+    test('should lint with the repository configuration and group issues by rule', async () => {
+      const files = {
+        '.eslintrc.json': JSON.stringify({
+          extends: ['eslint:recommended', 'plugin:react/recommended'],
+          env: { node: true },
+          rules: { semi: ['error', 'always'], 'react/prop-types': 'off' }
+        }),
+        'src/a.js': 'const used = require("./b")\nmodule.exports = used + missing;\n',
+        'src/b.js': 'let unused = 1;\nconsole.log("ready");\n',
+        'src/a.test.js': 'test("skipped", () => eval("1"))\n'
+      };
+      serve(files);
+
+      const linting = await analyzer.performLinting('owner', 'repo');
+
+      expect(linting.config).toEqual({
+        source: '.eslintrc.json',
+        custom: true,
+        ignored: ['plugin:react/recommended', '1 plugin rules'],
+        rules: expect.any(Number)
+      });
+      expect(linting.filesLinted).toBe(2);
+      expect(linting.byRule).toEqual(expect.arrayContaining([
+        { rule: 'semi', severity: 'error', count: 1, files: 1 },
+        { rule: 'no-undef', severity: 'error', count: 1, files: 1 },
+        { rule: 'no-unused-vars', severity: 'error', count: 1, files: 1 }
+      ]));
+      // no-console is not in the repository's rules
+      expect(linting.byRule.map(entry => entry.rule)).not.toContain('no-console');
+      expect(linting.bySeverity).toEqual({ error: 3, warning: 0 });
+      expect(linting.issuesByFile[0]).toEqual(expect.objectContaining({ path: 'src/a.js', errorCount: 2 }));
+
+      delete files['.eslintrc.json'];
+      serve(files);
+      const defaults = await analyzer.performLinting('owner', 'repo');
+      expect(defaults.config.source).toBe('default');
+      expect(defaults.byRule).toEqual(expect.arrayContaining([
+        { rule: 'no-console', severity: 'warning', count: 1, files: 1 },
+        { rule: 'prefer-const', severity: 'warning', count: 1, files: 1 }
+      ]));
+    });
+
+    test('should lint TypeScript and read flat configs without running them', async () => {
+      serve({
+        'eslint.config.js': 'module.exports = [{ rules: { eqeqeq: "error" } }];',
+        'packages/web/eslint.config.mjs': [
+          'import js from "@eslint/js";',
+          'import globals from "globals";',
+          'export default [',
+          '  js.configs.recommended,',
+          '  { languageOptions: { globals: globals.browser }, rules: { "no-var": "error", "max-len": ["warn", process.env.MAX] } },',
+          '  { files: ["**/*.md"], rules: { "no-undef": "error" } }',
+          '];'
+        ].join('\n'),
+        'packages/web/src/view.tsx': [
+          'interface Props { title: string }',
+          'export const View = ({ title }: Props) => <h1>{title}</h1>;',
+          'var legacy = document.title;',
+          'export default legacy;'
+        ].join('\n'),
+        'packages/web/src/broken.ts': 'const = 1;\n'
+      });
+
+      const scoped = new CodeQualityAnalyzer(mockGithubService, { scope: 'packages/web' });
+      const linting = await scoped.performLinting('owner', 'repo');
+
+      expect(linting.config.source).toBe('packages/web/eslint.config.mjs');
+      expect(linting.config.ignored).toEqual(['process.env.MAX']);
+      expect(linting.parseErrors).toBe(1);
+      // Props is only used as a type; no-unused-vars and no-undef are left to TypeScript
+      expect(linting.byRule).toHaveLength(2);
+      expect(linting.byRule).toEqual(expect.arrayContaining([
+        { rule: 'no-var', severity: 'error', count: 1, files: 1 },
+        { rule: 'parse-error', severity: 'error', count: 1, files: 1 }
+      ]));
+    });
+  });
+
+  describe('Test Coverage', () => {
+    const lcov = [
+      'TN:',
+      'SF:/home/runner/work/app/app/src/api/handler.js',
+      'DA:1,1', 'DA:2,1', 'DA:3,0', 'DA:4,0',
+      'BRDA:3,0,0,1', 'BRDA:3,0,1,-',
+      'end_of_record',
+      'SF:/home/runner/work/app/app/src/util.js',
+      'LF:6', 'LH:6',
+      'end_of_record',
+      ''
+    ].join('\n');
+
+    const serveTree = (files, contents = {}) => {
+      mockGithubService.getRepositoryTree = jest.fn().mockResolvedValue({
+        tree: files.map(filePath => ({ path: filePath, type: 'blob' }))
+      });
+      mockGithubService.getFileContent.mockImplementation(async (owner, repo, filePath) => contents[filePath]);
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should read committed coverage reports and summarize them per directory', async () => {
+      const jacoco = [
+        '<?xml version="1.0"?><report name="service">',
+        '<package name="com/acme"><sourcefile name="Billing.java">',
+        '<counter type="LINE" missed="5" covered="15"/><counter type="BRANCH" missed="2" covered="2"/>',
+        '</sourcefile></package></report>'
+      ].join('');
+      serveTree([
+        'src/api/handler.js', 'src/util.js', 'src/util.test.js',
+        'service/src/main/java/com/acme/Billing.java', 'service/src/test/java/com/acme/BillingTest.java',
+        'coverage/lcov.info', 'service/build/reports/jacoco/test/jacocoTestReport.xml',
+        'node_modules/dep/coverage/lcov.info'
+      ], {
+        'coverage/lcov.info': lcov,
+        'service/build/reports/jacoco/test/jacocoTestReport.xml': jacoco
+      });
+
+      const testing = await analyzer.analyzeTestCoverage('owner', 'repo');
+
+      expect(testing).toEqual(expect.objectContaining({
+        available: true,
+        source: 'repository',
+        files: 3,
+        testFiles: 2,
+        lines: { total: 30, covered: 23, percentage: 76.7 },
+        branches: { total: 6, covered: 3, percentage: 50 }
+      }));
+      expect(testing.reports).toEqual([
+        { path: 'coverage/lcov.info', format: 'lcov', files: 2 },
+        { path: 'service/build/reports/jacoco/test/jacocoTestReport.xml', format: 'jacoco', files: 1 }
+      ]);
+      expect(testing.byDirectory.map(directory => [directory.directory, directory.lines.percentage])).toEqual([
+        ['service/src/main/java/com/acme', 75],
+        ['src', 100],
+        ['src/api', 50]
+      ]);
+      expect(mockGithubService.getFileContent).not.toHaveBeenCalledWith('owner', 'repo', 'node_modules/dep/coverage/lcov.info');
+
+      const scoped = await new CodeQualityAnalyzer(mockGithubService, { scope: 'src/api' }).analyzeTestCoverage('owner', 'repo');
+      expect(scoped.lines).toEqual({ total: 4, covered: 2, percentage: 50 });
+
+      serveTree(['src/util.js']);
+      expect(await analyzer.analyzeTestCoverage('owner', 'repo')).toEqual(analyzer.getDefaultTestCoverage());
+    });
+
+    test('should prefer coverage attached to the latest CI run', async () => {
+      serveTree(['src/api/handler.js', 'src/util.js', 'coverage/lcov.info'], { 'coverage/lcov.info': 'TN:\n' });
+      mockGithubService.getLatestWorkflowArtifacts = jest.fn(async (owner, repo, { matches }) => ({
+        run: { id: 42, created_at: '2026-10-01T10:00:00Z', html_url: 'https://github.com/owner/repo/actions/runs/42' },
+        artifacts: [
+          { id: 1, name: 'build-output', size_in_bytes: 1000 },
+          { id: 2, name: 'coverage-report', size_in_bytes: 1000 },
+          { id: 3, name: 'coverage-full', size_in_bytes: 500 * 1024 * 1024 }
+        ].filter(matches)
+      }));
+      mockGithubService.downloadWorkflowArtifact = jest.fn().mockResolvedValue(Buffer.from('zip'));
+      jest.spyOn(ArchiveExtractor.prototype, 'readZip').mockReturnValue([
+        { path: 'lcov-report/index.html', type: 'file', read: () => Buffer.from('<html></html>') },
+        { path: 'lcov.info', type: 'file', read: () => Buffer.from(lcov) }
+      ]);
+
+      const testing = await analyzer.analyzeTestCoverage('owner', 'repo');
+
+      expect(mockGithubService.downloadWorkflowArtifact).toHaveBeenCalledTimes(1);
+      expect(mockGithubService.downloadWorkflowArtifact).toHaveBeenCalledWith('owner', 'repo', 2);
+      expect(testing.source).toBe('ci');
+      expect(testing.run).toEqual({ id: 42, createdAt: '2026-10-01T10:00:00Z', url: 'https://github.com/owner/repo/actions/runs/42' });
+      expect(testing.reports).toEqual([{ path: 'coverage-report/lcov.info', format: 'lcov', files: 2 }]);
+      expect(testing.lines.percentage).toBe(80);
+    });
+
+    test('should keep the readable CI reports when an artifact or report is broken', async () => {
+      serveTree(['src/api/handler.js', 'src/util.js']);
+      mockGithubService.getLatestWorkflowArtifacts = jest.fn().mockResolvedValue({
+        run: { id: 42, created_at: '2026-10-01T10:00:00Z', html_url: 'https://github.com/owner/repo/actions/runs/42' },
+        artifacts: [{ id: 1, name: 'coverage-expired', size_in_bytes: 1000 }, { id: 2, name: 'coverage', size_in_bytes: 1000 }]
+      });
+      mockGithubService.downloadWorkflowArtifact = jest.fn(async (owner, repo, id) => {
+        if (id === 1) throw new Error('Artifact has expired');
+        return Buffer.from('zip');
+      });
+      jest.spyOn(ArchiveExtractor.prototype, 'readZip').mockReturnValue([
+        { path: 'coverage-summary.json', type: 'file', read: () => Buffer.from('{"total": {"lines": ') },
+        { path: 'lcov.info', type: 'file', read: () => Buffer.from(lcov) }
+      ]);
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const testing = await analyzer.analyzeTestCoverage('owner', 'repo');
+
+      expect(testing.source).toBe('ci');
+      expect(testing.reports).toEqual([{ path: 'coverage/lcov.info', format: 'lcov', files: 2 }]);
+      expect(console.warn).toHaveBeenCalledTimes(2);
+    });
+  });
+
   describe('Dependency Analysis Edge Cases', () => {
     test('should handle malformed package.json gracefully', async () => {
       const malformedPackageJson = '{ "dependencies": { "invalid": }';
@@ -632,6 +1177,138 @@ describe('CodeQualityAnalyzer', () => {
     });
   });
 
+  describe('Workspaces', () => {
+    const files = {
+      'package.json': JSON.stringify({ name: 'acme', private: true, workspaces: ['packages/*', '!packages/legacy'] }),
+      'yarn.lock': '',
+      'packages/api/package.json': JSON.stringify({ name: '@acme/api' }),
+      'packages/api/src/server.js': 'function start(port) {\n  if (port) {\n    return port;\n  }\n  return 3000;\n}\n',
+      'packages/web/package.json': JSON.stringify({ name: '@acme/web' }),
+      'packages/web/src/app.js': 'const render = () => 1;\n',
+      'packages/web/src/page.js': 'const page = () => 2;\n',
+      'packages/legacy/package.json': JSON.stringify({ name: '@acme/legacy' }),
+      'node_modules/left-pad/package.json': JSON.stringify({ name: 'left-pad' })
+    };
+    const tree = Object.keys(files).map(path => ({ path, type: 'blob', sha: path }));
+
+    beforeEach(() => {
+      mockGithubService.getRepositoryTree = jest.fn().mockResolvedValue({ tree });
+      mockGithubService.getRepositoryFiles.mockImplementation(async (owner, repo, extensions) => tree
+        .filter(item => extensions.split(',').some(ext => item.path.endsWith(ext)))
+        .map(item => ({ ...item, name: item.path.split('/').pop() })));
+      mockGithubService.getFileContent.mockImplementation(async (owner, repo, path) => files[path]);
+      mockGithubService.getCommitHistory.mockResolvedValue([]);
+      mockGithubService.getIssues.mockResolvedValue([]);
+    });
+
+    test('should score each workspace package and roll the scores up', async () => {
+      const result = await analyzer.analyzeCodeQuality('owner', 'repo');
+
+      expect(result.workspaces.tools).toEqual(['yarn']);
+      expect(result.workspaces.packages.map(pkg => [pkg.name, pkg.path, pkg.files])).toEqual([
+        ['@acme/api', 'packages/api', 2],
+        ['@acme/web', 'packages/web', 3]
+      ]);
+      expect(result.qualityScore).toEqual(result.workspaces.rollUp);
+      expect(result.qualityScore.rollUp).toBe(true);
+      expect(result.repositoryScore.overall).toEqual(expect.any(Number));
+
+      const [api, web] = result.workspaces.packages;
+      expect(result.qualityScore.overall).toBe(Math.round(
+        (api.qualityScore.overall * 2 + web.qualityScore.overall * 3) / 5
+      ));
+      // Repository listings are fetched once and shared by every package
+      expect(mockGithubService.getRepositoryTree).toHaveBeenCalledTimes(1);
+    });
+
+    test('should limit a scoped analysis to its subdirectory', async () => {
+      const scoped = new CodeQualityAnalyzer(mockGithubService, { scope: './packages/web/' });
+
+      const result = await scoped.analyzeCodeQuality('owner', 'repo');
+      const packageFiles = await scoped.getPackageFiles('owner', 'repo');
+
+      expect(result.scope).toBe('packages/web');
+      expect(result.workspaces).toBeNull();
+      expect(result.complexity.totalFiles).toBe(2);
+      expect(packageFiles.map(file => file.path)).toEqual(['packages/web/package.json']);
+    });
+
+    test('should detect pnpm and Go workspaces', async () => {
+      const WorkspaceDetector = require('../../src/analysis/workspace-detector');
+      const contents = {
+        'pnpm-workspace.yaml': "packages:\n  - 'apps/**'\n  - \"!**/test/**\"\n",
+        'go.work': 'go 1.21\n\nuse (\n\t./services/auth\n\t./services/billing // payments\n)\n'
+      };
+      const detector = new WorkspaceDetector({
+        getFileContent: jest.fn(async (owner, repo, path) => contents[path] || '{}')
+      });
+
+      const result = await detector.detectWorkspaces('owner', 'repo', [
+        'pnpm-workspace.yaml', 'go.work', 'apps/site/package.json', 'apps/tools/cli/package.json',
+        'apps/site/test/fixture/package.json', 'services/auth/go.mod', 'services/billing/go.mod'
+      ].map(path => ({ path, type: 'blob' })));
+
+      expect(result.tools).toEqual(['pnpm', 'go']);
+      expect(result.packages.map(pkg => `${pkg.ecosystem}:${pkg.path}`)).toEqual([
+        'javascript:apps/site',
+        'javascript:apps/tools/cli',
+        'go:services/auth',
+        'go:services/billing'
+      ]);
+    });
+
+    test('should not report workspaces for a single-package repository', async () => {
+      const WorkspaceDetector = require('../../src/analysis/workspace-detector');
+      const detector = new WorkspaceDetector({ getFileContent: jest.fn().mockResolvedValue('{"name":"app"}') });
+
+      const result = await detector.detectWorkspaces('owner', 'repo', [
+        { path: 'package.json', type: 'blob' },
+        { path: 'src/index.js', type: 'blob' }
+      ]);
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('File Sampling', () => {
+    const { sampleFiles } = require('../../src/analysis/file-sampler');
+    const listing = [
+      ...Array.from({ length: 60 }, (_, i) => ({ path: `src/core/file${i}.js` })),
+      ...Array.from({ length: 30 }, (_, i) => ({ path: `src/ui/view${i}.tsx` })),
+      ...Array.from({ length: 10 }, (_, i) => ({ path: `scripts/task${i}.js` }))
+    ];
+
+    test('should sample every directory and language in proportion to its size', () => {
+      const { files, coverage } = sampleFiles(listing, { budget: 10, strategy: 'stratified' });
+      const count = prefix => files.filter(file => file.path.startsWith(prefix)).length;
+
+      expect(files).toHaveLength(10);
+      expect([count('src/core/'), count('src/ui/'), count('scripts/')]).toEqual([6, 3, 1]);
+      expect(coverage).toEqual(expect.objectContaining({
+        totalFiles: 100, analyzedFiles: 10, percentage: 10, sampled: true, strategy: 'stratified'
+      }));
+    });
+
+    test('should analyze every file within the budget', () => {
+      const { files, coverage } = sampleFiles(listing.slice(0, 5), { budget: 10 });
+
+      expect(files).toHaveLength(5);
+      expect(coverage).toEqual(expect.objectContaining({ sampled: false, strategy: 'all', percentage: 100 }));
+    });
+
+    test('should report complexity sample coverage', async () => {
+      mockGithubService.getRepositoryFiles.mockResolvedValue(listing.map(file => ({ ...file, name: file.path.split('/').pop() })));
+      mockGithubService.getFileContent.mockResolvedValue('const x = 1;');
+      const sampled = new CodeQualityAnalyzer(mockGithubService, { fileBudget: 25, sampling: 'first' });
+
+      const result = await sampled.analyzeComplexity('owner', 'repo');
+
+      expect(result.totalFiles).toBe(25);
+      expect(result.coverage).toEqual(expect.objectContaining({ totalFiles: 100, analyzedFiles: 25, strategy: 'first' }));
+      expect(mockGithubService.getFileContent).toHaveBeenCalledTimes(25);
+    });
+  });
+
   describe('Latest Version Checking', () => {
     test('should get NPM latest version', async () => {
       const result = await analyzer.getNpmLatestVersion('lodash');
@@ -226,6 +226,171 @@ describe('DORAMetricsCollector', () => {
     });
   });
 
+  describe('Workflow Run Deployments', () => {
+    const startDate = new Date('2024-01-01');
+    const endDate = new Date('2024-01-31');
+    const run = (id, name, conclusion, date, path = `.github/workflows/${name.toLowerCase()}.yml`) => ({
+      id, name, path, conclusion, updated_at: date, head_sha: `sha${id}`, html_url: `https://github.com/owner/repo/actions/runs/${id}`
+    });
+
+    beforeEach(() => {
+      mockGithubService.getWorkflowRuns = jest.fn().mockResolvedValue([
+        run(5, 'Deploy', 'success', '2024-01-20T10:00:00Z'),
+        run(4, 'CI', 'success', '2024-01-18T10:00:00Z'),
+        run(3, 'Deploy', 'failure', '2024-01-15T10:00:00Z'),
+        run(2, 'Deploy', 'cancelled', '2024-01-12T10:00:00Z'),
+        run(1, 'Deploy', 'success', '2024-01-10T10:00:00Z')
+      ]);
+      mockGithubService.getWorkflowRunJobs = jest.fn();
+      mockGithubService.getReleases.mockResolvedValue([{ tag_name: 'v1.0.0', published_at: '2024-01-05T10:00:00Z' }]);
+      mockGithubService.getIssues.mockResolvedValue([]);
+      mockGithubService.getCommitHistory.mockResolvedValue([
+        { sha: 'c3', commit: { message: 'Fix', committer: { date: '2024-01-19T10:00:00Z' } } },
+        { sha: 'c2', commit: { message: 'Feature', committer: { date: '2024-01-17T10:00:00Z' } } },
+        { sha: 'c1', commit: { message: 'Deploy to main', committer: { date: '2024-01-09T10:00:00Z' } } }
+      ]);
+    });
+
+    test('should count successful deploy workflow runs instead of releases and commit messages', async () => {
+      collector = new DORAMetricsCollector(mockGithubService, { deployWorkflows: 'deploy.yml' });
+
+      const result = await collector.calculateDeploymentFrequency('owner', 'repo', startDate, endDate);
+
+      expect(result.source).toBe('workflow_runs');
+      expect(result.totalDeployments).toBe(2);
+      expect(result.recentDeployments.map(deployment => deployment.id)).toEqual([5, 1]);
+      expect(mockGithubService.getReleases).not.toHaveBeenCalled();
+      expect(mockGithubService.getWorkflowRuns).toHaveBeenCalledTimes(1);
+    });
+
+    test('should count failed deploy runs toward change failure rate', async () => {
+      collector = new DORAMetricsCollector(mockGithubService, { deployWorkflows: ['Deploy'] });
+
+      const result = await collector.calculateChangeFailureRate('owner', 'repo', startDate, endDate);
+
+      // Cancelled runs are neither deployments nor failures
+      expect(result).toEqual(expect.objectContaining({
+        totalDeployments: 3,
+        failedDeployments: 1,
+        changeFailureRate: 33.33,
+        source: 'workflow_runs'
+      }));
+      expect(result.failureDetails[0]).toEqual(expect.objectContaining({ reason: 'failed_deployment' }));
+    });
+
+    test('should measure lead time from the commits each deployment shipped', async () => {
+      collector = new DORAMetricsCollector(mockGithubService, { deployWorkflows: 'Deploy' });
+
+      const result = await collector.calculateLeadTimeForChanges('owner', 'repo', startDate, endDate);
+
+      expect(result.leadTimeDetails).toEqual([
+        { deployment: 'Deploy', leadTimeHours: 48, leadTimeDays: 2, commitsIncluded: 2 },
+        { deployment: 'Deploy', leadTimeHours: 24, leadTimeDays: 1, commitsIncluded: 1 }
+      ]);
+      expect(result.averageLeadTimeHours).toBe(36);
+    });
+
+    test('should use deploy job results when jobs are designated', async () => {
+      mockGithubService.getWorkflowRunJobs.mockImplementation((owner, repo, runId) => Promise.resolve(runId === 4
+        ? [{ name: 'build', conclusion: 'success', completed_at: '2024-01-18T09:00:00Z' },
+          { name: 'deploy-production', conclusion: 'failure', completed_at: '2024-01-18T10:00:00Z' }]
+        : []));
+      collector = new DORAMetricsCollector(mockGithubService, { deployWorkflows: 'CI', deployJobs: 'deploy-production' });
+
+      const result = await collector.calculateChangeFailureRate('owner', 'repo', startDate, endDate);
+
+      expect(mockGithubService.getWorkflowRunJobs).toHaveBeenCalledTimes(1);
+      expect(result).toEqual(expect.objectContaining({ totalDeployments: 1, failedDeployments: 1 }));
+    });
+
+    test('should fall back to releases when no deploy workflows are configured', async () => {
+      jest.spyOn(collector, 'identifyDeploymentEvents').mockResolvedValue([]);
+
+      const result = await collector.calculateDeploymentFrequency('owner', 'repo', startDate, endDate);
+
+      expect(result.source).toBe('releases');
+      expect(mockGithubService.getWorkflowRuns).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Deployments API', () => {
+    const startDate = new Date('2024-01-01');
+    const endDate = new Date('2024-01-31');
+    const deployment = (id, environment, created_at, extra = {}) => ({
+      id, environment, created_at, sha: `sha${id}`, production_environment: false, ...extra
+    });
+
+    beforeEach(() => {
+      mockGithubService.getDeployments = jest.fn().mockResolvedValue([
+        deployment(4, 'staging', '2024-01-21T10:00:00Z'),
+        deployment(3, 'production', '2024-01-20T10:00:00Z'),
+        deployment(2, 'live', '2024-01-15T10:00:00Z', { production_environment: true }),
+        deployment(1, 'production', '2024-01-10T10:00:00Z')
+      ]);
+      const statuses = {
+        4: [{ state: 'success', created_at: '2024-01-21T10:05:00Z' }],
+        // Newest first, as the API returns them: the later retry does not hide the failure
+        3: [
+          { state: 'success', created_at: '2024-01-20T12:00:00Z' },
+          { state: 'failure', created_at: '2024-01-20T10:05:00Z', target_url: 'https://ci.example.com/3' },
+          { state: 'in_progress', created_at: '2024-01-20T10:01:00Z' }
+        ],
+        2: [{ state: 'success', created_at: '2024-01-15T10:05:00Z' }],
+        1: [{ state: 'in_progress', created_at: '2024-01-10T10:01:00Z' }]
+      };
+      mockGithubService.getDeploymentStatuses = jest.fn((owner, repo, id) => Promise.resolve(statuses[id]));
+      mockGithubService.getIssues.mockResolvedValue([]);
+    });
+
+    test('should use production deployment statuses when the repository records deployments', async () => {
+      const result = await collector.calculateChangeFailureRate('owner', 'repo', startDate, endDate);
+
+      // Staging is ignored and deployment 1 never finished
+      expect(mockGithubService.getDeploymentStatuses).toHaveBeenCalledTimes(3);
+      expect(result).toEqual(expect.objectContaining({
+        totalDeployments: 2,
+        failedDeployments: 1,
+        changeFailureRate: 50,
+        source: 'deployments'
+      }));
+      expect(mockGithubService.getReleases).not.toHaveBeenCalled();
+    });
+
+    test('should only measure the requested environment', async () => {
+      collector = new DORAMetricsCollector(mockGithubService, { deploymentEnvironment: 'Staging' });
+
+      const result = await collector.calculateDeploymentFrequency('owner', 'repo', startDate, endDate);
+
+      expect(result.source).toBe('deployments');
+      expect(result.recentDeployments.map(item => item.id)).toEqual([4]);
+      expect(collector.describeDataSource('deployments').description).toContain('staging');
+      // Only the requested environment's deployments are listed
+      expect(mockGithubService.getDeployments).toHaveBeenCalledWith('owner', 'repo', expect.objectContaining({ environment: 'Staging' }));
+      mockGithubService.getDeployments.mock.calls.forEach(([, , options]) => expect(options.environment).toBe('Staging'));
+    });
+
+    test('should prefer configured deploy workflows over deployments', async () => {
+      mockGithubService.getWorkflowRuns = jest.fn().mockResolvedValue([]);
+      collector = new DORAMetricsCollector(mockGithubService, { deployWorkflows: 'deploy.yml' });
+
+      const result = await collector.calculateDeploymentFrequency('owner', 'repo', startDate, endDate);
+
+      expect(result.source).toBe('workflow_runs');
+      expect(mockGithubService.getDeployments).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to releases when no deployment targets the environment', async () => {
+      mockGithubService.getDeployments.mockResolvedValue([deployment(4, 'staging', '2024-01-21T10:00:00Z')]);
+      mockGithubService.getReleases.mockResolvedValue([]);
+      jest.spyOn(collector, 'identifyDeploymentEvents').mockResolvedValue([]);
+
+      const result = await collector.calculateDeploymentFrequency('owner', 'repo', startDate, endDate);
+
+      expect(result.source).toBe('releases');
+      expect(mockGithubService.getDeploymentStatuses).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Mean Time to Restore', () => {
     test('should calculate mean time to restore from incidents', async () => {
       const mockIssues = [
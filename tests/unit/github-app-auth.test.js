@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const githubAppAuth = require('../../src/auth/github-app-auth');
+const { requireAuth } = require('../../src/auth/validators');
+
+jest.mock('@octokit/rest', () => ({
+  Octokit: jest.fn()
+}));
+
+describe('GitHub App Authentication', () => {
+  let mockOctokit;
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+
+  const mockResponse = () => ({
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis()
+  });
+
+  beforeEach(() => {
+    mockOctokit = {
+      rest: {
+        apps: {
+          createInstallationAccessToken: jest.fn(),
+          getRepoInstallation: jest.fn(),
+          getOrgInstallation: jest.fn(),
+          getUserInstallation: jest.fn(),
+          listInstallations: jest.fn()
+        }
+      }
+    };
+
+    const { Octokit } = require('@octokit/rest');
+    Octokit.mockImplementation(() => mockOctokit);
+
+    githubAppAuth.appId = '12345';
+    githubAppAuth.privateKey = privateKey;
+    githubAppAuth.apiKey = 'service-key';
+    githubAppAuth.defaultInstallationId = undefined;
+    githubAppAuth.installationTokens.clear();
+    githubAppAuth.ownerInstallations.clear();
+  });
+
+  test('should sign an RS256 app JWT', () => {
+    const jwt = githubAppAuth.createAppJWT();
+    const [header, payload, signature] = jwt.split('.');
+
+    const verified = crypto.createVerify('RSA-SHA256')
+      .update(`${header}.${payload}`)
+      .verify(publicKey, signature, 'base64url');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+
+    expect(verified).toBe(true);
+    expect(claims.iss).toBe('12345');
+    expect(claims.exp - claims.iat).toBeLessThanOrEqual(600);
+  });
+
+  test('should cache installation tokens until they near expiry', async () => {
+    mockOctokit.rest.apps.createInstallationAccessToken
+      .mockResolvedValueOnce({ data: { token: 'ghs_first', expires_at: new Date(Date.now() + 3600000).toISOString() } })
+      .mockResolvedValueOnce({ data: { token: 'ghs_second', expires_at: new Date(Date.now() + 3600000).toISOString() } });
+
+    const [first, concurrent] = await Promise.all([
+      githubAppAuth.getInstallationToken(42),
+      githubAppAuth.getInstallationToken(42)
+    ]);
+    expect(first.token).toBe('ghs_first');
+    expect(concurrent.token).toBe('ghs_first');
+    expect(mockOctokit.rest.apps.createInstallationAccessToken).toHaveBeenCalledTimes(1);
+
+    // Simulate a token about to expire
+    githubAppAuth.installationTokens.get('42').expiresAt = new Date(Date.now() + 60000).toISOString();
+    const refreshed = await githubAppAuth.getInstallationToken(42);
+
+    expect(refreshed.token).toBe('ghs_second');
+    expect(mockOctokit.rest.apps.createInstallationAccessToken).toHaveBeenCalledWith({ installation_id: 42 });
+  });
+
+  test('should authenticate service requests with an installation token', async () => {
+    mockOctokit.rest.apps.getRepoInstallation.mockResolvedValue({ data: { id: 7 } });
+    mockOctokit.rest.apps.createInstallationAccessToken.mockResolvedValue({
+      data: { token: 'ghs_installation', expires_at: new Date(Date.now() + 3600000).toISOString() }
+    });
+
+    const req = {
+      session: {},
+      headers: { authorization: 'Bearer service-key' },
+      params: { owner: 'acme', repo: 'api' }
+    };
+    const next = jest.fn();
+
+    await requireAuth(req, mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(mockOctokit.rest.apps.getRepoInstallation).toHaveBeenCalledWith({ owner: 'acme', repo: 'api' });
+    expect(req.auth).toEqual({ provider: 'github', type: 'app', accessToken: 'ghs_installation', installationId: '7' });
+  });
+
+  test('should reject requests with a wrong service key', async () => {
+    const req = { session: {}, headers: { authorization: 'Bearer wrong-key' }, params: {} };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await requireAuth(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  test('should keep using the OAuth session token when logged in', () => {
+    const req = { session: { user: { login: 'dev', accessToken: 'gho_user' } }, headers: {}, params: {} };
+    const next = jest.fn();
+
+    requireAuth(req, mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.auth).toEqual({ provider: 'github', type: 'oauth', accessToken: 'gho_user' });
+  });
+});
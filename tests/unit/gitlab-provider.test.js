@@ -0,0 +1,154 @@
+const GitLabService = require('../../src/gitlab/gitlab-service');
+const { getProvider, resolveGitLabUrl } = require('../../src/providers');
+const { requireProviderAuth } = require('../../src/auth/validators');
+const DORAMetricsCollector = require('../../src/analysis/dora-metrics-collector');
+
+describe('GitLab Provider', () => {
+  let gitlabService;
+  let routes;
+  const testToken = 'glpat-test-token';
+
+  const jsonResponse = (data, headers = {}) => ({
+    ok: true,
+    status: 200,
+    headers: new Headers(headers),
+    json: async () => data,
+    text: async () => (typeof data === 'string' ? data : JSON.stringify(data))
+  });
+
+  beforeEach(() => {
+    routes = {};
+    global.fetch = jest.fn(async url => {
+      const { pathname, searchParams } = new URL(url);
+      const handler = Object.keys(routes).find(route => pathname.endsWith(route));
+      if (!handler) {
+        return { ok: false, status: 404, statusText: 'Not Found', headers: new Headers(), text: async () => '' };
+      }
+      return jsonResponse(routes[handler](searchParams));
+    });
+
+    gitlabService = new GitLabService({ baseUrl: 'https://gitlab.example.com/' });
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('should call the v4 API of the configured instance with the token', async () => {
+    routes['/user'] = () => ({ id: 1, username: 'dev', name: 'Dev' });
+
+    const user = await gitlabService.getAuthenticatedUser(testToken);
+
+    expect(user).toEqual(expect.objectContaining({ id: 1, login: 'dev' }));
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(String(url)).toBe('https://gitlab.example.com/api/v4/user');
+    expect(init.headers.Authorization).toBe(`Bearer ${testToken}`);
+  });
+
+  test('should list the tree in the GitHub format and read files by blob SHA', async () => {
+    routes['/repository/tree'] = () => [
+      { id: 'aaa111', path: 'src/index.js', type: 'blob', mode: '100644' },
+      { id: 'bbb222', path: 'src', type: 'tree', mode: '040000' }
+    ];
+    routes['/repository/blobs/aaa111/raw'] = () => 'module.exports = {};';
+
+    const client = gitlabService.createClient(testToken);
+    const files = await client.getRepositoryFiles('group/subgroup', 'api', '.js');
+    const content = await client.getFileContent('group/subgroup', 'api', 'src/index.js');
+
+    expect(files).toEqual([{ path: 'src/index.js', mode: '100644', type: 'blob', sha: 'aaa111' }]);
+    expect(content).toBe('module.exports = {};');
+    expect(String(global.fetch.mock.calls[0][0])).toContain('/projects/group%2Fsubgroup%2Fapi/repository/tree');
+  });
+
+  test('should map commits, issues and merge requests to GitHub shapes', async () => {
+    routes['/repository/commits'] = () => [{
+      id: 'c1',
+      message: 'Fix outage',
+      author_name: 'Dev',
+      authored_date: '2024-03-10T00:00:00Z',
+      committer_name: 'Dev',
+      committed_date: '2024-03-10T01:00:00Z'
+    }];
+    routes['/issues'] = () => [{ iid: 3, title: 'Bug', state: 'opened', labels: ['bug'], created_at: '2024-03-11T00:00:00Z' }];
+    routes['/merge_requests'] = () => [{ iid: 4, state: 'merged', created_at: '2024-03-09T00:00:00Z', merged_at: '2024-03-10T00:00:00Z' }];
+
+    const client = gitlabService.createClient(testToken);
+    const [commits, issues, mergeRequests] = await Promise.all([
+      client.getCommitHistory('acme', 'api', { since: '2024-03-01T00:00:00Z' }),
+      client.getIssues('acme', 'api'),
+      client.getPullRequests('acme', 'api')
+    ]);
+
+    expect(commits[0]).toEqual(expect.objectContaining({
+      sha: 'c1',
+      commit: expect.objectContaining({ committer: expect.objectContaining({ date: '2024-03-10T01:00:00Z' }) })
+    }));
+    expect(issues[0]).toEqual(expect.objectContaining({ number: 3, state: 'open', labels: [{ name: 'bug' }] }));
+    expect(mergeRequests[0]).toEqual(expect.objectContaining({ number: 4, state: 'closed', merged_at: '2024-03-10T00:00:00Z' }));
+    expect(client.getFetchStatus('acme', 'api').complete).toBe(true);
+  });
+
+  test('should run DORA metrics unchanged against a GitLab client', async () => {
+    const recent = new Date(Date.now() - 5 * 86400000).toISOString();
+    routes['/releases'] = () => [{ tag_name: 'v1.0.0', released_at: recent, created_at: recent }];
+    routes['/repository/commits'] = () => [];
+    routes['/issues'] = () => [];
+    routes['/deployments'] = () => [];
+
+    const collector = new DORAMetricsCollector(gitlabService.createClient(testToken));
+    const metrics = await collector.collectDORAMetrics('acme', 'api', { timeRange: 30 });
+
+    expect(metrics.metrics.deploymentFrequency.totalDeployments).toBeGreaterThanOrEqual(1);
+    expect(metrics.dataCompleteness.complete).toBe(true);
+  });
+
+  test('should measure DORA deployments from GitLab production deployments', async () => {
+    const daysAgo = days => new Date(Date.now() - days * 86400000).toISOString();
+    routes['/releases'] = () => [];
+    routes['/repository/commits'] = () => [];
+    routes['/issues'] = () => [];
+    routes['/deployments'] = () => [
+      { id: 3, sha: 'c3', environment: { name: 'production' }, status: 'failed', created_at: daysAgo(2), updated_at: daysAgo(2) },
+      { id: 2, sha: 'c2', environment: { name: 'staging' }, status: 'success', created_at: daysAgo(3), updated_at: daysAgo(3) },
+      { id: 1, sha: 'c1', environment: { name: 'production' }, status: 'success', created_at: daysAgo(5), updated_at: daysAgo(5) }
+    ];
+
+    const collector = new DORAMetricsCollector(gitlabService.createClient(testToken));
+    const metrics = await collector.collectDORAMetrics('acme', 'api', { timeRange: 30 });
+
+    expect(metrics.dataSource.type).toBe('deployments');
+    expect(metrics.metrics.deploymentFrequency.totalDeployments).toBe(1);
+    expect(metrics.metrics.changeFailureRate).toEqual(expect.objectContaining({ totalDeployments: 2, failedDeployments: 1 }));
+  });
+
+  test('should only allow configured GitLab hosts', () => {
+    expect(resolveGitLabUrl()).toBe('https://gitlab.com');
+    expect(() => resolveGitLabUrl('https://internal.example.net')).toThrow('not allowed');
+    expect(getProvider('gitlab')).toBe(getProvider('gitlab', { baseUrl: 'https://gitlab.com/' }));
+    expect(() => getProvider('svn')).toThrow('Unsupported repository provider');
+  });
+
+  test('should authenticate provider routes with the connected GitLab account', () => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+    const next = jest.fn();
+
+    const anonymous = { query: { provider: 'gitlab' }, session: {}, headers: {} };
+    requireProviderAuth(anonymous, res, next);
+    expect(res.status).toHaveBeenCalledWith(401);
+
+    const connected = {
+      query: { provider: 'gitlab' },
+      session: { gitlab: { accessToken: testToken, baseUrl: 'https://gitlab.com' } },
+      headers: {}
+    };
+    requireProviderAuth(connected, res, next);
+    expect(next).toHaveBeenCalled();
+    expect(connected.auth).toEqual({
+      provider: 'gitlab',
+      type: 'token',
+      accessToken: testToken,
+      baseUrl: 'https://gitlab.com'
+    });
+  });
+});
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const LocalGitService = require('../../src/local/local-git-service');
+const { getProvider } = require('../../src/providers');
+const { requireProviderAuth, requireValidRef } = require('../../src/auth/validators');
+const DORAMetricsCollector = require('../../src/analysis/dora-metrics-collector');
+
+describe('Local Git Provider', () => {
+  let root;
+  let localGitService;
+  const recent = daysAgo => new Date(Date.now() - daysAgo * 86400000).toISOString();
+
+  const git = (cwd, args, date) => execFileSync('git', args, {
+    cwd,
+    env: {
+      ...process.env,
+      GIT_AUTHOR_NAME: 'Dev',
+      GIT_AUTHOR_EMAIL: 'dev@example.com',
+      GIT_COMMITTER_NAME: 'Dev',
+      GIT_COMMITTER_EMAIL: 'dev@example.com',
+      ...(date ? { GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date } : {})
+    }
+  }).toString();
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'local-git-'));
+    const workTree = path.join(root, 'acme', 'api');
+    fs.mkdirSync(path.join(workTree, 'src'), { recursive: true });
+
+    git(workTree, ['init', '-q', '-b', 'main']);
+    fs.writeFileSync(path.join(workTree, 'src', 'index.js'), 'module.exports = {};\n');
+    fs.writeFileSync(path.join(workTree, 'LICENSE'), 'MIT\n');
+    git(workTree, ['add', '.']);
+    git(workTree, ['commit', '-q', '-m', 'Initial commit'], recent(20));
+    git(workTree, ['tag', 'v1.0.0'], recent(20));
+    fs.writeFileSync(path.join(workTree, 'src', 'util.js'), 'exports.add = (a, b) => a + b;\n');
+    git(workTree, ['add', '.']);
+    git(workTree, ['commit', '-q', '-m', 'Add util'], recent(3));
+    git(workTree, ['tag', '-a', 'v1.1.0', '-m', 'Release 1.1.0'], recent(3));
+
+    git(root, ['clone', '-q', '--bare', workTree, path.join(root, 'acme', 'api-mirror.git')]);
+
+    // Uncommitted work is analyzed in working trees
+    fs.writeFileSync(path.join(workTree, 'src', 'draft.js'), 'const draft = true;\n');
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    localGitService = new LocalGitService({ root, releaseTagPattern: '^v\\d' });
+  });
+
+  test('should read the working tree including uncommitted files', async () => {
+    const client = localGitService.createClient(null);
+    const tree = await client.getRepositoryTree('acme', 'api');
+    const content = await client.getFileContent('acme', 'api', 'src/draft.js');
+
+    expect(tree.tree.map(item => `${item.type}:${item.path}`).sort()).toEqual([
+      'blob:LICENSE', 'blob:src/draft.js', 'blob:src/index.js', 'blob:src/util.js', 'tree:src'
+    ]);
+    expect(tree.sha).toMatch(/^[0-9a-f]{40}$/);
+    expect(content).toBe('const draft = true;\n');
+  });
+
+  test('should read a bare repository from the objects at HEAD', async () => {
+    const client = localGitService.createClient(null);
+    const files = await client.getRepositoryFiles('acme', 'api-mirror', '.js');
+    const content = await client.getFileContent('acme', 'api-mirror', 'src/util.js');
+    const details = await client.getRepositoryDetails('acme', 'api-mirror');
+
+    expect(files.map(file => file.path).sort()).toEqual(['src/index.js', 'src/util.js']);
+    expect(files[0].sha).toMatch(/^[0-9a-f]{40}$/);
+    expect(content).toBe('exports.add = (a, b) => a + b;\n');
+    expect(details).toEqual(expect.objectContaining({ full_name: 'acme/api-mirror', default_branch: 'main', bare: true }));
+    expect(details.license).toEqual({ key: 'other', name: 'LICENSE' });
+  });
+
+  test('should read the tree and files of a requested tag', async () => {
+    const client = localGitService.createClient(null, { ref: 'v1.0.0' });
+    const tree = await client.getRepositoryTree('acme', 'api');
+
+    expect(tree.tree.map(item => `${item.type}:${item.path}`).sort()).toEqual([
+      'blob:LICENSE', 'blob:src/index.js', 'tree:src'
+    ]);
+    expect(tree.sha).toBe(git(path.join(root, 'acme', 'api'), ['rev-list', '-n', '1', 'v1.0.0']).trim());
+    await expect(client.getFileContent('acme', 'api', 'src/index.js')).resolves.toBe('module.exports = {};\n');
+    await expect(client.getFileContent('acme', 'api', 'src/util.js')).rejects.toThrow();
+
+    const unknown = localGitService.createClient(null, { ref: 'v9.9.9' });
+    await expect(unknown.getRepositoryTree('acme', 'api')).rejects.toEqual(expect.objectContaining({ status: 404 }));
+  });
+
+  test('should reject refs that are not branch, tag or commit names', () => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+    const next = jest.fn();
+
+    requireValidRef({ query: { ref: '--output=/tmp/x' } }, res, next);
+    expect(res.status).toHaveBeenCalledWith(400);
+
+    requireValidRef({ query: { ref: 'release/2.3' } }, res, next);
+    requireValidRef({ query: {} }, res, next);
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+
+  test('should read commits and tags from git history', async () => {
+    const client = localGitService.createClient(null);
+    const [commits, releases, contributors] = await Promise.all([
+      client.getCommitHistory('acme', 'api', { since: recent(10) }),
+      client.getReleases('acme', 'api'),
+      client.getContributors('acme', 'api')
+    ]);
+
+    expect(commits).toHaveLength(1);
+    expect(commits[0].commit).toEqual(expect.objectContaining({
+      message: 'Add util',
+      author: expect.objectContaining({ name: 'Dev', email: 'dev@example.com' })
+    }));
+    expect(releases.map(release => release.tag_name)).toEqual(['v1.1.0', 'v1.0.0']);
+    expect(releases[0]).toEqual(expect.objectContaining({ body: 'Release 1.1.0', author: { login: 'Dev' } }));
+    expect(contributors).toEqual([{ login: 'Dev', name: 'Dev', email: 'dev@example.com', contributions: 2 }]);
+  });
+
+  test('should derive DORA deployments from tags', async () => {
+    const collector = new DORAMetricsCollector(localGitService.createClient(null));
+    const metrics = await collector.collectDORAMetrics('acme', 'api', { timeRange: 30 });
+
+    expect(metrics.metrics.deploymentFrequency.totalDeployments).toBeGreaterThanOrEqual(2);
+    expect(metrics.dataCompleteness.complete).toBe(true);
+  });
+
+  test('should estimate languages and build stats without any hosting API', async () => {
+    const stats = await localGitService.getRepositoryStats(null, 'acme', 'api');
+
+    expect(stats.code_quality.primary_language).toBe('JavaScript');
+    expect(stats.activity.releases_count).toBe(2);
+    expect(stats.code_quality.has_license).toBe(true);
+  });
+
+  test('should never resolve repositories outside the root', async () => {
+    await expect(localGitService.resolveRepository('..', 'etc')).rejects.toThrow('Invalid local repository name');
+    await expect(localGitService.resolveRepository('acme', 'missing')).rejects.toThrow('not found');
+    await expect(localGitService.createClient(null).getFileContent('acme', 'api', '../../../etc/passwd'))
+      .rejects.toThrow();
+    await expect(new LocalGitService({ root: '' }).resolveRepository('acme', 'api')).rejects.toThrow('disabled');
+  });
+
+  test('should require the local API key when one is configured', () => {
+    const enabled = jest.spyOn(getProvider('local'), 'isEnabled').mockReturnValue(true);
+
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+    const next = jest.fn();
+
+    // Without a configured key local analysis is refused, not left open
+    delete process.env.LOCAL_REPOSITORIES_API_KEY;
+    requireProviderAuth({ query: { provider: 'local' }, session: {}, headers: {} }, res, next);
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(next).not.toHaveBeenCalled();
+
+    process.env.LOCAL_REPOSITORIES_API_KEY = 'local-key';
+
+    requireProviderAuth({ query: { provider: 'local' }, session: {}, headers: {} }, res, next);
+    expect(res.status).toHaveBeenCalledWith(401);
+
+    const req = { query: { provider: 'local' }, session: {}, headers: { authorization: 'Bearer local-key' } };
+    requireProviderAuth(req, res, next);
+    expect(next).toHaveBeenCalled();
+    expect(req.auth).toEqual({ provider: 'local', type: 'local', accessToken: null });
+
+    enabled.mockRestore();
+    delete process.env.LOCAL_REPOSITORIES_API_KEY;
+  });
+});
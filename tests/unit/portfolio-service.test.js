@@ -0,0 +1,109 @@
+const githubService = require('../../src/github/github-service');
+const analysisOrchestrator = require('../../src/analysis/analysis-orchestrator');
+const portfolioService = require('../../src/analysis/portfolio-service');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const repository = (name, overrides = {}) => ({
+  name,
+  full_name: `acme/${name}`,
+  owner: 'acme',
+  language: 'JavaScript',
+  size: 1000,
+  topics: [],
+  fork: false,
+  archived: false,
+  disabled: false,
+  pushed_at: new Date().toISOString(),
+  ...overrides
+});
+
+describe('PortfolioService', () => {
+  afterEach(async () => {
+    await portfolioService.drain();
+    portfolioService.jobs.clear();
+    jest.restoreAllMocks();
+  });
+
+  test('should filter out archived, forked, off-topic, other-language and inactive repositories', () => {
+    const repositories = [
+      repository('api', { topics: ['Backend'] }),
+      repository('legacy', { archived: true, topics: ['backend'] }),
+      repository('fork', { fork: true, topics: ['backend'] }),
+      repository('site', { topics: ['frontend'] }),
+      repository('tools', { language: 'Go', topics: ['backend'] }),
+      repository('stale', { topics: ['backend'], pushed_at: new Date(Date.now() - 400 * DAY).toISOString() })
+    ];
+
+    const { selected, skipped } = portfolioService.filterRepositories(repositories, {
+      topics: 'backend',
+      languages: ['javascript'],
+      activeWithinDays: 180
+    });
+
+    expect(selected.map(repo => repo.name)).toEqual(['api']);
+    expect(skipped).toEqual([
+      { repository: 'acme/legacy', reason: 'archived' },
+      { repository: 'acme/fork', reason: 'fork' },
+      { repository: 'acme/site', reason: 'topics' },
+      { repository: 'acme/tools', reason: 'language' },
+      { repository: 'acme/stale', reason: 'inactive' }
+    ]);
+
+    const withArchived = portfolioService.filterRepositories(repositories, { includeArchived: 'true', limit: 2 });
+    expect(withArchived.selected.map(repo => repo.name)).toEqual(['api', 'legacy']);
+  });
+
+  test('should weight the aggregate score by repository size', () => {
+    const results = [
+      { repository: 'acme/monolith', language: 'Java', size: 999999, score: 40, grade: 'F' },
+      { repository: 'acme/service', language: 'Go', size: 9, score: 90, grade: 'A' },
+      { repository: 'acme/worker', language: 'Go', size: 0, score: 80, grade: 'B+' }
+    ];
+
+    const bySize = portfolioService.summarizePortfolio(results);
+    const equal = portfolioService.summarizePortfolio(results, 'equal');
+
+    // Weights 6, 1 and 1: (40 * 6 + 90 + 80) / 8
+    expect(bySize.techHealthScore).toEqual({ overall: 51.25, grade: 'D+', weighting: 'size' });
+    expect(equal.techHealthScore.overall).toBe(70);
+    expect(bySize.gradeDistribution).toEqual({ F: 1, A: 1, B: 1 });
+    expect(bySize.languages.Go).toEqual({ repositories: 2, averageScore: 85 });
+    expect(bySize.lowest[0]).toEqual({ repository: 'acme/monolith', score: 40, grade: 'F' });
+    expect(bySize.highest[0].repository).toBe('acme/service');
+    expect(portfolioService.summarizePortfolio([])).toBeNull();
+  });
+
+  test('should analyze discovered repositories through the queue and summarize them', async () => {
+    jest.spyOn(githubService, 'getOrganizationRepositories').mockResolvedValue({
+      repositories: [repository('api'), repository('web'), repository('old', { archived: true }), repository('broken')],
+      complete: true
+    });
+    const analyze = jest.spyOn(analysisOrchestrator, 'performComprehensiveAnalysis')
+      .mockImplementation(async (token, owner, repo) => {
+        if (repo === 'broken') throw new Error('Repository is empty');
+        return { analysisId: `id-${repo}`, techHealthScore: { overall: repo === 'api' ? 80 : 60, grade: repo === 'api' ? 'B+' : 'C' } };
+      });
+
+    const started = await portfolioService.startPortfolioAnalysis('token', 'acme', {
+      requester: 'user:1',
+      weighting: 'equal',
+      analysisOptions: { timeRange: 30 }
+    });
+
+    expect(started.status).toBe('running');
+    expect(started.total).toBe(3);
+    expect(started.requester).toBeUndefined();
+
+    await portfolioService.drain();
+    const job = portfolioService.getJob(started.id, 'user:1');
+
+    expect(analyze).toHaveBeenCalledWith('token', 'acme', 'api', expect.objectContaining({ timeRange: 30 }));
+    expect(job.status).toBe('completed');
+    expect(job.progress).toEqual({ total: 3, completed: 2, failed: 1, percentage: 100 });
+    expect(job.errors).toEqual([{ repository: 'acme/broken', error: 'Repository is empty' }]);
+    expect(job.skipped).toEqual([{ repository: 'acme/old', reason: 'archived' }]);
+    expect(job.summary.techHealthScore.overall).toBe(70);
+    expect(portfolioService.getJob(started.id, 'user:2')).toBeNull();
+  });
+});
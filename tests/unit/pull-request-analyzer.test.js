@@ -0,0 +1,96 @@
+const PullRequestAnalyzer = require('../../src/analysis/pull-request-analyzer');
+
+describe('PullRequestAnalyzer', () => {
+  const hoursAgo = hours => new Date(Date.now() - hours * 3600000).toISOString();
+  let mockClient;
+  let pulls;
+
+  beforeEach(() => {
+    pulls = [
+      {
+        number: 3,
+        state: 'open',
+        created_at: hoursAgo(5),
+        merged_at: null,
+        user: { login: 'alice' }
+      },
+      {
+        number: 2,
+        state: 'closed',
+        created_at: hoursAgo(50),
+        merged_at: hoursAgo(10),
+        user: { login: 'bob' }
+      },
+      {
+        number: 1,
+        state: 'closed',
+        created_at: hoursAgo(100),
+        merged_at: hoursAgo(96),
+        user: { login: 'alice' }
+      }
+    ];
+
+    const activity = {
+      3: { additions: 5, deletions: 1, reviews: [] },
+      2: {
+        additions: 300,
+        deletions: 250,
+        reviews: [
+          { state: 'COMMENTED', submitted_at: hoursAgo(49), user: { login: 'bob' } },
+          { state: 'APPROVED', submitted_at: hoursAgo(30), user: { login: 'carol' } }
+        ]
+      },
+      // Self-approved only: not reviewed
+      1: { additions: 40, deletions: 10, reviews: [{ state: 'APPROVED', submitted_at: hoursAgo(97), user: { login: 'alice' } }] }
+    };
+
+    mockClient = {
+      getPullRequests: jest.fn().mockResolvedValue(pulls),
+      getPullRequestActivity: jest.fn((owner, repo, pull) => Promise.resolve({ ...pull, ...activity[pull.number] })),
+      getFetchStatus: jest.fn().mockReturnValue({ complete: true, resources: { pullRequests: { complete: true, count: 3 } } })
+    };
+  });
+
+  test('should calculate review timings from reviews by someone other than the author', async () => {
+    const result = await new PullRequestAnalyzer(mockClient).analyzePullRequests('owner', 'repo', { timeRange: 30 });
+
+    expect(result.totals).toEqual({ total: 3, open: 1, merged: 2, closedWithoutMerge: 0 });
+    expect(result.timeToFirstReview).toEqual(expect.objectContaining({ count: 1, medianHours: 20 }));
+    expect(result.reviewToMerge).toEqual(expect.objectContaining({ count: 1, medianHours: 20 }));
+    expect(result.cycleTime).toEqual(expect.objectContaining({ count: 2, medianHours: 4, p90Hours: 40 }));
+    expect(result.reviewCoverage).toEqual({ merged: 2, reviewed: 1, reviewedPercentage: 50 });
+    expect(result.dataCompleteness).toEqual({ complete: true, count: 3 });
+  });
+
+  test('should bucket pull requests by lines changed', async () => {
+    const result = await new PullRequestAnalyzer(mockClient).analyzePullRequests('owner', 'repo');
+
+    expect(result.sizeDistribution).toEqual({
+      measured: 3,
+      buckets: { XS: 1, S: 1, M: 0, L: 1, XL: 0 },
+      medianLines: 50,
+      largePercentage: 33.33
+    });
+    expect(result.recommendations.map(rec => rec.metric)).toEqual(['Review Coverage', 'Pull Request Size']);
+  });
+
+  test('should only load activity for the most recent pull requests', async () => {
+    const result = await new PullRequestAnalyzer(mockClient, { activityLimit: 2 }).analyzePullRequests('owner', 'repo');
+
+    expect(mockClient.getPullRequestActivity).toHaveBeenCalledTimes(2);
+    expect(result.sample).toEqual({ analyzed: 2, total: 3, reviewDataAvailable: true });
+    // Cycle time still covers every merged pull request
+    expect(result.cycleTime.count).toBe(2);
+  });
+
+  test('should report missing review data for hosts without reviews', async () => {
+    mockClient.getPullRequestActivity = jest.fn((owner, repo, pull) => Promise.resolve(pull));
+
+    const result = await new PullRequestAnalyzer(mockClient).analyzePullRequests('owner', 'repo');
+
+    expect(result.sample.reviewDataAvailable).toBe(false);
+    expect(result.timeToFirstReview.medianHours).toBeNull();
+    expect(result.reviewCoverage.reviewedPercentage).toBeNull();
+    expect(result.recommendations).toEqual([]);
+  });
+});
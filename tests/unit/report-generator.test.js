@@ -287,6 +287,97 @@ describe('ReportGenerator', () => {
       );
     });
 
+    test('should show the analyzed ref and commit', async () => {
+      const templateData = await reportGenerator.prepareTemplateData({
+        ...mockAnalysisData,
+        metadata: { ...mockAnalysisData.metadata, ref: 'v2.3.0', commitSha: 'abc123' }
+      }, {});
+      const html = await reportGenerator.templateEngine.renderFullReport({
+        ...templateData,
+        executiveSummary: reportGenerator.generateExecutiveSummary(mockAnalysisData),
+        recommendations: [],
+        metadata: { reportId: 'test' }
+      });
+
+      expect(templateData.repository).toEqual(expect.objectContaining({ ref: 'v2.3.0', commitSha: 'abc123' }));
+      expect(html).toContain('v2.3.0 @ abc123');
+    });
+
+    test('should list workspace package scores and the analyzed path', async () => {
+      const analysisData = {
+        ...mockAnalysisData,
+        analysis: {
+          ...mockAnalysisData.analysis,
+          codeQuality: {
+            ...mockAnalysisData.analysis.codeQuality,
+            workspaces: {
+              tools: ['pnpm'],
+              totalPackages: 3,
+              rollUp: { overall: 74, grade: 'C' },
+              packages: [
+                { name: '@acme/api', path: 'packages/api', ecosystem: 'javascript', files: 40, qualityScore: { overall: 81, grade: 'B' } },
+                { name: '@acme/web', path: 'packages/web', ecosystem: 'javascript', files: 60, qualityScore: { overall: 69, grade: 'D' } }
+              ]
+            }
+          }
+        },
+        metadata: { ...mockAnalysisData.metadata, scope: 'packages' }
+      };
+      const templateData = await reportGenerator.prepareTemplateData(analysisData, {});
+      const html = await reportGenerator.templateEngine.renderFullReport({
+        ...templateData,
+        executiveSummary: reportGenerator.generateExecutiveSummary(analysisData),
+        recommendations: [],
+        metadata: { reportId: 'test' }
+      });
+
+      expect(templateData.codeQuality.workspaces).toEqual(expect.objectContaining({
+        rollUpScore: 74,
+        omitted: 1,
+        packages: [
+          expect.objectContaining({ name: '@acme/api', score: 81, grade: 'B' }),
+          expect.objectContaining({ name: '@acme/web', score: 69, grade: 'D' })
+        ]
+      }));
+      expect(html).toContain('Workspace Packages (pnpm)');
+      expect(html).toContain('<td>packages/web</td>');
+      expect(html).toContain('DORA and pull request metrics cover the whole repository');
+    });
+
+    test('should break complexity down by language', async () => {
+      const summary = reportGenerator.summarizeCodeQuality({
+        ...mockAnalysisData.analysis.codeQuality,
+        complexity: {
+          ...mockAnalysisData.analysis.codeQuality.complexity,
+          byLanguage: {
+            TypeScript: { files: 12, functions: 80, averageComplexity: 3.1, averageCognitiveComplexity: 2.4, score: 95, weight: 0.25 },
+            Go: { files: 30, functions: 210, averageComplexity: 6.4, averageCognitiveComplexity: 5.9, score: 80, weight: 0.75 }
+          }
+        }
+      });
+
+      expect(summary.complexity.byLanguage).toEqual([
+        { language: 'Go', files: 30, functions: 210, averageComplexity: 6.4, averageCognitiveComplexity: 5.9, score: 80, share: 75 },
+        { language: 'TypeScript', files: 12, functions: 80, averageComplexity: 3.1, averageCognitiveComplexity: 2.4, score: 95, share: 25 }
+      ]);
+    });
+
+    test('should state the code sample coverage', async () => {
+      const summary = reportGenerator.summarizeCodeQuality({
+        ...mockAnalysisData.analysis.codeQuality,
+        coverage: { totalFiles: 4000, analyzedFiles: 300, percentage: 7.5, sampled: true, strategy: 'stratified', treeComplete: false }
+      });
+
+      expect(summary.coverage).toEqual({
+        analyzedFiles: 300,
+        totalFiles: 4000,
+        percentage: 7.5,
+        sampled: true,
+        method: 'stratified sample by directory and language',
+        treeIncomplete: true
+      });
+    });
+
     test('should handle missing repository data gracefully', async () => {
       const incompleteData = {
         repository: { name: 'test-repo', fullName: 'owner/test-repo' },
@@ -333,6 +424,136 @@ describe('ReportGenerator', () => {
       );
     });
 
+    test('should report the source maintainability index and least maintainable files', () => {
+      const lowestFiles = Array.from({ length: 7 }, (_, index) => (
+        { path: `src/legacy-${index}.js`, language: 'JavaScript', maintainabilityIndex: 40 + index, maintainability: 23 + index }
+      ));
+      const summary = reportGenerator.summarizeCodeQuality({
+        ...mockAnalysisData.analysis.codeQuality,
+        complexity: {
+          ...mockAnalysisData.analysis.codeQuality.complexity,
+          halstead: { totalVolume: 52000, averageVolume: 1300, averageDifficulty: 21.5, averageEffort: 27950 },
+          maintainabilityIndex: {
+            average: 96.4,
+            normalized: 56,
+            distribution: { files: { high: 12, moderate: 20, low: 8 }, functions: { high: 300, moderate: 40, low: 9 } },
+            lowestFiles
+          }
+        }
+      });
+
+      expect(summary.maintainability.index).toBe(56);
+      expect(summary.complexity.halstead.averageVolume).toBe(1300);
+      expect(summary.complexity.lowestMaintainability).toEqual(lowestFiles.slice(0, 5));
+    });
+
+    test('should list the largest clone groups with their locations', () => {
+      const summary = reportGenerator.summarizeCodeQuality({
+        ...mockAnalysisData.analysis.codeQuality,
+        complexity: {
+          ...mockAnalysisData.analysis.codeQuality.complexity,
+          duplication: {
+            percentage: 7.5,
+            duplicatedLines: 300,
+            totalLines: 4000,
+            totalGroups: 12,
+            minTokens: 50,
+            score: 60,
+            largestGroups: [{
+              type: 'type-2',
+              tokens: 240,
+              lines: 40,
+              occurrences: 2,
+              locations: [
+                { path: 'src/a.js', startLine: 10, endLine: 49 },
+                { path: 'src/b.js', startLine: 3, endLine: 42 }
+              ]
+            }]
+          }
+        }
+      });
+
+      expect(summary.duplication).toEqual({
+        percentage: 7.5,
+        duplicatedLines: 300,
+        totalLines: 4000,
+        groups: 12,
+        minTokens: 50,
+        score: 60,
+        largestGroups: [{ type: 'type-2', lines: 40, occurrences: 2, locations: 'src/a.js:10-49, src/b.js:3-42' }]
+      });
+      expect(reportGenerator.summarizeCodeQuality(mockAnalysisData.analysis.codeQuality).duplication).toBeNull();
+    });
+
+    test('should score testing from measured coverage when reports were found', () => {
+      const testing = {
+        available: true,
+        source: 'ci',
+        reports: [{ path: 'coverage/lcov.info', format: 'lcov', files: 3 }],
+        files: 3,
+        lines: { total: 200, covered: 160, percentage: 80 },
+        branches: { total: 40, covered: 20, percentage: 50 },
+        byDirectory: [
+          { directory: 'src', files: 1, lines: { total: 100, covered: 95, percentage: 95 }, branches: null },
+          { directory: 'src/api', files: 2, lines: { total: 100, covered: 65, percentage: 65 }, branches: { total: 40, covered: 20, percentage: 50 } }
+        ],
+        testFiles: 4
+      };
+      const codeQuality = { ...mockAnalysisData.analysis.codeQuality, testing, testCoverage: 80 };
+
+      expect(reportGenerator.calculateTestingScore(codeQuality)).toBe(Math.round(80 * 0.7 + 50 * 0.3));
+      expect(reportGenerator.calculateTestingScore({ ...codeQuality, testing: { ...testing, branches: null } })).toBe(80);
+
+      const summary = reportGenerator.summarizeCodeQuality(codeQuality).testing;
+      expect(summary).toEqual(expect.objectContaining({ coverage: 80, hasFramework: true, testFiles: 4 }));
+      expect(summary.measured).toEqual({
+        lines: 80,
+        branches: 50,
+        files: 3,
+        source: 'latest CI run',
+        reports: 'coverage/lcov.info (lcov)',
+        lowestDirectories: [
+          { directory: 'src/api', files: 2, lines: 65, branches: 50 },
+          { directory: 'src', files: 1, lines: 95, branches: null }
+        ]
+      });
+
+      // Without reports the score still comes from the test sources found
+      const unmeasured = { ...mockAnalysisData.analysis.codeQuality, testing: { available: false, testFiles: 12 }, testCoverage: null };
+      expect(reportGenerator.calculateTestingScore(unmeasured)).toBe(40);
+      expect(reportGenerator.summarizeCodeQuality(unmeasured).testing.measured).toBeNull();
+    });
+
+    test('should summarize lint findings by rule with the configuration used', () => {
+      const byRule = Array.from({ length: 10 }, (_, index) => ({ rule: `rule-${index}`, severity: 'warning', count: 10 - index, files: 1 }));
+      const summary = reportGenerator.summarizeCodeQuality({
+        ...mockAnalysisData.analysis.codeQuality,
+        linting: {
+          totalIssues: 55,
+          errorCount: 0,
+          warningCount: 55,
+          filesLinted: 40,
+          filesWithIssues: 12,
+          parseErrors: 0,
+          byRule,
+          config: { source: '.eslintrc.json', custom: true, ignored: ['plugin:react/recommended', '3 plugin rules'], rules: 70 }
+        }
+      });
+
+      expect(summary.linting).toEqual({
+        errorCount: 0,
+        warningCount: 55,
+        filesLinted: 40,
+        filesWithIssues: 12,
+        parseErrors: 0,
+        configSource: '.eslintrc.json',
+        rules: 70,
+        ignored: 'plugin:react/recommended, 3 plugin rules',
+        topRules: byRule.slice(0, 8)
+      });
+      expect(reportGenerator.summarizeCodeQuality(mockAnalysisData.analysis.codeQuality).linting).toBeNull();
+    });
+
     test('should calculate enhanced code quality metrics', () => {
       const enhanced = reportGenerator.calculateEnhancedCodeQuality(mockAnalysisData.analysis.codeQuality);
 
@@ -380,6 +601,54 @@ describe('ReportGenerator', () => {
         })
       );
     });
+
+    test('should mark DORA metrics unavailable for sources without history', async () => {
+      const dora = { unavailable: true, reason: 'Source archives contain no commit, release or incident history' };
+      const charts = await reportGenerator.generateAllCharts({
+        ...mockAnalysisData,
+        analysis: { ...mockAnalysisData.analysis, dora }
+      });
+
+      expect(reportGenerator.summarizeDORAMetrics(dora)).toEqual(dora);
+      expect(charts.doraMetrics).toBeUndefined();
+      expect(charts.deploymentFrequency).toBeUndefined();
+    });
+
+    test('should note which deployment data source DORA metrics used', () => {
+      const summary = reportGenerator.summarizeDORAMetrics({
+        deploymentFrequency: { frequency: 'Weekly', classification: 'High' },
+        dataSource: { type: 'deployments', environment: 'production', description: 'Deployment statuses for the production environment' }
+      });
+
+      expect(summary.dataSource).toBe('Deployment statuses for the production environment');
+      expect(reportGenerator.summarizeDORAMetrics({}).dataSource).toBeNull();
+    });
+  });
+
+  describe('Pull Request Flow', () => {
+    test('should summarize pull request cycle times for the report', () => {
+      const summary = reportGenerator.summarizePullRequests({
+        totals: { total: 12, open: 2, merged: 9, closedWithoutMerge: 1 },
+        timeToFirstReview: { count: 9, medianHours: 3.25 },
+        reviewToMerge: { count: 8, medianHours: 60 },
+        cycleTime: { count: 9, medianHours: null },
+        sizeDistribution: { measured: 12, buckets: { XS: 2, S: 6, M: 3, L: 1, XL: 0 }, medianLines: 80 },
+        reviewCoverage: { merged: 9, reviewed: 8, reviewedPercentage: 88.89 },
+        sample: { analyzed: 12, total: 12, reviewDataAvailable: true }
+      });
+
+      expect(summary).toEqual(expect.objectContaining({
+        total: 12,
+        timeToFirstReview: '3.3 hours',
+        reviewToMerge: '2.5 days',
+        cycleTime: 'N/A',
+        reviewedPercentage: '88.89%',
+        medianLines: 80
+      }));
+      expect(summary.sizeBuckets[1]).toEqual({ label: 'S', count: 6 });
+      expect(reportGenerator.summarizePullRequests({ unavailable: true, reason: 'No history' }))
+        .toEqual({ unavailable: true, reason: 'No history' });
+    });
   });
 
   describe('Tech Health Score Interpretation', () => {
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const analysisOrchestrator = require('../../src/analysis/analysis-orchestrator');
+const webhookReceiver = require('../../src/webhooks/webhook-receiver');
+const webhookRoutes = require('../../src/webhooks/routes');
+
+const SECRET = 'webhook-secret';
+
+const sign = body => `sha256=${crypto.createHmac('sha256', SECRET).update(body).digest('hex')}`;
+
+const cacheAnalysis = (ref, commitSha) => {
+  const key = analysisOrchestrator.getCacheKey('acme', 'api', { ref });
+  analysisOrchestrator.analysisCache.set(key, {
+    timestamp: Date.now(),
+    data: {
+      repository: { owner: 'acme', repo: 'api' },
+      analysis: { codeQuality: { qualityScore: { overall: 80 } } },
+      metadata: { provider: 'github', ref: ref || null, commitSha, options: { ref, timeRange: 30 } }
+    }
+  });
+  return key;
+};
+
+describe('WebhookReceiver', () => {
+  let analyze;
+
+  beforeEach(() => {
+    webhookReceiver.secret = SECRET;
+    webhookReceiver.fallbackToken = 'service-token';
+    analysisOrchestrator.clearCache();
+    analyze = jest.spyOn(analysisOrchestrator, 'performComprehensiveAnalysis')
+      .mockResolvedValue({ metadata: { commitSha: 'new123', codeQualityReused: false } });
+  });
+
+  afterEach(async () => {
+    await webhookReceiver.drain();
+    analyze.mockRestore();
+  });
+
+  test('should verify the HMAC signature of the raw body', () => {
+    const body = Buffer.from('{"zen":"Keep it logically awesome."}');
+
+    expect(webhookReceiver.verifySignature(body, sign(body))).toBe(true);
+    expect(webhookReceiver.verifySignature(Buffer.from('{"zen":"tampered"}'), sign(body))).toBe(false);
+    expect(webhookReceiver.verifySignature(body, 'sha1=abc')).toBe(false);
+    expect(webhookReceiver.verifySignature(body, undefined)).toBe(false);
+  });
+
+  test('should invalidate default-branch analyses on push and re-analyze them', async () => {
+    const defaultKey = cacheAnalysis(undefined, 'old123');
+    const featureKey = cacheAnalysis('feature/x', 'feat123');
+
+    const result = webhookReceiver.handleEvent('push', {
+      ref: 'refs/heads/main',
+      repository: { name: 'api', full_name: 'acme/api', default_branch: 'main', owner: { login: 'acme' } }
+    });
+    await webhookReceiver.drain();
+
+    expect(result).toEqual(expect.objectContaining({ ignored: false, invalidated: 1, queued: 1 }));
+    expect(analysisOrchestrator.analysisCache.has(defaultKey)).toBe(false);
+    expect(analysisOrchestrator.analysisCache.has(featureKey)).toBe(true);
+    expect(analyze).toHaveBeenCalledWith('service-token', 'acme', 'api', expect.objectContaining({
+      timeRange: 30,
+      forceRefresh: true,
+      previous: expect.objectContaining({ metadata: expect.objectContaining({ commitSha: 'old123' }) })
+    }));
+  });
+
+  test('should refresh every analyzed ref on a release', async () => {
+    cacheAnalysis(undefined, 'abc');
+    cacheAnalysis('v2.0.0', 'def');
+
+    const result = webhookReceiver.handleEvent('release', {
+      action: 'published',
+      repository: { name: 'api', full_name: 'acme/api', owner: { login: 'acme' } }
+    });
+    await webhookReceiver.drain();
+
+    expect(result.queued).toBe(2);
+    expect(analyze).toHaveBeenCalledTimes(2);
+    expect(analysisOrchestrator.analysisCache.size).toBe(0);
+  });
+
+  test('should ignore deployments that have not finished', () => {
+    const result = webhookReceiver.handleEvent('deployment_status', {
+      deployment_status: { state: 'in_progress' },
+      repository: { name: 'api', full_name: 'acme/api', owner: { login: 'acme' } }
+    });
+
+    expect(result).toEqual(expect.objectContaining({ ignored: true, queued: 0 }));
+    expect(analyze).not.toHaveBeenCalled();
+  });
+
+  test('should reuse code quality results when the commit did not move', () => {
+    const previous = {
+      analysis: { codeQuality: { qualityScore: { overall: 80 } } },
+      metadata: { commitSha: 'abc' }
+    };
+
+    expect(analysisOrchestrator.getReusableCodeQuality(previous, { sha: 'abc' })).toBe(previous.analysis.codeQuality);
+    expect(analysisOrchestrator.getReusableCodeQuality(previous, { sha: 'def' })).toBeNull();
+    expect(analysisOrchestrator.getReusableCodeQuality(previous, { sha: null })).toBeNull();
+  });
+
+  describe('POST /api/webhooks/github', () => {
+    const app = express();
+    app.use('/api/webhooks', webhookRoutes);
+
+    const deliver = (event, body, signature = sign(body)) => request(app)
+      .post('/api/webhooks/github')
+      .set('Content-Type', 'application/json')
+      .set('X-GitHub-Event', event)
+      .set('X-Hub-Signature-256', signature)
+      .send(body);
+
+    test('should reject deliveries with a bad signature', async () => {
+      const response = await deliver('push', '{}', 'sha256=0000');
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Invalid signature');
+    });
+
+    test('should accept a signed release event', async () => {
+      const body = JSON.stringify({
+        action: 'published',
+        repository: { name: 'api', full_name: 'acme/api', owner: { login: 'acme' } }
+      });
+
+      const response = await deliver('release', body);
+
+      expect(response.status).toBe(202);
+      expect(response.body).toEqual({
+        success: true,
+        data: expect.objectContaining({ event: 'release', repository: 'acme/api', queued: 1 })
+      });
+    });
+  });
+});